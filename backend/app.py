@@ -10,9 +10,10 @@ Merges:
 import os
 import sys
 import logging
-from flask import Flask, jsonify, request, send_from_directory
+from flask import Flask, Response, jsonify, request, send_from_directory, stream_with_context
 from flask_cors import CORS
 from dotenv import load_dotenv
+from sse import sse_event
 
 load_dotenv()
 
@@ -23,6 +24,7 @@ logging.basicConfig(
 )
 logger = logging.getLogger(__name__)
 
+
 def create_app():
     app = Flask(__name__)
     CORS(app)
@@ -84,7 +86,7 @@ def create_app():
 
     # ==================== SCIBOT MODULE ====================
     try:
-        from scibot.engine import initialize as scibot_init, answer_question
+        from scibot.engine import initialize as scibot_init, answer_with_sources, stream_answer
         logger.info("Initializing SciBot module...")
         scibot_init()
 
@@ -93,11 +95,36 @@ def create_app():
             data = request.get_json() or {}
             question = data.get("question", "")
             try:
-                answer = answer_question(question)
-                return jsonify({"answer": answer})
+                return jsonify(answer_with_sources(question, data.get("context")))
             except Exception as e:
                 return jsonify({"error": str(e)}), 500
 
+        @app.route('/api/scibot/ask/stream', methods=['POST'])
+        def scibot_ask_stream():
+            """
+            Answer as server-sent events: 'sources' with the cited chunks,
+            one 'sentence' event per sentence, then 'done'.
+            """
+            data = request.get_json() or {}
+            question = data.get("question", "")
+
+            def events():
+                sentences = []
+                try:
+                    sources, stream = stream_answer(question, data.get("context"))
+                    yield sse_event("sources", {"sources": sources})
+                    for sentence in stream:
+                        sentences.append(sentence)
+                        yield sse_event("sentence", {"text": sentence})
+                    yield sse_event("done", {"answer": " ".join(sentences), "sources": sources})
+                except Exception as e:
+                    yield sse_event("error", {"error": str(e)})
+
+            return Response(stream_with_context(events()), mimetype='text/event-stream', headers={
+                'Cache-Control': 'no-cache',
+                'X-Accel-Buffering': 'no'
+            })
+
         logger.info("✅ SciBot module loaded")
     except Exception as e:
         logger.warning(f"⚠ SciBot module not available: {e}")
@@ -106,6 +133,10 @@ def create_app():
         def scibot_ask_fallback():
             return jsonify({"error": "SciBot module is not available. Check dependencies."}), 503
 
+        @app.route('/api/scibot/ask/stream', methods=['POST'])
+        def scibot_ask_stream_fallback():
+            return jsonify({"error": "SciBot module is not available. Check dependencies."}), 503
+
     # ==================== SMART GLOVE MODULE ====================
     try:
         from smart_glove.routes import register_smart_glove_routes
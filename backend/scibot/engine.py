@@ -8,8 +8,8 @@ import re
 import pickle
 from pathlib import Path
 from typing import List, Dict, Any, Optional
-from threading import Lock
-from functools import lru_cache
+from threading import Lock, Thread
+from collections import OrderedDict
 
 import numpy as np
 import pandas as pd
@@ -364,46 +364,187 @@ def load_llm_if_needed():
     print("✅ Small LLM loaded.")
 
 
-def build_prompt(question: str, contexts: List[Dict[str, Any]]) -> str:
-    """Build a prompt for the LLM using retrieved context chunks."""
+# ====================================================
+# CONVERSATION CONTEXT
+# ====================================================
+
+# Lecture videos shown on the SciBot page; the topic steers retrieval for
+# vague follow-ups ("why does that happen?") asked while watching
+LECTURE_VIDEOS = {
+    "NeuU4575E48": {
+        "title": "Lesson 01 - Plant Diversity (Part 01)",
+        "topic": "plant diversity flowering non-flowering plants monocot dicot",
+    },
+}
+
+HISTORY_TURNS = 3
+HISTORY_TEXT_LIMIT = 400
+
+# Questions that lean on the previous turn instead of naming their subject
+FOLLOW_UP_PATTERN = re.compile(
+    r"\b(it|its|that|this|these|those|they|them|their|he|she|what about)\b",
+    re.IGNORECASE,
+)
+FOLLOW_UP_MAX_WORDS = 8
+
+
+def normalize_context(context: Optional[Dict[str, Any]]) -> Dict[str, Any]:
+    """
+    Sanitize the conversation context sent by the chat client:
+    {"history": [{"question", "answer"}, ...], "video_id", "video_time"}
+    """
+    context = context if isinstance(context, dict) else {}
+
+    history = []
+    for turn in (context.get("history") or [])[-HISTORY_TURNS:]:
+        if not isinstance(turn, dict):
+            continue
+        question = str(turn.get("question") or "").strip()[:HISTORY_TEXT_LIMIT]
+        answer = str(turn.get("answer") or "").strip()[:HISTORY_TEXT_LIMIT]
+        if question and answer:
+            history.append({"question": question, "answer": answer})
+
+    try:
+        video_time = max(0.0, float(context.get("video_time")))
+    except (TypeError, ValueError):
+        video_time = None
+
+    return {
+        "history": history,
+        "video_id": str(context.get("video_id") or ""),
+        "video_time": video_time,
+    }
+
+
+def is_follow_up(question: str) -> bool:
+    return len(question.split()) <= FOLLOW_UP_MAX_WORDS and bool(FOLLOW_UP_PATTERN.search(question))
+
+
+def build_retrieval_query(question: str, context: Dict[str, Any]) -> str:
+    """Expand a follow-up question with the previous turn and the lecture topic."""
+    if not is_follow_up(question):
+        return question
+
+    parts = [question]
+    if context["history"]:
+        last = context["history"][-1]
+        parts += [last["question"], last["answer"]]
+    lecture = LECTURE_VIDEOS.get(context["video_id"])
+    if lecture:
+        parts.append(lecture["topic"])
+    return " ".join(parts)
+
+
+def format_history(context: Dict[str, Any]) -> str:
+    return "\n".join(
+        f"Student: {turn['question']}\nTutor: {turn['answer']}"
+        for turn in context["history"]
+    )
+
+
+def format_lecture(context: Dict[str, Any]) -> str:
+    lecture = LECTURE_VIDEOS.get(context["video_id"])
+    if not lecture:
+        return ""
+    if context["video_time"] is None:
+        return lecture["title"]
+    minutes, seconds = divmod(int(context["video_time"]), 60)
+    return f"{lecture['title']}, watched up to {minutes}:{seconds:02d}"
+
+
+ANSWER_MARKERS = ["### Question", "### Context", "### Answer", "### Conversation", "### Lecture"]
+
+
+def build_prompt(question: str, contexts: List[Dict[str, Any]], history: str = "", lecture: str = "") -> str:
+    """Build a prompt for the LLM using retrieved context chunks and the conversation so far."""
     joined = "\n\n".join(
         f"[Source: {c['source']} page {c['page_num']}]\n{c['text']}"
         for c in contexts
     )
+    conversation = f"### Conversation so far:\n{history}\n\n" if history else ""
+    watching = f"### Lecture:\n{lecture}\n\n" if lecture else ""
     return (
         "You are a Grade 7 science tutor.\n"
         "Use ONLY the information in the context from the textbook to answer.\n"
+        "Use the conversation so far only to understand what the question refers to.\n"
         "If the answer is not in the context, say: 'I cannot find this in the book.'\n"
         "Give a short, clear answer.\n\n"
         f"### Context:\n{joined}\n\n"
+        f"{watching}"
+        f"{conversation}"
         f"### Question:\n{question}\n\n"
         "### Answer:\n"
     )
 
 
-def generate_llm_answer(prompt: str, max_new_tokens: int = 128) -> str:
-    """Generate an answer using the loaded LLM."""
+SENTENCE_BREAK = re.compile(r'(?<=[.!?])\s+')
+
+
+def split_complete_sentences(buffer: str):
+    """Split finished sentences off a growing text buffer -> (sentences, remainder)."""
+    parts = SENTENCE_BREAK.split(buffer)
+    return [p.strip() for p in parts[:-1] if p.strip()], parts[-1]
+
+
+def finish_sentence(text: str) -> str:
+    """Close a trailing sentence the model or chunk left without punctuation."""
+    text = text.strip()
+    return text if not text or text[-1] in ".!?" else text + "."
+
+
+def answer_sentences(text: str, max_sentences: int = 3) -> List[str]:
+    """Sentences of a whole answer, split and trimmed the way stream_llm_answer yields them."""
+    sentences, tail = split_complete_sentences(text.strip())
+    if tail.strip():
+        sentences.append(finish_sentence(tail))
+    return sentences[:max_sentences]
+
+
+def stream_llm_answer(prompt: str, max_new_tokens: int = 128, max_sentences: int = 3):
+    """Generate an answer with the LLM, yielding each sentence as soon as it is complete."""
+    from transformers import TextIteratorStreamer
+
     inputs = llm_tokenizer(prompt, return_tensors="pt").to(device)
-    with torch.no_grad():
-        out = llm_model.generate(
-            **inputs,
-            max_new_tokens=max_new_tokens,
-            do_sample=False,
-            temperature=0.0,
-        )
-    full = llm_tokenizer.decode(out[0], skip_special_tokens=True)
-    raw = full[len(prompt):].strip()
-
-    for marker in ["### Question", "### Context", "### Answer"]:
-        pos = raw.find(marker)
-        if pos != -1:
-            raw = raw[:pos].strip()
-
-    sentences = [s.strip() for s in raw.split(".") if s.strip()]
-    cleaned = ". ".join(sentences[:3])
-    if cleaned and not cleaned.endswith("."):
-        cleaned += "."
-    return cleaned if cleaned else raw
+    streamer = TextIteratorStreamer(llm_tokenizer, skip_prompt=True, skip_special_tokens=True)
+
+    def generate():
+        with torch.no_grad():
+            llm_model.generate(
+                **inputs,
+                streamer=streamer,
+                max_new_tokens=max_new_tokens,
+                do_sample=False,
+                temperature=0.0,
+            )
+
+    worker = Thread(target=generate, daemon=True)
+    worker.start()
+
+    buffer = ""
+    sent = 0
+    try:
+        for piece in streamer:
+            buffer += piece
+            # The model sometimes starts a new prompt section; cut the answer there
+            stops = [buffer.find(m) for m in ANSWER_MARKERS if m in buffer]
+            if stops:
+                buffer = buffer[:min(stops)]
+
+            sentences, buffer = split_complete_sentences(buffer)
+            for sentence in sentences:
+                yield sentence
+                sent += 1
+                if sent >= max_sentences:
+                    return
+            if stops:
+                break
+
+        tail = finish_sentence(buffer)
+        if tail:
+            yield tail
+    finally:
+        # Let generation finish (bounded by max_new_tokens) before the next request
+        worker.join()
 
 
 # ====================================================
@@ -417,27 +558,106 @@ def extract_answer_from_chunk(chunk_text: str, max_sentences: int = 2) -> str:
     return ans if ans else chunk_text
 
 
-@lru_cache(maxsize=256)
-def _cached_answer(question: str) -> str:
-    ctx = retrieve_chunks(question, k=3, initial_k=20)
+def format_sources(ctx: List[Dict[str, Any]]) -> List[Dict[str, Any]]:
+    """
+    Citations for the chunks an answer was grounded on. Confidence is the
+    supervised relevance score when the reranker ran, otherwise the retrieval similarity.
+    """
+    return [
+        {
+            "document": c["source"],
+            "page": c["page_num"],
+            "confidence": round(min(1.0, max(0.0, c.get("supervised_score", c["similarity"]))), 3),
+            "text": c["text"],
+        }
+        for c in ctx
+    ]
+
+
+ANSWER_CACHE_SIZE = 256
+_answer_cache: "OrderedDict[tuple, tuple]" = OrderedDict()
+_cache_lock = Lock()
+
+
+def _cache_key(q: str, context: Dict[str, Any]) -> tuple:
+    return (q, build_retrieval_query(q, context), format_history(context), format_lecture(context))
+
+
+def _cached_answer(key: tuple):
+    with _cache_lock:
+        if key not in _answer_cache:
+            return None
+        _answer_cache.move_to_end(key)
+        return _answer_cache[key]
+
+
+def _remember_answer(key: tuple, answer: str, sources: List[Dict[str, Any]]):
+    with _cache_lock:
+        _answer_cache[key] = (answer, [dict(s) for s in sources])
+        _answer_cache.move_to_end(key)
+        while len(_answer_cache) > ANSWER_CACHE_SIZE:
+            _answer_cache.popitem(last=False)
+
+
+def _generate_answer(question: str, query: str, history: str = "", lecture: str = ""):
+    """
+    The one generation path behind both transports -> (sources, sentences):
+    LLM answer when available, otherwise an extract of the best chunk.
+    """
+    ctx = retrieve_chunks(query, k=3, initial_k=20)
     if not ctx:
-        return "I cannot find this in the book."
+        return [], iter(["I cannot find this in the book."])
+
+    sources = format_sources(ctx)
 
     # Use LLM for natural answers if available
     if USE_LLM and _HAS_LLM:
         load_llm_if_needed()
-        prompt = build_prompt(question, ctx)
-        return generate_llm_answer(prompt)
+        prompt = build_prompt(question, ctx, history, lecture)
+        return sources, stream_llm_answer(prompt)
 
     # Fallback: extractive answer from best chunk
-    return extract_answer_from_chunk(ctx[0]["text"], max_sentences=2)
+    return sources, iter(answer_sentences(extract_answer_from_chunk(ctx[0]["text"], max_sentences=2)))
 
 
-def answer_question(q: str) -> str:
+def stream_answer(q: str, context: Optional[Dict[str, Any]] = None):
+    """
+    Answer a question as (sources, sentences), where sentences yields the answer
+    sentence by sentence so the client can show and speak the first sentence
+    while the rest is generated. A fully generated answer is cached, so asking
+    again (over either transport) gives the same answer.
+    """
     q = (q or "").strip()
     if not q:
-        return "Please type a question."
-    return _cached_answer(q)
+        return [], iter(["Please type a question."])
+
+    key = _cache_key(q, normalize_context(context))
+    cached = _cached_answer(key)
+    if cached:
+        answer, sources = cached
+        return [dict(s) for s in sources], iter(answer_sentences(answer))
+
+    sources, sentences = _generate_answer(*key)
+
+    def remember():
+        spoken = []
+        for sentence in sentences:
+            spoken.append(sentence)
+            yield sentence
+        # Only complete answers: a client that hangs up mid-answer never gets here
+        _remember_answer(key, " ".join(spoken), sources)
+
+    return sources, remember()
+
+
+def answer_with_sources(q: str, context: Optional[Dict[str, Any]] = None) -> Dict[str, Any]:
+    """Answer a question -> {"answer": str, "sources": [{document, page, confidence, text}]}"""
+    sources, sentences = stream_answer(q, context)
+    return {"answer": " ".join(sentences), "sources": sources}
+
+
+def answer_question(q: str, context: Optional[Dict[str, Any]] = None) -> str:
+    return answer_with_sources(q, context)["answer"]
 
 
 # ====================================================
@@ -453,9 +673,7 @@ def initialize():
         build_or_load_index()
         load_or_build_semantic_index()
         load_or_train_relevance_model()
-        try:
-            _cached_answer.cache_clear()
-        except Exception:
-            pass
+        with _cache_lock:
+            _answer_cache.clear()
         _initialized = True
         print("✅ SciBot initialization done.")
@@ -4,7 +4,8 @@ BLE Manager - Handles Bluetooth Low Energy connection to ESP32 SmartHapticGlove
 
 import asyncio
 import logging
-from typing import Optional, Callable
+import threading
+from typing import Optional, Callable, List
 from bleak import BleakClient, BleakScanner
 from bleak.exc import BleakError
 
@@ -15,6 +16,12 @@ SERVICE_UUID = "12345678-1234-1234-1234-1234567890ab"
 CHARACTERISTIC_UUID = "abcd1234-5678-90ab-cdef-1234567890ab"
 DEVICE_NAME = "SmartHapticGlove"
 
+# Standard BLE Battery Service level characteristic (optional on the glove firmware)
+BATTERY_LEVEL_UUID = "00002a19-0000-1000-8000-00805f9b34fb"
+
+# Glove button notifications, b"1" on press and b"0" on release (optional on the glove firmware)
+BUTTON_UUID = "abcd1235-5678-90ab-cdef-1234567890ab"
+
 
 class BLEManager:
     """
@@ -38,6 +45,8 @@ class BLEManager:
         self._device_address: Optional[str] = None
         self._connected = False
         self._on_disconnect_callback: Optional[Callable] = None
+        self._listeners: List[Callable[[str, dict], None]] = []
+        self._battery_level: Optional[int] = None
         self._initialized = True
         logger.info("BLEManager initialized")
 
@@ -51,12 +60,54 @@ class BLEManager:
         """Get the currently connected device address."""
         return self._device_address if self.is_connected else None
 
+    def add_listener(self, listener: Callable[[str, dict], None]):
+        """
+        Subscribe to glove events. The listener is called as listener(event, data) with:
+            "connection": {"connected": bool, "reason": str, "device_address": str or None}
+            "motor":      {"command": str, "success": bool, "message": str}
+            "battery":    {"level": int}
+            "button":     {"pressed": bool}
+        """
+        self._listeners.append(listener)
+
+    def remove_listener(self, listener: Callable[[str, dict], None]):
+        """Unsubscribe a listener added with add_listener."""
+        if listener in self._listeners:
+            self._listeners.remove(listener)
+
+    def _emit(self, event: str, data: dict):
+        """Notify listeners; a failing listener never breaks BLE handling."""
+        for listener in list(self._listeners):
+            try:
+                listener(event, data)
+            except Exception as e:
+                logger.warning(f"Glove event listener failed: {e}")
+
+    def _handle_button(self, sender, data: bytearray):
+        """Internal button notification handler."""
+        self._emit("button", {"pressed": bytes(data[:1]) == b"1"})
+
+    async def _subscribe_button(self):
+        """Listen for glove button presses if the firmware exposes them."""
+        try:
+            await self._client.start_notify(BUTTON_UUID, self._handle_button)
+            logger.info("Glove button notifications enabled")
+        except (BleakError, ValueError) as e:
+            logger.debug(f"Glove button not available: {e}")
+
     def _handle_disconnect(self, client: BleakClient):
         """Internal disconnect handler."""
         logger.info(f"Disconnected from {self._device_address}")
+        was_connected = self._connected
         self._connected = False
         if self._on_disconnect_callback:
             self._on_disconnect_callback()
+        if was_connected:
+            self._emit("connection", {
+                "connected": False,
+                "reason": "link-lost",
+                "device_address": self._device_address
+            })
 
     async def scan_for_glove(self, timeout: float = 10.0) -> Optional[dict]:
         """
@@ -127,7 +178,13 @@ class BLEManager:
 
                 self._device_address = address
                 self._connected = True
+                await self._subscribe_button()
                 logger.info(f"✅ Connected to SmartHapticGlove at {address}")
+                self._emit("connection", {
+                    "connected": True,
+                    "reason": "connected",
+                    "device_address": address
+                })
                 return True
 
             except BleakError as e:
@@ -144,6 +201,9 @@ class BLEManager:
             True if disconnected successfully
         """
         async with self._lock:
+            was_connected = self._connected
+            address = self._device_address
+
             if self._client and self._client.is_connected:
                 try:
                     await self._client.disconnect()
@@ -154,6 +214,14 @@ class BLEManager:
             self._connected = False
             self._client = None
             self._device_address = None
+            self._battery_level = None
+
+            if was_connected:
+                self._emit("connection", {
+                    "connected": False,
+                    "reason": "disconnected",
+                    "device_address": address
+                })
             return True
 
     async def send_motor_command(self, command: str) -> bool:
@@ -170,6 +238,7 @@ class BLEManager:
             True if command sent successfully
         """
         if not self.is_connected:
+            self._emit("motor", {"command": command, "success": False, "message": "Not connected"})
             raise ConnectionError("Not connected to SmartHapticGlove")
 
         if command not in ["1", "2", "3"]:
@@ -179,10 +248,12 @@ class BLEManager:
             logger.debug(f"Sending motor command: {command}")
             await self._client.write_gatt_char(CHARACTERISTIC_UUID, command.encode('utf-8'))
             logger.info(f"Motor command '{command}' sent successfully")
+            self._emit("motor", {"command": command, "success": True, "message": "Acknowledged"})
             return True
 
         except BleakError as e:
             logger.error(f"Failed to send command: {e}")
+            self._emit("motor", {"command": command, "success": False, "message": str(e)})
             raise ConnectionError(f"Failed to send motor command: {e}")
 
     async def activate_motor1(self) -> bool:
@@ -230,18 +301,63 @@ class BLEManager:
         command = pattern_mapping.get(pattern, '1')
         return await self.send_motor_command(command)
 
+    async def read_battery_level(self) -> Optional[int]:
+        """
+        Read the glove battery level (0-100) from the BLE Battery Service.
+
+        Returns:
+            Battery percentage, or None if not connected or the firmware
+            does not expose the Battery Service
+        """
+        if not self.is_connected:
+            return None
+
+        try:
+            value = await self._client.read_gatt_char(BATTERY_LEVEL_UUID)
+            level = int(value[0])
+        except (BleakError, IndexError, ValueError) as e:
+            logger.debug(f"Battery level not available: {e}")
+            return None
+
+        if level != self._battery_level:
+            self._battery_level = level
+            self._emit("battery", {"level": level})
+        return level
+
     def get_status(self) -> dict:
         """Get current connection status."""
         return {
             "connected": self.is_connected,
             "device_address": self._device_address,
-            "device_name": DEVICE_NAME if self.is_connected else None
+            "device_name": DEVICE_NAME if self.is_connected else None,
+            "battery_level": self._battery_level if self.is_connected else None
         }
 
 
 # Global instance for easy access
 _ble_manager: Optional[BLEManager] = None
 
+# The one event loop all BLE work runs on. bleak ties notification and
+# disconnect callbacks to the loop that registered them, so that loop has to
+# outlive the request that connected.
+_ble_loop: Optional[asyncio.AbstractEventLoop] = None
+_ble_loop_lock = threading.Lock()
+
+
+def get_ble_loop() -> asyncio.AbstractEventLoop:
+    """Get the BLE event loop, started on a background thread on first use."""
+    global _ble_loop
+    with _ble_loop_lock:
+        if _ble_loop is None:
+            _ble_loop = asyncio.new_event_loop()
+            threading.Thread(target=_ble_loop.run_forever, name="ble-loop", daemon=True).start()
+        return _ble_loop
+
+
+def run_on_ble_loop(coro, timeout: Optional[float] = None):
+    """Run a coroutine on the BLE event loop from any thread and wait for its result."""
+    return asyncio.run_coroutine_threadsafe(coro, get_ble_loop()).result(timeout)
+
 
 def get_ble_manager() -> BLEManager:
     """Get the global BLE manager instance."""
@@ -2,24 +2,30 @@
 Smart Glove API Routes - Flask endpoints for ESP32 BLE haptic control
 """
 
-import asyncio
 import logging
-from flask import Blueprint, jsonify, request
-from .ble_manager import get_ble_manager
+import queue
+import time
+from flask import Blueprint, Response, jsonify, request, stream_with_context
+from sse import sse_event
+from .ble_manager import get_ble_manager, run_on_ble_loop
 
 logger = logging.getLogger(__name__)
 
+# Event stream timing (seconds)
+EVENT_POLL_INTERVAL = 1        # how often the link state is re-checked
+BATTERY_POLL_INTERVAL = 30
+HEARTBEAT_INTERVAL = 15        # keeps proxies from closing an idle stream
+
 # Create Blueprint
 smart_glove_bp = Blueprint('smart_glove', __name__, url_prefix='/api/smart-glove')
 
 
 def run_async(coro):
-    """Helper to run async code from sync Flask routes."""
-    loop = asyncio.new_event_loop()
-    try:
-        return loop.run_until_complete(coro)
-    finally:
-        loop.close()
+    """
+    Helper to run async code from sync Flask routes, on the shared BLE loop
+    so button notifications keep arriving after the request returns.
+    """
+    return run_on_ble_loop(coro)
 
 
 @smart_glove_bp.route('/status', methods=['GET'])
@@ -31,7 +37,8 @@ def get_status():
         {
             "connected": boolean,
             "device_address": string or null,
-            "device_name": string or null
+            "device_name": string or null,
+            "battery_level": number or null
         }
     """
     ble = get_ble_manager()
@@ -328,6 +335,77 @@ def test_connection():
         }), 500
 
 
+@smart_glove_bp.route('/events', methods=['GET'])
+def glove_events():
+    """
+    Server-sent event stream of glove state.
+
+    Events:
+        status:     full status on connect (same body as GET /status)
+        connection: { "connected": boolean, "reason": "connected" | "disconnected" | "link-lost" }
+        battery:    { "level": number }   // only if the firmware exposes the Battery Service
+        motor:      { "command": string, "success": boolean, "message": string, "timestamp": number }
+        button:     { "pressed": boolean, "timestamp": number }   // only if the firmware exposes the button
+
+    The BLE link is re-checked every second so a dropped glove is reported
+    even when no command is being sent.
+    """
+    ble = get_ble_manager()
+    events = queue.Queue()
+
+    def listener(event, data):
+        events.put((event, {**data, "timestamp": int(time.time() * 1000)}))
+
+    @stream_with_context
+    def stream():
+        ble.add_listener(listener)
+        try:
+            connected = ble.is_connected
+            yield sse_event("status", ble.get_status())
+
+            last_battery_poll = 0
+            last_sent = time.monotonic()
+
+            while True:
+                try:
+                    event, data = events.get(timeout=EVENT_POLL_INTERVAL)
+                    if event == "connection":
+                        connected = data["connected"]
+                    yield sse_event(event, data)
+                    last_sent = time.monotonic()
+                except queue.Empty:
+                    pass
+
+                # Link dropped without the disconnect callback firing
+                if connected and not ble.is_connected:
+                    connected = False
+                    yield sse_event("connection", {
+                        "connected": False,
+                        "reason": "link-lost",
+                        "timestamp": int(time.time() * 1000)
+                    })
+                    last_sent = time.monotonic()
+
+                now = time.monotonic()
+                if connected and now - last_battery_poll > BATTERY_POLL_INTERVAL:
+                    last_battery_poll = now
+                    try:
+                        run_async(ble.read_battery_level())  # emits "battery" on change
+                    except Exception as e:
+                        logger.debug(f"Battery poll failed: {e}")
+
+                if now - last_sent > HEARTBEAT_INTERVAL:
+                    yield ": heartbeat\n\n"
+                    last_sent = now
+        finally:
+            ble.remove_listener(listener)
+
+    return Response(stream(), mimetype='text/event-stream', headers={
+        'Cache-Control': 'no-cache',
+        'X-Accel-Buffering': 'no'
+    })
+
+
 def register_smart_glove_routes(app):
     """Register Smart Glove routes with Flask app."""
     app.register_blueprint(smart_glove_bp)
@@ -0,0 +1,10 @@
+"""
+Server-Sent Events helpers shared by the app and the blueprints
+"""
+
+import json
+
+
+def sse_event(event, data):
+    """Format one server-sent event frame."""
+    return f"event: {event}\ndata: {json.dumps(data)}\n\n"
@@ -7,38 +7,31 @@
  * - Update progress
  * - End sessions
  * - Voice input for answers
+ * - Haptic number feedback ("feel" the numbers on the glove)
  */
 
+import { haptics } from '../haptics/haptic-client.js';
+import { parseNumber, numbersInText, canEncode } from '../haptics/number-encoding.js';
+import { profiles } from '../profiles/profile-store.js';
+import { learnerSettings } from '../settings/learner-settings.js';
+import { answerCandidates, answerTypesOf, homophonesFor } from '../audio/answer-hints.js';
+import { scoreCandidates, isAccepted } from '../answers/answer-matcher.js';
+import { logger } from '../utils/logger.js';
+
 // Backend API configuration
 const BACKEND_URL = 'http://localhost:5001';
-const GLOVE_API = `${BACKEND_URL}/api/smart-glove`;
 
-/**
- * Send haptic pulse: 1 vibration for correct, 2 for wrong
- */
-function hapticFeedback(isCorrect) {
-  hapticPulse();
-  if (!isCorrect) setTimeout(() => hapticPulse(), 400);
-}
-
-/** Fire a single motor pulse (fire-and-forget) */
-function hapticPulse(command = '3') {
-  fetch(`${GLOVE_API}/motor`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ command })
-  }).catch(() => {});
-}
-
-/** Celebration pattern: 3 rapid pulses */
-function hapticCelebration() {
-  hapticPulse();
-  setTimeout(() => hapticPulse(), 300);
-  setTimeout(() => hapticPulse(), 600);
-}
+// Level changes for activities without their own adaptiveRules
+export const DEFAULT_ADAPTIVE_RULES = {
+  increaseOn: 0.75,
+  decreaseOn: 0.40,
+  minDifficulty: 1,
+  maxDifficulty: 5
+};
 
 export class ActivityLauncher {
-  constructor(activity, studentId, currentLevel = 1, voiceManager = null) {
+  // studentId defaults to the profile picked on this device
+  constructor(activity, studentId = profiles.activeId, currentLevel = 1, voiceManager = null, options = {}) {
     this.activity = activity;
     this.studentId = studentId;
     this.currentLevel = currentLevel;
@@ -49,6 +42,27 @@ export class ActivityLauncher {
     this.totalXP = 0;
     this.voiceManager = voiceManager; // Voice input handler
     this.useVoiceInput = !!voiceManager; // Flag for voice vs other input
+    // Pulse question numbers and correct answers on the glove (activities with hapticNumbers);
+    // null follows the student's "Feel numbers" setting
+    this.feelNumbers = options.feelNumbers ?? null;
+    this.settings = options.settings || learnerSettings;
+    // Keep difficulty changes local: no progress updates or console output (policy simulations)
+    this.offline = !!options.offline;
+  }
+
+  /**
+   * Turn haptic number feedback on or off for this launcher; null follows the learner setting again
+   */
+  setFeelNumbers(enabled) {
+    this.feelNumbers = enabled === null ? null : !!enabled;
+  }
+
+  /**
+   * Whether numbers should be felt for the current activity
+   */
+  canFeelNumbers() {
+    const enabled = this.feelNumbers ?? this.settings.feelNumbers;
+    return enabled && !!this.activity.hapticNumbers;
   }
 
   /**
@@ -80,8 +94,7 @@ export class ActivityLauncher {
           if (data.session_id) {
             this.sessionId = data.session_id;
             this.startTime = Date.now();
-            // Haptic: single pulse to signal session start
-            hapticPulse();
+            haptics.trigger('session-start');
             console.log(`✅ Session started: ${this.sessionId}`);
             return this.sessionId;
           }
@@ -93,8 +106,7 @@ export class ActivityLauncher {
       // Fallback: Create local session ID if backend is unavailable
       this.sessionId = `local-${this.studentId}-${Date.now()}`;
       this.startTime = Date.now();
-      // Haptic: single pulse to signal session start
-      hapticPulse();
+      haptics.trigger('session-start');
       console.log(`✅ Local session created: ${this.sessionId}`);
       return this.sessionId;
     } catch (error) {
@@ -123,18 +135,25 @@ export class ActivityLauncher {
   }
 
   /**
-   * Check if answer is correct (fuzzy matching)
+   * Check if answer is correct (exact or close)
+   * @param {Object} question
+   * @param {string} userAnswer - top transcript (or typed answer)
+   * @param {Array<string|{transcript: string}>} [alternatives] - N-best list from the recognizer
    */
-  checkAnswer(question, userAnswer) {
-    const normalized = userAnswer.toLowerCase().trim();
-    
-    return question.expectedAnswers.some(expected => {
-      const normalizedExpected = expected.toLowerCase().trim();
-      // Check for exact match or partial match
-      return normalized === normalizedExpected || 
-             normalized.includes(normalizedExpected) ||
-             normalizedExpected.includes(normalized);
-    });
+  checkAnswer(question, userAnswer, alternatives = []) {
+    return isAccepted(this.matchAnswer(question, userAnswer, alternatives));
+  }
+
+  /**
+   * Score the best recognised candidate against the expected answers.
+   * Every alternative is tried as heard and with the activity's homophones resolved;
+   * the matcher compares whole normalized words, so "1" is not "11".
+   * @returns {{verdict: string, score: number, expected: string|null, heard: string, reasons: string[]}}
+   */
+  matchAnswer(question, userAnswer, alternatives = []) {
+    const homophones = homophonesFor(answerTypesOf(this.activity));
+    const candidates = answerCandidates(userAnswer, alternatives, homophones);
+    return scoreCandidates(candidates, question.expectedAnswers);
   }
 
   /**
@@ -142,7 +161,8 @@ export class ActivityLauncher {
    */
   async recordResponse(question, userAnswer, timeInSeconds) {
     try {
-      const isCorrect = this.checkAnswer(question, userAnswer);
+      const match = this.matchAnswer(question, userAnswer);
+      const isCorrect = isAccepted(match);
       const xpEarned = this.calculateXP(isCorrect, timeInSeconds);
 
       // Try to send to backend (but don't fail if it's down)
@@ -156,7 +176,7 @@ export class ActivityLauncher {
             question_id: question.id,
             response_text: userAnswer,
             correct: isCorrect,
-            confidence: isCorrect ? 1.0 : 0.0,
+            confidence: match.score,
             emotion_state: null
           }),
           timeout: 5000
@@ -174,7 +194,8 @@ export class ActivityLauncher {
         questionId: question.id,
         isCorrect,
         timeInSeconds,
-        xpEarned
+        xpEarned,
+        verdict: match.verdict
       });
 
       this.totalXP += xpEarned;
@@ -183,12 +204,16 @@ export class ActivityLauncher {
       await this.updateDifficulty();
 
       // Haptic feedback: 1 pulse correct, 2 pulses wrong
-      hapticFeedback(isCorrect);
+      haptics.trigger(isCorrect ? 'answer-correct' : 'answer-wrong');
+      const feltAnswer = isCorrect ? null : this.feelAnswer(question);
 
       return {
         isCorrect,
         xpEarned,
-        feedback: isCorrect ? question.feedback.correct : question.feedback.incorrect
+        verdict: match.verdict,
+        reasons: match.reasons,
+        feedback: isCorrect ? question.feedback.correct : question.feedback.incorrect,
+        feltAnswer
       };
     } catch (error) {
       console.error('❌ Error in recordResponse:', error);
@@ -227,8 +252,10 @@ export class ActivityLauncher {
       
       console.log(`🎤 Voice response: "${userAnswer}" (confidence: ${(confidence * 100).toFixed(0)}%)`);
 
-      // Check if answer is correct
-      const isCorrect = this.checkAnswer(question, userAnswer);
+      // Check if answer is correct, trying every alternative the recognizer heard
+      const match = this.matchAnswer(question, userAnswer, voiceResult.alternatives || []);
+      const isCorrect = isAccepted(match);
+      logger.debug(`Answer ${match.verdict} (${match.reasons.join(', ')}): heard "${match.heard}"`);
       const timeInSeconds = 15; // Voice input duration (approximate)
       const xpEarned = this.calculateXP(isCorrect, timeInSeconds);
 
@@ -262,7 +289,8 @@ export class ActivityLauncher {
         isCorrect,
         timeInSeconds,
         xpEarned,
-        voiceConfidence: confidence
+        voiceConfidence: confidence,
+        verdict: match.verdict
       });
 
       this.totalXP += xpEarned;
@@ -276,13 +304,17 @@ export class ActivityLauncher {
       }
 
       // Haptic feedback: 1 pulse correct, 2 pulses wrong
-      hapticFeedback(isCorrect);
+      haptics.trigger(isCorrect ? 'answer-correct' : 'answer-wrong');
+      const feltAnswer = isCorrect ? null : this.feelAnswer(question);
 
       return {
         isCorrect,
         xpEarned,
+        verdict: match.verdict,
+        reasons: match.reasons,
         feedback: isCorrect ? question.feedback.correct : question.feedback.incorrect,
-        confidence: confidence
+        confidence: confidence,
+        feltAnswer
       };
     } catch (error) {
       console.error('❌ Failed to record voice response:', error);
@@ -291,38 +323,8 @@ export class ActivityLauncher {
   }
 
   /**
-   * Get next question
+   * Share of correct responses in this session (0-1)
    */
-  getNextQuestion() {
-    const levelQuestions = this.activity.questionBank.filter(
-      q => q.difficulty === this.currentLevel
-    );
-
-    if (levelQuestions.length === 0) {
-      // Fallback to any question if none at level
-      return this.activity.questionBank[this.currentQuestionIndex % this.activity.questionBank.length];
-    }
-
-    const question = levelQuestions[this.currentQuestionIndex % levelQuestions.length];
-    return question;
-  }
-
-  /**
-   * Check if answer is correct (fuzzy matching)
-   */
-  checkAnswer(question, userAnswer) {
-    const normalized = userAnswer.toLowerCase().trim();
-    
-    return question.expectedAnswers.some(expected => {
-      const normalizedExpected = expected.toLowerCase().trim();
-      // Check for exact match or partial match
-      return normalized === normalizedExpected || 
-             normalized.includes(normalizedExpected) ||
-             normalizedExpected.includes(normalized);
-    });
-  }
-
-  /**
   getAccuracy() {
     if (this.responses.length === 0) return 0;
     const correct = this.responses.filter(r => r.isCorrect).length;
@@ -334,27 +336,23 @@ export class ActivityLauncher {
    */
   async updateDifficulty() {
     const accuracy = this.getAccuracy();
-    const rules = this.activity.adaptiveRules || {
-      increaseOn: 0.75,
-      decreaseOn: 0.40,
-      minDifficulty: 1,
-      maxDifficulty: 5
-    };
+    const rules = this.activity.adaptiveRules || DEFAULT_ADAPTIVE_RULES;
     
     let newLevel = this.currentLevel;
 
     if (accuracy >= rules.increaseOn && this.currentLevel < rules.maxDifficulty) {
       newLevel = this.currentLevel + 1;
-      console.log(`⬆️ Difficulty increased to Level ${newLevel}`);
+      if (!this.offline) console.log(`⬆️ Difficulty increased to Level ${newLevel}`);
     } else if (accuracy < rules.decreaseOn && this.currentLevel > rules.minDifficulty) {
       newLevel = this.currentLevel - 1;
-      console.log(`⬇️ Difficulty decreased to Level ${newLevel}`);
+      if (!this.offline) console.log(`⬇️ Difficulty decreased to Level ${newLevel}`);
     }
 
     if (newLevel !== this.currentLevel) {
       // Haptic: left motor for difficulty up, right motor for difficulty down
-      hapticPulse(newLevel > this.currentLevel ? '1' : '2');
+      haptics.trigger(newLevel > this.currentLevel ? 'difficulty-up' : 'difficulty-down');
       this.currentLevel = newLevel;
+      if (this.offline) return;
 
       // Update in database
       try {
@@ -405,7 +403,7 @@ export class ActivityLauncher {
       await this.checkAndAwardBadges();
 
       // Haptic: celebration pattern for session completion
-      hapticCelebration();
+      haptics.trigger('session-complete');
 
       console.log(`✅ Session ended: ${this.sessionId}`);
 
@@ -439,6 +437,63 @@ export class ActivityLauncher {
     }
   }
 
+  /**
+   * Numeric answer of a question (from its expected answers), or null
+   */
+  getNumericAnswer(question) {
+    for (const answer of question.expectedAnswers || []) {
+      const n = parseNumber(answer);
+      if (n !== null) return n;
+    }
+    return null;
+  }
+
+  /**
+   * Numbers a question talks about: math operands, the number of pictured
+   * items, or the numbers mentioned in the prompt
+   */
+  getQuestionNumbers(question) {
+    if (Array.isArray(question.hapticNumbers)) return question.hapticNumbers;
+    if (question.num1 !== undefined && question.num2 !== undefined) {
+      return [question.num1, question.num2];
+    }
+    if (question.visualCount !== undefined) return [question.visualCount];
+    return numbersInText(question.prompt);
+  }
+
+  /**
+   * Pulse the numbers of a question after it has been asked.
+   * Math questions are felt as "a, operator cue, b".
+   * @returns {number[]|null} the numbers felt
+   */
+  feelQuestion(question) {
+    if (!this.canFeelNumbers()) return null;
+
+    const numbers = this.getQuestionNumbers(question).filter(canEncode);
+    if (numbers.length === 0) return null;
+
+    if (question.operation && numbers.length === 2) {
+      haptics.playExpression(numbers[0], question.operation, numbers[1]);
+    } else {
+      numbers.forEach(n => haptics.playNumber(n));
+    }
+    return numbers;
+  }
+
+  /**
+   * Pulse the correct answer (queued after the wrong-answer cue)
+   * @returns {number|null} the number felt
+   */
+  feelAnswer(question) {
+    if (!this.canFeelNumbers()) return null;
+
+    const answer = this.getNumericAnswer(question);
+    if (answer === null || !canEncode(answer)) return null;
+
+    haptics.playNumber(answer);
+    return answer;
+  }
+
   /**
    * Announce session start via voice
    */
@@ -557,7 +612,7 @@ export class ActivityLauncher {
 /**
  * Initialize activity session from dashboard
  */
-export async function initializeActivity(activityId, studentId) {
+export async function initializeActivity(activityId, studentId = profiles.activeId) {
   try {
     // Import activity registry
     const { getActivityById } = await import('./index.js');
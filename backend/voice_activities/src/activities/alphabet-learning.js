@@ -10,10 +10,11 @@ export const alphabetLearning = {
   description: 'Learn letters A-Z with friendly characters!',
   targetAge: [4, 6],
   duration: 900000, // 15 minutes - longer because more content
-  skillsFocused: ['letter-recognition', 'letter-sounds', 'phonics', 'letter-naming'],
+  skillsFocused: ['letter-recognition', 'letter-naming'],
   
   difficulty: 'adaptive',
   difficultyRange: [1, 3],
+  answerTypes: ['letters'], // homophones resolved when checking spoken answers
   
   // Story context
   story: {
@@ -51,6 +52,7 @@ export const alphabetLearning = {
       id: 'q1_1',
       difficulty: 1,
       type: 'letter-recognition',
+      skills: ['letter-recognition', 'letter-naming'],
       prompt: 'What letter is this?',
       narration: 'Look at this letter. What is it?',
       letter: 'A',
@@ -68,6 +70,7 @@ export const alphabetLearning = {
       id: 'q1_2',
       difficulty: 1,
       type: 'letter-recognition',
+      skills: ['letter-recognition', 'letter-naming'],
       prompt: 'What letter is this?',
       narration: 'Can you name this letter?',
       letter: 'B',
@@ -85,6 +88,7 @@ export const alphabetLearning = {
       id: 'q1_3',
       difficulty: 1,
       type: 'letter-recognition',
+      skills: ['letter-recognition', 'letter-naming'],
       prompt: 'What letter is this?',
       narration: 'What is this letter called?',
       letter: 'C',
@@ -102,6 +106,7 @@ export const alphabetLearning = {
       id: 'q1_4',
       difficulty: 1,
       type: 'letter-recognition',
+      skills: ['letter-recognition', 'letter-naming'],
       prompt: 'What letter is this?',
       narration: 'Look and tell me the letter name.',
       letter: 'D',
@@ -119,6 +124,7 @@ export const alphabetLearning = {
       id: 'q1_5',
       difficulty: 1,
       type: 'letter-recognition',
+      skills: ['letter-recognition', 'letter-naming'],
       prompt: 'What letter is this?',
       narration: 'Can you name this letter?',
       letter: 'E',
@@ -136,6 +142,7 @@ export const alphabetLearning = {
       id: 'q1_6',
       difficulty: 1,
       type: 'letter-recognition',
+      skills: ['letter-recognition', 'letter-naming'],
       prompt: 'What letter is this?',
       narration: 'What is this letter?',
       letter: 'F',
@@ -153,6 +160,7 @@ export const alphabetLearning = {
       id: 'q1_7',
       difficulty: 1,
       type: 'letter-recognition',
+      skills: ['letter-recognition', 'letter-naming'],
       prompt: 'What letter is this?',
       narration: 'Tell me the name of this letter.',
       letter: 'G',
@@ -172,6 +180,7 @@ export const alphabetLearning = {
       id: 'q2_1',
       difficulty: 2,
       type: 'letter-recognition',
+      skills: ['letter-recognition', 'letter-naming'],
       prompt: 'What letter is this?',
       narration: 'Look at this letter. What is its name?',
       letter: 'H',
@@ -189,6 +198,7 @@ export const alphabetLearning = {
       id: 'q2_2',
       difficulty: 2,
       type: 'letter-recognition',
+      skills: ['letter-recognition', 'letter-naming'],
       prompt: 'What letter is this?',
       narration: 'Can you tell me this letter?',
       letter: 'I',
@@ -206,6 +216,7 @@ export const alphabetLearning = {
       id: 'q2_3',
       difficulty: 2,
       type: 'letter-recognition',
+      skills: ['letter-recognition', 'letter-naming'],
       prompt: 'What letter is this?',
       narration: 'What is this letter called?',
       letter: 'J',
@@ -223,6 +234,7 @@ export const alphabetLearning = {
       id: 'q2_4',
       difficulty: 2,
       type: 'letter-recognition',
+      skills: ['letter-recognition', 'letter-naming'],
       prompt: 'What letter is this?',
       narration: 'Name this letter for me.',
       letter: 'K',
@@ -240,6 +252,7 @@ export const alphabetLearning = {
       id: 'q2_5',
       difficulty: 2,
       type: 'letter-recognition',
+      skills: ['letter-recognition', 'letter-naming'],
       prompt: 'What letter is this?',
       narration: 'Can you name this letter?',
       letter: 'L',
@@ -257,6 +270,7 @@ export const alphabetLearning = {
       id: 'q2_6',
       difficulty: 2,
       type: 'letter-recognition',
+      skills: ['letter-recognition', 'letter-naming'],
       prompt: 'What letter is this?',
       narration: 'What is this letter?',
       letter: 'M',
@@ -274,6 +288,7 @@ export const alphabetLearning = {
       id: 'q2_7',
       difficulty: 2,
       type: 'letter-recognition',
+      skills: ['letter-recognition', 'letter-naming'],
       prompt: 'What letter is this?',
       narration: 'Tell me the name of this letter.',
       letter: 'N',
@@ -293,6 +308,7 @@ export const alphabetLearning = {
       id: 'q3_1',
       difficulty: 3,
       type: 'letter-recognition',
+      skills: ['letter-recognition', 'letter-naming'],
       prompt: 'What letter is this?',
       narration: 'Look at this letter. What is it?',
       letter: 'O',
@@ -310,6 +326,7 @@ export const alphabetLearning = {
       id: 'q3_2',
       difficulty: 3,
       type: 'letter-recognition',
+      skills: ['letter-recognition', 'letter-naming'],
       prompt: 'What letter is this?',
       narration: 'Can you name this letter?',
       letter: 'P',
@@ -327,6 +344,7 @@ export const alphabetLearning = {
       id: 'q3_3',
       difficulty: 3,
       type: 'letter-recognition',
+      skills: ['letter-recognition', 'letter-naming'],
       prompt: 'What letter is this?',
       narration: 'What is this letter called?',
       letter: 'R',
@@ -344,6 +362,7 @@ export const alphabetLearning = {
       id: 'q3_4',
       difficulty: 3,
       type: 'letter-recognition',
+      skills: ['letter-recognition', 'letter-naming'],
       prompt: 'What letter is this?',
       narration: 'Name this letter for me.',
       letter: 'S',
@@ -361,6 +380,7 @@ export const alphabetLearning = {
       id: 'q3_5',
       difficulty: 3,
       type: 'letter-recognition',
+      skills: ['letter-recognition', 'letter-naming'],
       prompt: 'What letter is this?',
       narration: 'Can you tell me this letter?',
       letter: 'T',
@@ -378,6 +398,7 @@ export const alphabetLearning = {
       id: 'q3_6',
       difficulty: 3,
       type: 'letter-recognition',
+      skills: ['letter-recognition', 'letter-naming'],
       prompt: 'What letter is this?',
       narration: 'What is this letter?',
       letter: 'U',
@@ -395,6 +416,7 @@ export const alphabetLearning = {
       id: 'q3_7',
       difficulty: 3,
       type: 'letter-recognition',
+      skills: ['letter-recognition', 'letter-naming'],
       prompt: 'What letter is this?',
       narration: 'Tell me the name of this letter.',
       letter: 'V',
@@ -412,6 +434,7 @@ export const alphabetLearning = {
       id: 'q3_8',
       difficulty: 3,
       type: 'letter-recognition',
+      skills: ['letter-recognition', 'letter-naming'],
       prompt: 'What letter is this?',
       narration: 'Can you name this letter?',
       letter: 'W',
@@ -429,6 +452,7 @@ export const alphabetLearning = {
       id: 'q3_9',
       difficulty: 3,
       type: 'letter-recognition',
+      skills: ['letter-recognition', 'letter-naming'],
       prompt: 'What letter is this?',
       narration: 'What is this letter called?',
       letter: 'X',
@@ -446,6 +470,7 @@ export const alphabetLearning = {
       id: 'q3_10',
       difficulty: 3,
       type: 'letter-recognition',
+      skills: ['letter-recognition', 'letter-naming'],
       prompt: 'What letter is this?',
       narration: 'Name this letter for me.',
       letter: 'Y',
@@ -463,6 +488,7 @@ export const alphabetLearning = {
       id: 'q3_11',
       difficulty: 3,
       type: 'letter-recognition',
+      skills: ['letter-recognition', 'letter-naming'],
       prompt: 'What letter is this?',
       narration: 'Can you tell me this letter?',
       letter: 'Z',
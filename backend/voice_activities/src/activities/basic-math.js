@@ -14,6 +14,8 @@ export const basicMath = {
   
   difficulty: 'adaptive',
   difficultyRange: [1, 4],
+  hapticNumbers: true, // numbers can be felt on the Smart Glove
+  answerTypes: ['numbers'], // homophones resolved when checking spoken answers
   
   // Story context
   story: {
@@ -51,6 +53,7 @@ export const basicMath = {
       id: 'q1_1',
       difficulty: 1,
       type: 'addition',
+      skills: ['addition', 'number-sense'],
       prompt: 'One plus one equals what?',
       narration: 'You have one apple and your friend gives you one more apple. How many apples do you have now?',
       num1: 1,
@@ -70,6 +73,7 @@ export const basicMath = {
       id: 'q1_2',
       difficulty: 1,
       type: 'addition',
+      skills: ['addition', 'number-sense'],
       prompt: 'Two plus one equals what?',
       narration: 'There are two birds on a branch. Another bird lands. How many birds are there now?',
       num1: 2,
@@ -89,6 +93,7 @@ export const basicMath = {
       id: 'q1_3',
       difficulty: 1,
       type: 'addition',
+      skills: ['addition', 'number-sense'],
       prompt: 'Three plus one equals what?',
       narration: 'You have three toys and get one more toy. How many toys do you have?',
       num1: 3,
@@ -110,6 +115,7 @@ export const basicMath = {
       id: 'q2_1',
       difficulty: 2,
       type: 'addition',
+      skills: ['addition', 'mental-math'],
       prompt: 'Two plus two equals what?',
       narration: 'You have two cookies and your sister has two cookies. How many cookies do you have together?',
       num1: 2,
@@ -129,6 +135,7 @@ export const basicMath = {
       id: 'q2_2',
       difficulty: 2,
       type: 'addition',
+      skills: ['addition', 'mental-math'],
       prompt: 'Three plus two equals what?',
       narration: 'There are three flowers in one vase and two flowers in another vase. How many flowers are there in total?',
       num1: 3,
@@ -148,6 +155,7 @@ export const basicMath = {
       id: 'q2_3',
       difficulty: 2,
       type: 'subtraction',
+      skills: ['subtraction', 'number-sense'],
       prompt: 'Three minus one equals what?',
       narration: 'You have three candies and eat one candy. How many candies are left?',
       num1: 3,
@@ -169,6 +177,7 @@ export const basicMath = {
       id: 'q3_1',
       difficulty: 3,
       type: 'addition',
+      skills: ['addition', 'mental-math'],
       prompt: 'Four plus three equals what?',
       narration: 'You have four crayons and find three more crayons. How many crayons do you have now?',
       num1: 4,
@@ -188,6 +197,7 @@ export const basicMath = {
       id: 'q3_2',
       difficulty: 3,
       type: 'subtraction',
+      skills: ['subtraction', 'mental-math'],
       prompt: 'Five minus two equals what?',
       narration: 'You have five balloons and two balloons pop. How many balloons do you have left?',
       num1: 5,
@@ -209,6 +219,7 @@ export const basicMath = {
       id: 'q4_1',
       difficulty: 4,
       type: 'addition',
+      skills: ['addition', 'mental-math'],
       prompt: 'Five plus four equals what?',
       narration: 'There are five birds in the tree and four more birds arrive. How many birds are in the tree now?',
       num1: 5,
@@ -228,6 +239,7 @@ export const basicMath = {
       id: 'q4_2',
       difficulty: 4,
       type: 'subtraction',
+      skills: ['subtraction', 'mental-math'],
       prompt: 'Eight minus three equals what?',
       narration: 'You have eight stickers and give away three stickers. How many stickers do you have left?',
       num1: 8,
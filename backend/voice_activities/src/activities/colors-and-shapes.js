@@ -14,6 +14,7 @@ export const colorsAndShapes = {
   
   difficulty: 'adaptive',
   difficultyRange: [1, 4],
+  answerTypes: ['colors', 'numbers'], // homophones resolved when checking spoken answers
   
   // Story context
   story: {
@@ -50,6 +51,7 @@ export const colorsAndShapes = {
     {
       id: 'q1_1',
       difficulty: 1,
+      skills: ['color-recognition', 'vocabulary'],
       prompt: 'What color is the apple?',
       narration: 'I see a bright apple. What color is it?',
       expectedAnswers: ['red', 'RED', 'Red'],
@@ -65,6 +67,7 @@ export const colorsAndShapes = {
     {
       id: 'q1_2',
       difficulty: 1,
+      skills: ['color-recognition', 'vocabulary'],
       prompt: 'What color is the sky?',
       narration: 'Look up! What color is the sky on a sunny day?',
       expectedAnswers: ['blue', 'BLUE', 'Blue'],
@@ -80,6 +83,7 @@ export const colorsAndShapes = {
     {
       id: 'q1_3',
       difficulty: 1,
+      skills: ['color-recognition', 'vocabulary'],
       prompt: 'What color is the grass?',
       narration: 'What color is the grass in the park?',
       expectedAnswers: ['green', 'GREEN', 'Green'],
@@ -95,6 +99,7 @@ export const colorsAndShapes = {
     {
       id: 'q1_4',
       difficulty: 1,
+      skills: ['color-recognition', 'vocabulary'],
       prompt: 'What color is a banana?',
       narration: 'I have a yummy banana. What color is it?',
       expectedAnswers: ['yellow', 'YELLOW', 'Yellow'],
@@ -110,6 +115,7 @@ export const colorsAndShapes = {
     {
       id: 'q1_5',
       difficulty: 1,
+      skills: ['color-recognition', 'vocabulary'],
       prompt: 'What color is an orange?',
       narration: 'What color is this juicy orange fruit?',
       expectedAnswers: ['orange', 'ORANGE', 'Orange'],
@@ -127,6 +133,7 @@ export const colorsAndShapes = {
     {
       id: 'q2_1',
       difficulty: 2,
+      skills: ['shape-identification', 'vocabulary'],
       prompt: 'What shape has four equal sides and four corners?',
       narration: 'I see a shape with four equal sides and four corners. What shape is it?',
       expectedAnswers: ['square', 'SQUARE', 'Square'],
@@ -142,6 +149,7 @@ export const colorsAndShapes = {
     {
       id: 'q2_2',
       difficulty: 2,
+      skills: ['shape-identification', 'vocabulary'],
       prompt: 'What shape has three sides and three corners?',
       narration: 'This shape has three sides and three corners. What is it called?',
       expectedAnswers: ['triangle', 'TRIANGLE', 'Triangle'],
@@ -157,6 +165,7 @@ export const colorsAndShapes = {
     {
       id: 'q2_3',
       difficulty: 2,
+      skills: ['shape-identification', 'vocabulary'],
       prompt: 'What shape is round with no corners?',
       narration: 'This shape is round and has no corners. What\'s it called?',
       expectedAnswers: ['circle', 'CIRCLE', 'Circle'],
@@ -172,6 +181,7 @@ export const colorsAndShapes = {
     {
       id: 'q2_4',
       difficulty: 2,
+      skills: ['shape-identification', 'vocabulary'],
       prompt: 'What shape has two long sides and two short sides?',
       narration: 'This shape has two long sides and two short sides. What shape is it?',
       expectedAnswers: ['rectangle', 'RECTANGLE', 'Rectangle'],
@@ -189,6 +199,7 @@ export const colorsAndShapes = {
     {
       id: 'q3_1',
       difficulty: 3,
+      skills: ['color-recognition', 'shape-identification'],
       prompt: 'What color square do you see?',
       narration: 'I see a red square. Can you tell me what color this square is?',
       expectedAnswers: ['red', 'RED', 'Red'],
@@ -204,6 +215,7 @@ export const colorsAndShapes = {
     {
       id: 'q3_2',
       difficulty: 3,
+      skills: ['shape-identification', 'color-recognition'],
       prompt: 'How many blue circles are there?',
       narration: 'I see some blue circles. Can you count them? How many blue circles do you see?',
       expectedAnswers: ['three', '3', 'three circles'],
@@ -219,6 +231,7 @@ export const colorsAndShapes = {
     {
       id: 'q3_3',
       difficulty: 3,
+      skills: ['color-recognition', 'shape-identification'],
       prompt: 'What color is this triangle?',
       narration: 'Look at this triangle. What color is it?',
       expectedAnswers: ['green', 'GREEN', 'Green'],
@@ -234,6 +247,7 @@ export const colorsAndShapes = {
     {
       id: 'q3_4',
       difficulty: 3,
+      skills: ['shape-identification', 'color-recognition'],
       prompt: 'What shape is yellow?',
       narration: 'Which shape is yellow? Is it a triangle, circle, or square?',
       expectedAnswers: ['circle', 'CIRCLE', 'Circle'],
@@ -251,6 +265,7 @@ export const colorsAndShapes = {
     {
       id: 'q4_1',
       difficulty: 4,
+      skills: ['shape-identification', 'color-recognition'],
       prompt: 'How many red rectangles and blue squares do you see in total?',
       narration: 'Look at the shapes. Count the red rectangles and blue squares. How many shapes do you see in total?',
       expectedAnswers: ['five', '5', 'five shapes'],
@@ -266,6 +281,7 @@ export const colorsAndShapes = {
     {
       id: 'q4_2',
       difficulty: 4,
+      skills: ['color-recognition', 'vocabulary'],
       prompt: 'Which colors did you see?',
       narration: 'Tell me all the different colors you saw today. Name as many as you can remember!',
       expectedAnswers: ['red', 'blue', 'green', 'yellow', 'orange'],
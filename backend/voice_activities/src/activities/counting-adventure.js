@@ -14,6 +14,8 @@ export const countingAdventure = {
   
   difficulty: 'adaptive',
   difficultyRange: [1, 5],
+  hapticNumbers: true, // numbers can be felt on the Smart Glove
+  answerTypes: ['numbers'], // homophones resolved when checking spoken answers
   
   // Story context
   story: {
@@ -50,6 +52,7 @@ export const countingAdventure = {
     {
       id: 'q1_1',
       difficulty: 1,
+      skills: ['number-recognition', 'number-naming'],
       prompt: 'Sophie found one apple. How many apples does she have?',
       narration: 'Sophie found one apple on the tree. How many apples does she have?',
       expectedAnswers: ['one', '1', 'one apple'],
@@ -66,6 +69,7 @@ export const countingAdventure = {
     {
       id: 'q1_2',
       difficulty: 1,
+      skills: ['number-recognition', 'number-naming'],
       prompt: 'Sophie has two apples in her basket. How many apples does she have?',
       narration: 'Sophie collected two apples and put them in her basket. How many apples are in the basket?',
       expectedAnswers: ['two', '2', 'two apples'],
@@ -83,6 +87,7 @@ export const countingAdventure = {
     {
       id: 'q2_1',
       difficulty: 2,
+      skills: ['counting', 'number-naming'],
       prompt: 'Sophie picked three apples from the tree. How many apples did she pick?',
       narration: 'Sophie climbed the tree and picked one, two, three apples. How many apples did she pick in total?',
       expectedAnswers: ['three', '3', 'three apples'],
@@ -98,6 +103,7 @@ export const countingAdventure = {
     {
       id: 'q2_2',
       difficulty: 2,
+      skills: ['counting', 'number-naming'],
       prompt: 'Sophie found four red apples. How many apples did she find?',
       narration: 'Sophie found four beautiful red apples under a big tree.',
       expectedAnswers: ['four', '4', 'four apples'],
@@ -115,6 +121,7 @@ export const countingAdventure = {
     {
       id: 'q3_1',
       difficulty: 3,
+      skills: ['counting'],
       prompt: 'Sophie has three apples and her friend gives her two more. How many apples does Sophie have now?',
       narration: 'Sophie has three apples in her basket. Her friend comes and gives her two more apples. How many apples does Sophie have now?',
       expectedAnswers: ['five', '5', 'five apples'],
@@ -130,6 +137,7 @@ export const countingAdventure = {
     {
       id: 'q3_2',
       difficulty: 3,
+      skills: ['counting'],
       prompt: 'There are five apples on the tree. Sophie picks two. How many apples are left on the tree?',
       narration: 'Five apples are hanging on a tree. Sophie picks two apples and takes them home. How many apples are still on the tree?',
       expectedAnswers: ['three', '3', 'three apples'],
@@ -147,6 +155,7 @@ export const countingAdventure = {
     {
       id: 'q4_1',
       difficulty: 4,
+      skills: ['counting'],
       prompt: 'Sophie picks four apples in the morning and three apples in the afternoon. How many apples did she pick in total?',
       narration: 'Sophie is busy picking apples! In the morning, she picked four apples. In the afternoon, she picked three more apples. How many apples did she pick altogether?',
       expectedAnswers: ['seven', '7', 'seven apples'],
@@ -162,6 +171,7 @@ export const countingAdventure = {
     {
       id: 'q4_2',
       difficulty: 4,
+      skills: ['counting'],
       prompt: 'There are nine apples. Sophie eats two. How many apples are left?',
       narration: 'Sophie has nine delicious apples. She is so hungry that she eats two of them. How many apples does she have left?',
       expectedAnswers: ['seven', '7', 'seven apples'],
@@ -179,6 +189,7 @@ export const countingAdventure = {
     {
       id: 'q5_1',
       difficulty: 5,
+      skills: ['counting'],
       prompt: 'Sophie has six apples. She eats one and gives three to her friend. How many apples does Sophie have left?',
       narration: 'Sophie starts with six apples. She eats one apple for lunch. Then she gives three apples to her friend. How many apples does Sophie still have?',
       expectedAnswers: ['two', '2', 'two apples'],
@@ -194,6 +205,7 @@ export const countingAdventure = {
     {
       id: 'q5_2',
       difficulty: 5,
+      skills: ['counting'],
       prompt: 'There are five red apples and four green apples in the basket. How many apples are there in total?',
       narration: 'Sophie has a basket with apples. There are five red apples and four green apples. How many apples does she have altogether?',
       expectedAnswers: ['nine', '9', 'nine apples'],
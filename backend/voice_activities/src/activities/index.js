@@ -135,7 +135,7 @@ export const activityMetadata = {
     icon: '🔤',
     targetAge: [4, 6],
     duration: 900000,
-    skillsFocused: ['letter-recognition', 'letter-sounds', 'phonics', 'letter-naming'],
+    skillsFocused: ['letter-recognition', 'letter-naming'],
     difficulty: 'adaptive',
     character: 'dragon'
   }
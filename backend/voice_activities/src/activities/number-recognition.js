@@ -14,6 +14,8 @@ export const numberRecognition = {
   
   difficulty: 'adaptive',
   difficultyRange: [1, 4],
+  hapticNumbers: true, // numbers can be felt on the Smart Glove
+  answerTypes: ['numbers'], // homophones resolved when checking spoken answers
   
   // Story context
   story: {
@@ -50,6 +52,7 @@ export const numberRecognition = {
     {
       id: 'q1_1',
       difficulty: 1,
+      skills: ['number-recognition', 'number-naming'],
       prompt: 'How many stars do you see?',
       narration: 'Look at the stars! How many stars are there?',
       visualCount: 1,
@@ -66,6 +69,7 @@ export const numberRecognition = {
     {
       id: 'q1_2',
       difficulty: 1,
+      skills: ['number-recognition', 'number-naming'],
       prompt: 'How many circles are here?',
       narration: 'Count the circles. How many circles do you see?',
       visualCount: 2,
@@ -82,6 +86,7 @@ export const numberRecognition = {
     {
       id: 'q1_3',
       difficulty: 1,
+      skills: ['number-recognition', 'number-naming'],
       prompt: 'How many squares can you count?',
       narration: 'Look at the squares and count them. How many are there?',
       visualCount: 3,
@@ -100,6 +105,7 @@ export const numberRecognition = {
     {
       id: 'q2_1',
       difficulty: 2,
+      skills: ['visual-counting', 'number-naming'],
       prompt: 'How many hearts do you see?',
       narration: 'Count all the hearts. What number do you get?',
       visualCount: 4,
@@ -116,6 +122,7 @@ export const numberRecognition = {
     {
       id: 'q2_2',
       difficulty: 2,
+      skills: ['visual-counting', 'number-naming'],
       prompt: 'How many triangles are on the screen?',
       narration: 'Look carefully and count the triangles.',
       visualCount: 5,
@@ -132,6 +139,7 @@ export const numberRecognition = {
     {
       id: 'q2_3',
       difficulty: 2,
+      skills: ['visual-counting', 'number-naming'],
       prompt: 'How many flowers are here?',
       narration: 'Count the pretty flowers.',
       visualCount: 6,
@@ -150,6 +158,7 @@ export const numberRecognition = {
     {
       id: 'q3_1',
       difficulty: 3,
+      skills: ['visual-counting', 'number-naming'],
       prompt: 'How many butterflies can you count?',
       narration: 'Count all the butterflies flying around.',
       visualCount: 7,
@@ -166,6 +175,7 @@ export const numberRecognition = {
     {
       id: 'q3_2',
       difficulty: 3,
+      skills: ['visual-counting', 'number-naming'],
       prompt: 'How many apples are on the tree?',
       narration: 'Count the apples hanging from the tree.',
       visualCount: 8,
@@ -184,6 +194,7 @@ export const numberRecognition = {
     {
       id: 'q4_1',
       difficulty: 4,
+      skills: ['visual-counting', 'number-naming'],
       prompt: 'How many balloons are there?',
       narration: 'Count all the balloons floating in the air.',
       visualCount: 9,
@@ -200,6 +211,7 @@ export const numberRecognition = {
     {
       id: 'q4_2',
       difficulty: 4,
+      skills: ['visual-counting', 'number-naming'],
       prompt: 'How many stars are in the sky?',
       narration: 'Count all the twinkling stars.',
       visualCount: 10,
@@ -14,6 +14,7 @@ export const phonicsAndSounds = {
   
   difficulty: 'adaptive',
   difficultyRange: [1, 4],
+  answerTypes: ['letters'], // homophones resolved when checking spoken answers
   
   // Story context
   story: {
@@ -50,6 +51,7 @@ export const phonicsAndSounds = {
     {
       id: 'q1_1',
       difficulty: 1,
+      skills: ['letter-sounds', 'pronunciation'],
       prompt: 'What sound does the letter A make?',
       narration: 'The letter A makes a sound. Listen carefully. What sound does A make? Try to say it!',
       expectedAnswers: ['a', 'ah', 'A', 'AH', 'aah'],
@@ -65,6 +67,7 @@ export const phonicsAndSounds = {
     {
       id: 'q1_2',
       difficulty: 1,
+      skills: ['letter-sounds', 'pronunciation'],
       prompt: 'What sound does the letter B make?',
       narration: 'The letter B makes a sound. What sound does B make?',
       expectedAnswers: ['b', 'buh', 'B', 'BUH', 'ba'],
@@ -80,6 +83,7 @@ export const phonicsAndSounds = {
     {
       id: 'q1_3',
       difficulty: 1,
+      skills: ['letter-sounds', 'pronunciation'],
       prompt: 'What sound does the letter M make?',
       narration: 'The letter M makes a sound. What sound does M make?',
       expectedAnswers: ['m', 'muh', 'M', 'MUH', 'mmm'],
@@ -95,6 +99,7 @@ export const phonicsAndSounds = {
     {
       id: 'q1_4',
       difficulty: 1,
+      skills: ['letter-sounds', 'pronunciation'],
       prompt: 'What sound does the letter S make?',
       narration: 'The letter S makes a sound. What sound does S make?',
       expectedAnswers: ['s', 'sss', 'S', 'SSS', 'sun'],
@@ -110,6 +115,7 @@ export const phonicsAndSounds = {
     {
       id: 'q1_5',
       difficulty: 1,
+      skills: ['letter-sounds', 'pronunciation'],
       prompt: 'What sound does the letter T make?',
       narration: 'The letter T makes a sound. What sound does T make?',
       expectedAnswers: ['t', 'tuh', 'T', 'TUH', 'ta'],
@@ -127,6 +133,7 @@ export const phonicsAndSounds = {
     {
       id: 'q2_1',
       difficulty: 2,
+      skills: ['phonics', 'vocabulary'],
       prompt: 'Which word starts with the letter B?',
       narration: 'Listen to these words: apple, ball, cat. Which one starts with the letter B?',
       expectedAnswers: ['ball', 'BALL', 'Ball'],
@@ -142,6 +149,7 @@ export const phonicsAndSounds = {
     {
       id: 'q2_2',
       difficulty: 2,
+      skills: ['phonics', 'vocabulary'],
       prompt: 'Which word starts with the letter M?',
       narration: 'Which word starts with M? Is it moon, car, or dog?',
       expectedAnswers: ['moon', 'MOON', 'Moon'],
@@ -157,6 +165,7 @@ export const phonicsAndSounds = {
     {
       id: 'q2_3',
       difficulty: 2,
+      skills: ['phonics', 'vocabulary'],
       prompt: 'Which word starts with the letter S?',
       narration: 'Which word starts with S? Is it sun, bed, or tree?',
       expectedAnswers: ['sun', 'SUN', 'Sun'],
@@ -174,6 +183,7 @@ export const phonicsAndSounds = {
     {
       id: 'q3_1',
       difficulty: 3,
+      skills: ['phonics', 'vocabulary'],
       prompt: 'What rhymes with cat?',
       narration: 'Cat rhymes with which word? Is it hat, dog, or fish?',
       expectedAnswers: ['hat', 'HAT', 'Hat'],
@@ -189,6 +199,7 @@ export const phonicsAndSounds = {
     {
       id: 'q3_2',
       difficulty: 3,
+      skills: ['phonics', 'vocabulary'],
       prompt: 'What rhymes with dog?',
       narration: 'Dog rhymes with which word? Is it log, cat, or fish?',
       expectedAnswers: ['log', 'LOG', 'Log'],
@@ -204,6 +215,7 @@ export const phonicsAndSounds = {
     {
       id: 'q3_3',
       difficulty: 3,
+      skills: ['phonics', 'vocabulary'],
       prompt: 'What rhymes with fun?',
       narration: 'Fun rhymes with which word? Is it sun, bed, or tree?',
       expectedAnswers: ['sun', 'SUN', 'Sun'],
@@ -221,6 +233,7 @@ export const phonicsAndSounds = {
     {
       id: 'q4_1',
       difficulty: 4,
+      skills: ['letter-sounds', 'phonics'],
       prompt: 'What is the first sound in the word "strawberry"?',
       narration: 'Say the word strawberry. What is the first sound you hear?',
       expectedAnswers: ['s', 'sss', 'S', 'SSS'],
@@ -236,9 +249,10 @@ export const phonicsAndSounds = {
     {
       id: 'q4_2',
       difficulty: 4,
+      skills: ['phonics', 'pronunciation'],
       prompt: 'Can you spell the word cat using letter sounds?',
       narration: 'What letters make the word cat? Say each sound: c... a... t.',
-      expectedAnswers: ['c', 'a', 't', 'cat', 'CAT'],
+      expectedAnswers: ['c a t', 'cuh ah tuh', 'cat', 'CAT'],
       fuzzyMatch: true,
       hint: 'C says "cuh", A says "ah", T says "tuh".',
       feedback: {
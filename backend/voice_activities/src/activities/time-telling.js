@@ -14,6 +14,7 @@ export const timeTelling = {
   
   difficulty: 'adaptive',
   difficultyRange: [1, 4],
+  answerTypes: ['times', 'numbers'], // homophones resolved when checking spoken answers
   
   // Story context
   story: {
@@ -50,6 +51,7 @@ export const timeTelling = {
     {
       id: 'q1_1',
       difficulty: 1,
+      skills: ['time-concepts'],
       prompt: 'What does a clock help us do?',
       narration: 'A clock is round and has hands that move. What does it help us do?',
       expectedAnswers: ['tell time', 'tell the time', 'know what time it is', 'time'],
@@ -65,6 +67,7 @@ export const timeTelling = {
     {
       id: 'q1_2',
       difficulty: 1,
+      skills: ['clock-reading'],
       prompt: 'How many hands does a clock have?',
       narration: 'Look at a clock. How many hands does it have moving around?',
       expectedAnswers: ['two', '2', 'two hands'],
@@ -80,6 +83,7 @@ export const timeTelling = {
     {
       id: 'q1_3',
       difficulty: 1,
+      skills: ['clock-reading'],
       prompt: 'How many numbers are on a clock?',
       narration: 'Count the numbers around the circle of a clock. How many are there?',
       expectedAnswers: ['twelve', '12', 'twelve numbers'],
@@ -95,6 +99,7 @@ export const timeTelling = {
     {
       id: 'q1_4',
       difficulty: 1,
+      skills: ['clock-reading'],
       prompt: 'What does the short hand show on a clock?',
       narration: 'A clock has a short hand and a long hand. What does the short hand show?',
       expectedAnswers: ['hour', 'hours', 'the hour'],
@@ -110,6 +115,7 @@ export const timeTelling = {
     {
       id: 'q1_5',
       difficulty: 1,
+      skills: ['clock-reading'],
       prompt: 'What does the long hand show on a clock?',
       narration: 'What does the long hand of a clock show us?',
       expectedAnswers: ['minutes', 'minute', 'the minutes'],
@@ -127,6 +133,7 @@ export const timeTelling = {
     {
       id: 'q2_1',
       difficulty: 2,
+      skills: ['clock-reading', 'time-telling'],
       prompt: 'What time is it when both hands point straight up?',
       narration: 'The short hand points to 12 and the long hand points to 12. What time is it?',
       expectedAnswers: ['12 o\'clock', 'twelve o\'clock', '12:00', '12', 'noon', 'midnight'],
@@ -142,6 +149,7 @@ export const timeTelling = {
     {
       id: 'q2_2',
       difficulty: 2,
+      skills: ['clock-reading', 'time-telling'],
       prompt: 'What time is it when the short hand points to 3 and the long hand points to 12?',
       narration: 'The short hand points to 3 and the long hand points to 12. What time is it?',
       expectedAnswers: ['3 o\'clock', 'three o\'clock', '3:00', '3', 'three'],
@@ -157,6 +165,7 @@ export const timeTelling = {
     {
       id: 'q2_3',
       difficulty: 2,
+      skills: ['clock-reading', 'time-telling'],
       prompt: 'What time is it when the short hand points to 6 and the long hand points to 12?',
       narration: 'The short hand points to 6 and the long hand points to 12. What time is it?',
       expectedAnswers: ['6 o\'clock', 'six o\'clock', '6:00', '6', 'six'],
@@ -172,6 +181,7 @@ export const timeTelling = {
     {
       id: 'q2_4',
       difficulty: 2,
+      skills: ['clock-reading', 'time-telling'],
       prompt: 'What time is it when the short hand points to 9 and the long hand points to 12?',
       narration: 'The short hand points to 9 and the long hand points to 12. What time is it?',
       expectedAnswers: ['9 o\'clock', 'nine o\'clock', '9:00', '9', 'nine'],
@@ -189,6 +199,7 @@ export const timeTelling = {
     {
       id: 'q3_1',
       difficulty: 3,
+      skills: ['time-concepts'],
       prompt: 'How many minutes are in one hour?',
       narration: 'An hour is a long time. How many minutes make one hour?',
       expectedAnswers: ['60', 'sixty', 'sixty minutes'],
@@ -204,6 +215,7 @@ export const timeTelling = {
     {
       id: 'q3_2',
       difficulty: 3,
+      skills: ['daily-routines', 'time-telling'],
       prompt: 'What meal do you usually eat at 12 o\'clock in the middle of the day?',
       narration: 'When the clock shows 12 in the middle of the day, what meal do you eat?',
       expectedAnswers: ['lunch', 'LUNCH', 'Lunch'],
@@ -219,6 +231,7 @@ export const timeTelling = {
     {
       id: 'q3_3',
       difficulty: 3,
+      skills: ['daily-routines'],
       prompt: 'When do you usually go to sleep?',
       narration: 'What time of day do you usually go to sleep?',
       expectedAnswers: ['night', 'bedtime', '8', '9', '10', 'evening'],
@@ -236,6 +249,7 @@ export const timeTelling = {
     {
       id: 'q4_1',
       difficulty: 4,
+      skills: ['clock-reading', 'time-telling'],
       prompt: 'What time is it when the short hand points between 2 and 3, and the long hand points to 6?',
       narration: 'The long hand points to 6, which means 30 minutes. The short hand is between 2 and 3. What time is it?',
       expectedAnswers: ['2:30', 'two thirty', 'half past two'],
@@ -251,6 +265,7 @@ export const timeTelling = {
     {
       id: 'q4_2',
       difficulty: 4,
+      skills: ['time-concepts'],
       prompt: 'How many hours are in a day?',
       narration: 'From morning when you wake up to night when you sleep, how many hours is a whole day?',
       expectedAnswers: ['24', 'twenty four', 'twenty-four', 'twenty four hours'],
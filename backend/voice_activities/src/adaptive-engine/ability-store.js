@@ -0,0 +1,192 @@
+/**
+ * Ability Store
+ * Saves each student's ability estimate per activity, so the adaptive engine
+ * picks up where the last session ended instead of starting as a beginner
+ * - Kept in localStorage, one entry per student and activity
+ * - Synced to the backend through /api/db/progress; the copy with the higher
+ *   server-assigned ability_version wins, so device clocks never matter
+ * - Per-skill estimates stay on the device (the progress table has one ability per activity)
+ * - Abilities are on the θ scale; states saved before it are moved onto it when read
+ */
+
+import { logger } from '../utils/logger.js';
+import { ABILITY_SCALE, MIDDLE_LEVEL } from './irt.js';
+
+const STORAGE_PREFIX = 'ability_state_v1';
+
+function getStorage() {
+  try {
+    return globalThis.localStorage || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * A state saved without a scale held abilities on the hand-assigned level
+ * scale (1-5); shift them onto the θ scale
+ */
+function toAbilityScale(state) {
+  if (!state || state.scale === ABILITY_SCALE) return state;
+  const shift = (entry) => ({ ...entry, abilityEstimate: entry.abilityEstimate - MIDDLE_LEVEL });
+  return {
+    ...shift(state),
+    skills: state.skills && Object.fromEntries(
+      Object.entries(state.skills).map(([skill, entry]) => [skill, shift(entry)])
+    ),
+    scale: ABILITY_SCALE
+  };
+}
+
+/**
+ * Ability state from a backend progress row, or null when the row holds no
+ * saved estimate (only XP or level, ability_version 0)
+ */
+function fromProgress(row) {
+  if (!row.ability_version) return null;
+  const responses = row.attempts || 0;
+  return {
+    abilityEstimate: row.ability,
+    standardError: row.standard_error,
+    scale: ABILITY_SCALE, // versioned rows are only written from θ-scale states
+    summary: {
+      responses,
+      correct: row.correct_count || 0,
+      averageResponseTime: 0,
+      averageConfidence: 0.5
+    },
+    version: row.ability_version
+  };
+}
+
+export class AbilityStore {
+  constructor(options = {}) {
+    this.options = {
+      storage: getStorage(),
+      backendUrl: '/api/db', // same origin, or proxied by the React dev server
+      syncEnabled: true,
+      ...options
+    };
+  }
+
+  storageKey(studentId, activityId) {
+    return `${STORAGE_PREFIX}:${studentId}:${activityId}`;
+  }
+
+  loadLocal(studentId, activityId) {
+    const storage = this.options.storage;
+    if (!storage) return null;
+
+    try {
+      const raw = storage.getItem(this.storageKey(studentId, activityId));
+      return raw ? toAbilityScale(JSON.parse(raw)) : null;
+    } catch (e) {
+      logger.warn('Failed to load ability state', e);
+      return null;
+    }
+  }
+
+  saveLocal(studentId, activityId, state) {
+    const storage = this.options.storage;
+    if (!storage) return;
+
+    try {
+      storage.setItem(this.storageKey(studentId, activityId), JSON.stringify(state));
+    } catch (e) {
+      logger.warn('Failed to save ability state', e);
+    }
+  }
+
+  async fetchRemote(studentId, activityId) {
+    if (!this.options.syncEnabled || !this.options.backendUrl) return null;
+
+    try {
+      const url = `${this.options.backendUrl}/progress/${encodeURIComponent(studentId)}/${encodeURIComponent(activityId)}`;
+      const resp = await fetch(url);
+      if (!resp.ok) return null; // 404: nothing saved for this student yet
+      return fromProgress(await resp.json());
+    } catch (e) {
+      logger.warn('Backend unavailable, using the local ability state:', e.message);
+      return null;
+    }
+  }
+
+  /**
+   * Send the state to the backend
+   * @returns {Promise<number|null>} the server's new ability_version, or null when not synced
+   */
+  async pushRemote(studentId, activityId, state) {
+    if (!this.options.syncEnabled || !this.options.backendUrl) return null;
+
+    const { responses, correct } = state.summary;
+    try {
+      const resp = await fetch(`${this.options.backendUrl}/progress`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          student_id: studentId,
+          activity_id: activityId,
+          ability: state.abilityEstimate,
+          standard_error: state.standardError,
+          accuracy: responses > 0 ? correct / responses : 0.5,
+          attempts: responses,
+          correct_count: correct
+        })
+      });
+      if (!resp.ok) throw new Error(`Sync failed: ${resp.status}`);
+      return (await resp.json()).ability_version ?? null;
+    } catch (e) {
+      logger.warn('Failed to sync ability state, kept locally:', e.message);
+      return null;
+    }
+  }
+
+  /**
+   * Saved ability state of a student for an activity, or null for a new student
+   * @returns {Promise<{abilityEstimate: number, standardError: number, summary: Object, version: number}|null>}
+   */
+  async load(studentId, activityId) {
+    const local = this.loadLocal(studentId, activityId);
+    const remote = await this.fetchRemote(studentId, activityId);
+
+    // version is the server's ability_version this copy was last synced with
+    if (remote && (!local || remote.version > (local.version || 0))) {
+      // Another device saved since; keep the details only this device has
+      const { responses, correct } = remote.summary;
+      const state = local
+        ? { ...remote, skills: local.skills, summary: { ...local.summary, responses, correct } }
+        : remote;
+      this.saveLocal(studentId, activityId, state);
+      return state;
+    }
+    return local;
+  }
+
+  /**
+   * Save locally, and to the backend unless sync is false
+   * A save that does not reach the backend keeps the last synced version, so
+   * it still wins over the backend copy until another device saves
+   */
+  async save(studentId, activityId, state, { sync = true } = {}) {
+    const saved = { ...state, version: this.loadLocal(studentId, activityId)?.version || 0, updatedAt: Date.now() };
+    this.saveLocal(studentId, activityId, saved);
+    const version = sync ? await this.pushRemote(studentId, activityId, saved) : null;
+    if (version) {
+      saved.version = version;
+      this.saveLocal(studentId, activityId, saved);
+    }
+    return saved;
+  }
+
+  clear(studentId, activityId) {
+    try {
+      this.options.storage?.removeItem(this.storageKey(studentId, activityId));
+    } catch (e) {
+      logger.warn('Failed to clear ability state', e);
+    }
+  }
+}
+
+export const abilityStore = new AbilityStore();
+
+export default abilityStore;
@@ -2,9 +2,60 @@
  * Adaptive Difficulty Engine
  * Uses Item Response Theory (IRT) to adjust question difficulty
  * Based on student performance, confidence, and emotional state
+ * - Keeps one ability estimate per skill (activity skillsFocused); questions
+ *   list the skills they exercise, and selection targets the weakest one
+ * - Questions calibrated from response logs (item-parameters.js) use their
+ *   fitted difficulty and discrimination; the others their hand-assigned level,
+ *   moved onto the θ scale (difficultyOfLevel)
+ * - Abilities are EAP estimates over a grid (see irt.js); once the standard
+ *   error drops below targetStandardError the measurement is precise enough
+ *   to end the session
+ * - Emotional state shifts which questions are picked, never the estimate
  */
 
 import { logger } from '../utils/logger.js';
+import { ITEM_PARAMETERS } from './item-parameters.js';
+import {
+  ABILITY_SCALE,
+  difficultyOfLevel,
+  skillLevelOf,
+  probabilityCorrect,
+  itemInformation,
+  difficultyForSuccess,
+  abilityGrid,
+  normalPrior,
+  updatePosterior,
+  summarizePosterior
+} from './irt.js';
+
+// Item parameters for questions that have not been calibrated
+export const IRT_DEFAULTS = {
+  discrimination: 1.2,
+  discriminationMin: 0.5,
+  discriminationMax: 2.0,
+  guessing: 0.1 // Probability of correct guess
+};
+
+// Selection offsets for emotional state (in difficulty units)
+const EMOTION_OFFSETS = {
+  frustrated: -0.5,
+  confidentAndQuick: 0.3,
+  disengaged: -0.3
+};
+
+// A skill this far above (below) the student's average skill is a strength (weakness)
+const SKILL_MARGIN = 0.5;
+// Fewer answers than this say nothing about a skill yet
+const MIN_SKILL_RESPONSES = 3;
+
+const skillName = (skill) => skill.replace(/-/g, ' ');
+
+const emptySummary = () => ({
+  responses: 0,
+  correct: 0,
+  averageResponseTime: 0,
+  averageConfidence: 0.5
+});
 
 export class AdaptiveDifficultyEngine {
   constructor(options = {}) {
@@ -14,19 +65,76 @@ export class AdaptiveDifficultyEngine {
       minDifficulty: options.minDifficulty || -3,
       maxDifficulty: options.maxDifficulty || 3,
       emotionWeighting: options.emotionWeighting || true,
+      gridPoints: 61, // quadrature points for the ability posterior
+      priorStandardError: 1.0,
+      targetStandardError: 0.4, // measurement precise enough to stop
+      minResponses: 5, // never stop before this many answers
+      abilityDrift: 0.3, // added uncertainty between sessions (learning, forgetting)
       ...options
     };
 
+    this.grid = abilityGrid(this.options.gridPoints, [this.options.minDifficulty, this.options.maxDifficulty]);
+
     // IRT Parameters
     this.irtParams = {
-      discriminationMin: 0.5,
-      discriminationMax: 2.0,
-      guessingParameter: 0.1 // Probability of correct guess
+      discriminationMin: IRT_DEFAULTS.discriminationMin,
+      discriminationMax: IRT_DEFAULTS.discriminationMax,
+      guessingParameter: IRT_DEFAULTS.guessing
     };
 
+    // Calibrated parameters of the current activity's questions
+    this.activityId = this.options.activityId || null;
+    this.itemParameters = this.options.itemParameters || ITEM_PARAMETERS;
+
     this.performanceHistory = [];
-    this.abilityEstimate = this.options.abilityInitial;
-    this.standardError = 1.0;
+    this.setPrior(this, this.options.abilityInitial, this.options.priorStandardError);
+
+    // Difficulty shift for the student's emotional state (see applyEmotionalAdjustment)
+    this.selectionOffset = 0;
+
+    // Responses from earlier sessions, folded into totals and averages
+    this.priorSummary = emptySummary();
+
+    // skill -> { abilityEstimate, standardError, responses, correct }
+    this.skills = [];
+    this.skillAbilities = {};
+    this.setSkills(this.options.skills || []);
+  }
+
+  /**
+   * Activity whose questions are being asked (selects calibrated item parameters)
+   */
+  setActivity(activityId, skills = []) {
+    this.activityId = activityId;
+    this.setSkills(skills);
+  }
+
+  /**
+   * Skills of the current activity (its skillsFocused)
+   */
+  setSkills(skills = []) {
+    this.skills = [...skills];
+    this.skills.forEach(skill => this.ensureSkill(skill));
+  }
+
+  ensureSkill(skill) {
+    if (!this.skillAbilities[skill]) {
+      this.skillAbilities[skill] = this.setPrior(
+        { responses: 0, correct: 0 },
+        this.options.abilityInitial,
+        this.options.priorStandardError
+      );
+    }
+    return this.skillAbilities[skill];
+  }
+
+  /**
+   * Start an estimate (the engine itself or a skill entry) from a normal prior
+   */
+  setPrior(target, mean, standardError) {
+    target.posterior = normalPrior(this.grid, mean, standardError);
+    Object.assign(target, summarizePosterior(this.grid, target.posterior));
+    return target;
   }
 
   /**
@@ -42,9 +150,10 @@ export class AdaptiveDifficultyEngine {
       questionId: response.questionId,
       isCorrect: response.isCorrect ? 1 : 0,
       responseTime: response.responseTime || 0,
-      difficulty: response.difficulty || 0,
+      difficulty: response.difficulty ?? null, // hand-assigned level
       confidence: response.confidence || 0.5,
       emotionalState: response.emotionalState || {},
+      skills: response.skills || [],
       timestamp: Date.now()
     };
 
@@ -64,7 +173,8 @@ export class AdaptiveDifficultyEngine {
     return {
       abilityEstimate: this.abilityEstimate,
       standardError: this.standardError,
-      nextDifficulty: this.getNextQuestionDifficulty()
+      nextDifficulty: this.getNextQuestionDifficulty(),
+      precise: this.isMeasurementPrecise()
     };
   }
 
@@ -72,81 +182,81 @@ export class AdaptiveDifficultyEngine {
    * Update ability using IRT Bayesian approach
    */
   updateIRTAbility(metric) {
-    const { isCorrect, difficulty } = metric;
-    
-    // IRT 3-Parameter Logistic Model
-    // P(correct) = c + (1-c) / (1 + exp(-a(θ - b)))
-    // where: θ = ability, b = difficulty, a = discrimination, c = guessing param
-    
-    const a = 1.2; // discrimination parameter
-    const b = difficulty; // difficulty = b parameter
-    const c = this.irtParams.guessingParameter;
-    
-    // Calculate probability of correct response at current ability
-    const exponent = -a * (this.abilityEstimate - b);
-    const pCorrect = c + (1 - c) / (1 + Math.exp(exponent));
-
-    // Likelihood of observed response
-    const likelihood = isCorrect ? pCorrect : (1 - pCorrect);
-
-    // Information gain from this item
-    const information = a * a * (pCorrect - c) * (1 - pCorrect) / 
-                      Math.pow(pCorrect - c * (1 - pCorrect), 2);
-
-    // Update standard error using information
-    if (information > 0) {
-      this.standardError = Math.sqrt(1 / (1 / this.standardError ** 2 + information));
+    this.irtUpdate(this, metric);
+
+    // Each skill the question exercises moves from its own estimate
+    for (const skill of metric.skills) {
+      const entry = this.ensureSkill(skill);
+      this.irtUpdate(entry, metric);
+      entry.responses++;
+      entry.correct += metric.isCorrect;
     }
+  }
 
-    // Bayesian update of ability (simplified gradient descent)
-    const learningRate = 0.3;
-    const error = isCorrect ? (1 - pCorrect) : -pCorrect;
-    const abilityDelta = learningRate * error * a;
-
-    this.abilityEstimate = Math.max(
-      this.options.minDifficulty,
-      Math.min(
-        this.options.maxDifficulty,
-        this.abilityEstimate + abilityDelta
-      )
-    );
+  /**
+   * Bayesian update of one estimate (the engine itself or a skill entry):
+   * multiply its posterior by the 3PL likelihood of the answer, then take the
+   * posterior mean (EAP) as the ability and the posterior SD as its standard error
+   */
+  irtUpdate(target, metric) {
+    const params = this.getItemParameters(metric.questionId, metric.difficulty);
+    target.posterior = updatePosterior(this.grid, target.posterior, params, metric.isCorrect === 1);
+    Object.assign(target, summarizePosterior(this.grid, target.posterior));
+    return target;
   }
 
   /**
-   * Apply emotional state adjustments to difficulty
+   * Steer question selection by emotional state; the ability estimate is left alone
    */
   applyEmotionalAdjustment(metric) {
     const emotion = metric.emotionalState;
-    
-    // If frustrated, reduce difficulty
+    let offset = 0;
+
+    // If frustrated, ask easier questions
     if (emotion.frustration > 0.7) {
-      this.abilityEstimate *= 0.95;
+      offset += EMOTION_OFFSETS.frustrated;
       logger.debug('Adjusted for frustration');
     }
 
-    // If confident but too easy, increase difficulty
+    // If confident but too easy, ask harder ones
     if (emotion.confidence > 0.85 && metric.responseTime < 5000) {
-      this.abilityEstimate *= 1.05;
+      offset += EMOTION_OFFSETS.confidentAndQuick;
       logger.debug('Adjusted for high confidence');
     }
 
-    // If disengaged, reduce difficulty to maintain motivation
+    // If disengaged, ask easier ones to maintain motivation
     if (emotion.engagement < 0.4) {
-      this.abilityEstimate *= 0.97;
+      offset += EMOTION_OFFSETS.disengaged;
       logger.debug('Adjusted for low engagement');
     }
+
+    this.selectionOffset = offset;
   }
 
   /**
-   * Calculate next question difficulty
+   * Precise enough to stop asking: standard error at or below targetStandardError
+   * after at least minResponses answers this session
    */
-  getNextQuestionDifficulty() {
-    // Target difficulty where success probability ≈ targetSuccessRate
-    // For IRT 3PL: P = 0.55 is roughly when θ ≈ b
-    // So next difficulty should be close to current ability estimate
-    
-    const nextDifficulty = this.abilityEstimate + 
-                          (Math.random() - 0.5) * 0.5; // Add small random variation
+  isMeasurementPrecise() {
+    return this.performanceHistory.length >= this.options.minResponses &&
+      this.standardError <= this.options.targetStandardError;
+  }
+
+  /**
+   * Expected information of a question at the current ability (how much it would narrow the estimate)
+   */
+  getItemInformation(level, questionId = null) {
+    return itemInformation(this.abilityEstimate, this.getItemParameters(questionId, level));
+  }
+
+  /**
+   * Calculate next question difficulty (for a skill's ability, or the overall one)
+   */
+  getNextQuestionDifficulty(ability = this.abilityEstimate) {
+    // Difficulty at which the default item is answered correctly with
+    // probability targetSuccessRate, shifted for the student's emotional state
+    const nextDifficulty = difficultyForSuccess(ability, this.options.targetSuccessRate, this.getItemParameters()) +
+                          this.selectionOffset;
 
     return Math.max(
       this.options.minDifficulty,
@@ -164,16 +274,14 @@ export class AdaptiveDifficultyEngine {
     }
 
     const path = [];
-    let currentDifficulty = this.getNextQuestionDifficulty();
 
     for (let i = 0; i < sessionLength && questions.length > 0; i++) {
-      // Find question closest to target difficulty
-      const closestQuestion = this.findClosestQuestion(questions, currentDifficulty);
-      
-      if (closestQuestion) {
-        path.push(closestQuestion);
-        questions = questions.filter(q => q.id !== closestQuestion.id);
-        currentDifficulty = this.getNextQuestionDifficulty();
+      // Weakest skill first, at the difficulty of that skill
+      const nextQuestion = this.selectNextQuestion(questions);
+
+      if (nextQuestion) {
+        path.push(nextQuestion);
+        questions = questions.filter(q => q.id !== nextQuestion.id);
       }
     }
 
@@ -181,6 +289,50 @@ export class AdaptiveDifficultyEngine {
     return path;
   }
 
+  /**
+   * Skill with the lowest ability among those the questions exercise
+   * (least practised first on a tie), or null when questions are not tagged
+   */
+  getWeakestSkill(questions = null) {
+    const available = questions ? [...new Set(questions.flatMap(q => q.skills || []))] : null;
+    const known = this.skills.length > 0 ? this.skills : (available || Object.keys(this.skillAbilities));
+    const candidates = available ? known.filter(skill => available.includes(skill)) : known;
+
+    let weakest = null;
+    for (const skill of candidates) {
+      const entry = this.ensureSkill(skill);
+      const best = weakest && this.skillAbilities[weakest];
+      if (!best ||
+          entry.abilityEstimate < best.abilityEstimate ||
+          (entry.abilityEstimate === best.abilityEstimate && entry.responses < best.responses)) {
+        weakest = skill;
+      }
+    }
+    return weakest;
+  }
+
+  /**
+   * Next question: one that exercises the weakest skill, closest to that skill's ability.
+   * Questions already answered this session come last.
+   */
+  selectNextQuestion(questions) {
+    if (!questions || questions.length === 0) return null;
+
+    const answered = new Set(this.performanceHistory.map(r => r.questionId));
+    const unanswered = questions.filter(q => !answered.has(q.id));
+    if (unanswered.length > 0) questions = unanswered;
+
+    const skill = this.getWeakestSkill(questions);
+    if (!skill) {
+      return this.findClosestQuestion(questions, this.getNextQuestionDifficulty());
+    }
+
+    const exercising = questions.filter(q => (q.skills || []).includes(skill));
+    const target = this.getNextQuestionDifficulty(this.skillAbilities[skill].abilityEstimate);
+    logger.debug(`Targeting weakest skill: ${skill}`);
+    return this.findClosestQuestion(exercising.length > 0 ? exercising : questions, target);
+  }
+
   /**
    * Find question closest to target difficulty
    */
@@ -189,7 +341,7 @@ export class AdaptiveDifficultyEngine {
     let minDistance = Infinity;
 
     for (const question of questions) {
-      const difficulty = question.difficulty || 0;
+      const { difficulty } = this.getItemParameters(question.id, question.difficulty);
       const distance = Math.abs(difficulty - targetDifficulty);
 
       if (distance < minDistance) {
@@ -202,16 +354,24 @@ export class AdaptiveDifficultyEngine {
   }
 
   /**
-   * Get predicted success probability for a difficulty level
+   * IRT parameters of a question: calibrated ones when the item bank has them,
+   * otherwise its hand-assigned level (question.difficulty) on the θ scale with
+   * the default discrimination
    */
-  getPredictedSuccessProbability(difficulty) {
-    const a = 1.2;
-    const b = difficulty;
-    const c = this.irtParams.guessingParameter;
-
-    const exponent = -a * (this.abilityEstimate - b);
-    const probability = c + (1 - c) / (1 + Math.exp(exponent));
+  getItemParameters(questionId = null, level = null) {
+    const calibrated = questionId ? this.itemParameters[this.activityId]?.[questionId] : null;
+    return {
+      discrimination: calibrated?.discrimination ?? IRT_DEFAULTS.discrimination,
+      difficulty: calibrated?.difficulty ?? difficultyOfLevel(level),
+      guessing: calibrated?.guessing ?? this.irtParams.guessingParameter
+    };
+  }
 
+  /**
+   * Get predicted success probability for a difficulty level (or a calibrated question)
+   */
+  getPredictedSuccessProbability(level, questionId = null) {
+    const probability = probabilityCorrect(this.abilityEstimate, this.getItemParameters(questionId, level));
     return Math.max(0, Math.min(1, probability));
   }
 
@@ -238,7 +398,66 @@ export class AdaptiveDifficultyEngine {
       averageConfidence: avgConfidence,
       abilityEstimate: this.abilityEstimate,
       standardError: this.standardError,
-      skillLevel: this.getSkillLevel(this.abilityEstimate)
+      precise: this.isMeasurementPrecise(),
+      skillLevel: this.getSkillLevel(this.abilityEstimate),
+      skillProfile: this.getSkillProfile()
+    };
+  }
+
+  /**
+   * Where a skill stands against the student's other tested skills
+   * @returns {'strong'|'developing'|'weak'|'untested'}
+   */
+  getSkillStanding(skill) {
+    const entry = this.skillAbilities[skill];
+    if (!entry || entry.responses < MIN_SKILL_RESPONSES) return 'untested';
+
+    const tested = Object.values(this.skillAbilities).filter(s => s.responses >= MIN_SKILL_RESPONSES);
+    const average = tested.reduce((sum, s) => sum + s.abilityEstimate, 0) / tested.length;
+
+    if (entry.abilityEstimate >= average + SKILL_MARGIN) return 'strong';
+    if (entry.abilityEstimate <= average - SKILL_MARGIN) return 'weak';
+    return 'developing';
+  }
+
+  /**
+   * Per-skill abilities for teachers, e.g. "Strong at counting. Needs practice with subtraction."
+   */
+  getSkillProfile() {
+    const names = this.skills.length > 0 ? this.skills : Object.keys(this.skillAbilities);
+
+    const skills = names.map(skill => {
+      const entry = this.ensureSkill(skill);
+      return {
+        skill,
+        abilityEstimate: entry.abilityEstimate,
+        standardError: entry.standardError,
+        responses: entry.responses,
+        accuracy: entry.responses > 0 ? entry.correct / entry.responses : null,
+        skillLevel: this.getSkillLevel(entry.abilityEstimate),
+        standing: this.getSkillStanding(skill)
+      };
+    });
+
+    const withStanding = (standing) => skills.filter(s => s.standing === standing).map(s => s.skill);
+    const strong = withStanding('strong');
+    const weak = withStanding('weak');
+
+    const sentences = [];
+    if (strong.length > 0) sentences.push(`Strong at ${strong.map(skillName).join(', ')}.`);
+    if (weak.length > 0) sentences.push(`Needs practice with ${weak.map(skillName).join(', ')}.`);
+    if (sentences.length === 0) {
+      sentences.push(skills.some(s => s.standing !== 'untested')
+        ? 'Even across skills.'
+        : 'Not enough answers per skill yet.');
+    }
+
+    return {
+      skills,
+      strong,
+      weak,
+      weakest: this.getWeakestSkill(),
+      summary: sentences.join(' ')
     };
   }
 
@@ -246,23 +465,105 @@ export class AdaptiveDifficultyEngine {
    * Map ability to skill level
    */
   getSkillLevel(ability) {
-    if (ability < -2) return 'Beginner';
-    if (ability < -1) return 'Early Intermediate';
-    if (ability < 0) return 'Intermediate';
-    if (ability < 1) return 'Advanced';
-    if (ability < 2) return 'Expert';
-    return 'Master';
+    return skillLevelOf(ability);
+  }
+
+  /**
+   * Totals and averages over earlier sessions and this one
+   */
+  summarize() {
+    const prior = this.priorSummary;
+    const history = this.performanceHistory;
+    const responses = prior.responses + history.length;
+    if (responses === 0) return emptySummary();
+
+    const average = (priorAverage, key) =>
+      (priorAverage * prior.responses + history.reduce((sum, r) => sum + r[key], 0)) / responses;
+
+    return {
+      responses,
+      correct: prior.correct + history.filter(r => r.isCorrect === 1).length,
+      averageResponseTime: average(prior.averageResponseTime, 'responseTime'),
+      averageConfidence: average(prior.averageConfidence, 'confidence')
+    };
   }
 
   /**
-   * Reset adapter for new session
+   * Ability state to save between sessions (see AbilityStore)
+   */
+  getState() {
+    return {
+      abilityEstimate: this.abilityEstimate,
+      standardError: this.standardError,
+      scale: ABILITY_SCALE,
+      summary: this.summarize(),
+      skills: Object.fromEntries(
+        Object.entries(this.skillAbilities).map(([skill, { posterior, ...entry }]) => [skill, entry])
+      )
+    };
+  }
+
+  /**
+   * Prior for a saved estimate: normal around it, widened by abilityDrift
+   */
+  restorePrior(target, saved) {
+    const mean = Math.max(
+      this.options.minDifficulty,
+      Math.min(this.options.maxDifficulty, saved.abilityEstimate)
+    );
+    const standardError = saved.standardError > 0 ? saved.standardError : this.options.priorStandardError;
+    return this.setPrior(target, mean, Math.sqrt(standardError ** 2 + this.options.abilityDrift ** 2));
+  }
+
+  /**
+   * Continue from a saved ability state
+   */
+  restoreState(state) {
+    if (!state || !Number.isFinite(state.abilityEstimate)) {
+      logger.warn('Invalid ability state, keeping the current estimate');
+      return;
+    }
+
+    this.restorePrior(this, state);
+    this.priorSummary = { ...emptySummary(), ...state.summary };
+    this.performanceHistory = [];
+    this.selectionOffset = 0;
+
+    this.skillAbilities = {};
+    Object.entries(state.skills || {}).forEach(([skill, entry]) => {
+      if (!Number.isFinite(entry?.abilityEstimate)) return;
+      this.skillAbilities[skill] = this.restorePrior(
+        { responses: entry.responses || 0, correct: entry.correct || 0 },
+        entry
+      );
+    });
+    this.skills.forEach(skill => this.ensureSkill(skill));
+
+    logger.debug(`Ability restored: ${this.abilityEstimate.toFixed(2)} ± ${this.standardError.toFixed(2)}`);
+  }
+
+  /**
+   * Reset adapter for new session; the ability estimate carries over
    */
   reset() {
+    this.priorSummary = this.summarize();
     this.performanceHistory = [];
-    this.abilityEstimate = this.options.abilityInitial;
-    this.standardError = 1.0;
+    this.selectionOffset = 0;
     logger.debug('Adaptive difficulty engine reset');
   }
+
+  /**
+   * Forget everything, back to the initial ability
+   */
+  resetAbility() {
+    this.performanceHistory = [];
+    this.priorSummary = emptySummary();
+    this.setPrior(this, this.options.abilityInitial, this.options.priorStandardError);
+    this.selectionOffset = 0;
+    this.skillAbilities = {};
+    this.skills.forEach(skill => this.ensureSkill(skill));
+    logger.debug('Ability estimate reset');
+  }
 }
 
 export default AdaptiveDifficultyEngine;
@@ -0,0 +1,99 @@
+/**
+ * IRT
+ * Three-parameter logistic (3PL) model and grid-based Bayesian ability estimation
+ * - P(correct) = c + (1-c) / (1 + exp(-a(θ - b)))
+ *   where: θ = ability, b = difficulty, a = discrimination, c = guessing
+ * - Abilities are posteriors over a fixed grid of θ values; the estimate is the
+ *   posterior mean (EAP) and the standard error its standard deviation
+ * - Abilities and difficulties share the θ scale (students around 0, SD about 1);
+ *   the question banks' hand-assigned levels 1-5 map onto it one logit apart
+ */
+
+// Marks saved ability states as θ-scale (older ones were on the level scale)
+export const ABILITY_SCALE = 'theta';
+
+// Hand-assigned level at θ = 0
+export const MIDDLE_LEVEL = 3;
+
+/**
+ * Difficulty (b) of a hand-assigned level (question.difficulty); 0 without one
+ */
+export function difficultyOfLevel(level) {
+  return Number.isFinite(level) ? level - MIDDLE_LEVEL : 0;
+}
+
+/**
+ * Skill level shown for a θ ability (Beginner below -2 ... Master from 2)
+ */
+export function skillLevelOf(ability) {
+  if (ability < -2) return 'Beginner';
+  if (ability < -1) return 'Early Intermediate';
+  if (ability < 0) return 'Intermediate';
+  if (ability < 1) return 'Advanced';
+  if (ability < 2) return 'Expert';
+  return 'Master';
+}
+
+/**
+ * 3PL probability of a correct answer
+ */
+export function probabilityCorrect(ability, { discrimination, difficulty, guessing }) {
+  return guessing + (1 - guessing) / (1 + Math.exp(-discrimination * (ability - difficulty)));
+}
+
+/**
+ * Fisher information of a 3PL item at an ability
+ * I(θ) = a² (P - c)² (1 - P) / ((1 - c)² P)
+ */
+export function itemInformation(ability, params) {
+  const { discrimination: a, guessing: c } = params;
+  const p = probabilityCorrect(ability, params);
+  return (a * a * (p - c) ** 2 * (1 - p)) / ((1 - c) ** 2 * p);
+}
+
+/**
+ * Difficulty at which a student of this ability answers correctly with the
+ * given probability (the item to ask for a target success rate)
+ */
+export function difficultyForSuccess(ability, successRate, { discrimination, guessing }) {
+  const rate = Math.min(0.99, Math.max(guessing + 0.01, successRate));
+  return ability + Math.log((1 - guessing) / (rate - guessing) - 1) / discrimination;
+}
+
+/**
+ * Evenly spaced ability values
+ */
+export function abilityGrid(points, [min, max]) {
+  return Array.from({ length: points }, (_, k) => min + (k * (max - min)) / (points - 1));
+}
+
+/**
+ * Normal prior over the grid, normalized to sum to 1
+ */
+export function normalPrior(grid, mean = 0, sd = 1) {
+  const density = grid.map(theta => Math.exp(-((theta - mean) ** 2) / (2 * sd * sd)));
+  const total = density.reduce((sum, value) => sum + value, 0);
+  return density.map(value => value / total);
+}
+
+/**
+ * Posterior after one answer (Bayes' rule on every grid point)
+ */
+export function updatePosterior(grid, posterior, params, correct) {
+  const updated = posterior.map((weight, k) => {
+    const p = probabilityCorrect(grid[k], params);
+    return weight * (correct ? p : 1 - p);
+  });
+  const total = updated.reduce((sum, value) => sum + value, 0);
+  return total > 0 ? updated.map(value => value / total) : posterior;
+}
+
+/**
+ * EAP estimate and posterior standard deviation
+ * @returns {{abilityEstimate: number, standardError: number}}
+ */
+export function summarizePosterior(grid, posterior) {
+  const mean = posterior.reduce((sum, weight, k) => sum + weight * grid[k], 0);
+  const variance = posterior.reduce((sum, weight, k) => sum + weight * (grid[k] - mean) ** 2, 0);
+  return { abilityEstimate: mean, standardError: Math.sqrt(variance) };
+}
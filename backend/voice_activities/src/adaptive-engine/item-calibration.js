@@ -0,0 +1,285 @@
+/**
+ * Item Calibration
+ * Learns each question's difficulty (b) and discrimination (a) from recorded
+ * responses, replacing the hand-assigned difficulty levels of the question banks
+ * - Reads /api/db/students/<id>/export dumps and local response logs
+ * - Marginal maximum likelihood (students' abilities integrated out), with weak
+ *   priors so sparse questions stay near their hand-assigned difficulty
+ * - Students are anchored to N(0, 1), so fitted difficulties are on the θ scale;
+ *   hand-assigned levels enter the priors through difficultyOfLevel, the same
+ *   mapping the engine uses for uncalibrated questions
+ * - Guessing (c) stays fixed; there are too few responses per question to fit it
+ */
+
+import { IRT_DEFAULTS } from './adaptive-difficulty-engine.js';
+import { probabilityCorrect, abilityGrid, normalPrior, difficultyOfLevel } from './irt.js';
+
+export const CALIBRATION_DEFAULTS = {
+  minResponses: 10,          // questions with fewer responses are left uncalibrated
+  maxIterations: 200,        // EM cycles
+  stepsPerIteration: 10,     // gradient steps per question in each M-step
+  tolerance: 1e-4,           // stop when no parameter moves more than this in a cycle
+  learningRate: 1,
+  gridPoints: 31,            // ability grid for the E-step
+  abilityRange: [-4, 4],
+  difficultySD: 2,           // prior spread of difficulty around the hand-assigned value
+  logDiscriminationSD: 0.5   // prior spread of log discrimination around the default
+};
+
+const DIFFICULTY_RANGE = [-5, 5];
+
+const clamp = (value, [min, max]) => Math.min(max, Math.max(min, value));
+const first = (...values) => values.find(value => value !== undefined && value !== null);
+const round = (value, digits = 3) => Number(value.toFixed(digits));
+
+const isCorrectValue = (value) => value === true || value === 1 || value === '1' || value === 'true';
+
+function toRecord(raw, sessionActivities, defaults) {
+  const studentId = first(raw.student_id, raw.studentId, defaults.studentId);
+  const activityId = first(
+    raw.activity_id, raw.activityId,
+    sessionActivities.get(first(raw.session_id, raw.sessionId)),
+    defaults.activityId
+  );
+  const questionId = first(raw.question_id, raw.questionId);
+  const correct = first(raw.correct, raw.isCorrect);
+
+  if (!studentId || !activityId || !questionId || correct === undefined) return null;
+  return { studentId: String(studentId), activityId, questionId, correct: isCorrectValue(correct) ? 1 : 0 };
+}
+
+/**
+ * Response records from export dumps or logs
+ * Accepts an export dump ({ student, sessions, responses }), an object with a
+ * responses array (optionally with studentId and activityId for all of them),
+ * single records ({ studentId, activityId, questionId, isCorrect } or the
+ * snake_case database columns), or arrays of any of these.
+ * @returns {{records: Array<{studentId: string, activityId: string, questionId: string, correct: number}>, skipped: number}}
+ */
+export function readResponseRecords(data) {
+  const records = [];
+  let skipped = 0;
+
+  const add = (raw, sessionActivities, defaults) => {
+    const record = toRecord(raw, sessionActivities, defaults);
+    if (record) records.push(record);
+    else skipped++;
+  };
+
+  const visit = (item) => {
+    if (Array.isArray(item)) {
+      item.forEach(visit);
+      return;
+    }
+    if (!item || typeof item !== 'object') return;
+
+    if (Array.isArray(item.responses)) {
+      // Responses only name their session; the session names the activity
+      const sessionActivities = new Map(
+        (item.sessions || []).map(s => [first(s.id, s.sessionId), first(s.activity_id, s.activityId)])
+      );
+      const defaults = {
+        studentId: first(item.student?.id, item.student_id, item.studentId),
+        activityId: first(item.activity_id, item.activityId)
+      };
+      item.responses.forEach(raw => add(raw, sessionActivities, defaults));
+      return;
+    }
+
+    add(item, new Map(), {});
+  };
+
+  visit(data);
+  return { records, skipped };
+}
+
+/**
+ * Hand-assigned level (question.difficulty) of every question that has one, by activity
+ * @param {Array<{id: string, questionBank: Array}>} activities
+ */
+export function handDifficulties(activities) {
+  return Object.fromEntries(activities.map(activity => [
+    activity.id,
+    Object.fromEntries(activity.questionBank.filter(q => Number.isFinite(q.difficulty)).map(q => [q.id, q.difficulty]))
+  ]));
+}
+
+/**
+ * Fit item parameters to response records
+ * Marginal maximum likelihood by EM (Bock-Aitkin): the E-step weighs every
+ * student's responses over an ability grid, the M-step refits each question
+ * against those expected counts.
+ * @param {Array} records - from readResponseRecords
+ * @param {Object} [options] - CALIBRATION_DEFAULTS overrides, plus handDifficulty
+ *   (activity id -> question id -> hand-assigned level; its difficultyOfLevel is the prior for b)
+ * @returns {{items: Object, report: Array<Object>, students: number, iterations: number, converged: boolean}}
+ */
+export function calibrateItems(records, options = {}) {
+  const settings = { ...CALIBRATION_DEFAULTS, ...options };
+  const handDifficulty = options.handDifficulty || {};
+  const guessing = IRT_DEFAULTS.guessing;
+  const logARange = [IRT_DEFAULTS.discriminationMin, IRT_DEFAULTS.discriminationMax].map(Math.log);
+  const priorLogA = Math.log(IRT_DEFAULTS.discrimination);
+  // Ability grid for integrating over each student's unknown ability
+  const nodes = abilityGrid(settings.gridPoints, settings.abilityRange);
+  const weights = normalPrior(nodes);
+
+  // Index items, and group each student's responses
+  const itemIndex = new Map();
+  const items = [];
+  const students = new Map();
+
+  for (const record of records) {
+    const key = `${record.activityId}/${record.questionId}`;
+    if (!itemIndex.has(key)) {
+      const level = handDifficulty[record.activityId]?.[record.questionId] ?? null;
+      const prior = difficultyOfLevel(level);
+      itemIndex.set(key, items.length);
+      items.push({
+        activityId: record.activityId,
+        questionId: record.questionId,
+        level,
+        prior,
+        difficulty: prior,
+        logDiscrimination: priorLogA,
+        responses: 0,
+        correct: 0
+      });
+    }
+
+    const i = itemIndex.get(key);
+    items[i].responses++;
+    items[i].correct += record.correct;
+
+    if (!students.has(record.studentId)) students.set(record.studentId, []);
+    students.get(record.studentId).push({ item: i, correct: record.correct });
+  }
+
+  const probability = (item, theta) => clamp(
+    probabilityCorrect(theta, { discrimination: Math.exp(item.logDiscrimination), difficulty: item.difficulty, guessing }),
+    [1e-6, 1 - 1e-6]
+  );
+
+  let iterations = 0;
+  let converged = false;
+
+  while (iterations < settings.maxIterations && !converged) {
+    iterations++;
+
+    // E-step: expected attempts (n) and correct answers (r) per item at each grid node
+    const expectedAttempts = items.map(() => new Float64Array(nodes.length));
+    const expectedCorrect = items.map(() => new Float64Array(nodes.length));
+
+    for (const responses of students.values()) {
+      const logPosterior = nodes.map((theta, k) => responses.reduce((sum, { item, correct }) => {
+        const p = probability(items[item], theta);
+        return sum + Math.log(correct ? p : 1 - p);
+      }, Math.log(weights[k])));
+
+      const top = Math.max(...logPosterior);
+      const posterior = logPosterior.map(value => Math.exp(value - top));
+      const total = posterior.reduce((sum, value) => sum + value, 0);
+
+      for (const { item, correct } of responses) {
+        for (let k = 0; k < nodes.length; k++) {
+          const w = posterior[k] / total;
+          expectedAttempts[item][k] += w;
+          if (correct) expectedCorrect[item][k] += w;
+        }
+      }
+    }
+
+    // M-step: gradient ascent on each item's expected log-likelihood plus priors
+    let largestStep = 0;
+
+    items.forEach((item, i) => {
+      const before = { difficulty: item.difficulty, logDiscrimination: item.logDiscrimination };
+
+      for (let step = 0; step < settings.stepsPerIteration; step++) {
+        const a = Math.exp(item.logDiscrimination);
+        let bGradient = -(item.difficulty - item.prior) / settings.difficultySD ** 2;
+        let aGradient = -(item.logDiscrimination - priorLogA) / settings.logDiscriminationSD ** 2;
+
+        nodes.forEach((theta, k) => {
+          const n = expectedAttempts[i][k];
+          if (n === 0) return;
+          const logistic = 1 / (1 + Math.exp(-a * (theta - item.difficulty)));
+          const p = clamp(guessing + (1 - guessing) * logistic, [1e-6, 1 - 1e-6]);
+          // d log-likelihood / d (a(θ - b)), summed over the expected answers at this node
+          const slope = (expectedCorrect[i][k] - n * p) * (1 - guessing) * logistic * (1 - logistic) / (p * (1 - p));
+          bGradient -= a * slope;
+          aGradient += a * (theta - item.difficulty) * slope;
+        });
+
+        const scale = settings.learningRate / (item.responses + 1);
+        item.difficulty = clamp(item.difficulty + scale * bGradient, DIFFICULTY_RANGE);
+        item.logDiscrimination = clamp(item.logDiscrimination + scale * aGradient, logARange);
+      }
+
+      largestStep = Math.max(
+        largestStep,
+        Math.abs(item.difficulty - before.difficulty),
+        Math.abs(item.logDiscrimination - before.logDiscrimination)
+      );
+    });
+
+    converged = largestStep < settings.tolerance;
+  }
+
+  const calibrated = {};
+  const report = items.map(item => {
+    const enough = item.responses >= settings.minResponses;
+    const params = {
+      difficulty: round(item.difficulty),
+      discrimination: round(Math.exp(item.logDiscrimination)),
+      guessing,
+      responses: item.responses
+    };
+
+    if (enough) {
+      calibrated[item.activityId] = calibrated[item.activityId] || {};
+      calibrated[item.activityId][item.questionId] = params;
+    }
+
+    return {
+      activityId: item.activityId,
+      questionId: item.questionId,
+      handDifficulty: item.level,
+      ...params,
+      accuracy: round(item.correct / item.responses, 2),
+      calibrated: enough
+    };
+  });
+
+  return {
+    items: calibrated,
+    report: report.sort((x, y) =>
+      x.activityId.localeCompare(y.activityId) || x.questionId.localeCompare(y.questionId, undefined, { numeric: true })
+    ),
+    students: students.size,
+    iterations,
+    converged
+  };
+}
+
+/**
+ * Source of item-parameters.js for a calibration result
+ */
+export function itemParametersModule(items, calibratedAt = new Date().toISOString()) {
+  return `/**
+ * Item Parameters
+ * Calibrated IRT parameters per activity question, used by AdaptiveDifficultyEngine
+ * Generated by \`npm run calibrate:items\` (frontend/scripts/calibrate-items.js) from
+ * recorded responses; questions missing here keep their hand-assigned difficulty.
+ */
+
+export const CALIBRATED_AT = ${JSON.stringify(calibratedAt)};
+
+// activity id -> question id -> { difficulty, discrimination, guessing, responses }
+export const ITEM_PARAMETERS = ${JSON.stringify(items, null, 2)};
+
+export default ITEM_PARAMETERS;
+`;
+}
+
+export default calibrateItems;
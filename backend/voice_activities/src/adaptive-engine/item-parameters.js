@@ -0,0 +1,13 @@
+/**
+ * Item Parameters
+ * Calibrated IRT parameters per activity question, used by AdaptiveDifficultyEngine
+ * Generated by `npm run calibrate:items` (frontend/scripts/calibrate-items.js) from
+ * recorded responses; questions missing here keep their hand-assigned difficulty.
+ */
+
+export const CALIBRATED_AT = null;
+
+// activity id -> question id -> { difficulty, discrimination, guessing, responses }
+export const ITEM_PARAMETERS = {};
+
+export default ITEM_PARAMETERS;
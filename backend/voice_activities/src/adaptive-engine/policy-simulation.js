@@ -0,0 +1,351 @@
+/**
+ * Policy Simulation
+ * Runs synthetic learners through the adaptive policies to compare them offline
+ * - Learners have a known ability (on the engine's θ scale), a learning rate and
+ *   a frustration profile, and answer by the 3PL model; questions without true
+ *   parameters sit at their hand-assigned level's difficulty (difficultyOfLevel)
+ * - Policies: AdaptiveDifficultyEngine (question selection, EAP estimate and
+ *   stopping rule) or ActivityLauncher.updateDifficulty (accuracy thresholds
+ *   over difficulty levels, the activity's adaptiveRules)
+ * - Reports convergence speed, estimation error and success rate per policy
+ * - Seeded: every policy meets the same learners, so differences come from the policy
+ */
+
+import { AdaptiveDifficultyEngine, IRT_DEFAULTS } from './adaptive-difficulty-engine.js';
+import { probabilityCorrect, difficultyOfLevel } from './irt.js';
+import { ActivityLauncher, DEFAULT_ADAPTIVE_RULES } from '../activities/activity-launcher.js';
+import { haptics } from '../haptics/haptic-client.js';
+
+export const SIMULATION_DEFAULTS = {
+  learners: 200,
+  seed: 1,
+  abilityMean: -0.5,             // true abilities, on the θ scale (level 2.5)
+  abilitySD: 1,
+  learningRate: [0, 0.05],       // ability gained per question near the learner's level (uniform range)
+  stretch: 1,                    // questions within this distance of the ability teach something
+  profiles: { resilient: 0.3, typical: 0.5, fragile: 0.2 }, // share of learners per frustration profile
+  convergenceTolerance: 0.5,     // an estimate this close to the true ability has converged
+  itemParameters: {}             // question id -> true { difficulty, discrimination, guessing }
+};
+
+/**
+ * How frustration builds on wrong answers and fades on right ones;
+ * fragile learners give up when it reaches quitAt
+ */
+export const FRUSTRATION_PROFILES = {
+  resilient: { gain: 0.1, recovery: 0.2, quitAt: null },
+  typical: { gain: 0.2, recovery: 0.15, quitAt: null },
+  fragile: { gain: 0.35, recovery: 0.1, quitAt: 0.95 }
+};
+
+// Frustrated above this (as in AdaptiveDifficultyEngine.applyEmotionalAdjustment)
+const FRUSTRATED = 0.7;
+// Share of the answers a frustrated learner knows but still gets wrong
+const FRUSTRATION_SLIP = 0.2;
+
+const clamp = (value, min = 0, max = 1) => Math.min(max, Math.max(min, value));
+const mean = (values) => values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+
+/**
+ * Seeded random numbers in [0, 1) (mulberry32)
+ */
+export function createRandom(seed = 1) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function normal(random, mu, sd) {
+  const u = 1 - random();
+  return mu + sd * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+function pickProfile(random, shares) {
+  const entries = Object.entries(shares);
+  const total = entries.reduce((sum, [, share]) => sum + share, 0);
+  let roll = random() * total;
+  for (const [profile, share] of entries) {
+    roll -= share;
+    if (roll < 0) return profile;
+  }
+  return entries[entries.length - 1][0];
+}
+
+export class SimulatedLearner {
+  constructor({ id, ability, learningRate = 0, profile = 'typical', stretch = SIMULATION_DEFAULTS.stretch }) {
+    if (!FRUSTRATION_PROFILES[profile]) {
+      throw new Error(`Unknown frustration profile: ${profile}`);
+    }
+    this.id = id;
+    this.initialAbility = ability;
+    this.ability = ability;
+    this.learningRate = learningRate;
+    this.profile = profile;
+    this.stretch = stretch;
+    this.frustration = 0;
+    this.quit = false;
+  }
+
+  isFrustrated() {
+    return this.frustration > FRUSTRATED;
+  }
+
+  /**
+   * Chance of answering a question with these (true) item parameters
+   */
+  chanceOfSuccess(params) {
+    const p = probabilityCorrect(this.ability, params);
+    return this.isFrustrated() ? p * (1 - FRUSTRATION_SLIP) : p;
+  }
+
+  emotionalState() {
+    return {
+      frustration: this.frustration,
+      engagement: 1 - this.frustration,
+      confidence: clamp(1 - this.frustration)
+    };
+  }
+
+  /**
+   * Answer a question: decide correctness, then learn and react to the result
+   * @returns {{isCorrect: boolean, responseTime: number, confidence: number, emotionalState: Object, frustrated: boolean}}
+   */
+  answer(params, random) {
+    const p = this.chanceOfSuccess(params);
+    const frustrated = this.isFrustrated();
+    const isCorrect = random() < p;
+
+    const { gain, recovery, quitAt } = FRUSTRATION_PROFILES[this.profile];
+    this.frustration = clamp(this.frustration + (isCorrect ? -recovery : gain));
+    if (quitAt !== null && this.frustration >= quitAt) this.quit = true;
+
+    if (Math.abs(params.difficulty - this.ability) <= this.stretch) {
+      this.ability += this.learningRate;
+    }
+
+    return {
+      isCorrect,
+      responseTime: Math.round(2000 + 8000 * (1 - p)), // harder questions take longer
+      confidence: p,
+      emotionalState: this.emotionalState(),
+      frustrated
+    };
+  }
+}
+
+/**
+ * Learners with abilities, learning rates and frustration profiles drawn from the options
+ */
+export function createLearners(options = {}) {
+  const settings = { ...SIMULATION_DEFAULTS, ...options };
+  const random = createRandom(settings.seed);
+  const [minRate, maxRate] = settings.learningRate;
+
+  return Array.from({ length: settings.learners }, (_, i) => new SimulatedLearner({
+    id: `sim-${i + 1}`,
+    ability: normal(random, settings.abilityMean, settings.abilitySD),
+    learningRate: minRate + random() * (maxRate - minRate),
+    profile: pickProfile(random, settings.profiles),
+    stretch: settings.stretch
+  }));
+}
+
+/**
+ * True parameters of a question: given ones, or its hand-assigned level on the
+ * θ scale with the engine's default discrimination and guessing
+ */
+function trueItemParameters(question, itemParameters) {
+  return itemParameters[question.id] || {
+    difficulty: difficultyOfLevel(question.difficulty),
+    discrimination: IRT_DEFAULTS.discrimination,
+    guessing: IRT_DEFAULTS.guessing
+  };
+}
+
+function questionLimits(activity, policy) {
+  const main = activity.sessionStructure?.mainSection || {};
+  return {
+    minQuestions: policy.minQuestions ?? main.minQuestions ?? 0,
+    maxQuestions: policy.maxQuestions ?? main.maxQuestions ?? 15
+  };
+}
+
+/**
+ * One session of one learner under the engine policy
+ */
+async function runEngineSession(activity, policy, learner, random, settings) {
+  const engine = new AdaptiveDifficultyEngine({
+    ...policy.engine,
+    activityId: activity.id,
+    skills: activity.skillsFocused || []
+  });
+  const { minQuestions, maxQuestions } = questionLimits(activity, policy);
+  const trace = [];
+
+  while (trace.length < maxQuestions && !learner.quit) {
+    if (policy.stopWhenPrecise !== false && trace.length >= minQuestions && engine.isMeasurementPrecise()) break;
+
+    const question = engine.selectNextQuestion(activity.questionBank);
+    const answer = learner.answer(trueItemParameters(question, settings.itemParameters), random);
+    engine.updatePerformance({
+      questionId: question.id,
+      isCorrect: answer.isCorrect,
+      difficulty: question.difficulty,
+      skills: question.skills || [],
+      responseTime: answer.responseTime,
+      confidence: answer.confidence,
+      emotionalState: answer.emotionalState
+    });
+    trace.push({ ...answer, estimate: engine.abilityEstimate, ability: learner.ability });
+  }
+  return trace;
+}
+
+/**
+ * One session of one learner under the launcher's accuracy thresholds;
+ * the current level, on the θ scale, is the launcher's estimate of the ability
+ */
+async function runLauncherSession(activity, policy, learner, random, settings) {
+  const rules = { ...(activity.adaptiveRules || DEFAULT_ADAPTIVE_RULES), ...policy.adaptiveRules };
+  const launcher = new ActivityLauncher(
+    { ...activity, adaptiveRules: rules },
+    learner.id,
+    policy.startLevel ?? rules.minDifficulty ?? 1,
+    null,
+    { offline: true }
+  );
+  const { maxQuestions } = questionLimits(activity, policy);
+  const trace = [];
+
+  while (trace.length < maxQuestions && !learner.quit) {
+    const question = launcher.getNextQuestion();
+    const answer = learner.answer(trueItemParameters(question, settings.itemParameters), random);
+    launcher.responses.push({
+      questionId: question.id,
+      isCorrect: answer.isCorrect,
+      timeInSeconds: answer.responseTime / 1000,
+      xpEarned: 0
+    });
+    launcher.currentQuestionIndex++;
+    await launcher.updateDifficulty();
+    trace.push({ ...answer, estimate: difficultyOfLevel(launcher.currentLevel), ability: learner.ability });
+  }
+  return trace;
+}
+
+/**
+ * Answers until the estimate stays within tolerance of the true ability, or null if it never settles
+ */
+function questionsToConverge(trace, tolerance) {
+  let settledFrom = null;
+  trace.forEach((step, i) => {
+    if (Math.abs(step.estimate - step.ability) > tolerance) settledFrom = null;
+    else if (settledFrom === null) settledFrom = i;
+  });
+  return settledFrom === null ? null : settledFrom + 1;
+}
+
+function learnerResult(learner, trace, settings) {
+  const last = trace[trace.length - 1];
+  return {
+    learnerId: learner.id,
+    profile: learner.profile,
+    questions: trace.length,
+    successRate: trace.length > 0 ? trace.filter(s => s.isCorrect).length / trace.length : null,
+    error: last ? last.estimate - last.ability : null,
+    questionsToConverge: questionsToConverge(trace, settings.convergenceTolerance),
+    frustratedShare: trace.length > 0 ? trace.filter(s => s.frustrated).length / trace.length : 0,
+    quit: learner.quit,
+    learningGain: learner.ability - learner.initialAbility
+  };
+}
+
+/**
+ * Run every learner through one session of a policy
+ * @param {Object} activity - an activity definition (questionBank, sessionStructure, adaptiveRules)
+ * @param {Object} policy - { name, type: 'engine'|'launcher', engine?: engine options,
+ *   adaptiveRules?: launcher threshold overrides, stopWhenPrecise?, startLevel?, minQuestions?, maxQuestions? }
+ * @param {Object} [options] - SIMULATION_DEFAULTS overrides
+ * @returns {Promise<{policy: Object, learners: Array<Object>}>}
+ */
+export async function simulatePolicy(activity, policy, options = {}) {
+  const settings = { ...SIMULATION_DEFAULTS, ...options };
+  const run = policy.type === 'launcher' ? runLauncherSession : runEngineSession;
+  const learners = createLearners(settings);
+  const random = createRandom(settings.seed + 1);
+
+  // The glove stays still while thousands of simulated answers come in
+  const mode = haptics.mode;
+  haptics.configure({ mode: 'noop' });
+  try {
+    const results = [];
+    for (const learner of learners) {
+      const trace = await run(activity, policy, learner, random, settings);
+      results.push(learnerResult(learner, trace, settings));
+    }
+    return { policy, learners: results };
+  } finally {
+    // Drop the cues queued during the run rather than playing them out
+    haptics.sequencer.clear();
+    haptics.configure({ mode });
+  }
+}
+
+/**
+ * Averages of a simulatePolicy result
+ */
+export function summarizeSimulation({ policy, learners }) {
+  const errors = learners.map(l => l.error).filter(e => e !== null);
+  const converged = learners.filter(l => l.questionsToConverge !== null);
+  const successRate = mean(learners.map(l => l.successRate).filter(r => r !== null));
+  const target = policy.type === 'launcher' ? null : (policy.engine?.targetSuccessRate ?? 0.55);
+
+  return {
+    policy: policy.name,
+    type: policy.type,
+    learners: learners.length,
+    averageQuestions: mean(learners.map(l => l.questions)),
+    successRate,
+    targetGap: target !== null && successRate !== null ? successRate - target : null,
+    rmse: errors.length > 0 ? Math.sqrt(mean(errors.map(e => e * e))) : null,
+    bias: mean(errors),
+    convergedShare: learners.length > 0 ? converged.length / learners.length : 0,
+    averageQuestionsToConverge: mean(converged.map(l => l.questionsToConverge)),
+    frustratedShare: mean(learners.map(l => l.frustratedShare)),
+    dropoutRate: learners.length > 0 ? learners.filter(l => l.quit).length / learners.length : 0,
+    averageLearningGain: mean(learners.map(l => l.learningGain))
+  };
+}
+
+/**
+ * The policies worth comparing for an activity: the engine at the default and
+ * the activity's target success rates, and the launcher with the activity's adaptiveRules
+ */
+export function defaultPolicies(activity) {
+  const targetAccuracy = activity.sessionStructure?.mainSection?.targetAccuracy;
+  const policies = [{ name: 'engine (target 0.55)', type: 'engine', engine: { targetSuccessRate: 0.55 } }];
+  if (targetAccuracy && targetAccuracy !== 0.55) {
+    policies.push({ name: `engine (target ${targetAccuracy})`, type: 'engine', engine: { targetSuccessRate: targetAccuracy } });
+  }
+  policies.push({ name: 'launcher (adaptiveRules)', type: 'launcher' });
+  return policies;
+}
+
+/**
+ * Simulate each policy on the same learners and summarize
+ * @returns {Promise<Array<Object>>} one summarizeSimulation row per policy
+ */
+export async function comparePolicies(activity, policies = defaultPolicies(activity), options = {}) {
+  const report = [];
+  for (const policy of policies) {
+    report.push(summarizeSimulation(await simulatePolicy(activity, policy, options)));
+  }
+  return report;
+}
+
+export default comparePolicies;
@@ -0,0 +1,159 @@
+/**
+ * Answer Corpus
+ * What students actually say, per activity and question, with the verdict the
+ * answer matcher should give. Keeps the matcher honest when the normalizer,
+ * the homophones or the question banks change.
+ *
+ * Checked by tests/answer-corpus.test.js; from frontend/:
+ *   npm run test:answers
+ */
+
+import { countingAdventure } from '../activities/counting-adventure.js';
+import { numberRecognition } from '../activities/number-recognition.js';
+import { basicMath } from '../activities/basic-math.js';
+import { alphabetLearning } from '../activities/alphabet-learning.js';
+import { phonicsAndSounds } from '../activities/phonics-and-sounds.js';
+import { colorsAndShapes } from '../activities/colors-and-shapes.js';
+import { timeTelling } from '../activities/time-telling.js';
+import { scoreCandidates } from './answer-matcher.js';
+import { answerCandidates, answerTypesOf, homophonesFor } from '../audio/answer-hints.js';
+
+const ACTIVITIES = [
+  countingAdventure, numberRecognition, basicMath, alphabetLearning,
+  phonicsAndSounds, colorsAndShapes, timeTelling
+];
+
+// [question id, what was said, expected verdict]
+export const ANSWER_CORPUS = {
+  'counting-adventure': [
+    ['q1_1', 'one', 'exact'],
+    ['q1_1', 'won', 'exact'],
+    ['q1_1', 'eleven', 'wrong'],
+    ['q1_1', '11', 'wrong'],
+    ['q1_2', 'two apples', 'exact'],
+    ['q1_2', 'too', 'exact'],
+    ['q2_1', 'there are three apples', 'exact'],
+    ['q2_1', 'e', 'wrong'],
+    ['q2_1', 'not three', 'wrong'],
+    ['q4_1', 'seven or eight', 'wrong'],
+    ['q5_2', 'I think nine', 'exact']
+  ],
+  'number-recognition': [
+    ['q1_1', 'one star', 'exact'],
+    ['q1_1', 'one hundred', 'wrong'],
+    ['q2_1', 'for', 'exact'],
+    ['q2_1', 'fourteen', 'wrong'],
+    ['q3_2', 'ate', 'exact'],
+    ['q4_2', 'ten stars', 'exact'],
+    ['q4_2', '1', 'wrong'],
+    ['q4_2', "it's not ten", 'wrong']
+  ],
+  'basic-math': [
+    ['q1_1', '2', 'exact'],
+    ['q1_1', 'twelve', 'wrong'],
+    ['q1_1', 'minus two', 'wrong'],
+    ['q1_1', '-2', 'wrong'],
+    ['q1_2', 'the answer is three', 'exact'],
+    ['q2_2', 'five flowers', 'exact'],
+    ['q2_2', 'fifteen', 'wrong'],
+    ['q4_1', 'nine birds', 'exact'],
+    ['q4_2', 'no five', 'exact']
+  ],
+  'alphabet-learning': [
+    ['q1_2', 'b', 'exact'],
+    ['q1_2', 'bee', 'exact'],
+    ['q1_2', 'the letter b', 'exact'],
+    ['q1_2', 'be', 'exact'],
+    ['q1_2', 'a b c', 'wrong'],
+    ['q1_3', 'sea', 'exact'],
+    ['q1_5', 'e', 'exact'],
+    ['q1_5', 'three', 'wrong'],
+    ['q2_2', 'eye', 'exact'],
+    ['q3_6', 'you', 'exact'],
+    ['q3_8', 'double you', 'exact'],
+    ['q3_10', 'why', 'exact'],
+    ['q3_11', 'zed', 'exact'],
+    ['q3_11', 'z is for zebra', 'close']
+  ],
+  'phonics-and-sounds': [
+    ['q1_2', 'buh', 'exact'],
+    ['q1_2', 'b', 'exact'],
+    ['q2_1', 'ball', 'exact'],
+    ['q2_1', 'balloon', 'wrong'],
+    ['q2_2', 'moon', 'exact'],
+    ['q3_1', 'a hat', 'exact'],
+    ['q3_1', 'that', 'wrong'],
+    ['q4_2', 'c a t', 'exact'],
+    ['q4_2', 'cat', 'exact'],
+    ['q4_2', 'a', 'wrong']
+  ],
+  'colors-and-shapes': [
+    ['q1_1', 'red', 'exact'],
+    ['q1_1', 'read', 'exact'],
+    ['q1_1', "it's red", 'exact'],
+    ['q1_1', 'not red', 'wrong'],
+    ['q1_1', 'bread', 'wrong'],
+    ['q1_2', 'blew', 'exact'],
+    ['q2_4', 'rectangel', 'close'],
+    ['q2_3', 'circles', 'close'],
+    ['q3_2', 'three circles', 'exact'],
+    ['q3_2', 'thirty', 'wrong'],
+    ['q4_1', 'five shapes', 'exact']
+  ],
+  'time-telling': [
+    ['q1_2', 'two hands', 'exact'],
+    ['q1_2', 'to', 'exact'],
+    ['q1_3', 'twelve', 'exact'],
+    ['q1_3', 'a dozen', 'exact'],
+    ['q1_3', 'one', 'wrong'],
+    ['q2_1', "twelve o'clock", 'exact'],
+    ['q2_1', 'noon', 'exact'],
+    ['q2_2', "three o'clock", 'exact'],
+    ['q2_2', '3:00', 'exact'],
+    ['q2_2', 'three oclock', 'exact'],
+    ['q2_2', 'thirteen', 'wrong'],
+    ['q2_4', 'nine', 'exact'],
+    ['q3_1', 'sixty minutes', 'exact'],
+    ['q3_1', 'six', 'wrong'],
+    ['q4_1', 'half past two', 'exact'],
+    ['q4_1', 'two thirty', 'exact'],
+    ['q4_1', '2:30', 'exact'],
+    ['q4_1', 'half passed two', 'exact'],
+    ['q4_1', 'quarter past two', 'wrong'],
+    ['q4_2', 'twenty-four', 'exact'],
+    ['q4_2', 'twenty four hours', 'exact'],
+    ['q4_2', 'four', 'wrong']
+  ]
+};
+
+/**
+ * Score every corpus entry the way ActivityLauncher does
+ * @returns {{total: number, passed: number, failures: Array<Object>}}
+ */
+export function runCorpus(corpus = ANSWER_CORPUS) {
+  const failures = [];
+  let total = 0;
+
+  for (const [activityId, entries] of Object.entries(corpus)) {
+    const activity = ACTIVITIES.find(a => a.id === activityId);
+    const homophones = homophonesFor(answerTypesOf(activity));
+
+    for (const [questionId, said, verdict] of entries) {
+      total++;
+      const question = activity?.questionBank.find(q => q.id === questionId);
+      if (!question) {
+        failures.push({ activityId, questionId, said, want: verdict, got: 'missing-question' });
+        continue;
+      }
+
+      const result = scoreCandidates(answerCandidates(said, [], homophones), question.expectedAnswers);
+      if (result.verdict !== verdict) {
+        failures.push({ activityId, questionId, said, want: verdict, got: result.verdict, reasons: result.reasons });
+      }
+    }
+  }
+
+  return { total, passed: total - failures.length, failures };
+}
+
+export default ANSWER_CORPUS;
@@ -0,0 +1,216 @@
+/**
+ * Answer Matcher
+ * Scores a spoken answer against a question's expected answers
+ * - Returns exact, close or wrong, with the reasons behind the verdict
+ * - Compares whole words of the normalized answer, so "1" is not "11"
+ *   and "e" is not "three"
+ * - A negated answer ("not five", "it isn't red") does not count
+ * - A signed number ("minus three", "-3") is a different number
+ * - Close covers small misspellings and extra words; it is accepted as correct
+ */
+
+import { normalizeAnswer } from './answer-normalizer.js';
+
+export const VERDICTS = {
+  EXACT: 'exact',
+  CLOSE: 'close',
+  WRONG: 'wrong'
+};
+
+const RANK = { exact: 2, close: 1, wrong: 0 };
+
+const isBetter = (result, best) => !best ||
+  RANK[result.verdict] > RANK[best.verdict] ||
+  (RANK[result.verdict] === RANK[best.verdict] && result.score > best.score);
+
+// Words around an answer that do not change it ("it's five", "I think the answer is red")
+const FILLERS = new Set([
+  'um', 'uh', 'er', 'erm', 'hmm', 'ok', 'okay', 'well', 'so', 'oh', 'please', 'yes', 'no',
+  'i', 'think', 'guess', 'maybe', 'sure', "i'm", 'im',
+  'it', 'is', "it's", 'its', 'that', "that's", 'thats', 'there', 'are', "there's", 'theres',
+  'the', 'a', 'an', 'answer', 'my', 'says', 'say', 'was'
+]);
+
+// Words that, right before an answer, take it back
+const NEGATIONS = new Set(['not', "isn't", 'isnt', 'never', "wasn't", 'wasnt', "aren't", 'arent', "don't", 'dont']);
+
+// Skipped when looking for a negation ("not a square")
+const ARTICLES = new Set(['a', 'an', 'the']);
+
+// Operators that, right before a number, make it another number ("minus three" is "- 3")
+const SIGNS = new Set(['-', '+', 'negative', 'minus', 'plus']);
+
+const isNumeric = (token) => /^\d+(:\d{2})?$|^\d+(st|nd|rd|th)$/.test(token);
+const isLetter = (token) => /^[a-z]$/.test(token);
+
+/**
+ * Edit distance between two strings
+ */
+export function levenshtein(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = row[j];
+      row[j] = a[i - 1] === b[j - 1]
+        ? diagonal
+        : 1 + Math.min(diagonal, row[j - 1], row[j]);
+      diagonal = above;
+    }
+  }
+  return row[b.length];
+}
+
+/**
+ * "3" and "3:00" name the same time
+ */
+const sameToken = (a, b) => a === b || a === `${b}:00` || b === `${a}:00`;
+
+/**
+ * Start indexes where the expected tokens appear as whole words in the spoken tokens
+ */
+function occurrences(spoken, expected) {
+  const found = [];
+  for (let i = 0; i + expected.length <= spoken.length; i++) {
+    if (expected.every((token, k) => sameToken(spoken[i + k], token))) found.push(i);
+  }
+  return found;
+}
+
+function isNegated(spoken, index) {
+  let i = index - 1;
+  while (i >= 0 && ARTICLES.has(spoken[i])) i--;
+  return i >= 0 && NEGATIONS.has(spoken[i]);
+}
+
+function isSigned(spoken, index, expected) {
+  return index > 0 && isNumeric(expected[0]) && SIGNS.has(spoken[index - 1]);
+}
+
+/**
+ * Whether a word the student added is another answer ("two or three", "a b c")
+ */
+function isOtherAnswer(token, expected) {
+  if (isNumeric(token)) return true;
+  const singleLetter = expected.length === 1 && isLetter(expected[0]);
+  return singleLetter && isLetter(token) && token !== 'a' && token !== 'i';
+}
+
+/**
+ * Score one spoken answer against one expected answer
+ */
+function scoreOne(spoken, expected) {
+  const said = spoken.join(' ');
+  const want = expected.join(' ');
+
+  if (said === want || (spoken.length === 1 && expected.length === 1 && sameToken(said, want))) {
+    return { verdict: VERDICTS.EXACT, score: 1, reasons: ['exact'] };
+  }
+
+  const found = occurrences(spoken, expected);
+  if (found.length > 0) {
+    const kept = found.filter(index => !isNegated(spoken, index));
+    if (kept.length === 0) {
+      return { verdict: VERDICTS.WRONG, score: 0, reasons: ['negated'] };
+    }
+    const unsigned = kept.filter(index => !isSigned(spoken, index, expected));
+    if (unsigned.length === 0) {
+      return { verdict: VERDICTS.WRONG, score: 0, reasons: ['signed-number'] };
+    }
+
+    const start = unsigned[0];
+    const extra = spoken.filter((_, i) => i < start || i >= start + expected.length);
+    if (extra.some(token => isOtherAnswer(token, expected))) {
+      return { verdict: VERDICTS.WRONG, score: 0, reasons: ['multiple-answers'] };
+    }
+    if (extra.every(token => FILLERS.has(token))) {
+      return { verdict: VERDICTS.EXACT, score: 1, reasons: ['in-sentence'] };
+    }
+    return { verdict: VERDICTS.CLOSE, score: 0.7, reasons: ['extra-words'] };
+  }
+
+  const reasons = [];
+
+  // Numbers are right or wrong, never "close"
+  if (spoken.length === 1 && expected.length === 1 && isNumeric(said) && isNumeric(want)) {
+    return { verdict: VERDICTS.WRONG, score: 0, reasons: ['different-number'] };
+  }
+
+  // A small misspelling of a word answer ("rectangel")
+  if (!/\d/.test(want) && want.length >= 4) {
+    const maxDistance = Math.max(1, Math.floor(want.length * 0.25));
+    const heard = expected.length === 1 ? [said, ...spoken] : [said];
+    const distance = Math.min(...heard.map(text => levenshtein(text, want)));
+    if (distance <= maxDistance) {
+      return {
+        verdict: VERDICTS.CLOSE,
+        score: Math.max(0.5, 1 - distance / want.length),
+        reasons: ['similar-word']
+      };
+    }
+  }
+
+  // What the old substring check accepted, and why it no longer does
+  if (said.includes(want)) reasons.push('part-of-word');
+  else if (want.includes(said)) reasons.push('incomplete');
+  else reasons.push('no-match');
+
+  return { verdict: VERDICTS.WRONG, score: 0, reasons };
+}
+
+/**
+ * Score a spoken answer against every expected answer and keep the best
+ * @param {string} said - what the student said (or typed)
+ * @param {string[]} expectedAnswers
+ * @returns {{verdict: string, score: number, expected: string|null, heard: string, reasons: string[]}}
+ */
+export function scoreAnswer(said, expectedAnswers = []) {
+  const heard = normalizeAnswer(said);
+  const spoken = heard.split(' ').filter(Boolean);
+
+  if (spoken.length === 0) {
+    return { verdict: VERDICTS.WRONG, score: 0, expected: null, heard, reasons: ['empty'] };
+  }
+
+  let best = null;
+  const reasons = new Set();
+
+  for (const answer of expectedAnswers) {
+    const expected = normalizeAnswer(answer).split(' ').filter(Boolean);
+    if (expected.length === 0) continue;
+
+    const result = scoreOne(spoken, expected);
+    result.reasons.forEach(reason => reasons.add(reason));
+
+    if (isBetter(result, best)) {
+      best = { ...result, expected: answer };
+    }
+  }
+
+  if (!best) {
+    return { verdict: VERDICTS.WRONG, score: 0, expected: null, heard, reasons: ['no-expected-answers'] };
+  }
+
+  // A wrong answer explains itself with every reason found
+  return best.verdict === VERDICTS.WRONG
+    ? { ...best, expected: null, heard, reasons: [...reasons] }
+    : { ...best, heard };
+}
+
+/**
+ * Whether a scored answer counts as correct
+ */
+export const isAccepted = (result) => result.verdict !== VERDICTS.WRONG;
+
+/**
+ * Best result over several things the student may have said (e.g. N-best alternatives)
+ */
+export function scoreCandidates(candidates, expectedAnswers) {
+  return candidates
+    .map(candidate => scoreAnswer(candidate, expectedAnswers))
+    .reduce((best, result) => (isBetter(result, best) ? result : best), null) ?? scoreAnswer('', expectedAnswers);
+}
+
+export default scoreAnswer;
@@ -0,0 +1,280 @@
+/**
+ * Answer Normalizer
+ * Turns spoken and written answers into one canonical form, so answer checkers
+ * compare what the student meant rather than how the recognizer spelled it
+ * - Numbers: "twelve", "a dozen" -> 12; "twenty-four" -> 24; "one hundred and five" -> 105
+ * - Ordinals: "first", "twenty first" -> 1st, 21st
+ * - Times: "seven o'clock", "7:00" -> 7:00; "quarter past three" -> 3:15; "two thirty" -> 2:30
+ * - Operations: "plus", "take away", "times", "divided by", "equals" -> + - * / =
+ * - Letter names: "bee", "the letter b", "capital b" -> b
+ */
+
+import { HOMOPHONES } from '../audio/answer-hints.js';
+
+const UNITS = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+  seventeen: 17, eighteen: 18, nineteen: 19
+};
+const TENS = { twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90 };
+const SCALES = { hundred: 100, thousand: 1000 };
+
+const ORDINAL_UNITS = {
+  first: 1, second: 2, third: 3, fourth: 4, fifth: 5, sixth: 6, seventh: 7, eighth: 8, ninth: 9,
+  tenth: 10, eleventh: 11, twelfth: 12, thirteenth: 13, fourteenth: 14, fifteenth: 15,
+  sixteenth: 16, seventeenth: 17, eighteenth: 18, nineteenth: 19
+};
+const ORDINAL_TENS = {
+  twentieth: 20, thirtieth: 30, fortieth: 40, fiftieth: 50, sixtieth: 60, seventieth: 70, eightieth: 80, ninetieth: 90
+};
+
+// Whole phrases replaced before anything else
+const PHRASES = [
+  [/\bhalf a dozen\b/g, '6'],
+  [/\b(a )?dozen\b/g, '12'],
+  [/\b(noon|midday|midnight)\b/g, '12:00'],
+  [/\bo ?clock\b|\ba clock\b/g, "o'clock"],
+  [/\btake away\b/g, '-'],
+  [/\bmultiplied by\b/g, '*'],
+  [/\bdivided by\b/g, '/'],
+  [/\b(is )?equal to\b/g, '=']
+];
+
+const OPERATORS = {
+  plus: '+', add: '+',
+  minus: '-', subtract: '-',
+  times: '*',
+  equals: '='
+};
+
+const LETTER_PREFIXES = ['the', 'letter', 'capital', 'small', 'lowercase', 'uppercase', 'big'];
+
+/**
+ * Ordinal suffix of a number (1st, 2nd, 3rd, 11th, 21st)
+ */
+export function ordinal(n) {
+  const lastTwo = n % 100;
+  if (lastTwo >= 11 && lastTwo <= 13) return `${n}th`;
+  return n + ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+}
+
+/**
+ * Lower-case and split into tokens, keeping "7:30", "o'clock" and operator signs
+ */
+function tokenize(text) {
+  let clean = String(text ?? '')
+    .toLowerCase()
+    .replace(/(\d)\s*:\s*(\d)/g, '$1:$2')
+    .replace(/[-‐–]/g, ' - ')
+    .replace(/[^a-z0-9:'+*/=\- ]+/g, ' ');
+
+  for (const [pattern, replacement] of PHRASES) {
+    clean = clean.replace(pattern, replacement);
+  }
+  // A hyphen between words ("twenty-four", "double-u") is not a minus
+  clean = clean.replace(/([a-z]) - ([a-z])/g, '$1 $2');
+
+  return clean.split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Replace runs of number words with digits, and ordinal words with "1st" style ordinals
+ */
+function parseNumberWords(tokens) {
+  const out = [];
+  let value = null; // number being built
+  let current = 0; // part below the last scale
+  let lastKind = null; // 'unit' | 'teen' | 'tens' | 'scale'
+
+  const flush = () => {
+    if (value !== null) out.push(String(value + current));
+    value = null;
+    current = 0;
+    lastKind = null;
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (token in ORDINAL_UNITS || token in ORDINAL_TENS) {
+      // "twenty first" finishes a number; "first" on its own starts and ends one
+      const n = ORDINAL_UNITS[token] ?? ORDINAL_TENS[token];
+      const base = value !== null && lastKind === 'tens' && n < 10 ? value + current : 0;
+      if (base) {
+        value = null;
+        current = 0;
+        lastKind = null;
+      } else {
+        flush();
+      }
+      out.push(ordinal(base + n));
+      continue;
+    }
+
+    if (token in UNITS) {
+      const n = UNITS[token];
+      const kind = n < 10 ? 'unit' : 'teen';
+      // "twenty four" continues; "two three" or "seven fifteen" are separate numbers
+      const continues = value !== null && (
+        (lastKind === 'tens' && kind === 'unit') || lastKind === 'scale'
+      );
+      if (!continues) flush();
+      if (value === null) value = 0;
+      current += n;
+      lastKind = kind;
+      continue;
+    }
+
+    if (token in TENS) {
+      const continues = value !== null && lastKind === 'scale';
+      if (!continues) flush();
+      if (value === null) value = 0;
+      current += TENS[token];
+      lastKind = 'tens';
+      continue;
+    }
+
+    if (token in SCALES && value !== null && lastKind !== 'scale') {
+      const scale = SCALES[token];
+      if (scale === 100) {
+        current = (current || 1) * 100;
+      } else {
+        value = (value + (current || 1)) * scale;
+        current = 0;
+      }
+      lastKind = 'scale';
+      continue;
+    }
+
+    // "one hundred and five"
+    if (token === 'and' && lastKind === 'scale' && (tokens[i + 1] in UNITS || tokens[i + 1] in TENS)) {
+      continue;
+    }
+
+    flush();
+    out.push(token);
+  }
+  flush();
+  return out;
+}
+
+const isHour = (token) => /^\d+$/.test(token) && Number(token) >= 1 && Number(token) <= 12;
+const isMinute = (token) => /^\d+$/.test(token) && Number(token) >= 0 && Number(token) <= 59;
+const clockTime = (hour, minutes) => `${hour}:${String(minutes).padStart(2, '0')}`;
+const hourBefore = (hour) => (hour === 1 ? 12 : hour - 1);
+
+/**
+ * Rewrite spoken times into "h:mm"
+ */
+function parseTimes(tokens) {
+  const out = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const [a, b, c, d] = tokens.slice(i, i + 4);
+
+    // "7:05", "07:05"
+    const written = /^(\d{1,2}):(\d{2})$/.exec(a);
+    if (written && Number(written[1]) <= 23 && Number(written[2]) <= 59) {
+      out.push(clockTime(Number(written[1]), Number(written[2])));
+      continue;
+    }
+
+    // "seven o'clock"
+    if (isHour(a) && b === "o'clock") {
+      out.push(clockTime(Number(a), 0));
+      i += 1;
+      continue;
+    }
+
+    // "half past two", "quarter past three", "quarter to four"
+    if ((a === 'half' || a === 'quarter') && (b === 'past' || b === 'after') && isHour(c)) {
+      out.push(clockTime(Number(c), a === 'half' ? 30 : 15));
+      i += 2;
+      continue;
+    }
+    if (a === 'quarter' && (b === 'to' || b === 'till' || b === 'of') && isHour(c)) {
+      out.push(clockTime(hourBefore(Number(c)), 45));
+      i += 2;
+      continue;
+    }
+
+    // "ten past three", "twenty minutes to four"; without "minutes" only the
+    // five-minute steps count, so "two to three" stays a range
+    const skip = b === 'minutes' || b === 'minute' ? 1 : 0;
+    const relation = tokens[i + 1 + skip];
+    const hour = tokens[i + 2 + skip];
+    const minutes = Number(a);
+    if (isMinute(a) && minutes > 0 && minutes < 30 && (skip || minutes % 5 === 0) && isHour(hour)) {
+      if (relation === 'past' || relation === 'after') {
+        out.push(clockTime(Number(hour), minutes));
+        i += 2 + skip;
+        continue;
+      }
+      if (relation === 'to' || relation === 'till') {
+        out.push(clockTime(hourBefore(Number(hour)), 60 - minutes));
+        i += 2 + skip;
+        continue;
+      }
+    }
+
+    // "seven oh five"
+    if (isHour(a) && b === 'oh' && /^[1-9]$/.test(c ?? '')) {
+      out.push(clockTime(Number(a), Number(c)));
+      i += 2;
+      continue;
+    }
+
+    // "two thirty", "seven fifteen", and "7 00" (a time whose colon was lost)
+    if (isHour(a) && isMinute(b) && (Number(b) >= 10 || b === '00') && d !== 'past' && d !== 'to') {
+      out.push(clockTime(Number(a), Number(b)));
+      i += 1;
+      continue;
+    }
+
+    out.push(a);
+  }
+
+  // "am" and "pm" add nothing the activities ask about
+  return out.filter((token, i) => !((token === 'am' || token === 'pm') && /:/.test(out[i - 1] ?? '')));
+}
+
+/**
+ * "plus" -> "+", and so on; a "-" between words was already removed
+ */
+function parseOperators(tokens) {
+  return tokens.map(token => OPERATORS[token] ?? token);
+}
+
+/**
+ * A lone letter name ("bee", "the letter bee") becomes the letter
+ */
+function parseLetter(tokens) {
+  let rest = tokens;
+  while (rest.length > 1 && LETTER_PREFIXES.includes(rest[0])) rest = rest.slice(1);
+
+  const spoken = rest.join(' ');
+  if (/^[a-z]$/.test(spoken) && rest !== tokens) return [spoken];
+
+  const letter = HOMOPHONES.letters[spoken];
+  return letter ? [letter] : tokens;
+}
+
+/**
+ * Canonical form of an answer
+ * @param {string} text - what the student said, or an expected answer
+ * @returns {string}
+ */
+export function normalizeAnswer(text) {
+  const tokens = parseLetter(parseOperators(parseTimes(parseNumberWords(tokenize(text)))));
+  return tokens.join(' ');
+}
+
+/**
+ * The number an answer gives, if it is just a number ("twelve", "a dozen", "12") or null
+ */
+export function answerNumber(text) {
+  const normalized = normalizeAnswer(text);
+  return /^\d+$/.test(normalized) ? Number(normalized) : null;
+}
+
+export default normalizeAnswer;
@@ -0,0 +1,157 @@
+/**
+ * Answer Hints
+ * Recognition hints for activity questions, whose answers are short words
+ * that recognizers confuse ("two" / "to" / "too", "b" / "bee")
+ * - Each question gives the recognizer its expected answers as a phrase list
+ * - Each activity declares answerTypes; their homophone maps turn what was
+ *   heard back into the answer the student meant
+ * - Every N-best alternative is tried, not only the top transcript
+ */
+
+import { normalizeUtterance } from './command-grammar.js';
+
+// Keys are normalized utterances (lower case, no punctuation)
+export const HOMOPHONES = {
+  numbers: {
+    'won': 'one',
+    'to': 'two',
+    'too': 'two',
+    'tree': 'three',
+    'free': 'three',
+    'for': 'four',
+    'fore': 'four',
+    'ate': 'eight',
+    'tin': 'ten'
+  },
+  letters: {
+    'ay': 'a',
+    'bee': 'b',
+    'be': 'b',
+    'see': 'c',
+    'sea': 'c',
+    'dee': 'd',
+    'ee': 'e',
+    'ef': 'f',
+    'eff': 'f',
+    'gee': 'g',
+    'aitch': 'h',
+    'aych': 'h',
+    'eye': 'i',
+    'aye': 'i',
+    'jay': 'j',
+    'kay': 'k',
+    'el': 'l',
+    'elle': 'l',
+    'em': 'm',
+    'en': 'n',
+    'oh': 'o',
+    'owe': 'o',
+    'pee': 'p',
+    'pea': 'p',
+    'cue': 'q',
+    'queue': 'q',
+    'are': 'r',
+    'ar': 'r',
+    'es': 's',
+    'ess': 's',
+    'tee': 't',
+    'tea': 't',
+    'you': 'u',
+    'yew': 'u',
+    'vee': 'v',
+    'double you': 'w',
+    'double u': 'w',
+    'ex': 'x',
+    'why': 'y',
+    'zee': 'z',
+    'zed': 'z'
+  },
+  colors: {
+    'read': 'red',
+    'blew': 'blue',
+    'grey': 'gray',
+    'wight': 'white'
+  },
+  times: {
+    'o clock': "o'clock",
+    'oclock': "o'clock",
+    'a clock': "o'clock",
+    'half passed': 'half past',
+    'passed': 'past',
+    'our': 'hour',
+    'ours': 'hours',
+    'minuets': 'minutes',
+    'knight': 'night',
+    'lunch time': 'lunch'
+  }
+};
+
+/**
+ * Answer types an activity declares (e.g. ['numbers'])
+ */
+export const answerTypesOf = (activity) => activity?.answerTypes || [];
+
+/**
+ * One homophone map for a list of answer types
+ */
+export function homophonesFor(types = []) {
+  return Object.assign({}, ...types.map(type => HOMOPHONES[type] || {}));
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Replace the homophones in an utterance (longest first, whole words only)
+ * @returns {string} normalized utterance
+ */
+export function resolveHomophones(text, homophones = {}) {
+  let resolved = normalizeUtterance(text);
+  const heard = Object.keys(homophones).sort((a, b) => b.length - a.length);
+
+  for (const word of heard) {
+    const pattern = new RegExp(`(^| )${escapeRegExp(word)}(?= |$)`, 'g');
+    resolved = resolved.replace(pattern, `$1${homophones[word]}`);
+  }
+  return resolved;
+}
+
+// "-3" would lose its sign with the punctuation; spell it out so it stays another number
+const spellSigns = (text) => String(text)
+  .replace(/(^|\s)([-+])(?=\d)/g, (_, space, sign) => `${space}${sign === '-' ? 'minus' : 'plus'} `);
+
+/**
+ * Everything the student may have said: each alternative as heard and with homophones resolved
+ * @param {string} transcript - top transcript
+ * @param {Array<string|{transcript: string}>} [alternatives] - N-best list from the recognizer
+ * @param {Object<string, string>} [homophones]
+ * @returns {string[]} unique, normalized, non-empty
+ */
+export function answerCandidates(transcript, alternatives = [], homophones = {}) {
+  const heard = [transcript, ...alternatives.map(alt => (typeof alt === 'string' ? alt : alt?.transcript))];
+  const candidates = heard
+    .filter(Boolean)
+    .map(spellSigns)
+    .flatMap(text => [normalizeUtterance(text), resolveHomophones(text, homophones)])
+    .filter(Boolean);
+  return [...new Set(candidates)];
+}
+
+/**
+ * Phrase list and homophones for recognising the answer to a question
+ * @returns {{phrases: string[], homophones: Object<string, string>}}
+ */
+export function recognitionHints(question, activity = null) {
+  const phrases = (question?.expectedAnswers || []).map(normalizeUtterance).filter(Boolean);
+  return {
+    phrases: [...new Set(phrases)],
+    homophones: homophonesFor(answerTypesOf(activity))
+  };
+}
+
+/**
+ * JSGF grammar for SpeechGrammarList, so the cloud recognizer favours the phrases
+ */
+export function toJSGF(phrases) {
+  const rule = phrases.map(normalizeUtterance).filter(Boolean).join(' | ');
+  return `#JSGF V1.0; grammar answers; public <answer> = ${rule};`;
+}
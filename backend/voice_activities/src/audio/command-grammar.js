@@ -0,0 +1,193 @@
+/**
+ * Command Grammar
+ * Voice commands understood by the ChatBot
+ * - A command only fires when it is the whole utterance or comes at its end,
+ *   so "what is a clear solution" is a question, not "clear"
+ * - Destructive commands ask for a spoken yes/no before they run
+ * - Students can replace the phrases of any command (stored in learner settings)
+ */
+
+export const DEFAULT_COMMANDS = {
+  wake: {
+    label: 'Open ChatBot',
+    phrases: ['hi', 'hey', 'hello', 'hey chatbot', 'hi chatbot', 'hello chatbot', 'ok buddy', 'sci buddy'],
+    wholeOnly: true
+  },
+  send: {
+    label: 'Send question',
+    phrases: ['send', 'submit', 'go'],
+    takesPayload: true
+  },
+  stop: { label: 'Stop listening', phrases: ['stop listening', 'stop', 'pause listening', 'pause', 'cancel'] },
+  start: { label: 'Start listening', phrases: ['start listening', 'listen', 'resume listening', 'resume'] },
+  close: { label: 'Close chat', phrases: ['close chat', 'close', 'exit'] },
+  minimize: { label: 'Minimize chat', phrases: ['minimize chat', 'minimize'] },
+  clear: {
+    label: 'Clear chat',
+    phrases: ['clear chat', 'clear'],
+    confirm: 'Clear the whole chat? Say yes or no.'
+  },
+  mute: { label: 'Mute speech', phrases: ['mute', 'disable speech', 'stop speaking'] },
+  unmute: { label: 'Unmute speech', phrases: ['unmute', 'enable speech', 'start speaking'] },
+  repeat: { label: 'Repeat answer', phrases: ['repeat', 'say again'] },
+  lastConversation: {
+    label: 'Read last conversation',
+    phrases: ['read me my last conversation', 'read my last conversation', 'last conversation']
+  },
+  newConversation: { label: 'New conversation', phrases: ['new conversation', 'new chat'] },
+  readSource: { label: 'Read the source', phrases: ['read the source', 'read source', 'read the passage'] }
+};
+
+export const CONFIRM_PHRASES = ['yes', 'yes please', 'yeah', 'confirm', 'do it', 'ok'];
+export const REJECT_PHRASES = ['no', 'no thanks', 'cancel', 'never mind', 'stop'];
+
+// How long a confirmation question stays open
+export const CONFIRM_TIMEOUT_MS = 10000;
+
+export const PHRASE_MAX_LENGTH = 40;
+
+/**
+ * Lower-case, drop punctuation, collapse whitespace
+ */
+export const normalizeUtterance = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9' ]+/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Clean a list of phrases typed or spoken by the student
+ */
+export function sanitizePhrases(phrases) {
+  if (!Array.isArray(phrases)) return [];
+  const clean = phrases
+    .map(p => normalizeUtterance(p).slice(0, PHRASE_MAX_LENGTH).trim())
+    .filter(Boolean);
+  return [...new Set(clean)];
+}
+
+const endsWithPhrase = (text, phrase) => text === phrase || text.endsWith(` ${phrase}`);
+
+export class CommandGrammar {
+  /**
+   * @param {Object<string, string[]>} [custom] - per-command phrase overrides
+   * @param {Object} [options]
+   */
+  constructor(custom = {}, options = {}) {
+    this.options = {
+      commands: DEFAULT_COMMANDS,
+      confirmTimeout: CONFIRM_TIMEOUT_MS,
+      ...options
+    };
+    this.pending = null;
+    this.setCustom(custom);
+  }
+
+  /**
+   * Replace the student's phrase overrides, e.g. { send: ['ask it'] }
+   */
+  setCustom(custom = {}) {
+    this.custom = {};
+    Object.entries(custom || {}).forEach(([id, phrases]) => {
+      const clean = sanitizePhrases(phrases);
+      if (this.options.commands[id] && clean.length) this.custom[id] = clean;
+    });
+
+    // Longest phrases first, so "stop speaking" wins over "stop"
+    this.entries = Object.keys(this.options.commands)
+      .flatMap(id => this.phrases(id).map(phrase => ({ id, phrase, words: phrase.split(' ').length })))
+      .sort((a, b) => b.words - a.words || b.phrase.length - a.phrase.length);
+  }
+
+  /**
+   * Phrases that trigger a command (the student's own, or the defaults)
+   */
+  phrases(id) {
+    return this.custom[id] || this.options.commands[id]?.phrases || [];
+  }
+
+  isCustomized(id) {
+    return Boolean(this.custom[id]);
+  }
+
+  /**
+   * Commands with their labels and active phrases, for settings and help screens
+   */
+  list() {
+    return Object.entries(this.options.commands).map(([id, command]) => ({
+      id,
+      label: command.label,
+      phrases: this.phrases(id),
+      confirm: Boolean(command.confirm),
+      customized: this.isCustomized(id)
+    }));
+  }
+
+  /**
+   * Id of another command that already uses a phrase, or null
+   */
+  conflict(id, phrase) {
+    const clean = normalizeUtterance(phrase);
+    const owner = this.entries.find(entry => entry.phrase === clean && entry.id !== id);
+    return owner ? owner.id : null;
+  }
+
+  /**
+   * Match an utterance against the grammar (no confirmation handling)
+   * @param {string} utterance
+   * @param {Object} [options]
+   * @param {string[]} [options.only] - restrict to these command ids
+   * @returns {{id: string, phrase: string, payload: string}|null}
+   */
+  match(utterance, { only } = {}) {
+    const text = normalizeUtterance(utterance);
+    if (!text) return null;
+
+    for (const { id, phrase } of this.entries) {
+      if (only && !only.includes(id)) continue;
+
+      const command = this.options.commands[id];
+      const matched = command.wholeOnly ? text === phrase : endsWithPhrase(text, phrase);
+      if (!matched) continue;
+
+      // Words before the phrase are the question for send, and dropped otherwise
+      const payload = command.takesPayload ? text.slice(0, text.length - phrase.length).trim() : '';
+      return { id, phrase, payload };
+    }
+    return null;
+  }
+
+  /**
+   * Interpret an utterance, handling confirmation of destructive commands
+   * @returns {{status: 'run'|'confirm'|'cancelled', id: string, payload?: string, prompt?: string}|null}
+   */
+  interpret(utterance, { only, now = Date.now() } = {}) {
+    const text = normalizeUtterance(utterance);
+
+    if (this.pending) {
+      const pending = this.pending;
+      this.pending = null;
+
+      if (now - pending.at <= this.options.confirmTimeout) {
+        if (CONFIRM_PHRASES.some(p => endsWithPhrase(text, p))) {
+          return { status: 'run', id: pending.id, payload: pending.payload };
+        }
+        if (REJECT_PHRASES.some(p => endsWithPhrase(text, p))) {
+          return { status: 'cancelled', id: pending.id };
+        }
+      }
+    }
+
+    const result = this.match(text, { only });
+    if (!result) return null;
+
+    const prompt = this.options.commands[result.id].confirm;
+    if (prompt) {
+      this.pending = { ...result, at: now };
+      return { status: 'confirm', id: result.id, prompt };
+    }
+    return { status: 'run', ...result };
+  }
+}
+
+export default CommandGrammar;
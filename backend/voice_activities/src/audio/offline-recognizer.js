@@ -0,0 +1,270 @@
+/**
+ * Offline Recognizer
+ * Local speech recognition for when the cloud recognizer cannot be reached
+ * - Runs a Vosk model in the browser (WebAssembly), no network needed once loaded
+ * - Recognition can be limited to the expected answers of a question, which
+ *   keeps the small model accurate on short answers
+ * - Mirrors the Web Speech API (start/stop/abort, onstart/onresult/onerror/onend)
+ *   so SpeechRecognizer and VoiceInput reuse their existing handlers
+ *
+ * The vosk-browser bundle and a model are served next to the voice activities:
+ *   voice_activities/models/vosk/vosk.js
+ *   voice_activities/models/vosk/vosk-model-small-en-us-0.15.tar.gz
+ */
+
+import { logger } from '../utils/logger.js';
+import { normalizeUtterance } from './command-grammar.js';
+import { loadScript } from '../utils/load-script.js';
+
+export const OFFLINE_ASR_PATH = '/voice-activities/models/vosk';
+
+export const OFFLINE_ASR_DEFAULTS = {
+  scriptUrl: `${OFFLINE_ASR_PATH}/vosk.js`,
+  modelUrl: `${OFFLINE_ASR_PATH}/vosk-model-small-en-us-0.15.tar.gz`
+};
+
+// How long stop() waits for Vosk to flush its last result
+const FINAL_RESULT_WAIT_MS = 800;
+
+// Vosk's token for "anything outside the grammar"
+const UNKNOWN_WORD = '[unk]';
+
+const ONES = [
+  'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+  'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'
+];
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+
+/**
+ * Spell out 0-999 the way the model's vocabulary has them, or null
+ */
+function spellNumber(n) {
+  if (!Number.isInteger(n) || n < 0 || n > 999) return null;
+  if (n < 20) return ONES[n];
+  if (n < 100) return TENS[Math.floor(n / 10)] + (n % 10 ? ` ${ONES[n % 10]}` : '');
+  return `${ONES[Math.floor(n / 100)]} hundred` + (n % 100 ? ` ${spellNumber(n % 100)}` : '');
+}
+
+/**
+ * Vosk grammar for a list of expected answers
+ * Digits are spelled out because the model only knows words
+ * @param {string[]} phrases
+ * @returns {string[]} phrases plus the unknown-word token
+ */
+export function buildGrammar(phrases) {
+  const clean = (phrases || [])
+    .map(p => normalizeUtterance(String(p).replace(/\d+/g, d => ` ${spellNumber(Number(d)) ?? d} `)))
+    .filter(p => p && !/\d/.test(p));
+  return [...new Set(clean), UNKNOWN_WORD];
+}
+
+// Models are large, so each one is loaded once per page and shared
+const models = new Map();
+
+/**
+ * Load (or reuse) a Vosk model
+ * @returns {Promise<Object>} vosk-browser Model
+ */
+export function loadModel({ scriptUrl, modelUrl } = OFFLINE_ASR_DEFAULTS) {
+  if (!models.has(modelUrl)) {
+    logger.info(`Loading offline speech model ${modelUrl}`);
+    const model = loadScript(scriptUrl, 'Vosk').then(Vosk => Vosk.createModel(modelUrl));
+    // Forget failures so the next attempt can retry
+    model.catch(() => models.delete(modelUrl));
+    models.set(modelUrl, model);
+  }
+  return models.get(modelUrl);
+}
+
+/**
+ * Transcript without Vosk's unknown-word tokens; '' when nothing in the grammar was heard
+ */
+export function stripUnknownWords(text) {
+  return String(text || '')
+    .split(/\s+/)
+    .filter(word => word && word !== UNKNOWN_WORD)
+    .join(' ');
+}
+
+/**
+ * A result list entry shaped like SpeechRecognitionResult
+ */
+function speechResult(transcript, confidence, isFinal) {
+  const result = [{ transcript, confidence }];
+  result.isFinal = isFinal;
+  return result;
+}
+
+/**
+ * Average word confidence of a Vosk result (words are only present with setWords)
+ */
+function confidenceOf(result) {
+  const words = (result.result || []).filter(word => word.word !== UNKNOWN_WORD);
+  if (!words.length) return 1;
+  return words.reduce((sum, word) => sum + (word.conf ?? 1), 0) / words.length;
+}
+
+export class OfflineRecognizer {
+  constructor(options = {}) {
+    this.options = { ...OFFLINE_ASR_DEFAULTS, ...options };
+
+    // Same settings as SpeechRecognition; lang is informational, the model decides
+    this.lang = 'en-US';
+    this.continuous = false;
+    this.interimResults = true;
+    this.maxAlternatives = 1;
+
+    this.grammar = null;
+    this.running = false;
+    this.stopping = false;
+
+    this.onstart = null;
+    this.onresult = null;
+    this.onerror = null;
+    this.onend = null;
+  }
+
+  /**
+   * Check if the browser can run the offline model
+   */
+  static isSupported() {
+    return typeof window !== 'undefined'
+      && typeof WebAssembly === 'object'
+      && !!(window.AudioContext || window.webkitAudioContext)
+      && !!navigator.mediaDevices?.getUserMedia;
+  }
+
+  /**
+   * Limit recognition to these phrases (takes effect on the next start)
+   * @param {string[]} phrases - e.g. a question's expectedAnswers; empty for open vocabulary
+   */
+  setPhrases(phrases) {
+    this.grammar = phrases && phrases.length ? buildGrammar(phrases) : null;
+  }
+
+  /**
+   * Start capturing and recognising
+   */
+  async start() {
+    if (this.running) return;
+    this.running = true;
+    this.stopping = false;
+
+    try {
+      const model = await loadModel(this.options);
+
+      this.stream = await navigator.mediaDevices.getUserMedia({
+        audio: { echoCancellation: true, noiseSuppression: true, channelCount: 1 }
+      });
+
+      // stop() or abort() while the model was loading
+      if (this.stopping) {
+        this.finish();
+        return;
+      }
+
+      this.context = new (window.AudioContext || window.webkitAudioContext)();
+      const sampleRate = this.context.sampleRate;
+
+      this.recognizer = this.grammar
+        ? new model.KaldiRecognizer(sampleRate, JSON.stringify(this.grammar))
+        : new model.KaldiRecognizer(sampleRate);
+      this.recognizer.setWords(true);
+      this.recognizer.on('result', (message) => this.handleResult(message.result));
+      this.recognizer.on('partialresult', (message) => this.handlePartial(message.result));
+
+      this.source = this.context.createMediaStreamSource(this.stream);
+      this.processor = this.context.createScriptProcessor(4096, 1, 1);
+      this.processor.onaudioprocess = (event) => {
+        if (this.stopping) return;
+        try {
+          this.recognizer.acceptWaveform(event.inputBuffer);
+        } catch (error) {
+          logger.error('Offline recognizer rejected audio:', error);
+        }
+      };
+      this.source.connect(this.processor);
+      this.processor.connect(this.context.destination);
+
+      logger.debug('Offline recognition started');
+      if (this.onstart) this.onstart();
+    } catch (error) {
+      logger.error('Offline recognizer failed to start:', error);
+      const code = error.name === 'NotAllowedError' ? 'not-allowed' : 'offline-unavailable';
+      if (this.onerror) this.onerror({ error: code, message: error.message });
+      this.finish();
+    }
+  }
+
+  /**
+   * Stop listening, delivering what was said so far
+   */
+  stop() {
+    if (!this.running || this.stopping) return;
+    this.stopping = true;
+
+    if (!this.recognizer) return; // still loading, start() finishes up
+
+    this.recognizer.retrieveFinalResult();
+    this.stopTimer = setTimeout(() => this.finish(), FINAL_RESULT_WAIT_MS);
+  }
+
+  /**
+   * Stop listening without a result
+   */
+  abort() {
+    if (!this.running) return;
+    if (!this.recognizer) {
+      this.stopping = true; // still loading, start() finishes up
+      return;
+    }
+    this.finish();
+  }
+
+  handlePartial(result) {
+    if (!this.running) return;
+    const text = stripUnknownWords(result?.partial);
+    if (!text || !this.interimResults || !this.onresult) return;
+    this.onresult({ resultIndex: 0, results: [speechResult(text, 0, false)] });
+  }
+
+  handleResult(result) {
+    if (!this.running) return;
+    const text = stripUnknownWords(result?.text);
+
+    // Vosk reports silence as an empty result, and out-of-grammar speech as [unk]
+    if (text && this.onresult) {
+      this.onresult({ resultIndex: 0, results: [speechResult(text, confidenceOf(result), true)] });
+    }
+
+    // Like SpeechRecognition, a single-shot session ends after its first phrase
+    if (this.stopping || (text && !this.continuous)) this.finish();
+  }
+
+  /**
+   * Release the microphone and recognizer, then report the end
+   */
+  finish() {
+    clearTimeout(this.stopTimer);
+    const wasRunning = this.running;
+    this.running = false;
+    this.stopping = false;
+
+    if (this.processor) {
+      this.processor.onaudioprocess = null;
+      this.processor.disconnect();
+    }
+    if (this.source) this.source.disconnect();
+    if (this.stream) this.stream.getTracks().forEach(track => track.stop());
+    if (this.context) this.context.close().catch(() => {});
+    if (this.recognizer) this.recognizer.remove();
+    this.processor = this.source = this.stream = this.context = this.recognizer = null;
+
+    if (wasRunning) {
+      logger.debug('Offline recognition ended');
+      if (this.onend) this.onend();
+    }
+  }
+}
+
+export default OfflineRecognizer;
@@ -0,0 +1,106 @@
+/**
+ * Offline Synthesizer
+ * Local text-to-speech for when speechSynthesis is missing or has no voices
+ * - Runs eSpeak in the browser through meSpeak.js, no network or system voices needed
+ * - Takes pitch, rate and volume on the speechSynthesis scale (1 = normal),
+ *   so characters, tones and learner settings carry over unchanged
+ *
+ * The meSpeak bundle, its config and an English voice are served next to the voice activities:
+ *   voice_activities/models/mespeak/mespeak.js
+ *   voice_activities/models/mespeak/mespeak_config.json
+ *   voice_activities/models/mespeak/voices/en/en-us.json
+ */
+
+import { logger } from '../utils/logger.js';
+import { loadScript } from '../utils/load-script.js';
+
+export const OFFLINE_TTS_PATH = '/voice-activities/models/mespeak';
+
+export const OFFLINE_TTS_DEFAULTS = {
+  scriptUrl: `${OFFLINE_TTS_PATH}/mespeak.js`,
+  configUrl: `${OFFLINE_TTS_PATH}/mespeak_config.json`,
+  voiceUrl: `${OFFLINE_TTS_PATH}/voices/en/en-us.json`
+};
+
+// eSpeak's own defaults, which speechSynthesis' 1.0 maps to
+const ESPEAK_PITCH = 50; // 0-99
+const ESPEAK_SPEED = 175; // words per minute, 80-450
+const ESPEAK_AMPLITUDE = 100; // 0-200
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, Math.round(value)));
+
+/**
+ * meSpeak options for speechSynthesis-style parameters
+ */
+export function toEspeakOptions({ variant, pitch = 1, rate = 1, volume = 1 } = {}) {
+  return {
+    pitch: clamp(ESPEAK_PITCH * pitch, 0, 99),
+    speed: clamp(ESPEAK_SPEED * rate, 80, 450),
+    amplitude: clamp(ESPEAK_AMPLITUDE * volume, 0, 200),
+    ...(variant ? { variant } : {})
+  };
+}
+
+let engine = null;
+
+/**
+ * Load (or reuse) meSpeak with its English voice
+ * @returns {Promise<Object>} the meSpeak global
+ */
+export function loadEngine({ scriptUrl, configUrl, voiceUrl } = OFFLINE_TTS_DEFAULTS) {
+  if (!engine) {
+    logger.info('Loading offline speech synthesizer');
+    engine = loadScript(scriptUrl, 'meSpeak').then(meSpeak => new Promise((resolve, reject) => {
+      // meSpeak 2 has the config built in; older bundles load it separately
+      if (meSpeak.loadConfig && !meSpeak.isConfigLoaded()) meSpeak.loadConfig(configUrl);
+
+      meSpeak.loadVoice(voiceUrl, (success, message) => (success
+        ? resolve(meSpeak)
+        : reject(new Error(`Could not load voice ${voiceUrl}: ${message}`))));
+    }));
+    // Forget failures so the next attempt can retry
+    engine.catch(() => { engine = null; });
+  }
+  return engine;
+}
+
+export class OfflineSynthesizer {
+  constructor(options = {}) {
+    this.options = { ...OFFLINE_TTS_DEFAULTS, ...options };
+    this.meSpeak = null;
+  }
+
+  /**
+   * Check if the browser can run eSpeak
+   */
+  static isSupported() {
+    return typeof window !== 'undefined' && !!(window.AudioContext || window.webkitAudioContext);
+  }
+
+  /**
+   * Speak text, resolving when it has been spoken
+   * @param {string} text
+   * @param {{variant?: string, pitch?: number, rate?: number, volume?: number}} [params]
+   */
+  async speak(text, params = {}) {
+    this.meSpeak = await loadEngine(this.options);
+
+    return new Promise((resolve, reject) => {
+      logger.debug(`Speaking offline: "${text}"`);
+      this.meSpeak.speak(text, toEspeakOptions(params), (success) => (success
+        ? resolve()
+        : reject(new Error('Offline speech synthesis failed'))));
+    });
+  }
+
+  /**
+   * Stop anything being spoken
+   */
+  stop() {
+    if (this.meSpeak) {
+      this.meSpeak.stop();
+    }
+  }
+}
+
+export default OfflineSynthesizer;
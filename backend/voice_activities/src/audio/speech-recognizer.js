@@ -6,6 +6,7 @@
 
 import { EventEmitter } from 'events';
 import { AudioProcessor } from './audio-processor.js';
+import { OfflineRecognizer } from './offline-recognizer.js';
 import { logger } from '../utils/logger.js';
 
 export class SpeechRecognizer extends EventEmitter {
@@ -23,6 +24,9 @@ export class SpeechRecognizer extends EventEmitter {
     this.isListening = false;
     this.audioProcessor = new AudioProcessor();
     this.recognitionResult = null;
+    this.fallback = null;
+    this.expectedPhrases = [];
+    this.resumeOffline = false;
 
     // Initialize Web Speech API
     this.initializeWebSpeechAPI();
@@ -45,20 +49,20 @@ export class SpeechRecognizer extends EventEmitter {
   }
 
   /**
-   * Setup event handlers for Web Speech API
+   * Setup event handlers for Web Speech API (or the offline recognizer, which mirrors it)
    */
-  setupRecognitionHandlers() {
-    this.recognition.language = this.options.language;
-    this.recognition.interimResults = this.options.interimResults;
-    this.recognition.maxAlternatives = this.options.maxAlternatives;
-    this.recognition.continuous = this.options.continuous;
+  setupRecognitionHandlers(recognition = this.recognition) {
+    recognition.language = this.options.language;
+    recognition.interimResults = this.options.interimResults;
+    recognition.maxAlternatives = this.options.maxAlternatives;
+    recognition.continuous = this.options.continuous;
 
-    this.recognition.onstart = () => {
+    recognition.onstart = () => {
       logger.debug('Speech recognition started');
       this.emit('listening', { timestamp: Date.now() });
     };
 
-    this.recognition.onresult = (event) => {
+    recognition.onresult = (event) => {
       let interimTranscript = '';
       let finalTranscript = '';
       let maxConfidence = 0;
@@ -97,7 +101,16 @@ export class SpeechRecognizer extends EventEmitter {
       }
     };
 
-    this.recognition.onerror = (event) => {
+    recognition.onerror = (event) => {
+      // The cloud recognizer is unreachable: carry on with the local model
+      if (event.error === 'network' && recognition === this.recognition && OfflineRecognizer.isSupported()) {
+        logger.warn('Cloud speech recognition unreachable - switching to offline ASR');
+        this.usesFallback = true;
+        this.resumeOffline = this.isListening;
+        this.emit('fallback', { reason: event.error });
+        return;
+      }
+
       logger.error('Speech recognition error:', event.error);
       this.emit('error', {
         code: event.error,
@@ -105,9 +118,16 @@ export class SpeechRecognizer extends EventEmitter {
       });
     };
 
-    this.recognition.onend = () => {
+    recognition.onend = () => {
       logger.debug('Speech recognition ended');
       this.isListening = false;
+
+      if (this.resumeOffline) {
+        this.resumeOffline = false;
+        this.startListening();
+        return;
+      }
+
       this.emit('stopped', { timestamp: Date.now() });
     };
   }
@@ -162,25 +182,50 @@ export class SpeechRecognizer extends EventEmitter {
    */
   abort() {
     this.isListening = false;
+    this.resumeOffline = false;
     if (this.recognition) {
       this.recognition.abort();
     }
+    if (this.fallback) {
+      this.fallback.abort();
+    }
   }
 
   /**
-   * Fallback ASR using external service (Vosk, Azure, etc)
+   * Fallback ASR: a Vosk model running in the browser, constrained to the expected phrases
    */
   async startFallbackListening() {
-    logger.info('Using fallback ASR');
-    // TODO: Implement fallback ASR integration
-    // Could use: Vosk (offline), Azure Speech Services, Google Cloud Speech, etc.
+    if (!OfflineRecognizer.isSupported()) {
+      throw new Error('Offline speech recognition is not supported in this browser');
+    }
+
+    if (!this.fallback) {
+      logger.info('Using fallback ASR');
+      this.fallback = new OfflineRecognizer(this.options.offline);
+      this.setupRecognitionHandlers(this.fallback);
+    }
+
+    this.fallback.setPhrases(this.expectedPhrases);
+    this.isListening = true;
+    await this.fallback.start();
   }
 
   /**
    * Stop fallback listening
    */
   stopFallbackListening() {
-    // TODO: Implement fallback stop
+    if (this.fallback) {
+      this.fallback.stop();
+    }
+  }
+
+  /**
+   * Phrases the next answer is expected to be (e.g. a question's expectedAnswers)
+   * The cloud recognizer ignores them; the offline one only listens for them
+   * @param {string[]} phrases - empty for open vocabulary
+   */
+  setExpectedPhrases(phrases = []) {
+    this.expectedPhrases = phrases;
   }
 
   /**
@@ -193,7 +238,8 @@ export class SpeechRecognizer extends EventEmitter {
       'not-allowed': 'Microphone access denied',
       'no-speech': 'No speech detected',
       'timeout': 'Speech recognition timed out',
-      'bad-grammar': 'Grammar not recognized'
+      'bad-grammar': 'Grammar not recognized',
+      'offline-unavailable': 'Offline speech recognition could not be loaded'
     };
 
     return errorMessages[code] || `Unknown error: ${code}`;
@@ -225,6 +271,7 @@ export class SpeechRecognizer extends EventEmitter {
       language: this.options.language,
       isSupported: SpeechRecognizer.isSupported(),
       usesFallback: this.usesFallback || false,
+      offlineSupported: OfflineRecognizer.isSupported(),
       lastResult: this.recognitionResult
     };
   }
@@ -1,9 +1,18 @@
 /**
  * Text-to-Speech Module
  * Generates natural voice output with emotional tone variations
+ * Falls back to the offline synthesizer when speechSynthesis is missing or has no voices
  */
 
 import { logger } from '../utils/logger.js';
+import { learnerSettings } from '../settings/learner-settings.js';
+import { OfflineSynthesizer } from './offline-synthesizer.js';
+
+// Voices load asynchronously; how long to wait for them before falling back
+const VOICES_WAIT_MS = 1000;
+
+// speechSynthesis errors that mean no voice can be produced at all
+const SYNTHESIS_UNAVAILABLE = ['synthesis-unavailable', 'synthesis-failed', 'audio-hardware', 'voice-unavailable'];
 
 export class VoiceSynthesizer {
   constructor(options = {}) {
@@ -15,24 +24,28 @@ export class VoiceSynthesizer {
       ...options
     };
 
+    // fallbackVariant is the eSpeak voice used by the offline synthesizer
     this.characters = {
       'sophie': {
         name: 'Sophie',
         voice: 'female',
         age: 'child',
-        personality: 'friendly, encouraging'
+        personality: 'friendly, encouraging',
+        fallbackVariant: 'f5'
       },
       'buddy': {
         name: 'Buddy',
         voice: 'male',
         age: 'child',
-        personality: 'energetic, playful'
+        personality: 'energetic, playful',
+        fallbackVariant: 'm3'
       },
       'teacher': {
         name: 'Teacher',
         voice: 'female',
         age: 'adult',
-        personality: 'patient, educational'
+        personality: 'patient, educational',
+        fallbackVariant: 'f2'
       }
     };
 
@@ -78,6 +91,27 @@ export class VoiceSynthesizer {
 
     this.availableVoices = this.synth.getVoices();
     logger.debug(`Found ${this.availableVoices.length} available voices`);
+
+    // Voices that show up late end a fallback caused by having none
+    if (this.availableVoices.length > 0) {
+      this.usesFallback = false;
+    }
+  }
+
+  /**
+   * Whether speechSynthesis has a voice to speak with, waiting briefly for voices to load
+   */
+  async hasVoices() {
+    this.updateVoices();
+    if (this.availableVoices.length > 0) return true;
+
+    await new Promise(resolve => setTimeout(resolve, VOICES_WAIT_MS));
+    this.updateVoices();
+    if (this.availableVoices.length > 0) return true;
+
+    logger.warn('speechSynthesis has no voices - switching to fallback TTS');
+    this.usesFallback = true;
+    return false;
   }
 
   /**
@@ -91,7 +125,7 @@ export class VoiceSynthesizer {
       ...options
     };
 
-    if (this.usesFallback) {
+    if (this.usesFallback || !(await this.hasVoices())) {
       return this.speakUsingFallback(text, speechOptions);
     }
 
@@ -113,6 +147,13 @@ export class VoiceSynthesizer {
         };
 
         utterance.onerror = (error) => {
+          if (SYNTHESIS_UNAVAILABLE.includes(error.error) && OfflineSynthesizer.isSupported()) {
+            logger.warn(`Speech synthesis unavailable (${error.error}) - switching to fallback TTS`);
+            this.usesFallback = true;
+            resolve(this.speakUsingFallback(text, speechOptions));
+            return;
+          }
+
           logger.error('Speech synthesis error:', error);
           reject(new Error(`Speech synthesis failed: ${error.error}`));
         };
@@ -131,8 +172,7 @@ export class VoiceSynthesizer {
    * Apply character and emotional characteristics to utterance
    */
   applyCharacteristics(utterance, options) {
-    const character = this.characters[options.character] || this.characters['sophie'];
-    const emotionalTone = this.emotionalTones[options.emotionalTone] || this.emotionalTones['neutral'];
+    const character = this.getCharacter(options.character);
 
     // Set voice based on character
     const voice = this.selectVoice(character, this.options.language);
@@ -143,13 +183,9 @@ export class VoiceSynthesizer {
     // Set language
     utterance.lang = this.options.language;
 
-    // Apply emotional tone modifiers
-    const pitchMultiplier = emotionalTone.pitchMultiplier || 1.0;
-    const rateMultiplier = emotionalTone.rateMultiplier || 1.0;
-
-    utterance.pitch = this.options.pitch * pitchMultiplier;
-    utterance.rate = this.getRate(options.pace) * rateMultiplier;
-    utterance.volume = this.options.volume;
+    // Character/tone values are scaled by the student's speech settings;
+    // a voice chosen in settings replaces the character voice
+    learnerSettings.applySpeech(utterance, this.getToneParams(options));
 
     // Add slight delays for natural speech
     if (options.emotionalTone === 'celebratory') {
@@ -157,6 +193,27 @@ export class VoiceSynthesizer {
     }
   }
 
+  getCharacter(name) {
+    return this.characters[name] || this.characters['sophie'];
+  }
+
+  /**
+   * Pitch, rate and volume for a pace and emotional tone (before learner settings)
+   */
+  getToneParams(options) {
+    const emotionalTone = this.emotionalTones[options.emotionalTone] || this.emotionalTones['neutral'];
+
+    // Apply emotional tone modifiers
+    const pitchMultiplier = emotionalTone.pitchMultiplier || 1.0;
+    const rateMultiplier = emotionalTone.rateMultiplier || 1.0;
+
+    return {
+      pitch: this.options.pitch * pitchMultiplier,
+      rate: this.getRate(options.pace) * rateMultiplier,
+      volume: this.options.volume
+    };
+  }
+
   /**
    * Select appropriate voice for character and language
    */
@@ -213,6 +270,9 @@ export class VoiceSynthesizer {
     if (this.synth) {
       this.synth.cancel();
     }
+    if (this.fallback) {
+      this.fallback.stop();
+    }
   }
 
   /**
@@ -234,12 +294,29 @@ export class VoiceSynthesizer {
   }
 
   /**
-   * Fallback TTS implementation
+   * Fallback TTS: eSpeak running in the browser, with the character's eSpeak voice
    */
   async speakUsingFallback(text, options) {
-    logger.warn('Using fallback TTS - audio quality may be reduced');
-    // TODO: Implement fallback using external service
-    // Could use: ElevenLabs API, Google Cloud TTS, Azure TTS, etc.
+    if (!OfflineSynthesizer.isSupported()) {
+      logger.error('No speech output available: speechSynthesis and the fallback TTS are both missing');
+      return { success: false, text, usedFallback: true };
+    }
+
+    if (!this.fallback) {
+      logger.warn('Using fallback TTS - audio quality may be reduced');
+      this.fallback = new OfflineSynthesizer(this.options.offline);
+    }
+
+    const character = this.getCharacter(options.character);
+    const { rate, pitch, volume } = learnerSettings.speechParams(this.getToneParams(options));
+    const spoken = options.emotionalTone === 'celebratory' ? this.addEmphasis(text) : text;
+
+    try {
+      await this.fallback.speak(spoken, { variant: character.fallbackVariant, rate, pitch, volume });
+    } catch (error) {
+      logger.error('Fallback TTS failed:', error);
+      throw error;
+    }
     return { success: true, text, usedFallback: true };
   }
 
@@ -247,7 +324,7 @@ export class VoiceSynthesizer {
    * Check if speech synthesis is supported
    */
   static isSupported() {
-    return !!window.SpeechSynthesisUtterance;
+    return !!window.SpeechSynthesisUtterance || OfflineSynthesizer.isSupported();
   }
 
   /**
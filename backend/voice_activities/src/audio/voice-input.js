@@ -2,28 +2,45 @@
  * Voice Input Module
  * Web Speech API wrapper for speech recognition
  * Captures student voice responses and converts to text
+ * Falls back to the offline recognizer when the cloud one is missing or unreachable
  */
 
+import { learnerSettings } from '../settings/learner-settings.js';
+import { OfflineRecognizer } from './offline-recognizer.js';
+import { recognitionHints, toJSGF } from './answer-hints.js';
+
+// N-best alternatives requested from the recognizer for answer checking
+const MAX_ALTERNATIVES = 5;
+
 export class VoiceInput {
   constructor() {
     // Browser-specific Speech Recognition
     const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-    
-    if (!SpeechRecognition) {
+    this.expectedPhrases = [];
+    this.usesFallback = false;
+
+    if (SpeechRecognition) {
+      this.recognition = new SpeechRecognition();
+    } else if (OfflineRecognizer.isSupported()) {
+      console.warn('⚠️ Speech Recognition API not available - using offline recognizer');
+      this.recognition = new OfflineRecognizer();
+      this.usesFallback = true;
+    } else {
       console.error('❌ Speech Recognition API not available in this browser');
       this.available = false;
       return;
     }
 
-    this.recognition = new SpeechRecognition();
     this.available = true;
     this.isListening = false;
     this.transcript = '';
     this.confidence = 0;
+    this.alternatives = [];
     
     // Configuration
     this.recognition.continuous = false; // Single phrase
     this.recognition.interimResults = true;
+    this.recognition.maxAlternatives = MAX_ALTERNATIVES;
     this.recognition.lang = 'en-US';
     
     // Callbacks
@@ -43,6 +60,7 @@ export class VoiceInput {
     this.recognition.onstart = () => {
       this.isListening = true;
       this.transcript = '';
+      this.alternatives = [];
       console.log('🎤 Listening...');
       if (this.onStart) this.onStart();
     };
@@ -57,6 +75,10 @@ export class VoiceInput {
         if (event.results[i].isFinal) {
           this.transcript = transcript.toLowerCase().trim();
           this.confidence = confidence;
+          this.alternatives = Array.from(event.results[i], alt => ({
+            transcript: alt.transcript.toLowerCase().trim(),
+            confidence: alt.confidence
+          }));
           console.log(`✅ Final: "${this.transcript}" (confidence: ${(confidence * 100).toFixed(0)}%)`);
         } else {
           interimTranscript += transcript;
@@ -69,12 +91,19 @@ export class VoiceInput {
           transcript: this.transcript,
           interimTranscript: interimTranscript,
           confidence: this.confidence,
+          alternatives: this.alternatives,
           isFinal: this.transcript.length > 0
         });
       }
     };
 
     this.recognition.onerror = (event) => {
+      if (event.error === 'network' && !this.usesFallback && OfflineRecognizer.isSupported()) {
+        console.warn('📴 Cloud speech recognition unreachable - switching to offline recognizer');
+        this.switchToOffline();
+        return;
+      }
+
       console.error(`❌ Speech recognition error: ${event.error}`);
       if (this.onError) this.onError(event.error);
     };
@@ -86,6 +115,49 @@ export class VoiceInput {
     };
   }
 
+  /**
+   * Replace the cloud recognizer with the offline one, resuming if it was listening
+   */
+  switchToOffline() {
+    const cloud = this.recognition;
+    const resume = this.isListening;
+
+    this.recognition = new OfflineRecognizer();
+    this.recognition.continuous = cloud.continuous;
+    this.recognition.interimResults = cloud.interimResults;
+    this.recognition.maxAlternatives = cloud.maxAlternatives;
+    this.recognition.lang = cloud.lang;
+    this.recognition.setPhrases(this.expectedPhrases);
+    this.usesFallback = true;
+    this.setupEventHandlers();
+
+    // The cloud recognizer still ends after its error; pick up from there
+    cloud.onend = () => {
+      this.isListening = false;
+      if (resume) this.start();
+    };
+  }
+
+  /**
+   * Answers the student is expected to give (e.g. a question's expectedAnswers)
+   * The cloud recognizer gets them as a grammar hint; the offline one only listens for them
+   * @param {string[]} phrases - empty for open vocabulary
+   */
+  setExpectedPhrases(phrases = []) {
+    this.expectedPhrases = phrases;
+    if (this.usesFallback) {
+      this.recognition.setPhrases(phrases);
+      return;
+    }
+
+    const SpeechGrammarList = window.SpeechGrammarList || window.webkitSpeechGrammarList;
+    if (SpeechGrammarList) {
+      const grammars = new SpeechGrammarList();
+      if (phrases.length > 0) grammars.addFromString(toJSGF(phrases), 1);
+      this.recognition.grammars = grammars;
+    }
+  }
+
   /**
    * Start listening for voice input
    * @param {number} timeout - Timeout in ms (0 = no timeout)
@@ -103,6 +175,7 @@ export class VoiceInput {
 
     this.transcript = '';
     this.confidence = 0;
+    this.alternatives = [];
     this.recognition.start();
 
     // Auto-stop after timeout
@@ -150,6 +223,13 @@ export class VoiceInput {
     return this.confidence;
   }
 
+  /**
+   * Get N-best alternatives of the last phrase ({transcript, confidence}, best first)
+   */
+  getAlternatives() {
+    return this.alternatives;
+  }
+
   /**
    * Get transcript + confidence object
    */
@@ -157,6 +237,7 @@ export class VoiceInput {
     return {
       transcript: this.transcript,
       confidence: this.confidence,
+      alternatives: this.alternatives,
       isListening: this.isListening
     };
   }
@@ -212,10 +293,12 @@ export class VoiceFeedback {
 
     const utterance = new SpeechSynthesisUtterance(text);
     
-    // Voice options
-    utterance.rate = options.rate || 0.9; // Slightly slower for clarity
-    utterance.pitch = options.pitch || 1.0;
-    utterance.volume = options.volume || 0.8;
+    // Voice options, scaled by the student's speech settings
+    learnerSettings.applySpeech(utterance, {
+      rate: options.rate || 0.9, // Slightly slower for clarity
+      pitch: options.pitch || 1.0,
+      volume: options.volume || 0.8
+    });
     utterance.lang = options.lang || 'en-US';
 
     utterance.onstart = () => {
@@ -261,7 +344,10 @@ export class VoiceFeedback {
       'Wonderful! You got it perfect!'
     ];
 
-    const phrase = feedbackPhrases[Math.floor(Math.random() * feedbackPhrases.length)];
+    const phrase = learnerSettings.byVerbosity({
+      brief: 'Correct!',
+      normal: feedbackPhrases[Math.floor(Math.random() * feedbackPhrases.length)]
+    });
     this.speak(phrase, { rate: 0.85, pitch: 1.2 });
   }
 
@@ -277,7 +363,10 @@ export class VoiceFeedback {
       `That was not right. The correct answer is ${expectedAnswer}. Good try!`
     ];
 
-    const phrase = feedbackPhrases[Math.floor(Math.random() * feedbackPhrases.length)];
+    const phrase = learnerSettings.byVerbosity({
+      brief: `The answer is ${expectedAnswer}.`,
+      normal: feedbackPhrases[Math.floor(Math.random() * feedbackPhrases.length)]
+    });
     this.speak(phrase, { rate: 0.85, pitch: 1.0 });
   }
 
@@ -385,7 +474,11 @@ export class VoiceFeedback {
       `Fantastic! You earned ${totalXP} experience points with ${accuracyPercent} percent accuracy. You got ${questionsCorrect} questions right!`
     ];
     
-    const phrase = phrases[Math.floor(Math.random() * phrases.length)];
+    const phrase = learnerSettings.byVerbosity({
+      brief: `${questionsCorrect} out of ${totalQuestions} correct. ${totalXP} points.`,
+      normal: phrases[Math.floor(Math.random() * phrases.length)],
+      detailed: `Great job! You earned ${totalXP} points. You answered ${totalQuestions} questions: ${questionsCorrect} right and ${totalQuestions - questionsCorrect} to practise again. That is ${accuracyPercent} percent accuracy.`
+    });
     this.speak(phrase, { rate: 0.8, pitch: 1.0 });
   }
 
@@ -400,7 +493,10 @@ export class VoiceFeedback {
       'On to the next question! You got this!'
     ];
     
-    const phrase = phrases[Math.floor(Math.random() * phrases.length)];
+    const phrase = learnerSettings.byVerbosity({
+      brief: 'Next question.',
+      normal: phrases[Math.floor(Math.random() * phrases.length)]
+    });
     this.speak(phrase, { rate: 0.9, pitch: 1.0 });
   }
 
@@ -415,7 +511,10 @@ export class VoiceFeedback {
       'You can answer now. I am listening!'
     ];
     
-    const phrase = phrases[Math.floor(Math.random() * phrases.length)];
+    const phrase = learnerSettings.byVerbosity({
+      brief: 'Listening.',
+      normal: phrases[Math.floor(Math.random() * phrases.length)]
+    });
     this.speak(phrase, { rate: 0.9, pitch: 1.0 });
   }
 
@@ -457,6 +556,8 @@ export class VoiceManager {
 
   /**
    * Start listening for answer with timeout
+   * @param {Object} question
+   * @param {Function} onAnswerCallback - receives {transcript, confidence, alternatives}
    */
   listenForAnswer(question, onAnswerCallback) {
     this.currentQuestion = question;
@@ -464,6 +565,9 @@ export class VoiceManager {
 
     console.log(`🎤 Listening for answer to: ${question.prompt}`);
     
+    // Hint the recognizer with the expected answers
+    this.input.setExpectedPhrases(recognitionHints(question).phrases);
+
     // Setup voice input callback
     this.input.onEnd = () => {
       const result = this.input.getResult();
@@ -7,37 +7,25 @@ import { SpeechRecognizer } from '../audio/speech-recognizer.js';
 import { VoiceSynthesizer } from '../audio/text-to-speech.js';
 import { AudioProcessor } from '../audio/audio-processor.js';
 import { AdaptiveDifficultyEngine } from '../adaptive-engine/adaptive-difficulty-engine.js';
+import { abilityStore } from '../adaptive-engine/ability-store.js';
+import { getActivityById } from '../activities/index.js';
 import { EmotionDetector } from '../emotion-detection/emotion-detector.js';
+import { haptics } from '../haptics/haptic-client.js';
+import { profiles } from '../profiles/profile-store.js';
+import { scoreAnswer, isAccepted } from '../answers/answer-matcher.js';
 import { logger } from '../utils/logger.js';
 import { v4 as uuidv4 } from 'uuid';
 
-const GLOVE_API = 'http://localhost:5001/api/smart-glove';
-
-/** Fire a single motor pulse (fire-and-forget) */
-function hapticPulse(command = '3') {
-  fetch(`${GLOVE_API}/motor`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ command })
-  }).catch(() => {});
-}
-
-/** Celebration pattern: 3 rapid pulses */
-function hapticCelebration() {
-  hapticPulse();
-  setTimeout(() => hapticPulse(), 300);
-  setTimeout(() => hapticPulse(), 600);
-}
-
 export class VoiceLearningModule {
   constructor(options = {}) {
     this.options = {
-      userId: options.userId || 'unknown',
+      userId: options.userId || profiles.activeId,
       language: options.language || 'en-US',
       activities: options.activities || [],
       adaptiveMode: options.adaptiveMode !== false,
       emotionDetection: options.emotionDetection !== false,
       debug: options.debug || false,
+      abilityStore: options.abilityStore || abilityStore,
       ...options
     };
 
@@ -51,6 +39,8 @@ export class VoiceLearningModule {
 
     this.session = null;
     this.isActive = false;
+    this.abilityActivityId = null; // activity whose saved ability the engine holds
+    this.questionLimits = null; // { minQuestions, maxQuestions } of that activity's main section
 
     if (this.options.debug) {
       logger.setLevel(0); // DEBUG level
@@ -83,6 +73,11 @@ export class VoiceLearningModule {
         this.modules.adaptiveEngine = new AdaptiveDifficultyEngine({
           targetSuccessRate: 0.55
         });
+
+        // Continue from the student's last session, before the first question
+        if (this.options.activities[0]) {
+          await this.loadAbility(this.options.activities[0]);
+        }
       }
 
       // Initialize emotion detection
@@ -101,6 +96,50 @@ export class VoiceLearningModule {
     }
   }
 
+  /**
+   * Load the student's saved ability for an activity into the adaptive engine
+   */
+  async loadAbility(activityId) {
+    const engine = this.modules.adaptiveEngine;
+    if (!engine || !activityId) return null;
+
+    try {
+      const activity = await getActivityById(activityId).catch(() => null);
+      engine.setActivity(activityId, activity?.skillsFocused || []);
+      this.questionLimits = activity?.sessionStructure?.mainSection || null;
+
+      const state = await this.options.abilityStore.load(this.options.userId, activityId);
+      if (state) {
+        engine.restoreState(state);
+        logger.info(`Ability for ${activityId} restored: ${engine.abilityEstimate.toFixed(2)} ± ${engine.standardError.toFixed(2)}`);
+      } else {
+        engine.resetAbility();
+      }
+      this.abilityActivityId = activityId;
+      return state;
+    } catch (error) {
+      logger.error('Failed to load ability state:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Save the adaptive engine's ability for the current activity (locally; also to the backend unless sync is false)
+   */
+  async saveAbility({ sync = true } = {}) {
+    const engine = this.modules.adaptiveEngine;
+    if (!engine || !this.abilityActivityId) return null;
+
+    try {
+      return await this.options.abilityStore.save(
+        this.options.userId, this.abilityActivityId, engine.getState(), { sync }
+      );
+    } catch (error) {
+      logger.error('Failed to save ability state:', error);
+      return null;
+    }
+  }
+
   /**
    * Start a learning session
    */
@@ -128,6 +167,14 @@ export class VoiceLearningModule {
 
       this.isActive = true;
 
+      if (this.modules.adaptiveEngine) {
+        if (this.session.activityId !== this.abilityActivityId) {
+          await this.loadAbility(this.session.activityId);
+        } else {
+          this.modules.adaptiveEngine.reset();
+        }
+      }
+
       logger.info(`Session ${sessionId} started for activity ${this.session.activityId}`);
 
       // Welcome message
@@ -137,7 +184,7 @@ export class VoiceLearningModule {
       });
 
       // Haptic: single pulse to signal session start
-      hapticPulse();
+      haptics.trigger('session-start');
 
       return this.session;
 
@@ -147,6 +194,30 @@ export class VoiceLearningModule {
     }
   }
 
+  /**
+   * Pick the next question from those left, aimed at the student's weakest skill
+   */
+  getNextQuestion(questions) {
+    if (!questions || questions.length === 0) return null;
+    if (!this.modules.adaptiveEngine) return questions[0];
+    return this.modules.adaptiveEngine.selectNextQuestion(questions);
+  }
+
+  /**
+   * Whether the session has asked enough: the activity's maxQuestions, or its
+   * minQuestions once the ability is measured precisely enough to stop early
+   */
+  shouldEndSession() {
+    if (!this.session) return true;
+
+    const answered = this.session.responses.length;
+    const { minQuestions = 0, maxQuestions = Infinity } = this.questionLimits || {};
+    if (answered >= maxQuestions) return true;
+
+    const engine = this.modules.adaptiveEngine;
+    return answered >= minQuestions && Boolean(engine?.isMeasurementPrecise());
+  }
+
   /**
    * Present a question and collect response
    */
@@ -173,15 +244,18 @@ export class VoiceLearningModule {
       }
 
       // Validate response
-      const isCorrect = this.validateResponse(response.text, question.expectedAnswers);
+      const match = scoreAnswer(response.text, question.expectedAnswers);
+      const isCorrect = isAccepted(match);
 
       // Create response record
       const responseRecord = {
         questionId: question.id,
         userResponse: response.text,
         isCorrect,
+        verdict: match.verdict,
         responseTime: response.duration,
-        difficulty: question.difficulty || 0,
+        difficulty: question.difficulty ?? null, // hand-assigned level; the engine maps it to θ
+        skills: question.skills || [],
         confidence: response.confidence || 0.5,
         emotionalState: response.emotionalState || null,
         timestamp: Date.now()
@@ -199,6 +273,7 @@ export class VoiceLearningModule {
       // Update adaptive difficulty
       if (this.modules.adaptiveEngine) {
         this.modules.adaptiveEngine.updatePerformance(responseRecord);
+        await this.saveAbility({ sync: false });
       }
 
       return responseRecord;
@@ -250,70 +325,17 @@ export class VoiceLearningModule {
         });
       });
 
-      // Start listening
+      // Start listening (the offline fallback only listens for the expected answers)
+      recognizer.setExpectedPhrases(question.expectedAnswers || []);
       recognizer.startListening();
     });
   }
 
   /**
-   * Validate response against expected answers
+   * Validate response against expected answers (exact or close)
    */
   validateResponse(userResponse, expectedAnswers) {
-    if (!expectedAnswers || expectedAnswers.length === 0) {
-      return false;
-    }
-
-    const normalized = userResponse.toLowerCase().trim();
-
-    // Exact match
-    for (const expected of expectedAnswers) {
-      if (normalized === expected.toLowerCase()) {
-        return true;
-      }
-    }
-
-    // Fuzzy match (simple Levenshtein distance)
-    for (const expected of expectedAnswers) {
-      const distance = this.levenshteinDistance(normalized, expected.toLowerCase());
-      const maxDistance = Math.max(2, Math.floor(expected.length * 0.3));
-      
-      if (distance <= maxDistance) {
-        return true;
-      }
-    }
-
-    return false;
-  }
-
-  /**
-   * Levenshtein distance for fuzzy matching
-   */
-  levenshteinDistance(a, b) {
-    const matrix = [];
-
-    for (let i = 0; i <= b.length; i++) {
-      matrix[i] = [i];
-    }
-
-    for (let j = 0; j <= a.length; j++) {
-      matrix[0][j] = j;
-    }
-
-    for (let i = 1; i <= b.length; i++) {
-      for (let j = 1; j <= a.length; j++) {
-        if (b.charAt(i - 1) === a.charAt(j - 1)) {
-          matrix[i][j] = matrix[i - 1][j - 1];
-        } else {
-          matrix[i][j] = Math.min(
-            matrix[i - 1][j - 1] + 1,
-            matrix[i][j - 1] + 1,
-            matrix[i - 1][j] + 1
-          );
-        }
-      }
-    }
-
-    return matrix[b.length][a.length];
+    return isAccepted(scoreAnswer(userResponse, expectedAnswers));
   }
 
   /**
@@ -350,12 +372,7 @@ export class VoiceLearningModule {
     });
 
     // Haptic feedback: 1 pulse for correct, 2 pulses for wrong
-    if (isCorrect) {
-      hapticPulse();
-    } else {
-      hapticPulse();
-      setTimeout(() => hapticPulse(), 400);
-    }
+    haptics.trigger(isCorrect ? 'answer-correct' : 'answer-wrong');
   }
 
   /**
@@ -420,10 +437,12 @@ export class VoiceLearningModule {
       });
 
       // Haptic: celebration pattern for session completion
-      hapticCelebration();
+      haptics.trigger('session-complete');
 
       this.isActive = false;
 
+      await this.saveAbility();
+
       logger.info(`Session ${this.session.sessionId} ended`);
 
       return {
@@ -6,25 +6,10 @@
 import Badges from './badges.js';
 import ProgressTracker from './progress-tracker.js';
 import Leaderboard from './leaderboard.js';
+import { haptics } from '../haptics/haptic-client.js';
+import { profiles } from '../profiles/profile-store.js';
 
 const STORAGE_KEY = 'vlm_gamification_state_v1';
-const GLOVE_API = 'http://localhost:5001/api/smart-glove';
-
-/** Fire a single motor pulse (fire-and-forget) */
-function hapticPulse(command = '3') {
-  fetch(`${GLOVE_API}/motor`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ command })
-  }).catch(() => {});
-}
-
-/** Celebration pattern: 3 rapid pulses */
-function hapticCelebration() {
-  hapticPulse();
-  setTimeout(() => hapticPulse(), 300);
-  setTimeout(() => hapticPulse(), 600);
-}
 
 export default class GamificationEngine {
   constructor(options = {}) {
@@ -62,7 +47,8 @@ export default class GamificationEngine {
     }
   }
 
-  ensurePlayer(studentId) {
+  // Player lookups default to the profile picked on this device
+  ensurePlayer(studentId = profiles.activeId) {
     if (!this.state.players[studentId]) {
       this.state.players[studentId] = this.progress.createNewPlayer();
       this._saveState();
@@ -78,16 +64,14 @@ export default class GamificationEngine {
     const leveledUp = this.progress.addXpAndMaybeLevel(player, amount);
 
     // Haptic: celebration pattern on level-up
-    if (leveledUp.leveled) hapticCelebration();
+    if (leveledUp.leveled) haptics.trigger('level-up');
 
     // Check for badge grants based on reason or totals
     const newBadges = this.badges.checkAndAward(player, { reason, amount });
     newBadges.forEach(b => player.badges.push(b));
 
-    // Haptic: celebration pattern for new badges
-    if (newBadges.length > 0) {
-      setTimeout(() => hapticCelebration(), leveledUp.leveled ? 1000 : 0);
-    }
+    // Haptic: celebration pattern for new badges (queued after any level-up)
+    if (newBadges.length > 0) haptics.trigger('badge-earned');
 
     this._saveState();
 
@@ -107,25 +91,26 @@ export default class GamificationEngine {
         player.lastUpdated = Date.now();
         this._saveState();
         // Haptic: celebration for badge grant
-        hapticCelebration();
+        haptics.trigger('badge-earned');
         return badge;
       }
     }
     return null;
   }
 
-  getPlayer(studentId) {
+  getPlayer(studentId = profiles.activeId) {
     return this.ensurePlayer(studentId);
   }
 
-  getPlayerBadges(studentId) {
+  getPlayerBadges(studentId = profiles.activeId) {
     const player = this.ensurePlayer(studentId);
     return player.badges.map(id => this.badges.getBadge(id));
   }
 
   getLeaderboard(top = 10) {
     // Local leaderboard based on XP
-    return this.leaderboard.getLocalLeaderboard(this.state.players, top);
+    return this.leaderboard.getLocalLeaderboard(this.state.players, top)
+      .map(entry => ({ ...entry, name: profiles.get(entry.id)?.name || entry.id }));
   }
 
   async _syncPlayer(studentId) {
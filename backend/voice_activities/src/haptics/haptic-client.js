@@ -0,0 +1,242 @@
+/**
+ * Haptic Client
+ * Single entry point for Smart Glove haptic feedback
+ * Shared by the React frontend and the voice activities
+ */
+
+import { HapticSequencer, HAPTIC_PRIORITY } from './haptic-sequencer.js';
+import { MOTOR, HAPTIC_PATTERNS, PATTERN_PRIORITY, HAPTIC_EVENTS } from './haptic-patterns.js';
+import { vocabulary as sharedVocabulary } from './haptic-vocabulary.js';
+import { encodeNumber, encodeExpression } from './number-encoding.js';
+import { learnerSettings } from '../settings/learner-settings.js';
+
+export { HAPTIC_PRIORITY, MOTOR, HAPTIC_PATTERNS, PATTERN_PRIORITY, HAPTIC_EVENTS };
+
+export const DEFAULT_GLOVE_API = 'http://localhost:5001/api/smart-glove';
+
+/**
+ * Delivery modes
+ * - live:   send commands to the glove backend
+ * - noop:   accept and discard every command
+ * - record: keep every command in `recorded` instead of sending it (for tests)
+ */
+export const HAPTIC_MODES = ['live', 'noop', 'record'];
+
+export class HapticClient {
+  constructor(options = {}) {
+    this.options = {
+      baseUrl: DEFAULT_GLOVE_API,
+      mode: 'live',
+      vocabulary: sharedVocabulary,
+      settings: learnerSettings,  // per-student on/off switches, see allowsHaptic()
+      fetch: null,
+      ...options
+    };
+
+    this.recorded = [];
+    this.lastError = null;
+    this.sequencer = new HapticSequencer(step => this.sendStep(step));
+  }
+
+  /**
+   * Update options (base URL, mode, ...) in place
+   */
+  configure(options = {}) {
+    if (options.mode && !HAPTIC_MODES.includes(options.mode)) {
+      throw new Error(`Unknown haptic mode: ${options.mode}`);
+    }
+    Object.assign(this.options, options);
+    return this;
+  }
+
+  get baseUrl() {
+    return this.options.baseUrl.replace(/\/$/, '');
+  }
+
+  get mode() {
+    return this.options.mode;
+  }
+
+  get vocabulary() {
+    return this.options.vocabulary;
+  }
+
+  /**
+   * Fire a single motor pulse immediately, bypassing the queue
+   * @param {'1'|'2'|'3'} [command='3'] Motor command: 1=left, 2=right, 3=both
+   * @returns {Promise<{success: boolean, message?: string}>}
+   */
+  pulse(command = MOTOR.BOTH) {
+    return this.send('motor', { command: String(command) });
+  }
+
+  /**
+   * Queue a hover/focus pulse. Repeated hovers are coalesced into one
+   * pulse and any higher-priority cue preempts them.
+   */
+  hover(command = MOTOR.BOTH) {
+    return this.playSteps([{ motor: String(command) }], {
+      priority: HAPTIC_PRIORITY.HOVER,
+      key: 'hover'
+    });
+  }
+
+  /**
+   * Play a named semantic pattern (correct, wrong, level-up, badge, ...)
+   * @param {string} name
+   * @param {{priority?: number}} [options] Overrides PATTERN_PRIORITY
+   * @returns {Promise<{success: boolean, pattern: string, failures: number, message?: string}>}
+   */
+  async play(name, options = {}) {
+    const steps = this.vocabulary.getPattern(name);
+    if (!steps) {
+      return { success: false, pattern: name, failures: 0, message: `Unknown haptic pattern: ${name}` };
+    }
+
+    const result = await this.playSteps(steps, {
+      priority: PATTERN_PRIORITY[name] ?? HAPTIC_PRIORITY.NOTIFY,
+      ...options
+    });
+    return { ...result, pattern: name };
+  }
+
+  /**
+   * Play whatever pattern the haptic vocabulary maps to an app event
+   * ('answer-correct', 'chat-reply', 'shape-detected', ...)
+   * @returns {Promise<{success: boolean, event: string, pattern?: string, failures: number, message?: string}>}
+   */
+  async trigger(event) {
+    const resolved = this.vocabulary.resolve(event);
+    if (!resolved) {
+      return { success: false, event, failures: 0, message: `Unknown haptic event: ${event}` };
+    }
+
+    const { pattern, steps, priority } = resolved;
+    const result = await this.playSteps(steps, {
+      priority,
+      // Hover-level cues coalesce with pointer pulses
+      key: priority === HAPTIC_PRIORITY.HOVER ? 'hover' : null
+    });
+    return { ...result, event, pattern };
+  }
+
+  /**
+   * Pulse a number so it can be counted by touch (grouped by fives)
+   * @param {number} n 0-20
+   * @param {{priority?: number}} [options]
+   */
+  async playNumber(n, options = {}) {
+    let steps;
+    try {
+      steps = encodeNumber(n);
+    } catch (error) {
+      return { success: false, failures: 0, message: error.message };
+    }
+    return this.playSteps(steps, { priority: HAPTIC_PRIORITY.FEEDBACK, ...options });
+  }
+
+  /**
+   * Pulse "a + b" / "a - b": first operand, operator cue, second operand
+   */
+  async playExpression(a, operation, b, options = {}) {
+    let steps;
+    try {
+      steps = encodeExpression(a, operation, b);
+    } catch (error) {
+      return { success: false, failures: 0, message: error.message };
+    }
+    return this.playSteps(steps, { priority: HAPTIC_PRIORITY.FEEDBACK, ...options });
+  }
+
+  /**
+   * Queue an ad-hoc list of steps ({ motor | pattern, duration, gap })
+   * Skipped when the student turned this class of haptics off,
+   * unless `force` is set (teacher previews)
+   * @param {object[]} steps
+   * @param {{priority?: number, key?: string, force?: boolean}} [options]
+   */
+  playSteps(steps, { force = false, ...options } = {}) {
+    const priority = options.priority ?? HAPTIC_PRIORITY.NOTIFY;
+    if (!force && this.options.settings && !this.options.settings.allowsHaptic(priority)) {
+      return Promise.resolve({ success: true, failures: 0, skipped: true, message: 'Disabled in learner settings' });
+    }
+    return this.sequencer.enqueue(steps, { ...options, priority });
+  }
+
+  /**
+   * Deliver one sequencer step to the glove
+   */
+  sendStep(step) {
+    return step.pattern
+      ? this.send('haptic-pattern', { pattern: step.pattern })
+      : this.pulse(step.motor);
+  }
+
+  /**
+   * POST a command to the glove backend
+   * Never rejects: delivery failures are reported in the resolved result
+   */
+  async send(endpoint, body) {
+    if (this.mode === 'noop') {
+      return { success: true, skipped: true };
+    }
+
+    if (this.mode === 'record') {
+      this.recorded.push({ endpoint, ...body, timestamp: Date.now() });
+      return { success: true, recorded: true };
+    }
+
+    const doFetch = this.options.fetch || globalThis.fetch;
+
+    try {
+      const response = await doFetch(`${this.baseUrl}/${endpoint}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+
+      let data = {};
+      try {
+        data = await response.json();
+      } catch {
+        /* non-JSON error page */
+      }
+
+      if (!response.ok || data.success === false) {
+        return this.fail(data.message || `Glove backend responded ${response.status}`);
+      }
+
+      this.lastError = null;
+      return { success: true, ...data };
+    } catch (error) {
+      return this.fail(`Glove backend not reachable: ${error.message}`);
+    }
+  }
+
+  fail(message) {
+    this.lastError = { message, timestamp: Date.now() };
+    return { success: false, message };
+  }
+
+  /**
+   * Recorded commands (record mode only)
+   */
+  getRecorded() {
+    return [...this.recorded];
+  }
+
+  clearRecorded() {
+    this.recorded = [];
+  }
+}
+
+/**
+ * Shared instance used by every call site
+ */
+export const haptics = new HapticClient();
+
+export function configureHaptics(options) {
+  return haptics.configure(options);
+}
+
+export default haptics;
@@ -0,0 +1,92 @@
+/**
+ * Haptic Patterns
+ * Built-in motor commands and named vibration patterns
+ */
+
+import { HAPTIC_PRIORITY } from './haptic-sequencer.js';
+
+/**
+ * Motor commands understood by the ESP32 firmware
+ */
+export const MOTOR = {
+  LEFT: '1',
+  RIGHT: '2',
+  BOTH: '3'
+};
+
+/**
+ * Named semantic patterns
+ * Each step fires one motor command (or a firmware pattern), holds the motors
+ * for `duration` ms and then waits `gap` ms before the next step
+ */
+export const HAPTIC_PATTERNS = {
+  'correct': [
+    { motor: MOTOR.BOTH }
+  ],
+  'wrong': [
+    { motor: MOTOR.BOTH, gap: 250 },
+    { motor: MOTOR.BOTH }
+  ],
+  'level-up': [
+    { motor: MOTOR.BOTH, gap: 150 },
+    { motor: MOTOR.BOTH, gap: 150 },
+    { motor: MOTOR.BOTH }
+  ],
+  'badge': [
+    { motor: MOTOR.BOTH, gap: 150 },
+    { motor: MOTOR.BOTH, gap: 150 },
+    { motor: MOTOR.BOTH }
+  ],
+  'session-start': [
+    { motor: MOTOR.BOTH }
+  ],
+  'session-complete': [
+    { motor: MOTOR.BOTH, gap: 150 },
+    { motor: MOTOR.BOTH, gap: 150 },
+    { motor: MOTOR.BOTH }
+  ],
+  'error': [
+    { motor: MOTOR.BOTH, gap: 250 },
+    { motor: MOTOR.BOTH }
+  ],
+  'chat-reply': [
+    { motor: MOTOR.LEFT }
+  ],
+  'difficulty-up': [
+    { motor: MOTOR.LEFT }
+  ],
+  'difficulty-down': [
+    { motor: MOTOR.RIGHT }
+  ],
+  'long': [
+    { pattern: 'long', duration: 600 }
+  ]
+};
+
+/**
+ * Default playback priority of each named pattern (see HAPTIC_PRIORITY)
+ */
+export const PATTERN_PRIORITY = {
+  'correct': HAPTIC_PRIORITY.FEEDBACK,
+  'wrong': HAPTIC_PRIORITY.FEEDBACK,
+  'error': HAPTIC_PRIORITY.ALERT
+};
+
+/**
+ * App events that can be mapped to a pattern in the haptic vocabulary
+ * `pattern` is the default mapping, `priority` is used whatever pattern is mapped
+ */
+export const HAPTIC_EVENTS = {
+  'answer-correct': { label: 'Correct answer', pattern: 'correct', priority: HAPTIC_PRIORITY.FEEDBACK },
+  'answer-wrong': { label: 'Wrong answer', pattern: 'wrong', priority: HAPTIC_PRIORITY.FEEDBACK },
+  'chat-reply': { label: 'New chat reply', pattern: 'chat-reply', priority: HAPTIC_PRIORITY.NOTIFY },
+  'shape-detected': { label: 'Shape detected', pattern: 'correct', priority: HAPTIC_PRIORITY.NOTIFY },
+  'detection-failed': { label: 'Detection failed', pattern: 'error', priority: HAPTIC_PRIORITY.ALERT },
+  'session-start': { label: 'Activity started', pattern: 'session-start', priority: HAPTIC_PRIORITY.NOTIFY },
+  'session-complete': { label: 'Activity finished', pattern: 'session-complete', priority: HAPTIC_PRIORITY.NOTIFY },
+  'difficulty-up': { label: 'Difficulty raised', pattern: 'difficulty-up', priority: HAPTIC_PRIORITY.NOTIFY },
+  'difficulty-down': { label: 'Difficulty lowered', pattern: 'difficulty-down', priority: HAPTIC_PRIORITY.NOTIFY },
+  'level-up': { label: 'Level up', pattern: 'level-up', priority: HAPTIC_PRIORITY.NOTIFY },
+  'badge-earned': { label: 'Badge earned', pattern: 'badge', priority: HAPTIC_PRIORITY.NOTIFY },
+  'exit': { label: 'Exit / disconnect button', pattern: 'long', priority: HAPTIC_PRIORITY.NOTIFY }
+};
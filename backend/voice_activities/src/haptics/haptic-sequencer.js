@@ -0,0 +1,228 @@
+/**
+ * Haptic Sequencer
+ * Single playback queue for the glove motors
+ * Orders patterns by priority, lets urgent cues preempt hover pulses
+ * and coalesces repeated hover events
+ */
+
+/**
+ * Playback priorities, lowest first
+ * - HOVER:    pointer/focus pulses, coalesced and dropped when preempted
+ * - NOTIFY:   informational cues (new message, level change, ...)
+ * - FEEDBACK: answer feedback (correct / wrong)
+ * - ALERT:    errors the student must not miss
+ */
+export const HAPTIC_PRIORITY = {
+  HOVER: 0,
+  NOTIFY: 1,
+  FEEDBACK: 2,
+  ALERT: 3
+};
+
+/**
+ * Length of one firmware motor pulse (see the ESP32 command table).
+ * Motor steps with a longer `duration` re-fire the motor back to back.
+ */
+export const FIRMWARE_PULSE_MS = 200;
+
+/**
+ * How long a step keeps the glove busy when it has no `duration`
+ */
+export const DEFAULT_STEP_DURATION = FIRMWARE_PULSE_MS;
+
+export class HapticSequencer {
+  /**
+   * @param {(step: object) => Promise<{success: boolean, message?: string}>} sendStep
+   *   Delivers one step to the glove; must never reject
+   */
+  constructor(sendStep, options = {}) {
+    this.sendStep = sendStep;
+    this.options = {
+      defaultDuration: DEFAULT_STEP_DURATION,
+      pulseLength: FIRMWARE_PULSE_MS,
+      maxHoverDelay: 600, // hover pulses waiting longer than this are stale
+      ...options
+    };
+
+    this.queue = [];
+    this.current = null;
+    this.running = false;
+    this.nextId = 1;
+  }
+
+  /**
+   * Queue a list of steps ({ motor | pattern, duration, gap })
+   * @param {object[]} steps
+   * @param {{priority?: number, key?: string}} [options]
+   *   key: jobs sharing a key are coalesced while one is still pending
+   * @returns {Promise<{success: boolean, failures: number, message?: string,
+   *   preempted?: boolean, coalesced?: boolean, dropped?: boolean}>}
+   */
+  enqueue(steps, { priority = HAPTIC_PRIORITY.NOTIFY, key = null } = {}) {
+    if (key) {
+      const pending = this.findPending(key);
+      if (pending) {
+        return pending.promise.then(result => ({ ...result, coalesced: true }));
+      }
+    }
+
+    const job = {
+      id: this.nextId++,
+      steps,
+      priority,
+      key,
+      queuedAt: Date.now(),
+      cancelled: false,
+      wake: null
+    };
+    job.promise = new Promise(resolve => { job.resolve = resolve; });
+
+    this.insert(job);
+
+    // A job already preempted is only finishing its step; its replay is queued
+    if (this.current && !this.current.cancelled && priority > this.current.priority) {
+      this.preempt(this.current);
+    }
+
+    this.run();
+    return job.promise;
+  }
+
+  /**
+   * Jobs with the same key that have not started playing yet
+   */
+  findPending(key) {
+    if (this.current && this.current.key === key && !this.current.started) {
+      return this.current;
+    }
+    return this.queue.find(job => job.key === key) || null;
+  }
+
+  /**
+   * Insert by priority, FIFO within the same priority
+   */
+  insert(job) {
+    const index = this.queue.findIndex(queued => queued.priority < job.priority);
+    if (index === -1) {
+      this.queue.push(job);
+    } else {
+      this.queue.splice(index, 0, job);
+    }
+  }
+
+  /**
+   * Stop the playing job after its current step.
+   * Hover pulses are dropped; anything else is replayed from the start
+   * once the higher-priority job has finished, so no cue is lost.
+   */
+  preempt(job) {
+    job.cancelled = true;
+    if (job.wake) job.wake();
+
+    if (job.priority === HAPTIC_PRIORITY.HOVER) {
+      job.resolve({ success: false, failures: 0, preempted: true, message: 'Preempted' });
+      return;
+    }
+
+    const replay = {
+      ...job,
+      cancelled: false,
+      started: false,
+      wake: null
+    };
+    this.insert(replay);
+  }
+
+  async run() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      while (this.queue.length > 0) {
+        const job = this.queue.shift();
+
+        if (job.priority === HAPTIC_PRIORITY.HOVER &&
+            Date.now() - job.queuedAt > this.options.maxHoverDelay) {
+          job.resolve({ success: false, failures: 0, dropped: true, message: 'Stale hover pulse' });
+          continue;
+        }
+
+        this.current = job;
+        const result = await this.play(job);
+        this.current = null;
+
+        if (!job.cancelled) job.resolve(result);
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async play(job) {
+    let failures = 0;
+    let message;
+    job.started = true;
+
+    for (const step of job.steps) {
+      const duration = step.duration ?? this.options.defaultDuration;
+      const { pulseLength } = this.options;
+      const repeats = step.motor ? Math.max(1, Math.round(duration / pulseLength)) : 1;
+
+      for (let fired = 0; fired < repeats; fired++) {
+        if (job.cancelled) break;
+
+        const result = await this.sendStep(step);
+        if (!result.success) {
+          failures++;
+          message = result.message;
+        }
+
+        const isLast = fired === repeats - 1;
+        const hold = isLast
+          ? duration - pulseLength * (repeats - 1) + (step.gap || 0)
+          : pulseLength;
+        await this.wait(job, hold);
+      }
+    }
+
+    return { success: failures === 0, failures, message };
+  }
+
+  /**
+   * Sleep between steps; a preemption wakes the job early
+   */
+  wait(job, ms) {
+    if (job.cancelled) return Promise.resolve();
+
+    return new Promise(resolve => {
+      const timer = setTimeout(done, ms);
+      function done() {
+        clearTimeout(timer);
+        job.wake = null;
+        resolve();
+      }
+      job.wake = done;
+    });
+  }
+
+  /**
+   * Drop everything that is queued or playing
+   */
+  clear() {
+    const jobs = [...this.queue];
+    this.queue = [];
+    if (this.current) jobs.push(this.current);
+
+    jobs.forEach(job => {
+      job.cancelled = true;
+      if (job.wake) job.wake();
+      job.resolve({ success: false, failures: 0, dropped: true, message: 'Cleared' });
+    });
+  }
+
+  get isIdle() {
+    return !this.running && this.queue.length === 0;
+  }
+}
+
+export default HapticSequencer;
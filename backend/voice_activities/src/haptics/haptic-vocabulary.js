@@ -0,0 +1,237 @@
+/**
+ * Haptic Vocabulary
+ * Teacher-defined vibration patterns and the app events they are mapped to
+ * Persisted to localStorage so the React app and the voice activities
+ * (served from the same origin) share one vocabulary
+ */
+
+import { MOTOR, HAPTIC_PATTERNS, HAPTIC_EVENTS } from './haptic-patterns.js';
+
+const STORAGE_KEY = 'haptic_vocabulary_v1';
+
+export const STEP_LIMITS = {
+  maxSteps: 12,
+  minDuration: 50,
+  maxDuration: 2000,
+  maxGap: 2000
+};
+
+const MOTORS = Object.values(MOTOR);
+
+/**
+ * Turn a display name into a pattern id ("Two quick taps" -> "two-quick-taps")
+ */
+export function toPatternName(label) {
+  return String(label || '')
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Check a list of steps; returns an error message or null
+ */
+export function validateSteps(steps) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    return 'A pattern needs at least one step';
+  }
+  if (steps.length > STEP_LIMITS.maxSteps) {
+    return `A pattern can have at most ${STEP_LIMITS.maxSteps} steps`;
+  }
+
+  for (const [index, step] of steps.entries()) {
+    const label = `Step ${index + 1}`;
+    if (!MOTORS.includes(String(step.motor))) {
+      return `${label}: motor must be left, right or both`;
+    }
+    const duration = Number(step.duration);
+    if (!Number.isFinite(duration) ||
+        duration < STEP_LIMITS.minDuration || duration > STEP_LIMITS.maxDuration) {
+      return `${label}: duration must be ${STEP_LIMITS.minDuration}-${STEP_LIMITS.maxDuration} ms`;
+    }
+    const gap = Number(step.gap || 0);
+    if (!Number.isFinite(gap) || gap < 0 || gap > STEP_LIMITS.maxGap) {
+      return `${label}: gap must be 0-${STEP_LIMITS.maxGap} ms`;
+    }
+  }
+
+  return null;
+}
+
+function getStorage() {
+  try {
+    return globalThis.localStorage || null;
+  } catch {
+    return null; // storage disabled (privacy mode, sandboxed iframe)
+  }
+}
+
+export class HapticVocabulary {
+  constructor(options = {}) {
+    this.options = {
+      storage: getStorage(),
+      storageKey: STORAGE_KEY,
+      ...options
+    };
+
+    this.listeners = new Set();
+    this.state = this.load();
+
+    // Pick up edits saved in another tab or in the activities iframe
+    if (typeof window !== 'undefined' && window.addEventListener) {
+      window.addEventListener('storage', (event) => {
+        if (event.key !== this.options.storageKey) return;
+        this.state = this.load();
+        this.notify();
+      });
+    }
+  }
+
+  load() {
+    const empty = { patterns: {}, mapping: {} };
+    const storage = this.options.storage;
+    if (!storage) return empty;
+
+    try {
+      const raw = storage.getItem(this.options.storageKey);
+      if (raw) return { ...empty, ...JSON.parse(raw) };
+    } catch (e) {
+      console.warn('Failed to load haptic vocabulary', e);
+    }
+    return empty;
+  }
+
+  save() {
+    const storage = this.options.storage;
+    if (storage) {
+      try {
+        storage.setItem(this.options.storageKey, JSON.stringify(this.state));
+      } catch (e) {
+        console.warn('Failed to save haptic vocabulary', e);
+      }
+    }
+    this.notify();
+  }
+
+  /**
+   * Subscribe to changes; returns an unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach(listener => listener(this));
+  }
+
+  isBuiltIn(name) {
+    return Object.prototype.hasOwnProperty.call(HAPTIC_PATTERNS, name);
+  }
+
+  /**
+   * Steps of a built-in or custom pattern, or null
+   */
+  getPattern(name) {
+    return this.state.patterns[name] || HAPTIC_PATTERNS[name] || null;
+  }
+
+  /**
+   * All patterns as [{ name, steps, builtIn }]
+   */
+  listPatterns() {
+    const builtIn = Object.entries(HAPTIC_PATTERNS)
+      .map(([name, steps]) => ({ name, steps, builtIn: true }));
+    const custom = Object.entries(this.state.patterns)
+      .map(([name, steps]) => ({ name, steps, builtIn: false }));
+    return [...builtIn, ...custom];
+  }
+
+  /**
+   * Create or replace a custom pattern
+   * @throws {Error} when the name clashes with a built-in or the steps are invalid
+   */
+  savePattern(name, steps) {
+    const id = toPatternName(name);
+    if (!id) throw new Error('Pattern name is required');
+    if (this.isBuiltIn(id)) throw new Error(`"${id}" is a built-in pattern`);
+
+    const error = validateSteps(steps);
+    if (error) throw new Error(error);
+
+    this.state.patterns[id] = steps.map(step => ({
+      motor: String(step.motor),
+      duration: Number(step.duration),
+      gap: Number(step.gap || 0)
+    }));
+    this.save();
+    return id;
+  }
+
+  /**
+   * Remove a custom pattern; events mapped to it fall back to their default
+   */
+  deletePattern(name) {
+    if (!this.state.patterns[name]) return false;
+
+    delete this.state.patterns[name];
+    Object.keys(this.state.mapping).forEach(event => {
+      if (this.state.mapping[event] === name) delete this.state.mapping[event];
+    });
+    this.save();
+    return true;
+  }
+
+  /**
+   * Pattern name currently mapped to an app event
+   */
+  getMapping(event) {
+    const mapped = this.state.mapping[event];
+    if (mapped && this.getPattern(mapped)) return mapped;
+    return HAPTIC_EVENTS[event]?.pattern || null;
+  }
+
+  setMapping(event, patternName) {
+    if (!HAPTIC_EVENTS[event]) throw new Error(`Unknown haptic event: ${event}`);
+    if (!this.getPattern(patternName)) throw new Error(`Unknown haptic pattern: ${patternName}`);
+
+    if (patternName === HAPTIC_EVENTS[event].pattern) {
+      delete this.state.mapping[event];
+    } else {
+      this.state.mapping[event] = patternName;
+    }
+    this.save();
+  }
+
+  /**
+   * Resolve an app event to the steps and priority to play
+   * @returns {{pattern: string, steps: object[], priority: number} | null}
+   */
+  resolve(event) {
+    const definition = HAPTIC_EVENTS[event];
+    if (!definition) return null;
+
+    const pattern = this.getMapping(event);
+    return {
+      pattern,
+      steps: this.getPattern(pattern),
+      priority: definition.priority
+    };
+  }
+
+  /**
+   * Restore the default mapping (custom patterns are kept)
+   */
+  resetMapping() {
+    this.state.mapping = {};
+    this.save();
+  }
+}
+
+/**
+ * Shared vocabulary used by the haptic client
+ */
+export const vocabulary = new HapticVocabulary();
+
+export default vocabulary;
@@ -0,0 +1,104 @@
+/**
+ * Number Encoding
+ * Turns numbers into glove pulse sequences so students can "feel" them
+ * - N short pulses on both motors
+ * - Pulses are grouped by five with a longer pause between groups
+ * - Zero is a single tap on the right motor
+ */
+
+import { MOTOR } from './haptic-patterns.js';
+
+export const NUMBER_ENCODING = {
+  pulseDuration: 200,
+  pulseGap: 250,   // between pulses in a group
+  groupGap: 800,   // between groups of five
+  groupSize: 5,
+  maxNumber: 20    // longer sequences are too slow to count reliably
+};
+
+/**
+ * Operator cues played between the operands of an expression
+ */
+const OPERATOR_STEPS = {
+  '+': { motor: MOTOR.LEFT, duration: 400 },
+  '-': { motor: MOTOR.RIGHT, duration: 400 }
+};
+
+const NUMBER_WORDS = [
+  'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+  'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen',
+  'eighteen', 'nineteen', 'twenty'
+];
+
+/**
+ * Parse "7", "seven" or "seven apples" into 7; returns null for anything else
+ */
+export function parseNumber(text) {
+  const word = String(text ?? '').toLowerCase().trim().split(/\s+/)[0];
+  if (/^\d+$/.test(word)) return Number(word);
+
+  const index = NUMBER_WORDS.indexOf(word);
+  return index === -1 ? null : index;
+}
+
+/**
+ * Every number mentioned in a sentence, in order
+ * ("Sophie has three apples and gets 2 more" -> [3, 2])
+ */
+export function numbersInText(text) {
+  return String(text ?? '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .map(parseNumber)
+    .filter(n => n !== null);
+}
+
+/**
+ * Whether a number can be encoded
+ */
+export function canEncode(n) {
+  return Number.isInteger(n) && n >= 0 && n <= NUMBER_ENCODING.maxNumber;
+}
+
+/**
+ * Sequencer steps for a single number
+ * @param {number} n
+ * @returns {object[]} steps ({ motor, duration, gap })
+ * @throws {RangeError} when n cannot be encoded
+ */
+export function encodeNumber(n, encoding = NUMBER_ENCODING) {
+  if (!Number.isInteger(n) || n < 0 || n > encoding.maxNumber) {
+    throw new RangeError(`Cannot encode ${n} as pulses (0-${encoding.maxNumber})`);
+  }
+
+  if (n === 0) {
+    return [{ motor: MOTOR.RIGHT, duration: 100, gap: 0 }];
+  }
+
+  return Array.from({ length: n }, (_, i) => {
+    const isLast = i === n - 1;
+    const endsGroup = (i + 1) % encoding.groupSize === 0;
+    return {
+      motor: MOTOR.BOTH,
+      duration: encoding.pulseDuration,
+      gap: isLast ? 0 : endsGroup ? encoding.groupGap : encoding.pulseGap
+    };
+  });
+}
+
+/**
+ * Steps for "a op b" (op is '+' or '-'), e.g. 2 + 1:
+ * two pulses, left-motor cue, one pulse
+ */
+export function encodeExpression(a, operation, b, encoding = NUMBER_ENCODING) {
+  const operator = OPERATOR_STEPS[operation];
+  if (!operator) {
+    throw new RangeError(`Cannot encode operation ${operation}`);
+  }
+
+  const pause = { gap: encoding.groupGap };
+  const left = encodeNumber(a, encoding);
+  left[left.length - 1] = { ...left[left.length - 1], ...pause };
+
+  return [...left, { ...operator, ...pause }, ...encodeNumber(b, encoding)];
+}
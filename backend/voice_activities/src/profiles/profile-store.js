@@ -0,0 +1,243 @@
+/**
+ * Profile Store
+ * Login-free student profiles for shared classroom devices
+ * - The active profile id is kept under the existing 'studentId' key, so
+ *   progress, gamification and settings all key off the same student
+ * - Shared by the React app and the voice activities (same origin, same localStorage)
+ */
+
+import { learnerSettings } from '../settings/learner-settings.js';
+
+const STORAGE_KEY = 'student_profiles_v1';
+const STUDENT_KEY = 'studentId';
+
+export const AVATARS = ['🦊', '🐼', '🐢', '🦁', '🐸', '🐙', '🦄', '🐝', '🚀', '🌟', '🎈', '⚽'];
+
+export const GUEST_PROFILE = { id: 'guest', name: 'Guest', avatar: '👤' };
+
+export const NAME_MAX_LENGTH = 24;
+
+function getStorage() {
+  try {
+    return globalThis.localStorage || null;
+  } catch {
+    return null;
+  }
+}
+
+const normalizeName = (name) => String(name || '').toLowerCase().replace(/[^a-z0-9 ]+/g, ' ').replace(/\s+/g, ' ').trim();
+
+/**
+ * Turn a name into a profile id ("Amy Lee" -> "student-amy-lee-k3f9")
+ */
+function makeId(name) {
+  const slug = normalizeName(name).replace(/ /g, '-') || 'student';
+  return `student-${slug}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+export class ProfileStore {
+  constructor(options = {}) {
+    this.options = {
+      storage: getStorage(),
+      ...options
+    };
+
+    this.listeners = new Set();
+    this.profiles = this.load();
+    this.activeId = this.readActiveId();
+    this.adoptLegacyStudent();
+
+    // Follow profile switches made in another tab or in the activities iframe
+    if (typeof window !== 'undefined' && window.addEventListener) {
+      window.addEventListener('storage', (event) => {
+        if (event.key === STORAGE_KEY) {
+          this.profiles = this.load();
+          this.notify();
+        } else if (event.key === STUDENT_KEY) {
+          this.activeId = this.readActiveId();
+          this.notify();
+        }
+      });
+    }
+  }
+
+  load() {
+    const storage = this.options.storage;
+    if (!storage) return [];
+
+    try {
+      const raw = storage.getItem(STORAGE_KEY);
+      if (raw) return JSON.parse(raw);
+    } catch (e) {
+      console.warn('Failed to load student profiles', e);
+    }
+    return [];
+  }
+
+  save() {
+    const storage = this.options.storage;
+    if (storage) {
+      try {
+        storage.setItem(STORAGE_KEY, JSON.stringify(this.profiles));
+      } catch (e) {
+        console.warn('Failed to save student profiles', e);
+      }
+    }
+    this.notify();
+  }
+
+  readActiveId() {
+    try {
+      return this.options.storage?.getItem(STUDENT_KEY) || GUEST_PROFILE.id;
+    } catch {
+      return GUEST_PROFILE.id;
+    }
+  }
+
+  /**
+   * Older builds stored a random 'student-<timestamp>' id; keep its progress
+   * by turning it into a profile the student can rename
+   */
+  adoptLegacyStudent() {
+    if (this.activeId === GUEST_PROFILE.id || this.get(this.activeId)) return;
+    this.profiles.push({ id: this.activeId, name: 'Student', avatar: GUEST_PROFILE.avatar, createdAt: Date.now() });
+    this.save();
+  }
+
+  list() {
+    return this.profiles;
+  }
+
+  get(id) {
+    return this.profiles.find(p => p.id === id) || null;
+  }
+
+  /**
+   * Active profile, or the guest profile when nobody is selected
+   */
+  get active() {
+    return this.get(this.activeId) || GUEST_PROFILE;
+  }
+
+  get isGuest() {
+    return this.activeId === GUEST_PROFILE.id;
+  }
+
+  /**
+   * Create a profile
+   * @param {{name: string, avatar?: string}} profile
+   * @returns {object} the new profile
+   * @throws {Error} when the name is empty or already taken
+   */
+  create({ name, avatar }) {
+    const cleanName = String(name || '').trim().slice(0, NAME_MAX_LENGTH);
+    if (!cleanName) {
+      throw new Error('Please enter a name');
+    }
+    if (this.findByName(cleanName, { exact: true })) {
+      throw new Error(`There is already a profile called ${cleanName}`);
+    }
+
+    const profile = {
+      id: makeId(cleanName),
+      name: cleanName,
+      avatar: AVATARS.includes(avatar) ? avatar : AVATARS[this.profiles.length % AVATARS.length],
+      createdAt: Date.now()
+    };
+    this.profiles.push(profile);
+    this.save();
+    return profile;
+  }
+
+  update(id, patch) {
+    const profile = this.get(id);
+    if (!profile) return null;
+
+    if (patch.name !== undefined) {
+      const cleanName = String(patch.name).trim().slice(0, NAME_MAX_LENGTH);
+      if (!cleanName) throw new Error('Please enter a name');
+      const other = this.findByName(cleanName, { exact: true });
+      if (other && other.id !== id) throw new Error(`There is already a profile called ${cleanName}`);
+      profile.name = cleanName;
+    }
+    if (AVATARS.includes(patch.avatar)) profile.avatar = patch.avatar;
+
+    this.save();
+    return profile;
+  }
+
+  /**
+   * Delete a profile; progress stored under its id is left in place
+   */
+  remove(id) {
+    const before = this.profiles.length;
+    this.profiles = this.profiles.filter(p => p.id !== id);
+    if (this.profiles.length === before) return false;
+
+    if (this.activeId === id) this.select(GUEST_PROFILE.id);
+    this.save();
+    return true;
+  }
+
+  /**
+   * Make a profile the active student (GUEST_PROFILE.id signs out)
+   */
+  select(id) {
+    const nextId = id && (id === GUEST_PROFILE.id || this.get(id)) ? id : GUEST_PROFILE.id;
+    const storage = this.options.storage;
+    try {
+      if (nextId === GUEST_PROFILE.id) storage?.removeItem(STUDENT_KEY);
+      else storage?.setItem(STUDENT_KEY, nextId);
+    } catch (e) {
+      console.warn('Failed to store active student', e);
+    }
+
+    this.activeId = nextId;
+    // storage events only reach other documents, so switch this one's settings directly
+    learnerSettings.setStudent(nextId);
+    this.notify();
+    return this.active;
+  }
+
+  signOut() {
+    return this.select(GUEST_PROFILE.id);
+  }
+
+  /**
+   * Find the profile whose name was spoken ("it's Amy", "Amy Lee")
+   * @param {string} text - transcript or typed name
+   * @param {{exact?: boolean}} [options] - exact: whole-name match only
+   */
+  findByName(text, { exact = false } = {}) {
+    const spoken = normalizeName(text);
+    if (!spoken) return null;
+
+    const exactMatch = this.profiles.find(p => normalizeName(p.name) === spoken);
+    if (exactMatch || exact) return exactMatch || null;
+
+    // Longest name first, so "Amy Lee" wins over "Amy"
+    const padded = ` ${spoken} `;
+    return [...this.profiles]
+      .sort((a, b) => b.name.length - a.name.length)
+      .find(p => padded.includes(` ${normalizeName(p.name)} `)) || null;
+  }
+
+  /**
+   * Subscribe to changes; returns an unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach(listener => listener(this.active));
+  }
+}
+
+/**
+ * Shared profile store
+ */
+export const profiles = new ProfileStore();
+
+export default profiles;
@@ -0,0 +1,272 @@
+/**
+ * Learner Settings
+ * Haptic, speech, ChatBot input and voice command preferences of the current student
+ * Shared by the React app and the voice activities (same origin, same localStorage)
+ */
+
+import { HAPTIC_PRIORITY } from '../haptics/haptic-sequencer.js';
+import { sanitizePhrases } from '../audio/command-grammar.js';
+
+const STORAGE_PREFIX = 'learner_settings_v1';
+const STUDENT_KEY = 'studentId';
+const GUEST_ID = 'guest';
+
+export const VERBOSITY_LEVELS = ['brief', 'normal', 'detailed'];
+
+/**
+ * How the ChatBot listens: always-on wake word, hold-to-talk (key or glove button), or no microphone
+ */
+export const INPUT_MODES = ['wake', 'push', 'typing'];
+
+/**
+ * Haptic event classes, one per sequencer priority
+ */
+export const HAPTIC_CLASSES = {
+  hover: HAPTIC_PRIORITY.HOVER,
+  notify: HAPTIC_PRIORITY.NOTIFY,
+  feedback: HAPTIC_PRIORITY.FEEDBACK,
+  alert: HAPTIC_PRIORITY.ALERT
+};
+
+export const DEFAULT_SETTINGS = {
+  haptics: {
+    enabled: true,
+    hover: true,
+    notify: true,
+    feedback: true,
+    alert: true,
+    feelNumbers: false    // pulse question numbers and the right answer (activities with hapticNumbers)
+  },
+  speech: {
+    voiceURI: null,       // null = each module picks its own voice
+    rate: 1,              // multiplier on each module's normal rate
+    pitch: 1,             // multiplier on each module's normal pitch
+    volume: 1,
+    verbosity: 'normal'
+  },
+  chat: {
+    inputMode: 'wake'
+  },
+  commands: {}            // command id -> the student's own phrases (see CommandGrammar)
+};
+
+const LIMITS = {
+  rate: [0.5, 2],
+  pitch: [0.5, 2],
+  volume: [0, 1]
+};
+
+const clamp = (value, [min, max]) => Math.min(max, Math.max(min, value));
+
+function getStorage() {
+  try {
+    return globalThis.localStorage || null;
+  } catch {
+    return null;
+  }
+}
+
+function merge(base, patch = {}) {
+  return {
+    haptics: { ...base.haptics, ...patch.haptics },
+    speech: { ...base.speech, ...patch.speech },
+    chat: { ...base.chat, ...patch.chat },
+    commands: { ...base.commands, ...patch.commands }
+  };
+}
+
+export class LearnerSettings {
+  constructor(options = {}) {
+    this.options = {
+      storage: getStorage(),
+      ...options
+    };
+
+    this.listeners = new Set();
+    this.studentId = this.options.studentId || this.readStudentId();
+    this.settings = this.load();
+
+    // Follow edits and profile switches made in another tab or in the activities iframe
+    if (typeof window !== 'undefined' && window.addEventListener) {
+      window.addEventListener('storage', (event) => {
+        if (event.key === STUDENT_KEY) {
+          this.setStudent(this.readStudentId());
+        } else if (event.key === this.storageKey) {
+          this.settings = this.load();
+          this.notify();
+        }
+      });
+    }
+  }
+
+  readStudentId() {
+    try {
+      return this.options.storage?.getItem(STUDENT_KEY) || GUEST_ID;
+    } catch {
+      return GUEST_ID;
+    }
+  }
+
+  get storageKey() {
+    return `${STORAGE_PREFIX}:${this.studentId}`;
+  }
+
+  load() {
+    const storage = this.options.storage;
+    if (!storage) return merge(DEFAULT_SETTINGS);
+
+    try {
+      const raw = storage.getItem(this.storageKey);
+      if (raw) return this.sanitize(merge(DEFAULT_SETTINGS, JSON.parse(raw)));
+    } catch (e) {
+      console.warn('Failed to load learner settings', e);
+    }
+    return merge(DEFAULT_SETTINGS);
+  }
+
+  save() {
+    const storage = this.options.storage;
+    if (storage) {
+      try {
+        storage.setItem(this.storageKey, JSON.stringify(this.settings));
+      } catch (e) {
+        console.warn('Failed to save learner settings', e);
+      }
+    }
+    this.notify();
+  }
+
+  sanitize(settings) {
+    const speech = settings.speech;
+    speech.rate = clamp(Number(speech.rate) || 1, LIMITS.rate);
+    speech.pitch = clamp(Number(speech.pitch) || 1, LIMITS.pitch);
+    speech.volume = clamp(Number(speech.volume ?? 1), LIMITS.volume);
+    if (!VERBOSITY_LEVELS.includes(speech.verbosity)) speech.verbosity = 'normal';
+    if (!INPUT_MODES.includes(settings.chat.inputMode)) settings.chat.inputMode = 'wake';
+
+    // An empty or null phrase list means "back to the default phrases"
+    Object.keys(settings.commands).forEach((id) => {
+      const phrases = sanitizePhrases(settings.commands[id]);
+      if (phrases.length) settings.commands[id] = phrases;
+      else delete settings.commands[id];
+    });
+    return settings;
+  }
+
+  /**
+   * Switch to another student's settings
+   */
+  setStudent(studentId) {
+    const id = studentId || GUEST_ID;
+    if (id === this.studentId) return;
+    this.studentId = id;
+    this.settings = this.load();
+    this.notify();
+  }
+
+  /**
+   * Current settings; treat as read-only, use update() to change
+   */
+  get() {
+    return this.settings;
+  }
+
+  /**
+   * Merge a partial update, e.g. update({ speech: { rate: 1.2 } })
+   * or update({ commands: { send: ['ask it'] } })
+   */
+  update(patch) {
+    this.settings = this.sanitize(merge(this.settings, patch));
+    this.save();
+    return this.settings;
+  }
+
+  reset() {
+    this.settings = merge(DEFAULT_SETTINGS);
+    this.save();
+    return this.settings;
+  }
+
+  /**
+   * Subscribe to changes; returns an unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach(listener => listener(this.settings));
+  }
+
+  /**
+   * Whether haptics of the given sequencer priority may play
+   */
+  allowsHaptic(priority) {
+    const haptics = this.settings.haptics;
+    if (!haptics.enabled) return false;
+
+    const name = Object.keys(HAPTIC_CLASSES).find(key => HAPTIC_CLASSES[key] === priority);
+    return name ? haptics[name] !== false : true;
+  }
+
+  /**
+   * Speech parameters for a module whose normal values are `base`
+   * @param {{rate?: number, pitch?: number, volume?: number}} [base]
+   */
+  speechParams(base = {}) {
+    const speech = this.settings.speech;
+    return {
+      rate: clamp((base.rate ?? 1) * speech.rate, [0.1, 10]),
+      pitch: clamp((base.pitch ?? 1) * speech.pitch, [0, 2]),
+      volume: clamp((base.volume ?? 1) * speech.volume, [0, 1]),
+      voiceURI: speech.voiceURI
+    };
+  }
+
+  /**
+   * Apply rate, pitch, volume and the chosen voice to an utterance
+   */
+  applySpeech(utterance, base = {}) {
+    const params = this.speechParams(base);
+    utterance.rate = params.rate;
+    utterance.pitch = params.pitch;
+    utterance.volume = params.volume;
+
+    if (params.voiceURI && typeof window !== 'undefined' && window.speechSynthesis) {
+      const voice = window.speechSynthesis.getVoices().find(v => v.voiceURI === params.voiceURI);
+      if (voice) utterance.voice = voice;
+    }
+    return utterance;
+  }
+
+  /**
+   * Whether activities pulse numbers on the glove for this student
+   */
+  get feelNumbers() {
+    return this.settings.haptics.enabled && this.settings.haptics.feelNumbers === true;
+  }
+
+  get inputMode() {
+    return this.settings.chat.inputMode;
+  }
+
+  get verbosity() {
+    return this.settings.speech.verbosity;
+  }
+
+  /**
+   * Pick the wording for the current verbosity
+   * @param {{brief?: string, normal: string, detailed?: string}} variants
+   */
+  byVerbosity(variants) {
+    return variants[this.verbosity] ?? variants.normal;
+  }
+}
+
+/**
+ * Shared settings instance
+ */
+export const learnerSettings = new LearnerSettings();
+
+export default learnerSettings;
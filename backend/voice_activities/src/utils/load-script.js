@@ -0,0 +1,35 @@
+/**
+ * Script Loader
+ * Loads a classic (non-module) browser bundle that defines a global, once per page
+ * Used for the offline speech engines, which ship as UMD bundles
+ */
+
+const loading = new Map();
+
+/**
+ * @param {string} url
+ * @param {string} globalName - global the bundle defines, e.g. 'Vosk'
+ * @returns {Promise<any>} the global
+ */
+export function loadScript(url, globalName) {
+  if (window[globalName]) return Promise.resolve(window[globalName]);
+
+  if (!loading.has(url)) {
+    const promise = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = url;
+      script.async = true;
+      script.onload = () => (window[globalName]
+        ? resolve(window[globalName])
+        : reject(new Error(`${url} did not define ${globalName}`)));
+      script.onerror = () => reject(new Error(`Could not load ${url}`));
+      document.head.appendChild(script);
+    });
+    // Forget failures so the next attempt can retry
+    promise.catch(() => loading.delete(url));
+    loading.set(url, promise);
+  }
+  return loading.get(url);
+}
+
+export default loadScript;
@@ -0,0 +1,117 @@
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { AbilityStore } from '../src/adaptive-engine/ability-store.js';
+
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, value),
+    removeItem: (key) => items.delete(key)
+  };
+}
+
+// A backend holding one progress row, or answering POSTs with the next version
+function backend({ row = null, version = 1 } = {}) {
+  globalThis.fetch = async (url, init = {}) => {
+    if (init.method === 'POST') {
+      return { ok: true, json: async () => ({ status: 'updated', ability_version: version }) };
+    }
+    return row ? { ok: true, json: async () => row } : { ok: false, status: 404 };
+  };
+}
+
+const progressRow = (fields) => ({
+  student_id: 's1', activity_id: 'basic-math',
+  ability: 0, standard_error: 0.5, attempts: 0, correct_count: 0, xp_earned: 0, level: 1,
+  ability_version: 0, last_updated: '2099-01-01 00:00:00',
+  ...fields
+});
+
+const localState = (fields) => ({
+  abilityEstimate: 1.4,
+  standardError: 0.35,
+  scale: 'theta',
+  summary: { responses: 12, correct: 9, averageResponseTime: 4, averageConfidence: 0.7 },
+  ...fields
+});
+
+const originalFetch = globalThis.fetch;
+afterEach(() => { globalThis.fetch = originalFetch; });
+
+describe('AbilityStore.load', () => {
+  test('a row holding only XP does not replace the local estimate', async () => {
+    const store = new AbilityStore({ storage: memoryStorage() });
+    store.saveLocal('s1', 'basic-math', localState({ version: 0 }));
+    backend({ row: progressRow({ xp_earned: 120 }) });
+
+    const state = await store.load('s1', 'basic-math');
+    assert.equal(state.abilityEstimate, 1.4);
+  });
+
+  test('a row holding only XP is no saved state for a new device', async () => {
+    const store = new AbilityStore({ storage: memoryStorage() });
+    backend({ row: progressRow({ xp_earned: 120 }) });
+    assert.equal(await store.load('s1', 'basic-math'), null);
+  });
+
+  test('a higher server version wins, keeping local-only details', async () => {
+    const store = new AbilityStore({ storage: memoryStorage() });
+    store.saveLocal('s1', 'basic-math', localState({ version: 2, skills: { addition: 1.1 } }));
+    backend({ row: progressRow({ ability: 2.1, standard_error: 0.3, attempts: 20, correct_count: 15, ability_version: 3 }) });
+
+    const state = await store.load('s1', 'basic-math');
+    assert.equal(state.abilityEstimate, 2.1);
+    assert.equal(state.version, 3);
+    assert.deepEqual(state.skills, { addition: 1.1 });
+    assert.equal(state.summary.responses, 20);
+    assert.equal(state.summary.averageResponseTime, 4);
+  });
+
+  test('the same server version keeps the local copy, whatever the timestamps', async () => {
+    const store = new AbilityStore({ storage: memoryStorage() });
+    store.saveLocal('s1', 'basic-math', localState({ version: 3, updatedAt: 0 }));
+    backend({ row: progressRow({ ability: 2.1, ability_version: 3 }) });
+
+    const state = await store.load('s1', 'basic-math');
+    assert.equal(state.abilityEstimate, 1.4);
+  });
+});
+
+describe('AbilityStore.loadLocal', () => {
+  test('a state saved on the level scale is moved onto the θ scale', () => {
+    const store = new AbilityStore({ storage: memoryStorage() });
+    store.saveLocal('s1', 'basic-math', localState({
+      abilityEstimate: 3.5,
+      scale: undefined,
+      skills: { addition: { abilityEstimate: 2, standardError: 0.6, responses: 4, correct: 2 } }
+    }));
+
+    const state = store.loadLocal('s1', 'basic-math');
+    assert.equal(state.abilityEstimate, 0.5);
+    assert.equal(state.skills.addition.abilityEstimate, -1);
+    assert.equal(state.scale, 'theta');
+    assert.equal(store.loadLocal('s1', 'basic-math').abilityEstimate, 0.5);
+  });
+});
+
+describe('AbilityStore.save', () => {
+  test('records the version the backend assigned', async () => {
+    const store = new AbilityStore({ storage: memoryStorage() });
+    backend({ version: 5 });
+
+    const saved = await store.save('s1', 'basic-math', localState());
+    assert.equal(saved.version, 5);
+    assert.equal(store.loadLocal('s1', 'basic-math').version, 5);
+  });
+
+  test('an unsynced save keeps the last synced version', async () => {
+    const store = new AbilityStore({ storage: memoryStorage() });
+    store.saveLocal('s1', 'basic-math', localState({ version: 4 }));
+    globalThis.fetch = async () => { throw new Error('offline'); };
+
+    const saved = await store.save('s1', 'basic-math', localState({ abilityEstimate: 1.6 }));
+    assert.equal(saved.version, 4);
+    assert.equal(store.loadLocal('s1', 'basic-math').abilityEstimate, 1.6);
+  });
+});
@@ -0,0 +1,20 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { ANSWER_CORPUS, runCorpus } from '../src/answers/answer-corpus.js';
+
+describe('answer corpus', () => {
+  for (const [activityId, entries] of Object.entries(ANSWER_CORPUS)) {
+    test(`${activityId} answers get the expected verdicts`, () => {
+      const { total, failures } = runCorpus({ [activityId]: entries });
+      assert.equal(total, entries.length);
+      assert.deepEqual(failures, []);
+    });
+  }
+
+  test('a mismatch is reported as a failure', () => {
+    const { passed, failures } = runCorpus({ 'basic-math': [['q1_1', 'purple', 'exact']] });
+    assert.equal(passed, 0);
+    assert.equal(failures.length, 1);
+    assert.equal(failures[0].got, 'wrong');
+  });
+});
@@ -0,0 +1,190 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CommandGrammar,
+  DEFAULT_COMMANDS,
+  CONFIRM_TIMEOUT_MS
+} from '../src/audio/command-grammar.js';
+
+describe('DEFAULT_COMMANDS', () => {
+  const grammar = new CommandGrammar();
+
+  for (const [id, command] of Object.entries(DEFAULT_COMMANDS)) {
+    for (const phrase of command.phrases) {
+      test(`"${phrase}" runs ${id}`, () => {
+        assert.equal(grammar.match(phrase)?.id, id);
+      });
+    }
+  }
+
+  test('matches regardless of case and punctuation', () => {
+    assert.equal(grammar.match('Stop listening!')?.id, 'stop');
+    assert.equal(grammar.match('  READ the SOURCE, ')?.id, 'readSource');
+  });
+
+  test('a command at the end of an utterance fires', () => {
+    assert.equal(grammar.match('okay please close chat')?.id, 'close');
+  });
+
+  test('a command word inside a question does not fire', () => {
+    assert.equal(grammar.match('what is a clear solution'), null);
+    assert.equal(grammar.match('why do plants stop growing in winter'), null);
+  });
+
+  test('longer phrases win over their prefixes', () => {
+    assert.equal(grammar.match('stop speaking')?.id, 'mute');
+    assert.equal(grammar.match('start speaking')?.id, 'unmute');
+  });
+
+  test('send keeps the words before it as the question', () => {
+    assert.deepEqual(grammar.match('what is photosynthesis send'), {
+      id: 'send',
+      phrase: 'send',
+      payload: 'what is photosynthesis'
+    });
+  });
+
+  test('other commands drop the words before them', () => {
+    assert.equal(grammar.match('um repeat')?.payload, '');
+  });
+
+  test('only restricts the commands considered', () => {
+    assert.equal(grammar.match('close', { only: ['wake'] }), null);
+    assert.equal(grammar.match('hello', { only: ['wake'] })?.id, 'wake');
+  });
+
+  test('empty utterances match nothing', () => {
+    assert.equal(grammar.match(''), null);
+    assert.equal(grammar.match('?!'), null);
+  });
+});
+
+describe('wake word', () => {
+  const grammar = new CommandGrammar();
+
+  test('fires only as the whole utterance', () => {
+    assert.equal(grammar.match('hey chatbot')?.id, 'wake');
+    assert.equal(grammar.match('Hello!')?.id, 'wake');
+  });
+
+  test('does not fire at the end of a longer utterance', () => {
+    assert.equal(grammar.match('i said hello'), null);
+    assert.equal(grammar.match('can you say hi'), null);
+  });
+
+  test('does not fire at the start of a question', () => {
+    assert.equal(grammar.match('hey what is a cell'), null);
+  });
+});
+
+describe('clear confirmation', () => {
+  test('clear asks before it runs', () => {
+    const grammar = new CommandGrammar();
+    assert.deepEqual(grammar.interpret('clear chat', { now: 0 }), {
+      status: 'confirm',
+      id: 'clear',
+      prompt: DEFAULT_COMMANDS.clear.confirm
+    });
+  });
+
+  test('yes within the timeout runs it', () => {
+    const grammar = new CommandGrammar();
+    grammar.interpret('clear', { now: 0 });
+    assert.deepEqual(grammar.interpret('yes please', { now: CONFIRM_TIMEOUT_MS }), {
+      status: 'run',
+      id: 'clear',
+      payload: ''
+    });
+  });
+
+  test('no within the timeout cancels it', () => {
+    const grammar = new CommandGrammar();
+    grammar.interpret('clear', { now: 0 });
+    assert.deepEqual(grammar.interpret('no', { now: 1000 }), { status: 'cancelled', id: 'clear' });
+  });
+
+  test('yes after the timeout does nothing', () => {
+    const grammar = new CommandGrammar();
+    grammar.interpret('clear', { now: 0 });
+    assert.equal(grammar.interpret('yes', { now: CONFIRM_TIMEOUT_MS + 1 }), null);
+  });
+
+  test('the question is asked once: a later yes does nothing', () => {
+    const grammar = new CommandGrammar();
+    grammar.interpret('clear', { now: 0 });
+    assert.equal(grammar.interpret('what is a cell', { now: 100 }), null);
+    assert.equal(grammar.interpret('yes', { now: 200 }), null);
+  });
+
+  test('another command in place of an answer runs that command', () => {
+    const grammar = new CommandGrammar();
+    grammar.interpret('clear', { now: 0 });
+    assert.equal(grammar.interpret('repeat', { now: 100 })?.id, 'repeat');
+  });
+
+  test('the confirmTimeout option shortens the window', () => {
+    const grammar = new CommandGrammar({}, { confirmTimeout: 500 });
+    grammar.interpret('clear', { now: 0 });
+    assert.equal(grammar.interpret('yes', { now: 501 }), null);
+  });
+});
+
+describe('setCustom', () => {
+  test('custom phrases replace the defaults of that command', () => {
+    const grammar = new CommandGrammar({ send: ['ask it'] });
+    assert.deepEqual(grammar.match('what is a cell ask it'), {
+      id: 'send',
+      phrase: 'ask it',
+      payload: 'what is a cell'
+    });
+    assert.equal(grammar.match('what is a cell send'), null);
+    assert.equal(grammar.isCustomized('send'), true);
+  });
+
+  test('other commands keep their defaults', () => {
+    const grammar = new CommandGrammar({ send: ['ask it'] });
+    assert.equal(grammar.match('repeat')?.id, 'repeat');
+    assert.equal(grammar.isCustomized('repeat'), false);
+  });
+
+  test('phrases are cleaned and deduplicated', () => {
+    const grammar = new CommandGrammar();
+    grammar.setCustom({ repeat: ['Again!', 'again', '  '] });
+    assert.deepEqual(grammar.phrases('repeat'), ['again']);
+  });
+
+  test('unknown commands and empty lists are ignored', () => {
+    const grammar = new CommandGrammar({ dance: ['dance'], stop: [] });
+    assert.equal(grammar.match('dance'), null);
+    assert.deepEqual(grammar.phrases('stop'), DEFAULT_COMMANDS.stop.phrases);
+  });
+
+  test('calling it again replaces the earlier overrides', () => {
+    const grammar = new CommandGrammar({ send: ['ask it'] });
+    grammar.setCustom({});
+    assert.equal(grammar.match('what is a cell send')?.id, 'send');
+  });
+
+  test('custom wake phrases still need the whole utterance', () => {
+    const grammar = new CommandGrammar({ wake: ['wake up buddy'] });
+    assert.equal(grammar.match('wake up buddy')?.id, 'wake');
+    assert.equal(grammar.match('please wake up buddy'), null);
+  });
+
+  test('custom confirmed commands still ask first', () => {
+    const grammar = new CommandGrammar({ clear: ['wipe'] });
+    assert.equal(grammar.interpret('wipe', { now: 0 })?.status, 'confirm');
+  });
+
+  test('conflict names the command that owns a phrase', () => {
+    const grammar = new CommandGrammar({ send: ['ask it'] });
+    assert.equal(grammar.conflict('repeat', 'Ask it'), 'send');
+    assert.equal(grammar.conflict('send', 'ask it'), null);
+  });
+
+  test('list reports active phrases and overrides', () => {
+    const grammar = new CommandGrammar({ send: ['ask it'] });
+    const send = grammar.list().find(command => command.id === 'send');
+    assert.deepEqual(send, { id: 'send', label: 'Send question', phrases: ['ask it'], confirm: false, customized: true });
+  });
+});
@@ -0,0 +1,126 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { HapticClient, HAPTIC_PRIORITY } from '../src/haptics/haptic-client.js';
+import { HapticSequencer } from '../src/haptics/haptic-sequencer.js';
+import { HapticVocabulary } from '../src/haptics/haptic-vocabulary.js';
+import { LearnerSettings } from '../src/settings/learner-settings.js';
+
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, value),
+    removeItem: (key) => items.delete(key)
+  };
+}
+
+// A client in record mode with its own vocabulary and settings; steps without a duration take 1 ms
+function recordingClient(options = {}) {
+  const client = new HapticClient({
+    mode: 'record',
+    vocabulary: new HapticVocabulary({ storage: memoryStorage() }),
+    settings: new LearnerSettings({ storage: memoryStorage(), studentId: 'test' }),
+    ...options
+  });
+  client.sequencer = new HapticSequencer(step => client.sendStep(step), { defaultDuration: 1 });
+  return client;
+}
+
+const commands = (client) => client.getRecorded().map(({ timestamp, ...command }) => command);
+
+describe('HapticClient', () => {
+  test('record mode keeps the commands instead of sending them', async () => {
+    const client = recordingClient({ fetch: () => assert.fail('fetch must not be called') });
+    const result = await client.play('wrong');
+
+    assert.equal(result.success, true);
+    assert.equal(result.pattern, 'wrong');
+    assert.deepEqual(commands(client), [
+      { endpoint: 'motor', command: '3' },
+      { endpoint: 'motor', command: '3' }
+    ]);
+
+    client.clearRecorded();
+    assert.deepEqual(client.getRecorded(), []);
+  });
+
+  test('firmware patterns go to the haptic-pattern endpoint', async () => {
+    const client = recordingClient();
+    await client.playSteps([{ pattern: 'long', duration: 1 }]);
+    assert.deepEqual(commands(client), [{ endpoint: 'haptic-pattern', pattern: 'long' }]);
+  });
+
+  test('noop mode accepts commands and keeps nothing', async () => {
+    const client = recordingClient({ mode: 'noop' });
+    assert.equal((await client.play('correct')).success, true);
+    assert.deepEqual(client.getRecorded(), []);
+  });
+
+  test('unknown modes are refused', () => {
+    assert.throws(() => recordingClient().configure({ mode: 'loud' }), /Unknown haptic mode/);
+  });
+
+  test('events play the pattern the vocabulary maps them to', async () => {
+    const client = recordingClient();
+    client.vocabulary.savePattern('Left tap', [{ motor: '1', duration: 100 }]);
+    client.vocabulary.setMapping('answer-correct', 'left-tap');
+
+    const result = await client.trigger('answer-correct');
+    assert.equal(result.pattern, 'left-tap');
+    assert.deepEqual(commands(client), [{ endpoint: 'motor', command: '1' }]);
+  });
+
+  test('unknown patterns and events fail without playing', async () => {
+    const client = recordingClient();
+    assert.equal((await client.play('fanfare')).success, false);
+    assert.equal((await client.trigger('fanfare')).success, false);
+    assert.deepEqual(client.getRecorded(), []);
+  });
+
+  test('classes the student turned off are skipped', async () => {
+    const client = recordingClient();
+    client.options.settings.update({ haptics: { notify: false } });
+
+    assert.equal((await client.trigger('chat-reply')).skipped, true);
+    assert.deepEqual(client.getRecorded(), []);
+
+    await client.trigger('answer-correct');
+    assert.equal(client.getRecorded().length, 1);
+  });
+
+  test('turning haptics off skips every class', async () => {
+    const client = recordingClient();
+    client.options.settings.update({ haptics: { enabled: false } });
+
+    const result = await client.playSteps([{ motor: '3' }], { priority: HAPTIC_PRIORITY.ALERT });
+    assert.equal(result.skipped, true);
+    assert.deepEqual(client.getRecorded(), []);
+  });
+
+  test('force plays even when the class is off', async () => {
+    const client = recordingClient();
+    client.options.settings.update({ haptics: { enabled: false } });
+
+    const result = await client.playSteps([{ motor: '2' }], { force: true });
+    assert.equal(result.skipped, undefined);
+    assert.deepEqual(commands(client), [{ endpoint: 'motor', command: '2' }]);
+  });
+
+  test('numbers out of range fail without playing', async () => {
+    const client = recordingClient();
+    assert.equal((await client.playNumber(21)).success, false);
+    assert.deepEqual(client.getRecorded(), []);
+  });
+
+  test('live mode reports an unreachable backend without rejecting', async () => {
+    const client = recordingClient({
+      mode: 'live',
+      fetch: async () => { throw new Error('connection refused'); }
+    });
+    const result = await client.pulse();
+
+    assert.equal(result.success, false);
+    assert.match(result.message, /not reachable/);
+    assert.match(client.lastError.message, /connection refused/);
+  });
+});
@@ -0,0 +1,105 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { HapticSequencer, HAPTIC_PRIORITY } from '../src/haptics/haptic-sequencer.js';
+
+const FAST = { defaultDuration: 5, pulseLength: 5 };
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A sequencer whose glove notes the label of every step it plays
+function recording(options = {}, delay = 0) {
+  const played = [];
+  const sequencer = new HapticSequencer(async (step) => {
+    played.push(step.label);
+    if (delay) await sleep(delay);
+    return { success: true };
+  }, { ...FAST, ...options });
+  return { sequencer, played };
+}
+
+const steps = (...labels) => labels.map(label => ({ motor: '3', label }));
+
+describe('HapticSequencer', () => {
+  test('plays queued jobs by priority, first come first served within one', async () => {
+    const { sequencer, played } = recording();
+    const jobs = [
+      sequencer.enqueue(steps('alert'), { priority: HAPTIC_PRIORITY.ALERT }),
+      sequencer.enqueue(steps('notify 1'), { priority: HAPTIC_PRIORITY.NOTIFY }),
+      sequencer.enqueue(steps('feedback'), { priority: HAPTIC_PRIORITY.FEEDBACK }),
+      sequencer.enqueue(steps('notify 2'), { priority: HAPTIC_PRIORITY.NOTIFY })
+    ];
+    await Promise.all(jobs);
+    assert.deepEqual(played, ['alert', 'feedback', 'notify 1', 'notify 2']);
+  });
+
+  test('repeats a motor step for each firmware pulse it lasts', async () => {
+    const { sequencer, played } = recording();
+    await sequencer.enqueue([{ motor: '1', label: 'long', duration: 15 }]);
+    assert.deepEqual(played, ['long', 'long', 'long']);
+  });
+
+  test('a preempted cue is replayed from the start after the urgent one', async () => {
+    const { sequencer, played } = recording({}, 10);
+    const notify = sequencer.enqueue(steps('n1', 'n2'), { priority: HAPTIC_PRIORITY.NOTIFY });
+    const feedback = sequencer.enqueue(steps('f'), { priority: HAPTIC_PRIORITY.FEEDBACK });
+
+    assert.equal((await feedback).success, true);
+    assert.equal((await notify).success, true);
+    assert.deepEqual(played, ['n1', 'f', 'n1', 'n2']);
+  });
+
+  test('a cue is preempted once while its step is still being sent', async () => {
+    const { sequencer, played } = recording({}, 50);
+    const notify = sequencer.enqueue(steps('n'), { priority: HAPTIC_PRIORITY.NOTIFY });
+    const first = sequencer.enqueue(steps('f1'), { priority: HAPTIC_PRIORITY.FEEDBACK });
+    const second = sequencer.enqueue(steps('f2'), { priority: HAPTIC_PRIORITY.FEEDBACK });
+
+    await Promise.all([notify, first, second]);
+    assert.deepEqual(played, ['n', 'f1', 'f2', 'n']);
+    assert.equal(sequencer.isIdle, true);
+  });
+
+  test('a preempted hover pulse is dropped', async () => {
+    const { sequencer, played } = recording({}, 10);
+    const hover = sequencer.enqueue(steps('hover'), { priority: HAPTIC_PRIORITY.HOVER, key: 'hover' });
+    const notify = sequencer.enqueue(steps('notify'), { priority: HAPTIC_PRIORITY.NOTIFY });
+
+    assert.equal((await hover).preempted, true);
+    await notify;
+    assert.deepEqual(played, ['hover', 'notify']);
+  });
+
+  test('hover pulses waiting together are coalesced into one', async () => {
+    const { sequencer, played } = recording();
+    const alert = sequencer.enqueue(steps('alert'), { priority: HAPTIC_PRIORITY.ALERT });
+    const first = sequencer.enqueue(steps('hover'), { priority: HAPTIC_PRIORITY.HOVER, key: 'hover' });
+    const second = sequencer.enqueue(steps('hover'), { priority: HAPTIC_PRIORITY.HOVER, key: 'hover' });
+
+    await alert;
+    assert.equal((await first).coalesced, undefined);
+    assert.equal((await second).coalesced, true);
+    assert.deepEqual(played, ['alert', 'hover']);
+  });
+
+  test('hover pulses that waited too long are dropped', async () => {
+    const { sequencer, played } = recording({ maxHoverDelay: 5 });
+    const alert = sequencer.enqueue([{ motor: '3', label: 'alert', duration: 5, gap: 20 }], { priority: HAPTIC_PRIORITY.ALERT });
+    const hover = sequencer.enqueue(steps('hover'), { priority: HAPTIC_PRIORITY.HOVER, key: 'hover' });
+
+    await alert;
+    assert.equal((await hover).dropped, true);
+    assert.deepEqual(played, ['alert']);
+  });
+
+  test('clear drops queued and playing jobs', async () => {
+    const { sequencer, played } = recording({}, 10);
+    const playing = sequencer.enqueue(steps('a1', 'a2'));
+    const queued = sequencer.enqueue(steps('b'));
+    sequencer.clear();
+
+    assert.equal((await playing).dropped, true);
+    assert.equal((await queued).dropped, true);
+    await sleep(30);
+    assert.deepEqual(played, ['a1']);
+    assert.equal(sequencer.isIdle, true);
+  });
+});
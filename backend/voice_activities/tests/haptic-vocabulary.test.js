@@ -0,0 +1,111 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { HapticVocabulary, toPatternName, validateSteps } from '../src/haptics/haptic-vocabulary.js';
+import { HAPTIC_PATTERNS } from '../src/haptics/haptic-patterns.js';
+import { HAPTIC_PRIORITY } from '../src/haptics/haptic-sequencer.js';
+
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, value),
+    removeItem: (key) => items.delete(key)
+  };
+}
+
+describe('HapticVocabulary', () => {
+  test('custom patterns and mappings survive a reload', () => {
+    const storage = memoryStorage();
+    const first = new HapticVocabulary({ storage });
+    const id = first.savePattern('Two quick taps', [
+      { motor: 3, duration: '100', gap: 80 },
+      { motor: '3', duration: 100 }
+    ]);
+    first.setMapping('chat-reply', id);
+
+    const second = new HapticVocabulary({ storage });
+    assert.equal(id, 'two-quick-taps');
+    assert.deepEqual(second.getPattern(id), [
+      { motor: '3', duration: 100, gap: 80 },
+      { motor: '3', duration: 100, gap: 0 }
+    ]);
+    assert.equal(second.getMapping('chat-reply'), id);
+  });
+
+  test('a broken saved vocabulary falls back to the defaults', () => {
+    const storage = memoryStorage();
+    storage.setItem('haptic_vocabulary_v1', '{not json');
+    const original = console.warn;
+    console.warn = () => {};
+    try {
+      const vocabulary = new HapticVocabulary({ storage });
+      assert.equal(vocabulary.getMapping('answer-wrong'), 'wrong');
+    } finally {
+      console.warn = original;
+    }
+  });
+
+  test('works without storage', () => {
+    const vocabulary = new HapticVocabulary({ storage: null });
+    vocabulary.savePattern('buzz', [{ motor: '1', duration: 200 }]);
+    assert.ok(vocabulary.getPattern('buzz'));
+  });
+
+  test('built-in patterns cannot be replaced', () => {
+    const vocabulary = new HapticVocabulary({ storage: memoryStorage() });
+    assert.throws(() => vocabulary.savePattern('Correct', [{ motor: '3', duration: 200 }]), /built-in/);
+  });
+
+  test('resolve keeps the event priority whatever pattern is mapped', () => {
+    const vocabulary = new HapticVocabulary({ storage: memoryStorage() });
+    vocabulary.setMapping('detection-failed', 'chat-reply');
+    assert.deepEqual(vocabulary.resolve('detection-failed'), {
+      pattern: 'chat-reply',
+      steps: HAPTIC_PATTERNS['chat-reply'],
+      priority: HAPTIC_PRIORITY.ALERT
+    });
+    assert.equal(vocabulary.resolve('fanfare'), null);
+  });
+
+  test('deleting a pattern sends its events back to their default', () => {
+    const vocabulary = new HapticVocabulary({ storage: memoryStorage() });
+    vocabulary.savePattern('buzz', [{ motor: '1', duration: 200 }]);
+    vocabulary.setMapping('level-up', 'buzz');
+
+    assert.equal(vocabulary.deletePattern('buzz'), true);
+    assert.equal(vocabulary.getMapping('level-up'), 'level-up');
+    assert.equal(vocabulary.deletePattern('buzz'), false);
+  });
+
+  test('mapping an event to its default pattern clears the override', () => {
+    const storage = memoryStorage();
+    const vocabulary = new HapticVocabulary({ storage });
+    vocabulary.setMapping('badge-earned', 'correct');
+    vocabulary.setMapping('badge-earned', 'badge');
+    assert.deepEqual(JSON.parse(storage.getItem('haptic_vocabulary_v1')).mapping, {});
+  });
+
+  test('subscribers hear about every change', () => {
+    const vocabulary = new HapticVocabulary({ storage: memoryStorage() });
+    let calls = 0;
+    const unsubscribe = vocabulary.subscribe(() => calls++);
+    vocabulary.setMapping('exit', 'correct');
+    unsubscribe();
+    vocabulary.resetMapping();
+    assert.equal(calls, 1);
+  });
+});
+
+describe('pattern names and steps', () => {
+  test('names become lower-case ids', () => {
+    assert.equal(toPatternName('  Two Quick Taps! '), 'two-quick-taps');
+  });
+
+  test('steps are checked against the limits', () => {
+    assert.equal(validateSteps([{ motor: '3', duration: 200, gap: 0 }]), null);
+    assert.match(validateSteps([]), /at least one step/);
+    assert.match(validateSteps([{ motor: '4', duration: 200 }]), /motor/);
+    assert.match(validateSteps([{ motor: '1', duration: 10 }]), /duration/);
+    assert.match(validateSteps([{ motor: '1', duration: 200, gap: -1 }]), /gap/);
+  });
+});
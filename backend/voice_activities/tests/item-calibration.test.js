@@ -0,0 +1,66 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { calibrateItems, handDifficulties } from '../src/adaptive-engine/item-calibration.js';
+import { AdaptiveDifficultyEngine, IRT_DEFAULTS } from '../src/adaptive-engine/adaptive-difficulty-engine.js';
+import { probabilityCorrect, difficultyOfLevel } from '../src/adaptive-engine/irt.js';
+
+// Seeded random numbers in [0, 1) and N(0, 1) draws
+function random(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+}
+
+function normal(next) {
+  return Math.sqrt(-2 * Math.log(1 - next())) * Math.cos(2 * Math.PI * next());
+}
+
+const LEVELS = [1, 2, 3, 4, 5];
+// Three questions per level, so students' abilities are located well enough
+const activity = {
+  id: 'basic-math',
+  questionBank: LEVELS.flatMap(level => [1, 2, 3].map(k => ({ id: `q${level}_${k}`, difficulty: level })))
+};
+
+// Students answer by the 3PL model with every question at its level's θ difficulty
+function responses(students, seed) {
+  const next = random(seed);
+  const records = [];
+  for (let s = 0; s < students; s++) {
+    const ability = normal(next);
+    for (const question of activity.questionBank) {
+      const p = probabilityCorrect(ability, {
+        difficulty: difficultyOfLevel(question.difficulty),
+        discrimination: IRT_DEFAULTS.discrimination,
+        guessing: IRT_DEFAULTS.guessing
+      });
+      records.push({ studentId: `s${s}`, activityId: activity.id, questionId: question.id, correct: next() < p ? 1 : 0 });
+    }
+  }
+  return records;
+}
+
+describe('item calibration', () => {
+  test('hand difficulties are the levels of the questions that have one', () => {
+    const bank = { id: 'a', questionBank: [{ id: 'q1', difficulty: 2 }, { id: 'q2' }] };
+    assert.deepEqual(handDifficulties([bank]), { a: { q1: 2 } });
+  });
+
+  test('calibrated and uncalibrated questions of the same level land on the same difficulty', () => {
+    const { items } = calibrateItems(responses(600, 7), { handDifficulty: handDifficulties([activity]) });
+    const calibrated = new AdaptiveDifficultyEngine({ activityId: activity.id, itemParameters: items });
+    const uncalibrated = new AdaptiveDifficultyEngine({ activityId: activity.id, itemParameters: {} });
+
+    for (const level of LEVELS) {
+      const questions = activity.questionBank.filter(q => q.difficulty === level);
+      questions.forEach(q => assert.ok(items[activity.id][q.id], `${q.id} was calibrated`));
+
+      const fitted = questions.reduce((sum, q) => sum + calibrated.getItemParameters(q.id, level).difficulty, 0) / questions.length;
+      const hand = uncalibrated.getItemParameters(questions[0].id, level).difficulty;
+      // Closer than half a level: calibration keeps the question at its level
+      assert.ok(Math.abs(fitted - hand) < 0.4, `level ${level}: calibrated ${fitted.toFixed(2)}, uncalibrated ${hand}`);
+    }
+  });
+});
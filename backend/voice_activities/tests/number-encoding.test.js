@@ -0,0 +1,99 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  NUMBER_ENCODING, encodeNumber, encodeExpression, parseNumber, numbersInText, canEncode
+} from '../src/haptics/number-encoding.js';
+import { MOTOR } from '../src/haptics/haptic-patterns.js';
+import { ActivityLauncher } from '../src/activities/activity-launcher.js';
+import { LearnerSettings } from '../src/settings/learner-settings.js';
+
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, value),
+    removeItem: (key) => items.delete(key)
+  };
+}
+
+const gaps = (steps) => steps.map(step => step.gap);
+
+describe('encodeNumber', () => {
+  test('pulses are grouped by five', () => {
+    const { pulseGap: p, groupGap: g } = NUMBER_ENCODING;
+    const steps = encodeNumber(7);
+
+    assert.equal(steps.length, 7);
+    assert.ok(steps.every(step => step.motor === MOTOR.BOTH));
+    assert.deepEqual(gaps(steps), [p, p, p, p, g, p, 0]);
+  });
+
+  test('a multiple of five has no trailing group pause', () => {
+    const { pulseGap: p, groupGap: g } = NUMBER_ENCODING;
+    assert.deepEqual(gaps(encodeNumber(10)), [p, p, p, p, g, p, p, p, p, 0]);
+  });
+
+  test('zero is a single tap on the right motor', () => {
+    assert.deepEqual(encodeNumber(0), [{ motor: MOTOR.RIGHT, duration: 100, gap: 0 }]);
+  });
+
+  test('numbers outside 0-20 are rejected', () => {
+    assert.throws(() => encodeNumber(21), RangeError);
+    assert.throws(() => encodeNumber(-1), RangeError);
+    assert.throws(() => encodeNumber(2.5), RangeError);
+    assert.equal(canEncode(20), true);
+    assert.equal(canEncode(21), false);
+  });
+});
+
+describe('encodeExpression', () => {
+  test('operands are separated by the operator cue', () => {
+    const { groupGap: g } = NUMBER_ENCODING;
+    const steps = encodeExpression(2, '+', 1);
+
+    assert.equal(steps.length, 4);
+    assert.equal(steps[1].gap, g);
+    assert.deepEqual(steps[2], { motor: MOTOR.LEFT, duration: 400, gap: g });
+    assert.equal(steps[3].gap, 0);
+    assert.equal(encodeExpression(3, '-', 1)[3].motor, MOTOR.RIGHT);
+  });
+
+  test('unknown operations are rejected', () => {
+    assert.throws(() => encodeExpression(2, '*', 3), RangeError);
+  });
+});
+
+describe('number parsing', () => {
+  test('digits and number words are read', () => {
+    assert.equal(parseNumber('7'), 7);
+    assert.equal(parseNumber('Seven apples'), 7);
+    assert.equal(parseNumber('apples'), null);
+  });
+
+  test('every number in a sentence is found in order', () => {
+    assert.deepEqual(numbersInText('Sophie has three apples and gets 2 more'), [3, 2]);
+  });
+});
+
+describe('ActivityLauncher felt numbers', () => {
+  const activity = { id: 'basic-math', hapticNumbers: true };
+
+  test('follow the learner\'s Feel numbers setting', () => {
+    const settings = new LearnerSettings({ storage: memoryStorage(), studentId: 'test' });
+    const launcher = new ActivityLauncher(activity, 'test', 1, null, { settings });
+
+    assert.equal(launcher.canFeelNumbers(), false);
+    settings.update({ haptics: { feelNumbers: true } });
+    assert.equal(launcher.canFeelNumbers(), true);
+    settings.update({ haptics: { enabled: false } });
+    assert.equal(launcher.canFeelNumbers(), false);
+  });
+
+  test('need an activity whose numbers can be felt', () => {
+    const settings = new LearnerSettings({ storage: memoryStorage(), studentId: 'test' });
+    settings.update({ haptics: { feelNumbers: true } });
+    const launcher = new ActivityLauncher({ id: 'colors-and-shapes' }, 'test', 1, null, { settings });
+
+    assert.equal(launcher.canFeelNumbers(), false);
+  });
+});
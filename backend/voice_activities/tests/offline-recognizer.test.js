@@ -0,0 +1,44 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { OfflineRecognizer, buildGrammar, stripUnknownWords } from '../src/audio/offline-recognizer.js';
+
+// A recognizer mid-session, without microphone or model
+function listening() {
+  const recognizer = new OfflineRecognizer();
+  recognizer.running = true;
+  recognizer.continuous = true;
+  recognizer.results = [];
+  recognizer.onresult = (event) => recognizer.results.push(event.results[0]);
+  return recognizer;
+}
+
+describe('buildGrammar', () => {
+  test('spells out digits and adds the unknown-word token', () => {
+    assert.deepEqual(buildGrammar(['3', 'Three apples!']), ['three', 'three apples', '[unk]']);
+  });
+});
+
+describe('unknown words', () => {
+  test('are removed from transcripts', () => {
+    assert.equal(stripUnknownWords('[unk] three [unk]'), 'three');
+    assert.equal(stripUnknownWords('[unk] [unk]'), '');
+  });
+
+  test('a result of only [unk] is no speech', () => {
+    const recognizer = listening();
+    recognizer.handleResult({ text: '[unk]' });
+    recognizer.handlePartial({ partial: '[unk] [unk]' });
+    assert.deepEqual(recognizer.results, []);
+  });
+
+  test('in-grammar words around [unk] are kept', () => {
+    const recognizer = listening();
+    recognizer.handleResult({
+      text: '[unk] three',
+      result: [{ word: '[unk]', conf: 0.2 }, { word: 'three', conf: 0.9 }]
+    });
+    assert.equal(recognizer.results.length, 1);
+    assert.equal(recognizer.results[0][0].transcript, 'three');
+    assert.equal(recognizer.results[0][0].confidence, 0.9);
+  });
+});
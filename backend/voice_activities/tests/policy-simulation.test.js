@@ -0,0 +1,15 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { getActivityById } from '../src/activities/index.js';
+import { simulatePolicy, summarizeSimulation } from '../src/adaptive-engine/policy-simulation.js';
+
+describe('policy simulation', () => {
+  test('the engine estimate is unbiased for learners inside the question bank', async () => {
+    const activity = await getActivityById('counting-adventure');
+    const policy = { name: 'engine', type: 'engine', engine: { targetSuccessRate: 0.55 } };
+    const summary = summarizeSimulation(await simulatePolicy(activity, policy, { learners: 100 }));
+
+    assert.ok(Math.abs(summary.bias) < 0.2, `bias ${summary.bias.toFixed(2)}`);
+    assert.ok(Math.abs(summary.targetGap) < 0.1, `success rate ${summary.successRate.toFixed(2)}`);
+  });
+});
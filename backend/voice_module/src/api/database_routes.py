@@ -33,6 +33,11 @@ def create_student():
     else:
         return jsonify({'error': 'Student already exists'}), 409
 
+@db_api.route('/students', methods=['GET'])
+def list_students():
+    """Class overview: one summary row per student (teacher dashboard)"""
+    return jsonify({'students': db.get_class_overview()}), 200
+
 @db_api.route('/students/<student_id>', methods=['GET'])
 def get_student(student_id):
     """Get student information"""
@@ -48,6 +53,11 @@ def get_student_stats(student_id):
     stats = db.get_session_stats(student_id)
     return jsonify(stats), 200
 
+@db_api.route('/students/<student_id>/activities', methods=['GET'])
+def get_student_activities(student_id):
+    """Per-activity breakdown for a student"""
+    return jsonify({'activities': db.get_activity_breakdown(student_id)}), 200
+
 @db_api.route('/students/<student_id>/export', methods=['GET'])
 def export_student_data(student_id):
     """Export all student data"""
@@ -124,20 +134,30 @@ def get_progress(student_id, activity_id):
 def update_progress():
     """Update student progress"""
     data = request.json
-    
+    student_id = data.get('student_id')
+    activity_id = data.get('activity_id')
+
+    # Fields left out keep their saved value (ability sync does not send XP or level)
+    saved = db.get_progress(student_id, activity_id) or {}
+    def field(name, default):
+        return data.get(name, saved.get(name, default))
+
     db.update_progress(
-        student_id=data.get('student_id'),
-        activity_id=data.get('activity_id'),
-        ability=data.get('ability', 0.0),
-        standard_error=data.get('standard_error', 0.5),
-        accuracy=data.get('accuracy', 0.5),
-        attempts=data.get('attempts', 0),
-        correct_count=data.get('correct_count', 0),
-        xp_earned=data.get('xp_earned', 0),
-        level=data.get('level', 1)
+        student_id=student_id,
+        activity_id=activity_id,
+        ability=field('ability', 0.0),
+        standard_error=field('standard_error', 0.5),
+        accuracy=field('accuracy', 0.5),
+        attempts=field('attempts', 0),
+        correct_count=field('correct_count', 0),
+        xp_earned=field('xp_earned', 0),
+        level=field('level', 1),
+        ability_saved='ability' in data
     )
-    
-    return jsonify({'status': 'updated'}), 200
+
+    # The ability store compares this server-assigned version, not device clocks
+    progress = db.get_progress(student_id, activity_id)
+    return jsonify({'status': 'updated', 'ability_version': progress['ability_version']}), 200
 
 # ============================================================================
 # BADGES ENDPOINTS
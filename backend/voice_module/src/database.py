@@ -9,6 +9,9 @@ import json
 from datetime import datetime
 from pathlib import Path
 
+# Emotion labels (see EmotionClassifier) that suggest a student is struggling
+NEGATIVE_EMOTIONS = ('frustrated', 'confused')
+
 class Database:
     """SQLite database handler for Voice Learning Module"""
     
@@ -93,10 +96,15 @@ class Database:
                 correct_count INTEGER DEFAULT 0,
                 xp_earned INTEGER DEFAULT 0,
                 level INTEGER DEFAULT 1,
+                ability_version INTEGER DEFAULT 0,
                 last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                 FOREIGN KEY (student_id) REFERENCES students(id)
             )
         ''')
+        # Databases created before ability_version existed
+        columns = [column['name'] for column in cursor.execute('PRAGMA table_info(progress)')]
+        if 'ability_version' not in columns:
+            cursor.execute('ALTER TABLE progress ADD COLUMN ability_version INTEGER DEFAULT 0')
         
         # Badges table
         cursor.execute('''
@@ -199,10 +207,15 @@ class Database:
             self.close()
 
     def update_progress(self, student_id, activity_id, ability, standard_error, 
-                       accuracy, attempts, correct_count, xp_earned, level):
-        """Update or create student progress"""
+                       accuracy, attempts, correct_count, xp_earned, level, ability_saved=False):
+        """Update or create student progress
+
+        ability_saved bumps ability_version, which stays 0 until an ability
+        estimate is actually saved (rows holding only XP or level)
+        """
         conn = self.connect()
         cursor = conn.cursor()
+        bump = 1 if ability_saved else 0
         
         # Check if record exists
         cursor.execute('SELECT id FROM progress WHERE student_id = ? AND activity_id = ?', 
@@ -214,17 +227,18 @@ class Database:
                 UPDATE progress 
                 SET ability = ?, standard_error = ?, accuracy = ?, 
                     attempts = ?, correct_count = ?, xp_earned = ?, level = ?,
+                    ability_version = ability_version + ?,
                     last_updated = CURRENT_TIMESTAMP
                 WHERE student_id = ? AND activity_id = ?
-            ''', (ability, standard_error, accuracy, attempts, correct_count, xp_earned, level, student_id, activity_id))
+            ''', (ability, standard_error, accuracy, attempts, correct_count, xp_earned, level, bump, student_id, activity_id))
         else:
             import uuid
             progress_id = str(uuid.uuid4())
             cursor.execute('''
                 INSERT INTO progress 
-                (id, student_id, activity_id, ability, standard_error, accuracy, attempts, correct_count, xp_earned, level)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-            ''', (progress_id, student_id, activity_id, ability, standard_error, accuracy, attempts, correct_count, xp_earned, level))
+                (id, student_id, activity_id, ability, standard_error, accuracy, attempts, correct_count, xp_earned, level, ability_version)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ''', (progress_id, student_id, activity_id, ability, standard_error, accuracy, attempts, correct_count, xp_earned, level, bump))
         
         conn.commit()
         self.close()
@@ -303,7 +317,8 @@ class Database:
         
         # Get student info
         cursor.execute('SELECT * FROM students WHERE id = ?', (student_id,))
-        student = dict(cursor.fetchone()) if cursor.fetchone() else None
+        row = cursor.fetchone()
+        student = dict(row) if row else None
         
         # Get sessions
         cursor.execute('SELECT * FROM sessions WHERE student_id = ?', (student_id,))
@@ -332,6 +347,131 @@ class Database:
             'exported_at': datetime.now().isoformat()
         }
 
+    def list_student_ids(self):
+        """IDs of every student with a profile or any recorded activity"""
+        conn = self.connect()
+        cursor = conn.cursor()
+        cursor.execute('''
+            SELECT id AS student_id FROM students
+            UNION SELECT student_id FROM sessions
+            UNION SELECT student_id FROM responses
+            UNION SELECT student_id FROM progress
+        ''')
+        ids = [row['student_id'] for row in cursor.fetchall() if row['student_id']]
+        self.close()
+        return ids
+
+    def get_activity_breakdown(self, student_id):
+        """Per-activity sessions, accuracy and IRT ability for a student"""
+        conn = self.connect()
+        cursor = conn.cursor()
+
+        cursor.execute('''
+            SELECT s.activity_id,
+                   COUNT(DISTINCT s.id) AS sessions,
+                   COUNT(r.id) AS responses,
+                   AVG(CAST(r.correct AS FLOAT)) AS accuracy,
+                   MAX(COALESCE(r.timestamp, s.start_time)) AS last_active
+            FROM sessions s
+            LEFT JOIN responses r ON r.session_id = s.id
+            WHERE s.student_id = ?
+            GROUP BY s.activity_id
+        ''', (student_id,))
+        activities = {
+            row['activity_id']: {
+                'activity_id': row['activity_id'],
+                'sessions': row['sessions'],
+                'responses': row['responses'],
+                'accuracy': round((row['accuracy'] or 0) * 100, 2),
+                'last_active': row['last_active'],
+                'ability': None,
+                'xp_earned': 0,
+                'level': 1
+            }
+            for row in cursor.fetchall()
+        }
+
+        cursor.execute('SELECT * FROM progress WHERE student_id = ?', (student_id,))
+        for row in cursor.fetchall():
+            entry = activities.setdefault(row['activity_id'], {
+                'activity_id': row['activity_id'],
+                'sessions': 0,
+                'responses': 0,
+                'accuracy': 0,
+                'last_active': row['last_updated']
+            })
+            entry['ability'] = row['ability']
+            entry['xp_earned'] = row['xp_earned']
+            entry['level'] = row['level']
+
+        self.close()
+        return sorted(activities.values(), key=lambda a: a['activity_id'])
+
+    def get_emotion_trend(self, student_id, window=20):
+        """
+        Emotion mix of the latest responses and whether the student is
+        getting more or less frustrated/confused over that window
+        """
+        conn = self.connect()
+        cursor = conn.cursor()
+        cursor.execute('''
+            SELECT emotion_state FROM responses
+            WHERE student_id = ? AND emotion_state IS NOT NULL AND emotion_state != ''
+            ORDER BY timestamp DESC, rowid DESC
+            LIMIT ?
+        ''', (student_id, window))
+        emotions = [row['emotion_state'] for row in cursor.fetchall()][::-1]
+        self.close()
+
+        if not emotions:
+            return {'dominant': None, 'trend': 'unknown', 'counts': {}}
+
+        counts = {}
+        for emotion in emotions:
+            counts[emotion] = counts.get(emotion, 0) + 1
+
+        # Compare the share of negative emotions in the older and newer half
+        def negative_share(items):
+            return sum(e in NEGATIVE_EMOTIONS for e in items) / len(items) if items else 0
+
+        half = len(emotions) // 2
+        trend = 'steady'
+        if half:
+            change = negative_share(emotions[half:]) - negative_share(emotions[:half])
+            if change > 0.2:
+                trend = 'declining'
+            elif change < -0.2:
+                trend = 'improving'
+
+        return {
+            'dominant': max(counts, key=counts.get),
+            'trend': trend,
+            'counts': counts
+        }
+
+    def get_class_overview(self):
+        """Summary row per student for the teacher dashboard"""
+        conn = self.connect()
+        cursor = conn.cursor()
+        cursor.execute('SELECT id, name FROM students')
+        names = {row['id']: row['name'] for row in cursor.fetchall()}
+        self.close()
+
+        overview = []
+        for student_id in self.list_student_ids():
+            stats = self.get_session_stats(student_id)
+            activities = self.get_activity_breakdown(student_id)
+            abilities = [a['ability'] for a in activities if a['ability'] is not None]
+            overview.append({
+                **stats,
+                'name': names.get(student_id),
+                'ability': round(sum(abilities) / len(abilities), 3) if abilities else None,
+                'activities': len(activities),
+                'last_active': max((a['last_active'] for a in activities if a['last_active']), default=None),
+                'emotion': self.get_emotion_trend(student_id)
+            })
+        return overview
+
 
 # Initialize database on import
 if __name__ == '__main__':
@@ -413,10 +553,15 @@ if __name__ == '__main__':
             self.close()
     
     def update_progress(self, student_id, activity_id, ability, standard_error, 
-                       accuracy, attempts, correct_count, xp_earned, level):
-        """Update or create student progress"""
+                       accuracy, attempts, correct_count, xp_earned, level, ability_saved=False):
+        """Update or create student progress
+
+        ability_saved bumps ability_version, which stays 0 until an ability
+        estimate is actually saved (rows holding only XP or level)
+        """
         conn = self.connect()
         cursor = conn.cursor()
+        bump = 1 if ability_saved else 0
         
         # Check if record exists
         cursor.execute('SELECT id FROM progress WHERE student_id = ? AND activity_id = ?', 
@@ -428,17 +573,18 @@ if __name__ == '__main__':
                 UPDATE progress 
                 SET ability = ?, standard_error = ?, accuracy = ?, 
                     attempts = ?, correct_count = ?, xp_earned = ?, level = ?,
+                    ability_version = ability_version + ?,
                     last_updated = CURRENT_TIMESTAMP
                 WHERE student_id = ? AND activity_id = ?
-            ''', (ability, standard_error, accuracy, attempts, correct_count, xp_earned, level, student_id, activity_id))
+            ''', (ability, standard_error, accuracy, attempts, correct_count, xp_earned, level, bump, student_id, activity_id))
         else:
             import uuid
             progress_id = str(uuid.uuid4())
             cursor.execute('''
                 INSERT INTO progress 
-                (id, student_id, activity_id, ability, standard_error, accuracy, attempts, correct_count, xp_earned, level)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-            ''', (progress_id, student_id, activity_id, ability, standard_error, accuracy, attempts, correct_count, xp_earned, level))
+                (id, student_id, activity_id, ability, standard_error, accuracy, attempts, correct_count, xp_earned, level, ability_version)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ''', (progress_id, student_id, activity_id, ability, standard_error, accuracy, attempts, correct_count, xp_earned, level, bump))
         
         conn.commit()
         self.close()
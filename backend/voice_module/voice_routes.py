@@ -74,3 +74,12 @@ def register_voice_routes(app):
         logger.error(f"  ✗ Failed to register voice module routes: {e}")
         import traceback
         logger.error(traceback.format_exc())
+
+    # Database API (students, sessions, progress, badges) used by the
+    # voice activities and the teacher dashboard
+    try:
+        from src.api.database_routes import db_api
+        app.register_blueprint(db_api)
+        logger.info("  ✓ Database API routes registered")
+    except Exception as e:
+        logger.error(f"  ✗ Failed to register database routes: {e}")
@@ -0,0 +1,121 @@
+/**
+ * Item calibration
+ *
+ * Fits each question's IRT difficulty and discrimination from recorded
+ * responses and writes them to the voice activities' item-parameters.js,
+ * which AdaptiveDifficultyEngine reads in place of the hand-assigned levels.
+ *
+ *   npm run calibrate:items -- exports/*.json                 # /api/db/students/<id>/export dumps
+ *   npm run calibrate:items -- --server http://localhost:5001 # export every student from Flask
+ *   npm run calibrate:items -- logs.jsonl --min-responses 20 --dry-run
+ *
+ * Input files hold JSON (an export dump, an array of dumps, or response
+ * records) or JSON lines. A response record needs a student, an activity, a
+ * question and whether it was answered correctly, e.g.
+ *   { "studentId": "amy", "activityId": "basic-math", "questionId": "q2_3", "isCorrect": true }
+ */
+
+import { readFile, writeFile } from 'node:fs/promises'
+import { fileURLToPath } from 'node:url'
+import { parseArgs } from 'node:util'
+import * as activities from '../../backend/voice_activities/src/activities/index.js'
+import {
+    readResponseRecords,
+    calibrateItems,
+    handDifficulties,
+    itemParametersModule
+} from '../../backend/voice_activities/src/adaptive-engine/item-calibration.js'
+
+const DEFAULT_OUT = fileURLToPath(
+    new URL('../../backend/voice_activities/src/adaptive-engine/item-parameters.js', import.meta.url)
+)
+
+const { values: args, positionals: files } = parseArgs({
+    allowPositionals: true,
+    options: {
+        'server': { type: 'string' },
+        'out': { type: 'string', default: DEFAULT_OUT },
+        'min-responses': { type: 'string', default: '10' },
+        'dry-run': { type: 'boolean', default: false }
+    }
+})
+
+const QUESTION_BANKS = Object.values(activities).filter(value => Array.isArray(value?.questionBank))
+
+async function readInput(file) {
+    const text = await readFile(file, 'utf8')
+    try {
+        return JSON.parse(text)
+    } catch {
+        // JSON lines
+        return text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line))
+    }
+}
+
+async function fetchExports(server) {
+    const base = `${server.replace(/\/$/, '')}/api/db`
+    const res = await fetch(`${base}/students`)
+    if (!res.ok) throw new Error(`GET ${base}/students: HTTP ${res.status}`)
+    const { students = [] } = await res.json()
+
+    const dumps = []
+    for (const { student_id: id } of students) {
+        const dump = await fetch(`${base}/students/${encodeURIComponent(id)}/export`)
+        if (dump.ok) dumps.push({ ...(await dump.json()), student_id: id })
+        else console.warn(`Skipping ${id}: HTTP ${dump.status}`)
+    }
+    return dumps
+}
+
+function printReport(report) {
+    console.log('activity            question  hand   b       a      n     correct')
+    for (const item of report) {
+        console.log([
+            item.activityId.padEnd(19),
+            item.questionId.padEnd(9),
+            String(item.handDifficulty ?? '-').padEnd(6),
+            item.difficulty.toFixed(2).padStart(6),
+            item.discrimination.toFixed(2).padStart(6),
+            String(item.responses).padStart(5),
+            `${Math.round(item.accuracy * 100)}%`.padStart(7),
+            item.calibrated ? '' : ' (too few responses, not written)'
+        ].join(' '))
+    }
+}
+
+async function main() {
+    if (files.length === 0 && !args.server) {
+        console.error('Give response files or --server <url>. See the top of scripts/calibrate-items.js.')
+        process.exit(1)
+    }
+
+    const inputs = await Promise.all(files.map(readInput))
+    if (args.server) inputs.push(await fetchExports(args.server))
+
+    const { records, skipped } = readResponseRecords(inputs)
+    console.log(`${records.length} responses read${skipped ? `, ${skipped} skipped (no student, activity, question or result)` : ''}`)
+    if (records.length === 0) process.exit(1)
+
+    const result = calibrateItems(records, {
+        minResponses: Number(args['min-responses']),
+        handDifficulty: handDifficulties(QUESTION_BANKS)
+    })
+
+    console.log(`${result.students} students, ${result.report.length} questions, ` +
+        `${result.converged ? 'converged' : 'stopped'} after ${result.iterations} EM cycles\n`)
+    printReport(result.report)
+
+    const written = result.report.filter(item => item.calibrated).length
+    if (args['dry-run']) {
+        console.log(`\nDry run: ${written} calibrated questions not written`)
+        return
+    }
+
+    await writeFile(args.out, itemParametersModule(result.items))
+    console.log(`\nWrote ${written} calibrated questions to ${args.out}`)
+}
+
+main().catch((error) => {
+    console.error(error.message)
+    process.exit(1)
+})
@@ -0,0 +1,480 @@
+/**
+ * Mock Smart Glove server
+ *
+ * Stand-in for the Flask /api/smart-glove/* routes so haptic behaviour can be
+ * developed and asserted without an ESP32. Every pulse is recorded with a
+ * timestamp and shown live in a small visualiser.
+ *
+ *   npm run mock:glove                       # http://localhost:5001
+ *   npm run mock:glove -- --port 5002 --fail-rate 0.2 --latency 80 --connected --battery 40
+ *
+ * Point the app at it with VITE_GLOVE_API=http://localhost:<port>/api/smart-glove
+ * when the Flask server already uses 5001.
+ *
+ * GET /api/smart-glove/events streams the same connection, battery, motor and
+ * button events as the Flask server.
+ *
+ * Mock-only endpoints:
+ *   GET    /                   live visualiser
+ *   GET    /mock/pulses        recorded pulses (?since=<timestamp>)
+ *   DELETE /mock/pulses        clear the recording
+ *   GET    /mock/events        server-sent events (pulse, state)
+ *   GET    /mock/state         simulation state
+ *   POST   /mock/control       { connected, failureRate, failNext, latencyMs, dropAfter, battery, button }
+ */
+
+import http from 'node:http'
+import { parseArgs } from 'node:util'
+
+const DEVICE = {
+    name: 'SmartHapticGlove (mock)',
+    address: 'MO:CK:GL:OV:E0:01',
+    serviceUuid: '12345678-1234-1234-1234-1234567890ab',
+    characteristicUuid: 'abcd1234-5678-90ab-cdef-1234567890ab'
+}
+
+// Same mapping as BLEManager.send_haptic_pattern
+const PATTERN_COMMANDS = {
+    'pulse': '3', 'wave': '1', 'tap': '2',
+    'gentle': '1', 'moderate': '2', 'urgent': '3',
+    'single-tap': '1', 'double-tap': '3', 'long': '3'
+}
+
+const MAX_PULSES = 5000
+
+const { values: args } = parseArgs({
+    options: {
+        'port': { type: 'string', default: process.env.MOCK_GLOVE_PORT || '5001' },
+        'fail-rate': { type: 'string', default: '0' },
+        'latency': { type: 'string', default: '0' },
+        'connected': { type: 'boolean', default: false },
+        'battery': { type: 'string', default: '87' }
+    }
+})
+
+const state = {
+    connected: args.connected,
+    failureRate: Number(args['fail-rate']),  // share of BLE writes that fail
+    failNext: 0,                             // fail the next N writes
+    latencyMs: Number(args.latency),         // simulated BLE round trip
+    dropAfter: null,                         // drop the link after N more writes
+    battery: Number(args.battery)            // percent, drains while connected
+}
+
+const BATTERY_DRAIN_MS = 60 * 1000
+
+let pulses = []
+let nextPulseId = 1
+const clients = new Set()       // visualiser streams (/mock/events)
+const gloveClients = new Set()  // app streams (/api/smart-glove/events)
+
+// ---------------------------------------------------------------------------
+// Simulation
+// ---------------------------------------------------------------------------
+
+function frame(event, data) {
+    return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`
+}
+
+function broadcast(event, data) {
+    clients.forEach(res => res.write(frame(event, data)))
+}
+
+/**
+ * Push an event to the app, mirroring the Flask /events stream
+ */
+function emitGlove(event, data) {
+    gloveClients.forEach(res => res.write(frame(event, { ...data, timestamp: Date.now() })))
+}
+
+function setConnected(connected, reason = connected ? 'connected' : 'disconnected') {
+    if (state.connected === connected) return
+    state.connected = connected
+    broadcast('state', publicState())
+    emitGlove('connection', { connected, reason, device_address: DEVICE.address })
+}
+
+function setBattery(level) {
+    level = Math.min(100, Math.max(0, Math.round(level)))
+    if (level === state.battery) return
+    state.battery = level
+    broadcast('state', publicState())
+    if (state.connected) emitGlove('battery', { level })
+}
+
+setInterval(() => {
+    if (state.connected && state.battery > 0) setBattery(state.battery - 1)
+}, BATTERY_DRAIN_MS).unref()
+
+function gloveStatus() {
+    return {
+        connected: state.connected,
+        device_address: state.connected ? DEVICE.address : null,
+        device_name: state.connected ? DEVICE.name : null,
+        service_uuid: state.connected ? DEVICE.serviceUuid : null,
+        characteristic_uuid: state.connected ? DEVICE.characteristicUuid : null,
+        battery_level: state.connected ? state.battery : null
+    }
+}
+
+function publicState() {
+    return { ...state, pulses: pulses.length, device: state.connected ? DEVICE : null }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Simulate one BLE write; resolves with an error message or null
+ */
+async function bleWrite(command, source) {
+    if (state.latencyMs) await sleep(state.latencyMs)
+
+    if (!state.connected) {
+        emitGlove('motor', { command, success: false, message: 'Not connected' })
+        return { status: 400, message: 'Not connected to SmartHapticGlove' }
+    }
+
+    if (!['1', '2', '3'].includes(command)) {
+        return { status: 400, message: `Invalid motor command: ${command}. Use '1', '2', or '3'.` }
+    }
+
+    let failed = false
+    if (state.failNext > 0) {
+        state.failNext--
+        failed = true
+    } else if (Math.random() < state.failureRate) {
+        failed = true
+    }
+
+    const pulse = {
+        id: nextPulseId++,
+        timestamp: Date.now(),
+        command,
+        ...source,
+        delivered: !failed
+    }
+    pulses.push(pulse)
+    if (pulses.length > MAX_PULSES) pulses = pulses.slice(-MAX_PULSES)
+    broadcast('pulse', pulse)
+
+    emitGlove('motor', { command, success: !failed, message: failed ? 'Simulated BLE write error' : 'Acknowledged' })
+
+    if (state.dropAfter !== null && --state.dropAfter <= 0) {
+        state.dropAfter = null
+        setConnected(false, 'link-lost')
+    }
+
+    if (failed) {
+        return { status: 400, message: 'Failed to send motor command: simulated BLE write error' }
+    }
+    return null
+}
+
+// ---------------------------------------------------------------------------
+// HTTP helpers
+// ---------------------------------------------------------------------------
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+    })
+    res.end(JSON.stringify(body))
+}
+
+async function readJson(req) {
+    let raw = ''
+    for await (const chunk of req) raw += chunk
+    if (!raw) return {}
+    try {
+        return JSON.parse(raw)
+    } catch {
+        return null
+    }
+}
+
+function openEventStream(req, res, streams, first) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'Access-Control-Allow-Origin': '*'
+    })
+    res.write(frame(...first))
+    streams.add(res)
+    req.on('close', () => streams.delete(res))
+}
+
+// ---------------------------------------------------------------------------
+// Routes
+// ---------------------------------------------------------------------------
+
+async function motorRoute(res, command, extra = {}) {
+    const error = await bleWrite(command, { endpoint: 'motor', ...extra })
+    if (error) return send(res, error.status, { success: false, command, message: error.message })
+    send(res, 200, { success: true, command, message: `Motor command '${command}' sent successfully` })
+}
+
+const routes = {
+    'GET /api/smart-glove/status': (req, res) => send(res, 200, gloveStatus()),
+
+    'GET /api/smart-glove/events': (req, res) => {
+        openEventStream(req, res, gloveClients, ['status', gloveStatus()])
+    },
+
+    'GET /api/smart-glove/scan': async (req, res) => {
+        await sleep(state.latencyMs)
+        send(res, 200, { found: true, device: { name: DEVICE.name, address: DEVICE.address, rssi: -48 } })
+    },
+
+    'POST /api/smart-glove/connect': async (req, res) => {
+        await sleep(state.latencyMs)
+        if (state.failNext > 0) {
+            state.failNext--
+            return send(res, 400, {
+                success: false, connected: false, device_address: null,
+                message: 'SmartHapticGlove not found (simulated)'
+            })
+        }
+        setConnected(true)
+        send(res, 200, {
+            success: true,
+            connected: true,
+            device_name: DEVICE.name,
+            device_address: DEVICE.address,
+            service_uuid: DEVICE.serviceUuid,
+            characteristic_uuid: DEVICE.characteristicUuid,
+            message: 'Successfully connected to SmartHapticGlove'
+        })
+    },
+
+    'POST /api/smart-glove/disconnect': (req, res) => {
+        setConnected(false)
+        send(res, 200, { success: true, connected: false, message: 'Disconnected from SmartHapticGlove' })
+    },
+
+    'POST /api/smart-glove/motor': async (req, res) => {
+        const data = await readJson(req)
+        if (!data || data.command === undefined) {
+            return send(res, 400, { success: false, message: "Missing 'command' in request body" })
+        }
+        await motorRoute(res, String(data.command))
+    },
+
+    'POST /api/smart-glove/motor/1': (req, res) => motorRoute(res, '1'),
+    'POST /api/smart-glove/motor/2': (req, res) => motorRoute(res, '2'),
+    'POST /api/smart-glove/motor/both': (req, res) => motorRoute(res, '3'),
+
+    'POST /api/smart-glove/haptic-pattern': async (req, res) => {
+        const data = await readJson(req)
+        if (!data || !data.pattern) {
+            return send(res, 400, { success: false, message: "Missing 'pattern' in request body" })
+        }
+        const intensity = Number(data.intensity ?? 100)
+        const command = PATTERN_COMMANDS[data.pattern] || '1'
+        const error = await bleWrite(command, { endpoint: 'haptic-pattern', pattern: data.pattern, intensity })
+        if (error) return send(res, 400, { success: false, pattern: data.pattern, message: error.message })
+        send(res, 200, {
+            success: true, pattern: data.pattern, intensity,
+            message: `Haptic pattern '${data.pattern}' sent successfully`
+        })
+    },
+
+    'POST /api/smart-glove/test': async (req, res) => {
+        if (!state.connected) {
+            return send(res, 400, { success: false, connected: false, message: 'Not connected to SmartHapticGlove' })
+        }
+        const error = await bleWrite('3', { endpoint: 'test' })
+        if (error) return send(res, 500, { success: false, connected: state.connected, message: `Test failed: ${error.message}` })
+        send(res, 200, { success: true, connected: true, message: 'Test haptic feedback sent successfully' })
+    },
+
+    'GET /mock/pulses': (req, res, url) => {
+        const since = Number(url.searchParams.get('since') || 0)
+        send(res, 200, { pulses: pulses.filter(p => p.timestamp > since) })
+    },
+
+    'DELETE /mock/pulses': (req, res) => {
+        pulses = []
+        broadcast('state', publicState())
+        send(res, 200, { success: true })
+    },
+
+    'GET /mock/state': (req, res) => send(res, 200, publicState()),
+
+    'POST /mock/control': async (req, res) => {
+        const data = await readJson(req)
+        if (!data) return send(res, 400, { success: false, message: 'Invalid JSON' })
+
+        if (data.failureRate !== undefined) state.failureRate = Math.min(1, Math.max(0, Number(data.failureRate) || 0))
+        if (data.failNext !== undefined) state.failNext = Math.max(0, Number(data.failNext) || 0)
+        if (data.latencyMs !== undefined) state.latencyMs = Math.max(0, Number(data.latencyMs) || 0)
+        if (data.dropAfter !== undefined) state.dropAfter = data.dropAfter === null ? null : Math.max(1, Number(data.dropAfter))
+        if (data.battery !== undefined) setBattery(Number(data.battery) || 0)
+        if (data.connected !== undefined) setConnected(!!data.connected, data.connected ? 'connected' : 'link-lost')
+        // Glove button: true while held, false on release
+        if (data.button !== undefined && state.connected) emitGlove('button', { pressed: !!data.button })
+
+        broadcast('state', publicState())
+        send(res, 200, { success: true, state: publicState() })
+    },
+
+    'GET /mock/events': (req, res) => openEventStream(req, res, clients, ['state', publicState()]),
+
+    'GET /': (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' })
+        res.end(VISUALISER_HTML)
+    }
+}
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`)
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type'
+        })
+        return res.end()
+    }
+
+    const handler = routes[`${req.method} ${url.pathname.replace(/\/$/, '') || '/'}`]
+    if (!handler) return send(res, 404, { success: false, message: `No mock route for ${req.method} ${url.pathname}` })
+
+    try {
+        await handler(req, res, url)
+    } catch (error) {
+        console.error('Mock glove error:', error)
+        send(res, 500, { success: false, message: error.message })
+    }
+})
+
+// ---------------------------------------------------------------------------
+// Visualiser
+// ---------------------------------------------------------------------------
+
+const VISUALISER_HTML = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Mock Smart Glove</title>
+<style>
+    body { font-family: system-ui, sans-serif; max-width: 720px; margin: 2rem auto; padding: 0 1rem; color: #111827; }
+    .motors { display: flex; gap: 1rem; margin: 1rem 0; }
+    .motor { flex: 1; padding: 1.5rem; border-radius: 12px; text-align: center; font-weight: 600;
+             border: 2px solid #d1d5db; background: #f9fafb; transition: background 0.1s; }
+    .motor.on { background: #f59e0b; color: #fff; border-color: #f59e0b; }
+    .motor.failed { background: #ef4444; color: #fff; border-color: #ef4444; }
+    .controls { display: flex; flex-wrap: wrap; gap: 0.5rem; align-items: center; margin-bottom: 1rem; }
+    button { padding: 0.4rem 0.8rem; border-radius: 8px; border: 1px solid #d1d5db; background: #fff; cursor: pointer; }
+    #status { font-weight: 600; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.85rem; font-family: monospace; }
+    td, th { text-align: left; padding: 0.25rem 0.5rem; border-bottom: 1px solid #f3f4f6; }
+</style>
+</head>
+<body>
+<h1>Mock Smart Glove</h1>
+<p id="status" role="status">Connecting…</p>
+<div class="controls">
+    <button id="toggle">Connect</button>
+    <label>Failure rate <input id="failureRate" type="number" min="0" max="1" step="0.05" value="0" style="width:5rem"></label>
+    <button id="failNext">Fail next write</button>
+    <button id="drop">Drop link after 3 writes</button>
+    <label>Battery <input id="battery" type="number" min="0" max="100" step="5" style="width:4rem">%</label>
+    <button id="clear">Clear log</button>
+    <button id="gloveButton">Hold glove button</button>
+</div>
+<div class="motors">
+    <div class="motor" id="motor1">Motor 1 (left)</div>
+    <div class="motor" id="motor2">Motor 2 (right)</div>
+</div>
+<table>
+    <thead><tr><th>#</th><th>Time</th><th>Command</th><th>Source</th><th>Gap</th><th>Result</th></tr></thead>
+    <tbody id="log"></tbody>
+</table>
+<script>
+    let state = null
+    let lastTimestamp = null
+    const control = (body) => fetch('/mock/control', {
+        method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body)
+    })
+
+    function renderState() {
+        document.getElementById('status').textContent = state.connected
+            ? 'Connected as ' + state.device.name + ' · battery ' + state.battery + '% · ' + state.pulses + ' pulses recorded'
+            : 'Disconnected · ' + state.pulses + ' pulses recorded'
+        document.getElementById('toggle').textContent = state.connected ? 'Disconnect' : 'Connect'
+        document.getElementById('failureRate').value = state.failureRate
+        document.getElementById('battery').value = state.battery
+    }
+
+    function flash(pulse) {
+        const ids = pulse.command === '1' ? ['motor1'] : pulse.command === '2' ? ['motor2'] : ['motor1', 'motor2']
+        ids.forEach(id => {
+            const el = document.getElementById(id)
+            el.classList.add(pulse.delivered ? 'on' : 'failed')
+            setTimeout(() => el.classList.remove('on', 'failed'), 200)
+        })
+    }
+
+    function log(pulse) {
+        const gap = lastTimestamp === null ? '' : (pulse.timestamp - lastTimestamp) + ' ms'
+        lastTimestamp = pulse.timestamp
+        const row = document.createElement('tr')
+        const cells = [pulse.id, new Date(pulse.timestamp).toLocaleTimeString(), pulse.command,
+            pulse.pattern ? pulse.endpoint + ' (' + pulse.pattern + ')' : pulse.endpoint, gap,
+            pulse.delivered ? 'ok' : 'BLE error']
+        cells.forEach(text => {
+            const td = document.createElement('td')
+            td.textContent = text
+            row.appendChild(td)
+        })
+        const body = document.getElementById('log')
+        body.prepend(row)
+        while (body.children.length > 200) body.lastChild.remove()
+    }
+
+    const events = new EventSource('/mock/events')
+    events.addEventListener('state', (e) => { state = JSON.parse(e.data); renderState() })
+    events.addEventListener('pulse', (e) => {
+        const pulse = JSON.parse(e.data)
+        state.pulses++
+        renderState()
+        flash(pulse)
+        log(pulse)
+    })
+
+    document.getElementById('toggle').onclick = () => control({ connected: !state.connected })
+    document.getElementById('failureRate').onchange = (e) => control({ failureRate: Number(e.target.value) })
+    document.getElementById('battery').onchange = (e) => control({ battery: Number(e.target.value) })
+    document.getElementById('failNext').onclick = () => control({ failNext: 1 })
+    document.getElementById('drop').onclick = () => control({ dropAfter: 3 })
+    const gloveButton = document.getElementById('gloveButton')
+    gloveButton.onpointerdown = () => control({ button: true })
+    gloveButton.onpointerup = gloveButton.onpointerleave = (e) => {
+        if (e.type === 'pointerup' || e.buttons) control({ button: false })
+    }
+    document.getElementById('clear').onclick = () => {
+        fetch('/mock/pulses', { method: 'DELETE' })
+        document.getElementById('log').innerHTML = ''
+        lastTimestamp = null
+    }
+</script>
+</body>
+</html>
+`
+
+server.listen(Number(args.port), () => {
+    console.log(`Mock Smart Glove listening on http://localhost:${args.port}`)
+    console.log(`  API:        http://localhost:${args.port}/api/smart-glove`)
+    console.log(`  Visualiser: http://localhost:${args.port}/`)
+})
+
+server.on('error', (error) => {
+    if (error.code === 'EADDRINUSE') {
+        console.error(`Port ${args.port} is in use (Flask server running?). Try --port 5002.`)
+        process.exit(1)
+    }
+    throw error
+})
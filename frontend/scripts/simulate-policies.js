@@ -0,0 +1,108 @@
+/**
+ * Adaptive policy simulation
+ *
+ * Runs simulated learners (known ability, learning rate and frustration
+ * profile) through AdaptiveDifficultyEngine and ActivityLauncher's
+ * adaptiveRules, and compares how fast each policy finds the learner's level,
+ * how far off it ends up and how often learners succeed.
+ *
+ *   npm run simulate:policies -- --activity basic-math
+ *   npm run simulate:policies -- --activity basic-math --targets 0.55,0.7,0.8
+ *   npm run simulate:policies -- --activity basic-math --thresholds 0.75/0.5,0.8/0.4 --learners 500
+ *
+ * --targets       engine policies, one per target success rate
+ * --thresholds    launcher policies, one per increaseOn/decreaseOn pair
+ *                 (default: the activity's own adaptiveRules, or the launcher's defaults)
+ * --ability-mean  learners' average ability as a question level (1-5); --ability-sd
+ *                 is in levels too. Reported errors are on the engine's θ scale,
+ *                 where one level is one unit
+ */
+
+import { parseArgs } from 'node:util'
+import { getActivityById } from '../../backend/voice_activities/src/activities/index.js'
+import { DEFAULT_ADAPTIVE_RULES } from '../../backend/voice_activities/src/activities/activity-launcher.js'
+import { comparePolicies } from '../../backend/voice_activities/src/adaptive-engine/policy-simulation.js'
+import { difficultyOfLevel } from '../../backend/voice_activities/src/adaptive-engine/irt.js'
+
+const { values: args } = parseArgs({
+    options: {
+        'activity': { type: 'string', default: 'basic-math' },
+        'learners': { type: 'string', default: '200' },
+        'seed': { type: 'string', default: '1' },
+        'ability-mean': { type: 'string', default: '2.5' },
+        'ability-sd': { type: 'string', default: '1' },
+        'targets': { type: 'string' },
+        'thresholds': { type: 'string' },
+        'no-early-stop': { type: 'boolean', default: false }
+    }
+})
+
+const list = (value) => value.split(',').map(item => item.trim()).filter(Boolean)
+
+function buildPolicies(activity) {
+    const targets = args.targets ? list(args.targets).map(Number) : [0.55]
+    const policies = targets.map(target => ({
+        name: `engine ${target}`,
+        type: 'engine',
+        engine: { targetSuccessRate: target },
+        stopWhenPrecise: !args['no-early-stop']
+    }))
+
+    if (args.thresholds) {
+        for (const pair of list(args.thresholds)) {
+            const [increaseOn, decreaseOn] = pair.split('/').map(Number)
+            policies.push({ name: `launcher ${increaseOn}/${decreaseOn}`, type: 'launcher', adaptiveRules: { increaseOn, decreaseOn } })
+        }
+    } else {
+        const { increaseOn, decreaseOn } = activity.adaptiveRules || DEFAULT_ADAPTIVE_RULES
+        policies.push({ name: `launcher ${increaseOn}/${decreaseOn}`, type: 'launcher' })
+    }
+    return policies
+}
+
+const fixed = (value, digits = 2) => value === null ? '-' : value.toFixed(digits)
+const percent = (value) => value === null ? '-' : `${Math.round(value * 100)}%`
+
+function printReport(report) {
+    console.log('policy                asked  success  gap    rmse   bias   converged  to-conv  frustrated  quit  gain')
+    for (const row of report) {
+        console.log([
+            row.policy.padEnd(21),
+            fixed(row.averageQuestions, 1).padStart(5),
+            percent(row.successRate).padStart(8),
+            (row.targetGap === null ? '-' : `${row.targetGap >= 0 ? '+' : ''}${fixed(row.targetGap)}`).padStart(5),
+            fixed(row.rmse).padStart(6),
+            fixed(row.bias).padStart(6),
+            percent(row.convergedShare).padStart(10),
+            fixed(row.averageQuestionsToConverge, 1).padStart(8),
+            percent(row.frustratedShare).padStart(11),
+            percent(row.dropoutRate).padStart(5),
+            fixed(row.averageLearningGain).padStart(5)
+        ].join(' '))
+    }
+}
+
+async function main() {
+    const activity = await getActivityById(args.activity)
+    if (!activity) {
+        console.error(`Unknown activity: ${args.activity}`)
+        process.exit(1)
+    }
+
+    const options = {
+        learners: Number(args.learners),
+        seed: Number(args.seed),
+        abilityMean: difficultyOfLevel(Number(args['ability-mean'])),
+        abilitySD: Number(args['ability-sd'])
+    }
+
+    console.log(`${options.learners} simulated learners (ability level ${args['ability-mean']} ± ${options.abilitySD}, seed ${options.seed}) on ${activity.id}\n`)
+    printReport(await comparePolicies(activity, buildPolicies(activity), options))
+    console.log('\nasked: questions per session; gap: success rate minus the target; rmse/bias: final estimate')
+    console.log('minus true ability; converged: share whose estimate settled within 0.5; to-conv: questions it took')
+}
+
+main().catch((error) => {
+    console.error(error.message)
+    process.exit(1)
+})
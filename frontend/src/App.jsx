@@ -1,11 +1,16 @@
 import { Routes, Route, Link, useLocation } from 'react-router-dom'
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useCallback } from 'react'
 import { hapticNotify } from './utils/hapticNotify'
+import { useGloveStatus } from './context/GloveStatusContext'
+import { useProfile } from './context/ProfileContext'
+import ProfilePicker from './components/ProfilePicker'
 import HomePage from './pages/HomePage'
 import SciBotPage from './pages/SciBotPage'
 import SmartGlovePage from './pages/SmartGlovePage'
 import VoiceActivitiesPage from './pages/VoiceActivitiesPage'
 import ObjectRecognitionPage from './pages/ObjectRecognitionPage'
+import SettingsPage from './pages/SettingsPage'
+import TeacherDashboardPage from './pages/TeacherDashboardPage'
 
 
 function App() {
@@ -14,6 +19,15 @@ function App() {
         return saved !== null ? JSON.parse(saved) : true
     })
     const location = useLocation()
+    const glove = useGloveStatus()
+    const { profile, isGuest } = useProfile()
+    // Shared devices: ask who is learning once per browser session
+    const [pickerOpen, setPickerOpen] = useState(() => isGuest && !sessionStorage.getItem('profilePickerShown'))
+
+    const closePicker = useCallback(() => {
+        sessionStorage.setItem('profilePickerShown', '1')
+        setPickerOpen(false)
+    }, [])
 
     useEffect(() => {
         localStorage.setItem('darkMode', JSON.stringify(darkMode))
@@ -25,6 +39,8 @@ function App() {
         { path: '/scibot', label: 'AI Tutor' },
         { path: '/smart-glove', label: 'Smart Glove' },
         { path: '/voice-activities', label: 'Voice Learning' },
+        { path: '/teacher', label: 'Teacher' },
+        { path: '/settings', label: 'Settings' },
     ]
 
     return (
@@ -49,6 +65,31 @@ function App() {
                 </ul>
 
                 <div className="nav-actions">
+                    <button
+                        className="profile-button"
+                        onClick={() => setPickerOpen(true)}
+                        onMouseEnter={() => hapticNotify('1')}
+                        aria-label={`Learning as ${profile.name}. Switch student`}
+                    >
+                        <span aria-hidden="true">{profile.avatar}</span>
+                        <span className="profile-button-name">{profile.name}</span>
+                    </button>
+                    <Link
+                        to="/smart-glove"
+                        className={`glove-indicator ${glove.connected ? 'connected' : ''}`}
+                        aria-label={
+                            glove.connected
+                                ? `Smart glove connected${glove.battery !== null ? `, battery ${glove.battery} percent` : ''}`
+                                : 'Smart glove not connected'
+                        }
+                        title={glove.live ? undefined : 'Glove backend not reachable'}
+                    >
+                        <span className="glove-dot" aria-hidden="true" />
+                        🧤
+                        {glove.connected && glove.battery !== null && (
+                            <span className="glove-battery" aria-hidden="true">{glove.battery}%</span>
+                        )}
+                    </Link>
                     <button
                         className="theme-toggle"
                         onClick={() => setDarkMode(!darkMode)}
@@ -60,6 +101,8 @@ function App() {
                 </div>
             </nav>
 
+            {pickerOpen && <ProfilePicker onClose={closePicker} />}
+
             <main className="main-content">
                 <Routes>
                     <Route path="/" element={<HomePage />} />
@@ -67,6 +110,8 @@ function App() {
                     <Route path="/smart-glove" element={<SmartGlovePage />} />
                     <Route path="/voice-activities" element={<VoiceActivitiesPage />} />
                     <Route path="/object-recognition" element={<ObjectRecognitionPage />} />
+                    <Route path="/teacher" element={<TeacherDashboardPage />} />
+                    <Route path="/settings" element={<SettingsPage />} />
                 </Routes>
             </main>
 
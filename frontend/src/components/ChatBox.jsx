@@ -1,4 +1,4 @@
-import React, { useEffect, useRef, useState, useLayoutEffect } from "react";
+import React, { useEffect, useMemo, useRef, useState, useLayoutEffect } from "react";
 import {
   Atom,
   Mic,
@@ -10,20 +10,97 @@ import {
   Bot,
   RefreshCw,
   PauseCircle,
+  History,
+  Plus,
+  Search,
+  Download,
 } from "lucide-react";
-import { hapticNotify } from "../utils/hapticNotify";
+import { hapticNotify, hapticEvent } from "../utils/hapticNotify";
+import { learnerSettings, INPUT_MODES } from "@voice-activities/settings/learner-settings.js";
+import { CommandGrammar, DEFAULT_COMMANDS } from "@voice-activities/audio/command-grammar.js";
+import { useProfile } from "../context/ProfileContext";
+import { useSettings } from "../context/SettingsContext";
+import { useGloveStatus } from "../context/GloveStatusContext";
+import {
+  listThreads,
+  createThread,
+  saveMessages,
+  renameThread,
+  deleteThread,
+  searchThreads,
+  migrateLegacyHistory,
+  downloadThread,
+  threadToSpeech,
+} from "../utils/chatHistory";
+import { readEvents } from "../utils/sseStream";
+
+// Previous question/answer pairs sent along with each question
+const HISTORY_TURNS = 3;
+
+// Commands heard while the chat is listening (the wake phrase has its own recognizer)
+const CHAT_COMMANDS = Object.keys(DEFAULT_COMMANDS).filter((id) => id !== "wake");
+
+const INPUT_MODE_LABELS = {
+  wake: "Wake word",
+  push: "Push to talk",
+  typing: "Typing only",
+};
 
-const ChatBox = ({ theme = "light", isDark = false }) => {
+// Keyboard shortcuts; every result is announced through the live region
+const SHORTCUTS = [
+  { id: "toggleChat", keys: "Control K", code: "KeyK", ctrl: true, label: "open or close the chat" },
+  { id: "toggleMic", keys: "Control M", code: "KeyM", ctrl: true, label: "start or stop listening in wake word mode" },
+  { id: "pushToTalk", keys: "hold Alt V", code: "KeyV", alt: true, label: "talk in push to talk mode, release to send" },
+  { id: "cycleMode", keys: "Alt I", code: "KeyI", alt: true, label: "switch between wake word, push to talk and typing only" },
+  { id: "focusInput", keys: "Alt T", code: "KeyT", alt: true, label: "type a question" },
+  { id: "repeat", keys: "Alt R", code: "KeyR", alt: true, label: "repeat the last answer" },
+  { id: "readSource", keys: "Alt S", code: "KeyS", alt: true, label: "read the source of the last answer" },
+  { id: "newConversation", keys: "Alt N", code: "KeyN", alt: true, label: "start a new conversation" },
+  { id: "history", keys: "Alt H", code: "KeyH", alt: true, label: "show or hide conversations" },
+  { id: "help", keys: "Alt slash", code: "Slash", alt: true, label: "hear these shortcuts" },
+  { id: "close", keys: "Escape", code: "Escape", label: "stop listening and close the chat" },
+];
+
+const findShortcut = (e) =>
+  SHORTCUTS.find(
+    (s) => s.code === e.code && !!s.ctrl === (e.ctrlKey || e.metaKey) && !!s.alt === e.altKey && !e.shiftKey
+  );
+
+// "Grade-07-Science-1st-Term-Test-Paper.pdf" -> "Grade 07 Science 1st Term Test Paper"
+const sourceTitle = (document) => String(document || "the textbook").replace(/\.pdf$/i, "").replace(/[-_]+/g, " ").trim();
+
+const welcomeMessage = () => ({
+  id: "welcome",
+  text: "Hello! I'm ChatBot. Ask me anything about the lecture!",
+  sender: "bot",
+  timestamp: new Date(),
+});
+
+const ChatBox = ({ theme = "light", isDark = false, getLectureContext }) => {
+  const { profile } = useProfile();
+  const { settings } = useSettings();
+  const { button: gloveButton } = useGloveStatus();
+  const inputMode = settings.chat.inputMode;
+  const inputModeRef = useRef(inputMode); // latest mode for the voice handlers
   const [input, setInput] = useState("");
-  const [messages, setMessages] = useState([
-    {
-      id: "welcome",
-      text: "Hello! I'm ChatBot. Ask me anything about the lecture!",
-      sender: "bot",
-      timestamp: new Date(),
-    },
-  ]);
+  const [messages, setMessages] = useState(() => [welcomeMessage()]);
+  const messagesRef = useRef(messages); // latest messages for the voice handlers
+
+  useEffect(() => {
+    messagesRef.current = messages;
+  }, [messages]);
+
+  // Conversation threads (saved per student in IndexedDB)
+  const [threads, setThreads] = useState([]);
+  const [threadId, setThreadId] = useState(null);
+  const [showThreads, setShowThreads] = useState(false);
+  const [searchQuery, setSearchQuery] = useState("");
+  const [searchResults, setSearchResults] = useState([]);
+  const threadIdRef = useRef(null); // thread the visible messages belong to
+  const loadedMessagesRef = useRef(null); // messages as loaded, so opening a thread doesn't re-save it
+  const profileIdRef = useRef(profile.id);
   const [loading, setLoading] = useState(false);
+  const [streaming, setStreaming] = useState(false); // first sentence of an answer has arrived
   const [isRecording, setIsRecording] = useState(false);
   const [isOpen, setIsOpen] = useState(false);
   const [isMinimized, setIsMinimized] = useState(false);
@@ -33,7 +110,8 @@ const ChatBox = ({ theme = "light", isDark = false }) => {
   const messagesEndRef = useRef(null);
 
   const [voiceReady, setVoiceReady] = useState(false);
-  const [needsVoiceEnable, setNeedsVoiceEnable] = useState(true);
+  // Only the wake word needs the browser's one-time voice permission up front
+  const [needsVoiceEnable, setNeedsVoiceEnable] = useState(() => learnerSettings.inputMode === "wake");
 
   // ✅ NEW: refresh overlay after stop listening
   const [needsRefreshNotice, setNeedsRefreshNotice] = useState(false);
@@ -53,6 +131,11 @@ const ChatBox = ({ theme = "light", isDark = false }) => {
   const isWakeListening = useRef(false);
   const isMainListening = useRef(false);
 
+  // Push-to-talk: held down, released (send on end), and the latest interim words
+  const pushActiveRef = useRef(false);
+  const pushReleasedRef = useRef(false);
+  const interimRef = useRef("");
+
   const didInitWakeRef = useRef(false);
   const didInitMainRecRef = useRef(false);
 
@@ -110,8 +193,7 @@ const ChatBox = ({ theme = "light", isDark = false }) => {
       const u = new SpeechSynthesisUtterance(t);
       u.lang = "en-US";
       if (voiceRef.current) u.voice = voiceRef.current;
-      u.rate = 1;
-      u.pitch = 1;
+      learnerSettings.applySpeech(u, { rate: 1, pitch: 1 });
 
       u.onstart = () => (speakingRef.current = true);
       u.onend = () => (speakingRef.current = false);
@@ -133,20 +215,13 @@ const ChatBox = ({ theme = "light", isDark = false }) => {
     };
   }, []);
 
-  const WAKE_WORDS = ["hey", "hi", "hello", "ok buddy", "ok budy", "sci buddy", "ChatBoty"];
-  const SEND_WORDS = ["send", "submit", "go"];
+  // Voice commands, with the student's own phrases from Settings
+  const grammar = useMemo(() => new CommandGrammar(settings.commands), [settings.commands]);
+  const grammarRef = useRef(grammar); // latest grammar for the voice handlers
 
-  // Voice control words
-  const STOP_WORDS = ["stop listening", "stop", "pause listening", "pause", "cancel"];
-  const START_WORDS = ["start listening", "listen", "resume listening", "resume"];
-  const CLOSE_WORDS = ["close chat", "close", "exit"];
-  const MINIMIZE_WORDS = ["minimize chat", "minimize"];
-  const CLEAR_WORDS = ["clear chat", "clear"];
-
-  // (optional) TTS voice commands
-  const MUTE_WORDS = ["mute", "disable speech", "stop speaking"];
-  const UNMUTE_WORDS = ["unmute", "enable speech", "start speaking"];
-  const REPEAT_WORDS = ["repeat", "say again"];
+  useEffect(() => {
+    grammarRef.current = grammar;
+  }, [grammar]);
 
   const sizeConfig = {
     small: { width: 340, height: 500 },
@@ -229,6 +304,128 @@ const ChatBox = ({ theme = "light", isDark = false }) => {
     if (isOpen && !isMinimized) setTimeout(() => inputRef.current?.focus(), 50);
   }, [isOpen, isMinimized]);
 
+  // ==========================
+  // Conversation threads
+  // ==========================
+  const openThread = (thread) => {
+    const msgs = thread.messages.length ? thread.messages : [welcomeMessage()];
+    threadIdRef.current = thread.id;
+    loadedMessagesRef.current = msgs;
+    lastBotAnswerRef.current = [...msgs].reverse().find((m) => m.sender === "bot" && m.id !== "welcome")?.text || "";
+    setThreadId(thread.id);
+    setMessages(msgs);
+  };
+
+  const startNewThread = async () => {
+    try {
+      const thread = await createThread(profileIdRef.current, { messages: [welcomeMessage()] });
+      openThread(thread);
+      setThreads(await listThreads(profileIdRef.current));
+      setSrStatus("Started a new conversation.");
+    } catch { }
+  };
+
+  // Clearing keeps the old conversation in the history; without storage there is nothing to keep
+  const clearChat = () => {
+    if (threadIdRef.current) startNewThread();
+    else setMessages([]);
+  };
+
+  // Load the student's most recent conversation (and switch when another student picks their profile)
+  useEffect(() => {
+    let cancelled = false;
+    profileIdRef.current = profile.id;
+    threadIdRef.current = null;
+
+    (async () => {
+      try {
+        await migrateLegacyHistory(profile.id);
+        let list = await listThreads(profile.id);
+        if (!list.length) {
+          await createThread(profile.id, { messages: [welcomeMessage()] });
+          list = await listThreads(profile.id);
+        }
+        if (cancelled) return;
+        setThreads(list);
+        openThread(list[0]);
+      } catch {
+        // IndexedDB unavailable (private mode): keep the conversation in memory only
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [profile.id]);
+
+  useEffect(() => {
+    const id = threadIdRef.current;
+    if (!id || messages === loadedMessagesRef.current) return;
+    saveMessages(id, messages)
+      .then((updated) => {
+        if (updated) setThreads((prev) => [updated, ...prev.filter((t) => t.id !== id)]);
+      })
+      .catch(() => { });
+  }, [messages]);
+
+  useEffect(() => {
+    if (!searchQuery.trim()) {
+      setSearchResults([]);
+      return;
+    }
+    let cancelled = false;
+    const t = setTimeout(() => {
+      searchThreads(profile.id, searchQuery)
+        .then((results) => !cancelled && setSearchResults(results))
+        .catch(() => { });
+    }, 250);
+    return () => {
+      cancelled = true;
+      clearTimeout(t);
+    };
+  }, [searchQuery, profile.id]);
+
+  const renameCurrentThread = async () => {
+    const current = threads.find((t) => t.id === threadId);
+    const title = window.prompt("Name this conversation", current?.title || "");
+    if (!title) return;
+    const updated = await renameThread(threadId, title);
+    if (updated) setThreads((prev) => prev.map((t) => (t.id === updated.id ? updated : t)));
+  };
+
+  const deleteCurrentThread = async () => {
+    const current = threads.find((t) => t.id === threadId);
+    if (!current || !window.confirm(`Delete "${current.title}"?`)) return;
+    await deleteThread(current.id);
+    const rest = threads.filter((t) => t.id !== current.id);
+    setThreads(rest);
+    if (rest.length) openThread(rest[0]);
+    else startNewThread();
+  };
+
+  const exportCurrentThread = (format) => {
+    const current = threads.find((t) => t.id === threadId);
+    if (current) downloadThread({ ...current, messages }, format);
+  };
+
+  // Voice: "read me my last conversation" reads the previous thread
+  // (or this one, if it is the only conversation with questions)
+  const readLastConversation = async () => {
+    try {
+      const list = await listThreads(profileIdRef.current);
+      const withQuestions = list.filter((t) => t.messages.some((m) => m.sender === "user"));
+      const last = withQuestions.find((t) => t.id !== threadIdRef.current) || withQuestions[0];
+      if (!last) {
+        speak("You don't have a saved conversation yet.", { interrupt: true });
+        return;
+      }
+      setSrStatus(`Reading conversation: ${last.title}`);
+      speak(threadToSpeech(last), { interrupt: true });
+    } catch {
+      speak("Sorry, I could not open your saved conversations.", { interrupt: true });
+    }
+  };
+
   const playBeep = () => {
     try {
       const AudioContext = window.AudioContext || window.webkitAudioContext;
@@ -268,57 +465,147 @@ const ChatBox = ({ theme = "light", isDark = false }) => {
     } catch { }
   };
 
+  // Recent Q&A pairs and the lecture position, so follow-ups like
+  // "why does that happen?" can be resolved by the backend
+  const conversationContext = () => {
+    const history = [];
+    const msgs = messagesRef.current;
+    for (let i = 1; i < msgs.length; i++) {
+      const [asked, answered] = [msgs[i - 1], msgs[i]];
+      if (asked.sender === "user" && answered.sender === "bot" && !answered.isError) {
+        history.push({ question: asked.text, answer: answered.text });
+      }
+    }
+
+    const lecture = getLectureContext?.() || {};
+    return {
+      history: history.slice(-HISTORY_TURNS),
+      video_id: lecture.videoId,
+      video_time: lecture.videoTime,
+    };
+  };
+
+  // Streams the answer as server-sent events: each sentence is shown and
+  // spoken as soon as it arrives. Returns the full answer.
+  const streamAnswer = async (body, botId, progress) => {
+    const res = await fetch("/api/scibot/ask/stream", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    if (!res.ok || !res.body) throw new Error(`Streaming unavailable (${res.status})`);
+
+    for await (const { event, data } of readEvents(res)) {
+      if (event === "sources") {
+        progress.sources = data.sources || [];
+      } else if (event === "sentence") {
+        const first = !progress.text;
+        progress.text = first ? data.text : `${progress.text} ${data.text}`;
+        const text = progress.text;
+
+        if (first) {
+          setStreaming(true);
+          setMessages((prev) => [
+            ...prev,
+            { id: botId, text, sources: progress.sources, sender: "bot", timestamp: new Date() },
+          ]);
+          hapticEvent('chat-reply');
+        } else {
+          setMessages((prev) => prev.map((m) => (m.id === botId ? { ...m, text } : m)));
+        }
+        // later sentences queue behind the one being spoken
+        speak(data.text, { interrupt: first });
+      } else if (event === "done") {
+        return data.answer || progress.text;
+      } else if (event === "error") {
+        throw new Error(data.error);
+      }
+    }
+    return progress.text;
+  };
+
+  // Reads a cited passage so the student can check the answer against the book
+  const readSource = (source) => {
+    if (!source) {
+      speak("There is no source for the last answer.", { interrupt: true });
+      return;
+    }
+    setSrStatus(`Reading ${sourceTitle(source.document)}, page ${source.page}.`);
+    speak(`From ${sourceTitle(source.document)}, page ${source.page}. ${source.text}`, { interrupt: true });
+  };
+
+  const readLastSource = () => {
+    const lastAnswer = [...messagesRef.current].reverse().find((m) => m.sender === "bot" && m.id !== "welcome");
+    readSource(lastAnswer?.sources?.[0]);
+  };
+
   const askFlaskBackend = async (overrideQuestion) => {
     const q = (overrideQuestion ?? input).trim();
     if (!q) return;
+    const body = { question: q, context: conversationContext() };
 
     setMessages((prev) => [...prev, { id: Date.now(), text: q, sender: "user", timestamp: new Date() }]);
     setSrStatus(`You said: ${q}`);
     setInput("");
     setLoading(true);
 
+    const botId = Date.now() + 1;
+    const progress = { text: "" };
+
     try {
-      const res = await fetch("/api/scibot/ask", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ question: q }),
-      });
-      const data = await res.json();
+      let answerText;
+      try {
+        answerText = await streamAnswer(body, botId, progress);
+      } catch (streamError) {
+        // Nothing arrived yet: ask the plain endpoint instead
+        if (progress.text) throw streamError;
+        const res = await fetch("/api/scibot/ask", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(body),
+        });
+        const data = await res.json().catch(() => ({}));
+        // 503 when SciBot could not load: that is not "no answer"
+        if (!res.ok) throw Object.assign(new Error(data?.error || `HTTP ${res.status}`), { status: res.status });
+        answerText = data?.answer;
+        if (answerText) {
+          setMessages((prev) => [
+            ...prev,
+            { id: botId, text: answerText, sources: data.sources || [], sender: "bot", timestamp: new Date() },
+          ]);
+          hapticEvent('chat-reply');
+          speak(answerText, { interrupt: true });
+        }
+      }
 
-      const answerText = data?.answer || "Sorry, I did not find an answer.";
-      setMessages((prev) => [...prev, { id: Date.now() + 1, text: answerText, sender: "bot", timestamp: new Date() }]);
-      setSrStatus(`ChatBot answered: ${answerText}`);
-      hapticNotify('1');
+      if (!answerText) {
+        answerText = "Sorry, I did not find an answer.";
+        setMessages((prev) => [...prev, { id: botId, text: answerText, sender: "bot", timestamp: new Date() }]);
+        speak(answerText, { interrupt: true });
+      }
 
+      setSrStatus(`ChatBot answered: ${answerText}`);
       lastBotAnswerRef.current = answerText;
-      speak(answerText, { interrupt: true });
-    } catch {
-      const errMsg = "I'm having trouble connecting to my brain server. Please try again.";
+    } catch (error) {
+      const errMsg = progress.text
+        ? "The rest of the answer was cut off. Please ask again."
+        : error?.status === 503
+          ? "The science helper is not available right now. Please ask your teacher or try again later."
+          : "I'm having trouble connecting to my brain server. Please try again.";
       setMessages((prev) => [
         ...prev,
         { id: Date.now() + 2, text: errMsg, sender: "bot", isError: true, timestamp: new Date() },
       ]);
-      setSrStatus("Error: cannot connect to server.");
+      setSrStatus(`Error: ${errMsg}`);
 
-      lastBotAnswerRef.current = errMsg;
-      speak(errMsg, { interrupt: true });
+      lastBotAnswerRef.current = progress.text || errMsg;
+      speak(errMsg, { interrupt: !progress.text });
     }
 
+    setStreaming(false);
     setLoading(false);
   };
 
-  const normalizeText = (t) => (t || "").toLowerCase().replace(/\s+/g, " ").trim();
-
-  const stripTrailingCommand = (text, commands) => {
-    const t = normalizeText(text);
-    for (const cmd of commands) {
-      const escaped = cmd.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-      const re = new RegExp(`\\b${escaped}\\b[\\s\\.!?,]*$`, "i");
-      if (re.test(t)) return { matched: cmd, cleaned: t.replace(re, "").trim() };
-    }
-    return { matched: null, cleaned: t };
-  };
-
   // Stop everything
   const stopAllListening = () => {
     try {
@@ -367,8 +654,8 @@ const ChatBox = ({ theme = "light", isDark = false }) => {
     // ✅ show refresh notice overlay
     setNeedsRefreshNotice(true);
 
-    setSrStatus("Stopped listening. Refresh the page to start a new chat.");
-    speak("Stopped listening. Please refresh the page to start a new chat.", { interrupt: true });
+    setSrStatus("Stopped listening. Your conversation is saved. Refresh the page to start listening again.");
+    speak("Stopped listening. Your conversation is saved. Please refresh the page to start listening again.", { interrupt: true });
 
     // keep wake word alive (optional)
     if (voiceReady) startWakeWord();
@@ -455,6 +742,98 @@ const ChatBox = ({ theme = "light", isDark = false }) => {
     }
   };
 
+  // ==========================
+  // Push-to-talk (hold Alt+V, the mic button or the glove button)
+  // ==========================
+  const startPushToTalk = () => {
+    if (inputModeRef.current !== "push") {
+      setSrStatus("Push to talk is off. Press Alt I to switch input mode.");
+      return;
+    }
+    const rec = recognitionRef.current;
+    if (!rec || pushActiveRef.current) return;
+
+    pushActiveRef.current = true;
+    pushReleasedRef.current = false;
+    finalTranscriptBuffer.current = "";
+    interimRef.current = "";
+    stopTTS();
+    setInput("");
+    setIsOpen(true);
+    setIsMinimized(false);
+    setNeedsRefreshNotice(false);
+    setSrStatus("Listening. Let go to send.");
+    try {
+      rec.start();
+      isMainListening.current = true;
+    } catch { }
+  };
+
+  const stopPushToTalk = () => {
+    if (!pushActiveRef.current) return;
+    pushActiveRef.current = false;
+    pushReleasedRef.current = true;
+    try {
+      recognitionRef.current?.stop?.();
+    } catch { }
+  };
+
+  // ==========================
+  // Input modes: wake word, push to talk, typing only
+  // ==========================
+  const modeHint = (mode) => {
+    const phrases = grammarRef.current;
+    if (mode === "wake") {
+      return `Say ${phrases.phrases("wake")[0]} to open ChatBot, then say ${phrases.phrases("send")[0]} after your question.`;
+    }
+    if (mode === "push") {
+      return "Hold Alt V, the microphone button or the glove button while you speak. Let go to send.";
+    }
+    return "Type your question and press Enter. Answers are still read aloud.";
+  };
+
+  const setInputMode = (mode) => {
+    learnerSettings.update({ chat: { inputMode: mode } });
+  };
+
+  const cycleInputMode = () => {
+    const next = INPUT_MODES[(INPUT_MODES.indexOf(inputModeRef.current) + 1) % INPUT_MODES.length];
+    setInputMode(next);
+  };
+
+  useEffect(() => {
+    const changed = inputModeRef.current !== inputMode;
+    inputModeRef.current = inputMode;
+    if (!changed) return;
+
+    // Leave the previous mode's listening behind
+    pushActiveRef.current = false;
+    try {
+      wakeWordRecognitionRef.current?.stop?.();
+    } catch { }
+    if (isMainListening.current) {
+      try {
+        recognitionRef.current?.stop?.();
+      } catch { }
+    }
+
+    if (inputMode === "wake") {
+      setNeedsVoiceEnable(false);
+      setVoiceReady(true); // switching is the user gesture the browser asks for
+      setTimeout(() => startWakeWord(), 400);
+    }
+
+    setSrStatus(`${INPUT_MODE_LABELS[inputMode]} mode. ${modeHint(inputMode)}`);
+    speak(`${INPUT_MODE_LABELS[inputMode]} mode.`, { interrupt: true });
+  }, [inputMode]);
+
+  // The glove button works like the push-to-talk key
+  useEffect(() => {
+    if (!gloveButton) return;
+    if (gloveButton.pressed) startPushToTalk();
+    else stopPushToTalk();
+  }, [gloveButton]);
+
   // MAIN recognition init
   useEffect(() => {
     if (didInitMainRecRef.current) return;
@@ -483,108 +862,146 @@ const ChatBox = ({ theme = "light", isDark = false }) => {
       playEndBeep();
       stopVoiceActivity();
 
+      // Push-to-talk released: what was said is sent now
+      if (pushReleasedRef.current) {
+        pushReleasedRef.current = false;
+        const said = `${finalTranscriptBuffer.current} ${interimRef.current}`.trim();
+        finalTranscriptBuffer.current = "";
+        interimRef.current = "";
+        setInput("");
+        submitPushToTalk(said, rec);
+        return;
+      }
+
       if (voiceReady && !isMainListening.current) startWakeWord();
     };
 
-    rec.onresult = (e) => {
-      let interim = "";
+    const runVoiceCommand = ({ status, id, payload, prompt }, rec) => {
+      // Destructive commands ask first; the answer comes in the next utterance
+      if (status === "confirm") {
+        setSrStatus(prompt);
+        speak(prompt, { interrupt: true });
+        return;
+      }
+      if (status === "cancelled") {
+        setSrStatus("Cancelled.");
+        speak("Okay, cancelled.", { interrupt: true });
+        return;
+      }
 
-      for (let i = e.resultIndex; i < e.results.length; i++) {
-        const transcript = e.results[i][0].transcript;
+      switch (id) {
+        case "mute":
+          ttsEnabledRef.current = false;
+          stopTTS();
+          setSrStatus("Speech muted.");
+          break;
+        case "unmute":
+          ttsEnabledRef.current = true;
+          setSrStatus("Speech enabled.");
+          speak("Speech enabled.", { interrupt: true });
+          break;
+        case "readSource":
+          readLastSource();
+          break;
+        case "repeat":
+          if (lastBotAnswerRef.current) speak(lastBotAnswerRef.current, { interrupt: true });
+          break;
+        case "lastConversation":
+          readLastConversation();
+          break;
+        case "newConversation":
+          startNewThread();
+          speak("Started a new conversation.", { interrupt: true });
+          break;
+        case "clear":
+          clearChat();
+          setSrStatus("Chat cleared. The old conversation is still in your history.");
+          speak("Chat cleared. The old conversation is still in your history.", { interrupt: true });
+          break;
+        case "minimize":
+          setIsMinimized(true);
+          setSrStatus("Minimized.");
+          break;
+        case "close":
+          setIsOpen(false);
+          setIsMinimized(false);
+          setSrStatus("Closed.");
+          stopAllListening();
+          break;
+        // STOP -> close + refresh notice
+        case "stop":
+          stopMainListening();
+          break;
+        case "start":
+          setIsOpen(true);
+          setIsMinimized(false);
+          setSrStatus("Starting listening.");
+          if (!isMainListening.current) toggleRecording();
+          break;
+        case "send": {
+          if (!payload) {
+            setSrStatus("Please say a question before 'send'.");
+            break;
+          }
+          setSrStatus("Sending your question.");
+          try {
+            rec.stop();
+          } catch { }
 
-        if (e.results[i].isFinal) {
-          finalTranscriptBuffer.current += transcript + " ";
-          const combined = (finalTranscriptBuffer.current || "").trim();
-          const norm = normalizeText(combined);
+          askFlaskBackend(payload).finally(() => {
+            setIsOpen(true);
+            setIsMinimized(false);
 
-          if (MUTE_WORDS.some((w) => norm.includes(w))) {
-            ttsEnabledRef.current = false;
-            stopTTS();
-            setSrStatus("Speech muted.");
-            finalTranscriptBuffer.current = "";
-            setInput("");
-            return;
-          }
-          if (UNMUTE_WORDS.some((w) => norm.includes(w))) {
-            ttsEnabledRef.current = true;
-            setSrStatus("Speech enabled.");
-            speak("Speech enabled.", { interrupt: true });
-            finalTranscriptBuffer.current = "";
-            setInput("");
-            return;
-          }
-          if (REPEAT_WORDS.some((w) => norm.includes(w))) {
-            const lastBot = lastBotAnswerRef.current;
-            if (lastBot) speak(lastBot, { interrupt: true });
-            finalTranscriptBuffer.current = "";
-            setInput("");
-            return;
-          }
+            setTimeout(async () => {
+              await safeRestartMainListening();
+              setSrStatus("Listening. Ask your next question, then say 'send'.");
+            }, 900);
+          });
+          break;
+        }
+        default:
+          break;
+      }
+    };
 
-          if (CLEAR_WORDS.some((w) => norm.includes(w))) {
-            setMessages([]);
-            finalTranscriptBuffer.current = "";
-            setInput("");
-            setSrStatus("Chat cleared.");
-            return;
-          }
+    const submitPushToTalk = (said, rec) => {
+      if (!said) {
+        setSrStatus("I did not hear anything. Hold the talk key and speak.");
+        return;
+      }
 
-          if (MINIMIZE_WORDS.some((w) => norm.includes(w))) {
-            setIsMinimized(true);
-            setSrStatus("Minimized.");
-            return;
-          }
+      const command = grammarRef.current.interpret(said, { only: CHAT_COMMANDS });
+      if (command && command.id !== "send") {
+        runVoiceCommand(command, rec);
+        return;
+      }
 
-          if (CLOSE_WORDS.some((w) => norm.includes(w))) {
-            setIsOpen(false);
-            setIsMinimized(false);
-            setSrStatus("Closed.");
-            stopAllListening();
-            return;
-          }
+      // Releasing sends, so a trailing "send" is optional
+      const question = command ? command.payload : said;
+      if (!question) {
+        setSrStatus("Please say a question before you let go.");
+        return;
+      }
+      setSrStatus("Sending your question.");
+      askFlaskBackend(question);
+    };
 
-          // STOP words -> close + refresh notice
-          if (STOP_WORDS.some((w) => norm.includes(w))) {
-            finalTranscriptBuffer.current = "";
-            setInput("");
-            stopMainListening();
-            return;
-          }
+    rec.onresult = (e) => {
+      let interim = "";
 
-          if (START_WORDS.some((w) => norm.includes(w))) {
-            finalTranscriptBuffer.current = "";
-            setInput("");
-            setIsOpen(true);
-            setIsMinimized(false);
-            setSrStatus("Starting listening.");
-            if (!isMainListening.current) toggleRecording();
-            return;
-          }
+      for (let i = e.resultIndex; i < e.results.length; i++) {
+        const transcript = e.results[i][0].transcript;
+
+        if (e.results[i].isFinal) {
+          finalTranscriptBuffer.current += transcript + " ";
+          if (inputModeRef.current === "push") continue; // handled on release
 
-          const { matched: sendCmd, cleaned } = stripTrailingCommand(combined, SEND_WORDS);
-          if (sendCmd) {
-            const questionToSend = cleaned.trim();
+          const combined = (finalTranscriptBuffer.current || "").trim();
+          const command = grammarRef.current.interpret(combined, { only: CHAT_COMMANDS });
+          if (command) {
             finalTranscriptBuffer.current = "";
             setInput("");
-
-            if (questionToSend) {
-              setSrStatus("Sending your question.");
-              try {
-                rec.stop();
-              } catch { }
-
-              askFlaskBackend(questionToSend).finally(() => {
-                setIsOpen(true);
-                setIsMinimized(false);
-
-                setTimeout(async () => {
-                  await safeRestartMainListening();
-                  setSrStatus("Listening. Ask your next question, then say 'send'.");
-                }, 900);
-              });
-            } else {
-              setSrStatus("Please say a question before 'send'.");
-            }
+            runVoiceCommand(command, rec);
             return;
           }
         } else {
@@ -592,6 +1009,7 @@ const ChatBox = ({ theme = "light", isDark = false }) => {
         }
       }
 
+      interimRef.current = interim;
       setInput((finalTranscriptBuffer.current + interim).trim());
     };
 
@@ -608,6 +1026,7 @@ const ChatBox = ({ theme = "light", isDark = false }) => {
 
   const startWakeWord = () => {
     const wakeRec = wakeWordRecognitionRef.current;
+    if (inputModeRef.current !== "wake") return;
     if (!wakeRec || isWakeListening.current || isMainListening.current) return;
     try {
       wakeRec.start();
@@ -642,9 +1061,9 @@ const ChatBox = ({ theme = "light", isDark = false }) => {
       };
 
       wakeRec.onresult = (e) => {
-        const text = (e.results?.[0]?.[0]?.transcript || "").toLowerCase();
+        const text = e.results?.[0]?.[0]?.transcript || "";
 
-        if (WAKE_WORDS.some((w) => text.includes(w))) {
+        if (grammarRef.current.match(text, { only: ["wake"] })) {
           playBeep();
           setIsOpen(true);
           setIsMinimized(false);
@@ -759,26 +1178,85 @@ const ChatBox = ({ theme = "light", isDark = false }) => {
     return () => window.removeEventListener("keydown", onKey);
   }, [needsRefreshNotice]);
 
-  // Keyboard shortcuts
-  useEffect(() => {
-    const onKey = (e) => {
-      if (e.key === "Escape") {
+  // Keyboard shortcuts (see SHORTCUTS)
+  const runShortcut = (id) => {
+    switch (id) {
+      case "toggleChat":
+        setSrStatus(isOpen ? "Chat closed." : "Chat opened.");
+        setIsOpen(!isOpen);
+        setIsMinimized(false);
+        break;
+      case "toggleMic":
+        if (inputMode === "wake") toggleRecording();
+        else setSrStatus(`${INPUT_MODE_LABELS[inputMode]} mode. ${modeHint(inputMode)}`);
+        break;
+      case "pushToTalk":
+        startPushToTalk();
+        break;
+      case "cycleMode":
+        cycleInputMode();
+        break;
+      case "focusInput":
+        setIsOpen(true);
+        setIsMinimized(false);
+        setTimeout(() => inputRef.current?.focus(), 50);
+        setSrStatus("Type your question, then press Enter.");
+        break;
+      case "repeat":
+        if (lastBotAnswerRef.current) speak(lastBotAnswerRef.current, { interrupt: true });
+        else setSrStatus("There is no answer to repeat yet.");
+        break;
+      case "readSource":
+        readLastSource();
+        break;
+      case "newConversation":
+        startNewThread();
+        setSrStatus("Started a new conversation.");
+        break;
+      case "history":
+        setIsOpen(true);
+        setIsMinimized(false);
+        setShowThreads(!showThreads);
+        setSrStatus(showThreads ? "Conversations hidden." : "Conversations shown.");
+        break;
+      case "help":
+        setSrStatus(`Keyboard shortcuts. ${SHORTCUTS.map((s) => `${s.keys}: ${s.label}`).join(". ")}.`);
+        break;
+      case "close":
         stopAllListening();
         setIsOpen(false);
         setIsMinimized(false);
-      }
-      if (e.ctrlKey && e.key.toLowerCase() === "m") {
-        e.preventDefault();
-        toggleRecording();
-      }
-      if (e.ctrlKey && e.key.toLowerCase() === "k") {
-        e.preventDefault();
-        setIsOpen((p) => !p);
-        setIsMinimized(false);
-      }
+        break;
+      default:
+        break;
+    }
+  };
+
+  const runShortcutRef = useRef(runShortcut);
+  useEffect(() => {
+    runShortcutRef.current = runShortcut;
+  });
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      const shortcut = findShortcut(e);
+      if (!shortcut) return;
+      e.preventDefault();
+      if (e.repeat) return; // holding Alt+V repeats keydown
+      runShortcutRef.current(shortcut.id);
+    };
+    // Letting go of V or Alt ends push-to-talk
+    const onKeyUp = (e) => {
+      if (e.code === "KeyV" || e.key === "Alt") stopPushToTalk();
+    };
+    window.addEventListener("keydown", onKeyDown);
+    window.addEventListener("keyup", onKeyUp);
+    window.addEventListener("blur", stopPushToTalk);
+    return () => {
+      window.removeEventListener("keydown", onKeyDown);
+      window.removeEventListener("keyup", onKeyUp);
+      window.removeEventListener("blur", stopPushToTalk);
     };
-    window.addEventListener("keydown", onKey);
-    return () => window.removeEventListener("keydown", onKey);
   }, []);
 
   // Drag
@@ -833,7 +1311,7 @@ const ChatBox = ({ theme = "light", isDark = false }) => {
           className="fixed inset-0 z-[9999] flex items-center justify-center bg-black/40 backdrop-blur-sm"
           role="dialog"
           aria-modal="true"
-          aria-label="Refresh to start a new chat"
+          aria-label="Refresh to start listening again"
         >
           <div className="relative bg-white rounded-2xl shadow-2xl p-6 max-w-md w-[90%]">
             <button
@@ -845,11 +1323,11 @@ const ChatBox = ({ theme = "light", isDark = false }) => {
               ×
             </button>
 
-            <h2 className="text-lg font-bold mb-2">Start a New Chat</h2>
+            <h2 className="text-lg font-bold mb-2">Listening Stopped</h2>
             <p className="text-sm text-slate-600 mb-4">
-              Voice listening has stopped and the chat is closed.
+              Voice listening has stopped and the chat is closed. Your conversation is saved.
               <br />
-              To start a <b>fresh new chat</b>, please refresh this page.
+              To <b>start listening again</b>, please refresh this page. Say <b>“new chat”</b> for a fresh conversation.
             </p>
 
             <button
@@ -944,7 +1422,7 @@ const ChatBox = ({ theme = "light", isDark = false }) => {
                 </div>
                 <div>
                   <h3 className="font-bold text-base tracking-wide">ChatBot</h3>
-                  <p className="text-xs opacity-80">Voice: say “stop listening” to close • refresh for new chat</p>
+                  <p className="text-xs opacity-80">Voice: say “stop listening” to close • “new chat” for a new conversation</p>
                 </div>
               </div>
 
@@ -961,9 +1439,22 @@ const ChatBox = ({ theme = "light", isDark = false }) => {
 
                 {!isMinimized && (
                   <button
-                    onClick={() => setMessages([])}
+                    onClick={() => setShowThreads((v) => !v)}
+                    className={`p-2 rounded-lg ${currentTheme.iconBtn} transition-colors`}
+                    title="Conversations"
+                    aria-label="Conversations"
+                    aria-expanded={showThreads}
+                    onMouseEnter={() => hapticNotify('3')}
+                  >
+                    <History className="w-4 h-4" />
+                  </button>
+                )}
+                {!isMinimized && (
+                  <button
+                    onClick={clearChat}
                     className={`p-2 rounded-lg ${currentTheme.iconBtn} transition-colors`}
-                    title="Clear Chat"
+                    title="Clear Chat (keeps it in Conversations)"
+                    aria-label="Clear Chat (keeps it in Conversations)"
                     onMouseEnter={() => hapticNotify('3')}
                   >
                     <Trash2 className="w-4 h-4" />
@@ -992,6 +1483,81 @@ const ChatBox = ({ theme = "light", isDark = false }) => {
               </div>
             </div>
 
+            {!isMinimized && showThreads && (
+              <div
+                className={`px-4 py-3 space-y-2 text-sm border-b ${theme === "dark" ? "bg-slate-800 border-slate-700 text-slate-200" : "bg-white border-gray-100 text-slate-700"
+                  }`}
+              >
+                <div className="flex items-center gap-2">
+                  <label htmlFor="chat-thread" className="sr-only">Conversation</label>
+                  <select
+                    id="chat-thread"
+                    value={threadId || ""}
+                    onChange={(e) => {
+                      const thread = threads.find((t) => t.id === e.target.value);
+                      if (thread) openThread(thread);
+                    }}
+                    className={`flex-1 min-w-0 rounded-lg px-2 py-1.5 border ${currentTheme.inputBg}`}
+                  >
+                    {threads.map((t) => (
+                      <option key={t.id} value={t.id}>{t.title}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={startNewThread}
+                    onMouseEnter={() => hapticNotify('3')}
+                    className={`p-2 rounded-lg ${currentTheme.iconBtn} transition-colors`}
+                    title="New conversation"
+                    aria-label="New conversation"
+                  >
+                    <Plus className="w-4 h-4" />
+                  </button>
+                </div>
+
+                <div className="flex flex-wrap items-center gap-2 text-xs">
+                  <button onClick={renameCurrentThread} onMouseEnter={() => hapticNotify('3')} className="underline">Rename</button>
+                  <button onClick={deleteCurrentThread} onMouseEnter={() => hapticNotify('3')} className="underline">Delete</button>
+                  <span className="flex items-center gap-1 ml-auto">
+                    <Download className="w-3.5 h-3.5" aria-hidden="true" />
+                    <button onClick={() => exportCurrentThread("text")} onMouseEnter={() => hapticNotify('3')} className="underline">Text</button>
+                    <button onClick={() => exportCurrentThread("html")} onMouseEnter={() => hapticNotify('3')} className="underline">HTML</button>
+                  </span>
+                </div>
+
+                <div className="relative">
+                  <Search className="w-4 h-4 absolute left-2 top-2 opacity-60" aria-hidden="true" />
+                  <input
+                    type="search"
+                    value={searchQuery}
+                    onChange={(e) => setSearchQuery(e.target.value)}
+                    placeholder="Search conversations..."
+                    aria-label="Search conversations"
+                    className={`w-full rounded-lg pl-8 pr-2 py-1.5 border ${currentTheme.inputBg}`}
+                  />
+                </div>
+
+                {searchQuery.trim() && (
+                  <ul className="max-h-40 overflow-y-auto space-y-1" aria-label="Search results">
+                    {searchResults.length === 0 && <li className="text-xs opacity-70">No matches.</li>}
+                    {searchResults.map((r) => (
+                      <li key={`${r.threadId}-${r.message.id}`}>
+                        <button
+                          onClick={() => {
+                            const thread = threads.find((t) => t.id === r.threadId);
+                            if (thread) openThread(thread);
+                            setSearchQuery("");
+                          }}
+                          className="w-full text-left text-xs p-1.5 rounded-lg hover:bg-black/5"
+                        >
+                          <b>{r.title}</b>: {r.message.text.slice(0, 90)}
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+
             {!isMinimized && (
               <>
                 <div className="flex-1 overflow-y-auto p-4 space-y-4">
@@ -1013,13 +1579,38 @@ const ChatBox = ({ theme = "light", isDark = false }) => {
                               }`}
                           >
                             {msg.text}
+                            {!isUser && msg.sources?.length > 0 && (
+                              <details className="mt-2 text-xs">
+                                <summary className="cursor-pointer font-medium opacity-80">
+                                  Sources ({msg.sources.length})
+                                </summary>
+                                <ol className="mt-2 space-y-3">
+                                  {msg.sources.map((src, i) => (
+                                    <li key={`${src.document}-${src.page}-${i}`}>
+                                      <div className="font-semibold">
+                                        {sourceTitle(src.document)}, page {src.page}
+                                        <span className="font-normal opacity-70"> · {Math.round(src.confidence * 100)}% match</span>
+                                      </div>
+                                      <p className="mt-1 opacity-80 whitespace-pre-line">{src.text}</p>
+                                      <button
+                                        onClick={() => readSource(src)}
+                                        onMouseEnter={() => hapticNotify('3')}
+                                        className="mt-1 font-medium underline"
+                                      >
+                                        Read the source
+                                      </button>
+                                    </li>
+                                  ))}
+                                </ol>
+                              </details>
+                            )}
                           </div>
                         </div>
                       </div>
                     );
                   })}
 
-                  {loading && (
+                  {loading && !streaming && (
                     <div className="flex justify-start">
                       <div className="flex gap-2 p-2">
                         <div className="w-8 h-8 rounded-full bg-blue-100 text-blue-600 flex items-center justify-center">
@@ -1042,18 +1633,27 @@ const ChatBox = ({ theme = "light", isDark = false }) => {
                   className={`p-4 ${theme === "dark" ? "bg-slate-800" : "bg-white"} border-t ${theme === "dark" ? "border-slate-700" : "border-gray-100"
                     }`}
                 >
-                  {micPermission !== "granted" && (
+                  {micPermission !== "granted" && inputMode !== "typing" && (
                     <div className="flex items-center justify-between mb-3 px-1">
                       <span className="text-xs text-slate-500">Enable microphone for voice chat</span>
-                      <button onClick={requestMicAccess} onMouseEnter={() => hapticNotify('3')} className="text-xs font-medium text-blue-600 hover:underline">
-                        Allow Access
-                      </button>
+                      <div className="flex items-center gap-3">
+                        <button onClick={requestMicAccess} onMouseEnter={() => hapticNotify('3')} className="text-xs font-medium text-blue-600 hover:underline">
+                          Allow Access
+                        </button>
+                        <button onClick={() => setInputMode("typing")} onMouseEnter={() => hapticNotify('3')} className="text-xs font-medium text-slate-500 hover:underline">
+                          Type only
+                        </button>
+                      </div>
                     </div>
                   )}
 
                   {isRecording && (
                     <div className="flex items-center gap-2 mb-3 px-1 animate-pulse">
-                      <span className="text-xs font-semibold text-red-500">Listening… say “send” or “stop listening”</span>
+                      <span className="text-xs font-semibold text-red-500">
+                        {inputMode === "push"
+                          ? "Listening… let go to send"
+                          : `Listening… say “${grammar.phrases("send")[0]}” or “${grammar.phrases("stop")[0]}”`}
+                      </span>
                     </div>
                   )}
 
@@ -1074,17 +1674,33 @@ const ChatBox = ({ theme = "light", isDark = false }) => {
                       }}
                     />
                     <div className="absolute right-2 top-1.5 flex items-center gap-1">
-                      <button
-                        onClick={toggleRecording}
-                        onMouseEnter={() => hapticNotify('3')}
-                        className={`p-2 rounded-xl transition-all duration-300 ${isRecording
-                            ? "bg-red-500 text-white shadow-lg shadow-red-500/30 scale-105"
-                            : "hover:bg-slate-100 text-slate-500"
-                          }`}
-                        title="Voice Input"
-                      >
-                        <Mic className="w-5 h-5" />
-                      </button>
+                      {inputMode !== "typing" && (
+                        <button
+                          {...(inputMode === "push"
+                            ? {
+                              onPointerDown: startPushToTalk,
+                              onPointerUp: stopPushToTalk,
+                              onPointerLeave: stopPushToTalk,
+                              onKeyDown: (e) => {
+                                if ((e.key === " " || e.key === "Enter") && !e.repeat) {
+                                  e.preventDefault();
+                                  startPushToTalk();
+                                }
+                              },
+                              onKeyUp: (e) => (e.key === " " || e.key === "Enter") && stopPushToTalk(),
+                            }
+                            : { onClick: toggleRecording })}
+                          onMouseEnter={() => hapticNotify('3')}
+                          className={`p-2 rounded-xl transition-all duration-300 ${isRecording
+                              ? "bg-red-500 text-white shadow-lg shadow-red-500/30 scale-105"
+                              : "hover:bg-slate-100 text-slate-500"
+                            }`}
+                          title={inputMode === "push" ? "Hold to talk" : "Voice Input"}
+                          aria-label={inputMode === "push" ? "Hold to talk" : "Voice Input"}
+                        >
+                          <Mic className="w-5 h-5" />
+                        </button>
+                      )}
 
                       <button
                         onClick={() => askFlaskBackend()}
@@ -1100,8 +1716,29 @@ const ChatBox = ({ theme = "light", isDark = false }) => {
                     </div>
                   </div>
 
-                  <div className="text-center mt-2">
-                    <p className="text-[10px] text-slate-400">Voice: “hi” open • “send” submit • “stop listening” close</p>
+                  <div className="flex items-center justify-center gap-1 mt-2" role="radiogroup" aria-label="Input mode">
+                    {INPUT_MODES.map((mode) => (
+                      <button
+                        key={mode}
+                        role="radio"
+                        aria-checked={inputMode === mode}
+                        onClick={() => setInputMode(mode)}
+                        onMouseEnter={() => hapticNotify('3')}
+                        className={`px-2 py-0.5 rounded-full text-[10px] font-medium transition-colors ${inputMode === mode ? `${currentTheme.bubbleBtn} text-white` : "text-slate-400 hover:bg-slate-100"
+                          }`}
+                      >
+                        {INPUT_MODE_LABELS[mode]}
+                      </button>
+                    ))}
+                  </div>
+
+                  <div className="text-center mt-1">
+                    <p className="text-[10px] text-slate-400">
+                      {inputMode === "wake" && <>Voice: “{grammar.phrases("wake")[0]}” open • “{grammar.phrases("send")[0]}” submit • “{grammar.phrases("stop")[0]}” close • “{grammar.phrases("lastConversation")[0]}” • “{grammar.phrases("readSource")[0]}”</>}
+                      {inputMode === "push" && "Hold Alt+V, the mic or the glove button to talk • let go to send"}
+                      {inputMode === "typing" && "Type and press Enter • answers are read aloud"}
+                      {" "}• Alt+/ shortcuts
+                    </p>
                   </div>
                 </div>
               </>
@@ -0,0 +1,250 @@
+import { useState, useEffect } from 'react'
+import { vocabulary, validateSteps, STEP_LIMITS } from '@voice-activities/haptics/haptic-vocabulary.js'
+import { HAPTIC_EVENTS } from '@voice-activities/haptics/haptic-patterns.js'
+import { hapticNotify, haptics, HAPTIC_PRIORITY } from '../utils/hapticNotify'
+
+const MOTOR_OPTIONS = [
+    { value: '1', label: 'Left' },
+    { value: '2', label: 'Right' },
+    { value: '3', label: 'Both' }
+]
+
+const NEW_STEP = { motor: '3', duration: 200, gap: 150 }
+
+const cardStyle = {
+    background: '#fff', borderRadius: 12, padding: '1.25rem',
+    boxShadow: '0 1px 3px rgba(0,0,0,0.1)', border: '1px solid #e5e7eb', marginBottom: '1rem'
+}
+const inputStyle = {
+    padding: '0.35rem 0.5rem', borderRadius: 6, border: '1px solid #d1d5db', fontSize: '0.8rem'
+}
+const smallBtn = (color) => ({
+    padding: '0.35rem 0.75rem', borderRadius: 8, border: '2px solid ' + color,
+    background: '#fff', color, fontWeight: 600, fontSize: '0.78rem', cursor: 'pointer'
+})
+
+/**
+ * Describe a pattern for screen readers and the pattern list,
+ * e.g. "both 200ms, pause 250ms, both 200ms".
+ */
+function describeSteps(steps) {
+    return steps.map(step => {
+        if (step.pattern) return `${step.pattern} pattern`
+        const motor = MOTOR_OPTIONS.find(m => m.value === String(step.motor))?.label.toLowerCase() || step.motor
+        const parts = [`${motor} ${step.duration ?? 200}ms`]
+        if (step.gap) parts.push(`pause ${step.gap}ms`)
+        return parts.join(', ')
+    }).join(', ')
+}
+
+function readMapping() {
+    return Object.fromEntries(Object.keys(HAPTIC_EVENTS).map(event => [event, vocabulary.getMapping(event)]))
+}
+
+/**
+ * Teacher panel for defining named vibration patterns and mapping them to app events.
+ * Everything is stored in the shared haptic vocabulary, so the voice activities
+ * pick up the same mapping.
+ */
+export default function HapticVocabularyPanel({ isConnected, showToast }) {
+    const [patterns, setPatterns] = useState(() => vocabulary.listPatterns())
+    const [mapping, setMapping] = useState(() => readMapping())
+    const [name, setName] = useState('')
+    const [steps, setSteps] = useState([{ ...NEW_STEP }])
+
+    useEffect(() => vocabulary.subscribe(() => {
+        setPatterns(vocabulary.listPatterns())
+        setMapping(readMapping())
+    }), [])
+
+    const updateStep = (index, field, value) => {
+        setSteps(prev => prev.map((step, i) => (i === index ? { ...step, [field]: value } : step)))
+    }
+
+    const addStep = () => {
+        if (steps.length >= STEP_LIMITS.maxSteps) return
+        setSteps(prev => [...prev, { ...NEW_STEP }])
+    }
+
+    const removeStep = (index) => {
+        setSteps(prev => prev.filter((_, i) => i !== index))
+    }
+
+    const preview = async (patternSteps, validate = false) => {
+        if (!isConnected) return showToast('Connect glove first', 'error')
+        const error = validate && validateSteps(patternSteps)
+        if (error) return showToast(error, 'error')
+
+        const result = await haptics.playSteps(patternSteps, { priority: HAPTIC_PRIORITY.NOTIFY, force: true })
+        if (!result.success) showToast(result.message || 'Preview failed', 'error')
+    }
+
+    const savePattern = () => {
+        try {
+            const id = vocabulary.savePattern(name, steps)
+            showToast(`Pattern "${id}" saved`, 'success')
+            setName('')
+            setSteps([{ ...NEW_STEP }])
+        } catch (e) {
+            showToast(e.message, 'error')
+        }
+    }
+
+    const editPattern = (pattern) => {
+        setName(pattern.name)
+        setSteps(pattern.steps.map(step => ({ ...NEW_STEP, ...step })))
+    }
+
+    const deletePattern = (patternName) => {
+        if (vocabulary.deletePattern(patternName)) showToast(`Pattern "${patternName}" deleted`, 'info')
+    }
+
+    const changeMapping = (event, patternName) => {
+        try {
+            vocabulary.setMapping(event, patternName)
+        } catch (e) {
+            showToast(e.message, 'error')
+        }
+    }
+
+    return (
+        <>
+            {/* Pattern Editor Card */}
+            <div style={cardStyle}>
+                <h3 style={{ fontSize: '1rem', fontWeight: 600, marginBottom: '0.25rem' }}>Haptic Vocabulary</h3>
+                <p style={{ fontSize: '0.8rem', color: '#6b7280', marginBottom: '0.75rem' }}>
+                    Build a named pattern from left, right or both pulses. Durations over 200ms repeat the pulse.
+                </p>
+
+                <label style={{ display: 'block', fontSize: '0.8rem', fontWeight: 500, marginBottom: '0.5rem' }}>
+                    Pattern name
+                    <input
+                        value={name}
+                        onChange={e => setName(e.target.value)}
+                        placeholder="e.g. two quick taps"
+                        style={{ ...inputStyle, display: 'block', width: '100%', marginTop: '0.25rem' }}
+                    />
+                </label>
+
+                <ol style={{ listStyle: 'none', padding: 0, margin: '0 0 0.75rem' }} aria-label="Pattern steps">
+                    {steps.map((step, index) => (
+                        <li key={index} style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '0.4rem', flexWrap: 'wrap' }}>
+                            <span style={{ fontSize: '0.75rem', color: '#6b7280', width: 48 }}>Step {index + 1}</span>
+                            <select
+                                value={step.motor}
+                                onChange={e => updateStep(index, 'motor', e.target.value)}
+                                aria-label={`Step ${index + 1} motor`}
+                                style={inputStyle}
+                            >
+                                {MOTOR_OPTIONS.map(m => <option key={m.value} value={m.value}>{m.label}</option>)}
+                            </select>
+                            <label style={{ fontSize: '0.75rem' }}>
+                                Buzz{' '}
+                                <input
+                                    type="number" min={STEP_LIMITS.minDuration} max={STEP_LIMITS.maxDuration} step={50}
+                                    value={step.duration}
+                                    onChange={e => updateStep(index, 'duration', Number(e.target.value))}
+                                    style={{ ...inputStyle, width: 70 }}
+                                /> ms
+                            </label>
+                            <label style={{ fontSize: '0.75rem' }}>
+                                Pause{' '}
+                                <input
+                                    type="number" min={0} max={STEP_LIMITS.maxGap} step={50}
+                                    value={step.gap}
+                                    onChange={e => updateStep(index, 'gap', Number(e.target.value))}
+                                    style={{ ...inputStyle, width: 70 }}
+                                /> ms
+                            </label>
+                            <button
+                                onClick={() => removeStep(index)}
+                                disabled={steps.length === 1}
+                                aria-label={`Remove step ${index + 1}`}
+                                style={{ ...smallBtn('#ef4444'), padding: '0.2rem 0.5rem', opacity: steps.length === 1 ? 0.4 : 1 }}
+                            >
+                                ✕
+                            </button>
+                        </li>
+                    ))}
+                </ol>
+
+                <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+                    <button onClick={addStep} onMouseEnter={() => hapticNotify('3')} style={smallBtn('#6b7280')}>+ Add Step</button>
+                    <button onClick={() => preview(steps, true)} onMouseEnter={() => hapticNotify('3')} style={smallBtn('#3b82f6')}>Preview</button>
+                    <button onClick={savePattern} onMouseEnter={() => hapticNotify('3')} style={smallBtn('#22c55e')}>Save Pattern</button>
+                </div>
+
+                {/* Saved patterns */}
+                <h4 style={{ fontSize: '0.85rem', fontWeight: 600, margin: '1rem 0 0.5rem' }}>Patterns</h4>
+                <ul style={{ listStyle: 'none', padding: 0, margin: 0 }}>
+                    {patterns.map(pattern => (
+                        <li key={pattern.name} style={{
+                            display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '0.5rem',
+                            padding: '0.4rem 0', borderBottom: '1px solid #f3f4f6', fontSize: '0.8rem'
+                        }}>
+                            <div>
+                                <code style={{ background: '#f3f4f6', padding: '2px 6px', borderRadius: 4 }}>{pattern.name}</code>
+                                {pattern.builtIn && <span style={{ marginLeft: 6, fontSize: '0.7rem', color: '#9ca3af' }}>built-in</span>}
+                                <div style={{ fontSize: '0.72rem', color: '#6b7280', marginTop: 2 }}>{describeSteps(pattern.steps)}</div>
+                            </div>
+                            <div style={{ display: 'flex', gap: '0.35rem', flexShrink: 0 }}>
+                                <button
+                                    onClick={() => preview(pattern.steps)}
+                                    onMouseEnter={() => hapticNotify('3')}
+                                    aria-label={`Preview ${pattern.name}`}
+                                    style={smallBtn('#3b82f6')}
+                                >
+                                    ▶
+                                </button>
+                                {!pattern.builtIn && (
+                                    <>
+                                        <button onClick={() => editPattern(pattern)} aria-label={`Edit ${pattern.name}`} style={smallBtn('#6b7280')}>Edit</button>
+                                        <button onClick={() => deletePattern(pattern.name)} aria-label={`Delete ${pattern.name}`} style={smallBtn('#ef4444')}>Delete</button>
+                                    </>
+                                )}
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            </div>
+
+            {/* Event Mapping Card */}
+            <div style={cardStyle}>
+                <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '0.5rem' }}>
+                    <h3 style={{ fontSize: '1rem', fontWeight: 600, margin: 0 }}>Event Mapping</h3>
+                    <button
+                        onClick={() => vocabulary.resetMapping()}
+                        onMouseEnter={() => hapticNotify('3')}
+                        style={smallBtn('#6b7280')}
+                    >
+                        Reset to defaults
+                    </button>
+                </div>
+                <p style={{ fontSize: '0.8rem', color: '#6b7280', marginBottom: '0.75rem' }}>
+                    Choose which pattern plays for each event in SciBot, Object Recognition and the voice activities.
+                </p>
+                <table style={{ width: '100%', fontSize: '0.8rem', borderCollapse: 'collapse' }}>
+                    <tbody>
+                        {Object.entries(HAPTIC_EVENTS).map(([event, { label }]) => (
+                            <tr key={event} style={{ borderBottom: '1px solid #f3f4f6' }}>
+                                <td style={{ padding: '0.35rem 0' }}>
+                                    <label htmlFor={`haptic-event-${event}`}>{label}</label>
+                                </td>
+                                <td style={{ padding: '0.35rem 0', textAlign: 'right' }}>
+                                    <select
+                                        id={`haptic-event-${event}`}
+                                        value={mapping[event] || ''}
+                                        onChange={e => changeMapping(event, e.target.value)}
+                                        style={inputStyle}
+                                    >
+                                        {patterns.map(p => <option key={p.name} value={p.name}>{p.name}</option>)}
+                                    </select>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </>
+    )
+}
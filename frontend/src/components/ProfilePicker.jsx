@@ -0,0 +1,215 @@
+import { useState, useEffect, useRef } from 'react'
+import { AVATARS, NAME_MAX_LENGTH } from '@voice-activities/profiles/profile-store.js'
+import { learnerSettings } from '@voice-activities/settings/learner-settings.js'
+import { hapticNotify } from '../utils/hapticNotify'
+import { useProfile } from '../context/ProfileContext'
+
+const SpeechRecognition = typeof window !== 'undefined'
+    ? window.SpeechRecognition || window.webkitSpeechRecognition
+    : null
+
+const NEW_WORDS = ['new profile', 'new student', 'add profile', "i'm new", 'i am new', 'new']
+const GUEST_WORDS = ['guest', 'skip']
+const NAME_PREFIXES = /^(my name is|i am|i'm|it's|it is|this is)\s+/i
+
+function say(text) {
+    if (!('speechSynthesis' in window)) return
+    window.speechSynthesis.cancel()
+    window.speechSynthesis.speak(learnerSettings.applySpeech(new SpeechSynthesisUtterance(text)))
+}
+
+/**
+ * Listen once and resolve with the transcript ('' when nothing was heard)
+ */
+function listenOnce() {
+    return new Promise((resolve) => {
+        const rec = new SpeechRecognition()
+        rec.lang = 'en-US'
+        rec.interimResults = false
+        rec.maxAlternatives = 1
+        let heard = ''
+        rec.onresult = (e) => { heard = e.results?.[0]?.[0]?.transcript || '' }
+        rec.onend = () => resolve(heard.trim())
+        rec.onerror = () => resolve('')
+        rec.start()
+    })
+}
+
+/**
+ * Full-screen "Who is learning?" picker for shared classroom devices.
+ * Students pick themselves with big avatar buttons or by saying their name;
+ * names are read aloud on hover and focus.
+ */
+export default function ProfilePicker({ onClose }) {
+    const { profile, list, isGuest, select, create, findByName } = useProfile()
+    const [mode, setMode] = useState(list.length ? 'pick' : 'create')
+    const [name, setName] = useState('')
+    const [avatar, setAvatar] = useState(AVATARS[list.length % AVATARS.length])
+    const [listening, setListening] = useState(false)
+    const [status, setStatus] = useState('')
+    const dialogRef = useRef(null)
+
+    useEffect(() => {
+        say(list.length
+            ? 'Who is learning? Choose your picture, or press Say my name.'
+            : 'Welcome! Type or say your name to make a profile.')
+    }, [])
+
+    useEffect(() => {
+        dialogRef.current?.querySelector('button, input')?.focus()
+    }, [mode])
+
+    useEffect(() => {
+        const onKey = (e) => {
+            if (e.key === 'Escape') onClose()
+        }
+        window.addEventListener('keydown', onKey)
+        return () => window.removeEventListener('keydown', onKey)
+    }, [onClose])
+
+    const choose = (id) => {
+        const next = select(id)
+        hapticNotify('3')
+        say(`Hello, ${next.name}!`)
+        onClose()
+    }
+
+    const announce = (text) => {
+        setStatus(text)
+        say(text)
+    }
+
+    const listenForName = async () => {
+        if (!SpeechRecognition) return announce('Voice input is not supported in this browser.')
+        setListening(true)
+        setStatus('Listening...')
+        const heard = await listenOnce()
+        setListening(false)
+        if (!heard) return announce('I did not hear anything. Please try again.')
+
+        const text = heard.toLowerCase()
+        if (mode === 'create') {
+            setName(heard.replace(NAME_PREFIXES, '').slice(0, NAME_MAX_LENGTH))
+            return announce(`I heard ${heard.replace(NAME_PREFIXES, '')}. Press Create to save.`)
+        }
+
+        const match = findByName(heard.replace(NAME_PREFIXES, ''))
+        if (match) return choose(match.id)
+        if (GUEST_WORDS.some(w => text.includes(w))) return choose('guest')
+        if (NEW_WORDS.some(w => text.includes(w))) {
+            setMode('create')
+            return announce('Making a new profile. Say or type your name.')
+        }
+        announce(`I heard ${heard}, but there is no profile with that name.`)
+    }
+
+    const submitCreate = (e) => {
+        e.preventDefault()
+        try {
+            const created = create({ name, avatar })
+            choose(created.id)
+        } catch (err) {
+            announce(err.message)
+        }
+    }
+
+    return (
+        <div className="profile-picker-backdrop">
+            <div
+                ref={dialogRef}
+                className="profile-picker"
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="profile-picker-title"
+            >
+                <h2 id="profile-picker-title" className="profile-picker-title">
+                    {mode === 'pick' ? 'Who is learning?' : 'New profile'}
+                </h2>
+
+                {mode === 'pick' ? (
+                    <>
+                        <ul className="profile-grid">
+                            {list.map(p => (
+                                <li key={p.id}>
+                                    <button
+                                        className={`profile-tile ${!isGuest && p.id === profile.id ? 'active' : ''}`}
+                                        onClick={() => choose(p.id)}
+                                        onMouseEnter={() => { hapticNotify('3'); say(p.name) }}
+                                        onFocus={() => say(p.name)}
+                                    >
+                                        <span className="profile-avatar" aria-hidden="true">{p.avatar}</span>
+                                        {p.name}
+                                    </button>
+                                </li>
+                            ))}
+                            <li>
+                                <button
+                                    className="profile-tile"
+                                    onClick={() => setMode('create')}
+                                    onMouseEnter={() => { hapticNotify('3'); say('New profile') }}
+                                    onFocus={() => say('New profile')}
+                                >
+                                    <span className="profile-avatar" aria-hidden="true">➕</span>
+                                    New profile
+                                </button>
+                            </li>
+                        </ul>
+
+                        <div className="profile-actions">
+                            <button className="profile-action primary" onClick={listenForName} disabled={listening}>
+                                🎤 {listening ? 'Listening...' : 'Say my name'}
+                            </button>
+                            <button className="profile-action" onClick={() => choose('guest')} onMouseEnter={() => hapticNotify('3')}>
+                                Continue as guest
+                            </button>
+                        </div>
+                    </>
+                ) : (
+                    <form onSubmit={submitCreate}>
+                        <label className="profile-label">
+                            Name
+                            <input
+                                className="profile-input"
+                                value={name}
+                                maxLength={NAME_MAX_LENGTH}
+                                onChange={e => setName(e.target.value)}
+                                autoComplete="off"
+                            />
+                        </label>
+
+                        <fieldset className="profile-avatars">
+                            <legend className="profile-label">Picture</legend>
+                            {AVATARS.map(a => (
+                                <button
+                                    key={a}
+                                    type="button"
+                                    className={`profile-avatar-option ${a === avatar ? 'active' : ''}`}
+                                    onClick={() => setAvatar(a)}
+                                    aria-pressed={a === avatar}
+                                    aria-label={`Picture ${AVATARS.indexOf(a) + 1}`}
+                                >
+                                    {a}
+                                </button>
+                            ))}
+                        </fieldset>
+
+                        <div className="profile-actions">
+                            <button type="button" className="profile-action" onClick={listenForName} disabled={listening}>
+                                🎤 {listening ? 'Listening...' : 'Say my name'}
+                            </button>
+                            <button type="submit" className="profile-action primary">Create</button>
+                            {list.length > 0 && (
+                                <button type="button" className="profile-action" onClick={() => setMode('pick')}>Back</button>
+                            )}
+                        </div>
+                    </form>
+                )}
+
+                <p className="sr-only" role="status">{status}</p>
+                {status && <p className="profile-status" aria-hidden="true">{status}</p>}
+
+                <button className="profile-close" onClick={onClose} aria-label="Close profile picker">✕</button>
+            </div>
+        </div>
+    )
+}
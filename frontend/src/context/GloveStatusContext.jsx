@@ -0,0 +1,132 @@
+import { createContext, useContext, useEffect, useRef, useState, useCallback } from 'react'
+import { haptics } from '../utils/hapticNotify'
+
+const API_BASE = haptics.baseUrl
+const RECONNECT_MS = 5000
+const MAX_ACKS = 20
+
+// Ids for acknowledgements; the same command can be acked twice in one millisecond
+let nextAckId = 1
+
+const GloveStatusContext = createContext(null)
+
+const initialStatus = {
+    connected: false,
+    deviceName: null,
+    deviceAddress: null,
+    serviceUuid: null,
+    charUuid: null,
+    battery: null,
+    live: false,          // event stream to the glove backend is open
+    lastChange: null,     // { connected, reason, timestamp } of the last connection event
+    acks: [],             // latest motor acknowledgements (with a unique id), newest first
+    button: null          // { pressed, timestamp } of the last glove button change
+}
+
+function fromStatus(data) {
+    return {
+        connected: !!data.connected,
+        deviceName: data.device_name ?? null,
+        deviceAddress: data.device_address ?? null,
+        serviceUuid: data.service_uuid ?? null,
+        charUuid: data.characteristic_uuid ?? null,
+        battery: data.battery_level ?? null
+    }
+}
+
+/**
+ * Keeps one server-sent event connection to /api/smart-glove/events for the
+ * whole app and exposes the live glove state (connection, battery, motor acks, button).
+ */
+export function GloveStatusProvider({ children }) {
+    const [status, setStatus] = useState(initialStatus)
+    const sourceRef = useRef(null)
+    const retryRef = useRef(null)
+
+    const refresh = useCallback(async () => {
+        try {
+            const res = await fetch(`${API_BASE}/status`)
+            const data = await res.json()
+            setStatus(prev => ({ ...prev, ...fromStatus(data) }))
+            return data
+        } catch {
+            return null /* backend not running */
+        }
+    }, [])
+
+    useEffect(() => {
+        let closed = false
+
+        const open = () => {
+            if (closed) return
+            const source = new EventSource(`${API_BASE}/events`)
+            sourceRef.current = source
+
+            source.addEventListener('open', () => {
+                setStatus(prev => ({ ...prev, live: true }))
+            })
+
+            source.addEventListener('status', (e) => {
+                setStatus(prev => ({ ...prev, ...fromStatus(JSON.parse(e.data)), live: true }))
+            })
+
+            source.addEventListener('connection', (e) => {
+                const data = JSON.parse(e.data)
+                setStatus(prev => ({
+                    ...prev,
+                    connected: data.connected,
+                    deviceAddress: data.connected ? data.device_address ?? prev.deviceAddress : null,
+                    battery: data.connected ? prev.battery : null,
+                    lastChange: { connected: data.connected, reason: data.reason, timestamp: data.timestamp }
+                }))
+                // Pick up device name / UUIDs that the event does not carry
+                if (data.connected) refresh()
+            })
+
+            source.addEventListener('battery', (e) => {
+                const { level } = JSON.parse(e.data)
+                setStatus(prev => ({ ...prev, battery: level }))
+            })
+
+            source.addEventListener('button', (e) => {
+                const { pressed, timestamp } = JSON.parse(e.data)
+                setStatus(prev => ({ ...prev, button: { pressed, timestamp } }))
+            })
+
+            source.addEventListener('motor', (e) => {
+                const ack = { ...JSON.parse(e.data), id: nextAckId++ }
+                setStatus(prev => ({ ...prev, acks: [ack, ...prev.acks].slice(0, MAX_ACKS) }))
+            })
+
+            source.onerror = () => {
+                // Backend down or restarted: drop the stream and retry
+                source.close()
+                setStatus(prev => ({ ...prev, live: false }))
+                retryRef.current = setTimeout(open, RECONNECT_MS)
+            }
+        }
+
+        open()
+
+        return () => {
+            closed = true
+            clearTimeout(retryRef.current)
+            sourceRef.current?.close()
+        }
+    }, [refresh])
+
+    return (
+        <GloveStatusContext.Provider value={{ ...status, refresh }}>
+            {children}
+        </GloveStatusContext.Provider>
+    )
+}
+
+/**
+ * Live Smart Glove state: { connected, battery, deviceName, live, lastChange, acks, button, refresh, ... }
+ */
+export function useGloveStatus() {
+    const context = useContext(GloveStatusContext)
+    if (!context) throw new Error('useGloveStatus must be used inside <GloveStatusProvider>')
+    return context
+}
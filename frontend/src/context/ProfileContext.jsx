@@ -0,0 +1,44 @@
+import { createContext, useContext, useEffect, useState } from 'react'
+import { profiles } from '@voice-activities/profiles/profile-store.js'
+
+const ProfileContext = createContext(null)
+
+function snapshot() {
+    return { profile: profiles.active, list: [...profiles.list()], isGuest: profiles.isGuest }
+}
+
+/**
+ * Exposes the student profiles of this device to React. Profiles live in the
+ * shared profile store, so the voice activities, gamification and settings
+ * follow the same active student.
+ */
+export function ProfileProvider({ children }) {
+    const [state, setState] = useState(snapshot)
+
+    useEffect(() => profiles.subscribe(() => setState(snapshot())), [])
+
+    const value = {
+        ...state,
+        select: id => profiles.select(id),
+        create: profile => profiles.create(profile),
+        update: (id, patch) => profiles.update(id, patch),
+        remove: id => profiles.remove(id),
+        signOut: () => profiles.signOut(),
+        findByName: text => profiles.findByName(text)
+    }
+
+    return (
+        <ProfileContext.Provider value={value}>
+            {children}
+        </ProfileContext.Provider>
+    )
+}
+
+/**
+ * Active student: { profile, list, isGuest, select, create, update, remove, signOut, findByName }
+ */
+export function useProfile() {
+    const context = useContext(ProfileContext)
+    if (!context) throw new Error('useProfile must be used inside <ProfileProvider>')
+    return context
+}
@@ -0,0 +1,36 @@
+import { createContext, useContext, useEffect, useState } from 'react'
+import { learnerSettings } from '@voice-activities/settings/learner-settings.js'
+
+const SettingsContext = createContext(null)
+
+/**
+ * Exposes the current student's haptic and speech settings to React.
+ * The settings live in the shared learnerSettings store, so the glove client,
+ * the chatbot and the voice activities all read the same values.
+ */
+export function SettingsProvider({ children }) {
+    const [settings, setSettings] = useState(() => learnerSettings.get())
+
+    useEffect(() => learnerSettings.subscribe(next => setSettings({ ...next })), [])
+
+    const value = {
+        settings,
+        update: patch => learnerSettings.update(patch),
+        reset: () => learnerSettings.reset()
+    }
+
+    return (
+        <SettingsContext.Provider value={value}>
+            {children}
+        </SettingsContext.Provider>
+    )
+}
+
+/**
+ * Learner settings: { settings: { haptics, speech }, update(patch), reset() }
+ */
+export function useSettings() {
+    const context = useContext(SettingsContext)
+    if (!context) throw new Error('useSettings must be used inside <SettingsProvider>')
+    return context
+}
@@ -2,12 +2,21 @@ import React from 'react'
 import ReactDOM from 'react-dom/client'
 import { BrowserRouter } from 'react-router-dom'
 import App from './App'
+import { GloveStatusProvider } from './context/GloveStatusContext'
+import { SettingsProvider } from './context/SettingsContext'
+import { ProfileProvider } from './context/ProfileContext'
 import './index.css'
 
 ReactDOM.createRoot(document.getElementById('root')).render(
     <React.StrictMode>
         <BrowserRouter>
-            <App />
+            <ProfileProvider>
+                <SettingsProvider>
+                    <GloveStatusProvider>
+                        <App />
+                    </GloveStatusProvider>
+                </SettingsProvider>
+            </ProfileProvider>
         </BrowserRouter>
     </React.StrictMode>
 )
@@ -1,5 +1,5 @@
 import { useState, useRef, useEffect } from 'react'
-import { hapticNotify, hapticLong } from '../utils/hapticNotify'
+import { hapticNotify, hapticLong, hapticEvent } from '../utils/hapticNotify'
 
 const SHAPES_INFO = {
     Circle: { emoji: '⭕', type: '2D', color: '#3b82f6' },
@@ -91,22 +91,20 @@ export default function ObjectRecognitionPage() {
             const data = await res.json()
             if (data.error) {
                 setError(data.error)
-                // Haptic: 2 pulses for detection failure
-                hapticNotify('3')
-                setTimeout(() => hapticNotify('3'), 400)
+                // Haptic: detection failure cue (2 pulses by default)
+                hapticEvent('detection-failed')
             } else {
                 setResult(data)
                 setHistory(prev => [data, ...prev].slice(0, 10))
-                // Haptic: 1 pulse for successful detection
-                hapticNotify('3')
+                // Haptic: shape detected cue (1 pulse by default)
+                hapticEvent('shape-detected')
                 // Refresh image to show what was detected
                 capturePhoto()
             }
         } catch {
             setError('Detection failed. Check ESP32 connection.')
-            // Haptic: 2 pulses for failure
-            hapticNotify('3')
-            setTimeout(() => hapticNotify('3'), 400)
+            // Haptic: detection failure cue
+            hapticEvent('detection-failed')
         }
         setDetecting(false)
     }
@@ -26,6 +26,18 @@ import {
     Volume2,
 } from "lucide-react";
 import ChatBox from "../components/ChatBox";
+import { useProfile } from "../context/ProfileContext";
+
+const NOTES_KEY = "scibot_notes_v1";
+
+// Lecture notes are kept per student
+const loadNotes = (studentId) => {
+    try {
+        return localStorage.getItem(`${NOTES_KEY}:${studentId}`) || "";
+    } catch {
+        return "";
+    }
+};
 
 const YT_STATES = {
     UNSTARTED: -1,
@@ -48,13 +60,34 @@ export default function SciBotPage() {
     const [watchTime, setWatchTime] = useState(0);
     const [progress, setProgress] = useState(0);
     const [isCompleted, setIsCompleted] = useState(false);
-    const [notes, setNotes] = useState("");
+    const { profile, isGuest } = useProfile();
+    const [notes, setNotes] = useState(() => loadNotes(profile.id));
+    const notesOwnerRef = useRef(profile.id);
     const [theme, setTheme] = useState("light");
     const [isPlaying, setIsPlaying] = useState(false);
 
     // Optional: UI-only state (does not change your video logic)
     const [isMutedHint, setIsMutedHint] = useState(false);
 
+    // Show the right student's notes after a profile switch
+    useEffect(() => {
+        if (notesOwnerRef.current === profile.id) return;
+        notesOwnerRef.current = profile.id;
+        setNotes(loadNotes(profile.id));
+    }, [profile.id]);
+
+    const saveNotes = () => {
+        try {
+            localStorage.setItem(`${NOTES_KEY}:${notesOwnerRef.current}`, notes);
+        } catch { }
+    };
+
+    // Auto-save while typing
+    useEffect(() => {
+        const t = setTimeout(saveNotes, 500);
+        return () => clearTimeout(t);
+    }, [notes]);
+
     const isDark = theme === "dark";
     const isBlue = theme === "blue";
 
@@ -72,6 +105,12 @@ export default function SciBotPage() {
         return `${mins}:${secs.toString().padStart(2, "0")}`;
     };
 
+    // Where the student is in the lecture, sent along with ChatBot questions
+    const getLectureContext = () => ({
+        videoId,
+        videoTime: playerRef.current?.getCurrentTime?.() ?? lastTimeRef.current,
+    });
+
     useEffect(() => {
         let mounted = true;
 
@@ -510,7 +549,7 @@ export default function SciBotPage() {
                         <div className="flex items-center justify-between gap-3 mb-4">
                             <h3 className={`text-lg font-extrabold flex items-center gap-2 ${mainText}`}>
                                 <BookOpen className={theme === "light" ? "text-blue-600" : "text-blue-300"} size={22} />
-                                Your Lecture Notes
+                                {isGuest ? "Your" : `${profile.name}'s`} Lecture Notes
                             </h3>
 
                             <span className={`${subtleText} text-xs bg-blue-500/10 border border-blue-500/20 px-3 py-1 rounded-full`}>
@@ -546,6 +585,7 @@ export default function SciBotPage() {
                                 </button>
                                 <button
                                     className={`px-6 py-2.5 rounded-xl text-sm font-extrabold ${primaryBtn} transition-all hover:scale-105`}
+                                    onClick={saveNotes}
                                     type="button"
                                     onMouseEnter={() => hapticNotify('3')}
                                 >
@@ -667,7 +707,7 @@ export default function SciBotPage() {
             </main>
 
             {/* Chat (kept exactly, just theme props) */}
-            <ChatBox theme={theme} isDark={isDark} />
+            <ChatBox theme={theme} isDark={isDark} getLectureContext={getLectureContext} />
         </div>
     );
 }
@@ -0,0 +1,289 @@
+import { useState, useEffect, useMemo } from 'react'
+import { hapticNotify, haptics } from '../utils/hapticNotify'
+import { useSettings } from '../context/SettingsContext'
+import { learnerSettings, VERBOSITY_LEVELS, INPUT_MODES } from '@voice-activities/settings/learner-settings.js'
+import { CommandGrammar, DEFAULT_COMMANDS, sanitizePhrases } from '@voice-activities/audio/command-grammar.js'
+
+const HAPTIC_OPTIONS = [
+    { key: 'hover', label: 'Hover pulses', hint: 'Short buzz when the pointer or focus moves over a control' },
+    { key: 'notify', label: 'Notifications', hint: 'Chat replies, detected shapes, session start' },
+    { key: 'feedback', label: 'Answer feedback', hint: 'Correct and wrong answers, felt numbers' },
+    { key: 'alert', label: 'Alerts', hint: 'Level ups, badges and session complete' },
+    { key: 'feelNumbers', label: 'Feel numbers', hint: 'Pulse the numbers of counting and math questions, and the right answer after a mistake (needs answer feedback)' }
+]
+
+const VERBOSITY_LABELS = {
+    brief: 'Brief: only the essentials',
+    normal: 'Normal',
+    detailed: 'Detailed: extra hints and summaries'
+}
+
+const INPUT_MODE_LABELS = {
+    wake: 'Wake word: say "hi" to open the ChatBot, then "send" after the question',
+    push: 'Push to talk: hold Alt+V, the mic button or the glove button, let go to send',
+    typing: 'Typing only: no microphone, answers are still read aloud'
+}
+
+const SAMPLE_TEXT = {
+    brief: 'Correct!',
+    normal: 'Correct! Great job. Let\'s try the next one.',
+    detailed: 'Correct! Great job. You answered three questions in a row. Let\'s try the next one.'
+}
+
+const cardStyle = {
+    background: '#fff', borderRadius: 12, padding: '1.25rem',
+    boxShadow: '0 1px 3px rgba(0,0,0,0.1)', border: '1px solid #e5e7eb', marginBottom: '1rem'
+}
+const rowStyle = {
+    display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '0.75rem',
+    padding: '0.5rem 0', borderBottom: '1px solid #f3f4f6'
+}
+const smallBtn = (color) => ({
+    padding: '0.45rem 1rem', borderRadius: 8, border: '2px solid ' + color,
+    background: '#fff', color, fontWeight: 600, fontSize: '0.85rem', cursor: 'pointer'
+})
+
+const splitPhrases = text => sanitizePhrases(String(text).split(','))
+
+/**
+ * One voice command with its phrases as an editable, comma separated list
+ */
+function CommandRow({ command, grammar, onSave }) {
+    const [draft, setDraft] = useState(command.phrases.join(', '))
+    const [error, setError] = useState('')
+
+    useEffect(() => {
+        setDraft(command.phrases.join(', '))
+        setError('')
+    }, [command.phrases.join(',')])
+
+    const save = () => {
+        const phrases = splitPhrases(draft)
+        if (!phrases.length) {
+            setError('Add at least one phrase.')
+            return
+        }
+        const taken = phrases.find(p => grammar.conflict(command.id, p))
+        if (taken) {
+            setError(`"${taken}" is already used by ${DEFAULT_COMMANDS[grammar.conflict(command.id, taken)].label}.`)
+            return
+        }
+        setError('')
+        if (phrases.join(',') === command.phrases.join(',')) return
+        // Typing the defaults back in is the same as resetting the command
+        const isDefault = phrases.join(',') === DEFAULT_COMMANDS[command.id].phrases.join(',')
+        onSave(command.id, isDefault ? null : phrases)
+    }
+
+    return (
+        <div style={{ ...rowStyle, flexWrap: 'wrap' }}>
+            <label htmlFor={`command-${command.id}`} style={{ fontSize: '0.85rem', fontWeight: 500, minWidth: 160 }}>
+                {command.label}
+                {command.confirm && <span style={{ display: 'block', fontSize: '0.75rem', color: '#6b7280' }}>Asks "yes or no" first</span>}
+            </label>
+            <div style={{ display: 'flex', gap: '0.5rem', flex: 1, minWidth: 220 }}>
+                <input
+                    id={`command-${command.id}`}
+                    value={draft}
+                    onChange={e => setDraft(e.target.value)}
+                    onBlur={save}
+                    onKeyDown={e => e.key === 'Enter' && save()}
+                    aria-invalid={Boolean(error)}
+                    aria-describedby={error ? `command-${command.id}-error` : undefined}
+                    style={{ flex: 1, padding: '0.4rem 0.5rem', borderRadius: 6, border: '1px solid ' + (error ? '#ef4444' : '#d1d5db'), fontSize: '0.85rem' }}
+                />
+                {command.customized && (
+                    <button onClick={() => onSave(command.id, null)} style={{ ...smallBtn('#6b7280'), padding: '0.3rem 0.6rem' }}>
+                        Default
+                    </button>
+                )}
+            </div>
+            {error && (
+                <p id={`command-${command.id}-error`} role="alert" style={{ width: '100%', margin: 0, fontSize: '0.75rem', color: '#ef4444' }}>
+                    {error}
+                </p>
+            )}
+        </div>
+    )
+}
+
+function readVoices() {
+    if (!('speechSynthesis' in window)) return []
+    return window.speechSynthesis.getVoices()
+}
+
+/**
+ * Per-student haptic, speech, ChatBot input and voice command preferences. Changes are saved immediately and
+ * apply to SciBot, Object Recognition, the Smart Glove page and the voice activities.
+ */
+export default function SettingsPage() {
+    const { settings, update, reset } = useSettings()
+    const { haptics: hapticSettings, speech } = settings
+    const [voices, setVoices] = useState(readVoices)
+    const grammar = useMemo(() => new CommandGrammar(settings.commands), [settings.commands])
+
+    useEffect(() => {
+        if (!('speechSynthesis' in window)) return
+        const onVoices = () => setVoices(readVoices())
+        window.speechSynthesis.addEventListener('voiceschanged', onVoices)
+        return () => window.speechSynthesis.removeEventListener('voiceschanged', onVoices)
+    }, [])
+
+    const testSpeech = () => {
+        if (!('speechSynthesis' in window)) return
+        window.speechSynthesis.cancel()
+        const utterance = new SpeechSynthesisUtterance(learnerSettings.byVerbosity(SAMPLE_TEXT))
+        window.speechSynthesis.speak(learnerSettings.applySpeech(utterance))
+    }
+
+    const testHaptics = () => {
+        haptics.trigger('answer-correct')
+    }
+
+    const slider = (field, label, min, max, step) => (
+        <label style={{ display: 'block', fontSize: '0.85rem', fontWeight: 500, marginBottom: '0.75rem' }}>
+            {label}: {speech[field].toFixed(2)}{field === 'volume' ? '' : '×'}
+            <input
+                type="range" min={min} max={max} step={step}
+                value={speech[field]}
+                onChange={e => update({ speech: { [field]: Number(e.target.value) } })}
+                style={{ display: 'block', width: '100%', marginTop: '0.25rem' }}
+            />
+        </label>
+    )
+
+    return (
+        <div style={{ maxWidth: 600, margin: '0 auto', padding: '1.5rem 1rem' }}>
+            <div style={{ textAlign: 'center', marginBottom: '2rem' }}>
+                <h1 style={{ fontSize: '1.75rem', fontWeight: 700 }}>Settings</h1>
+                <p style={{ color: '#6b7280', fontSize: '0.9rem' }}>
+                    Haptic, speech and voice command preferences for student <strong>{learnerSettings.studentId}</strong>
+                </p>
+            </div>
+
+            {/* Haptics Card */}
+            <fieldset style={cardStyle}>
+                <legend style={{ fontSize: '1rem', fontWeight: 600, padding: '0 0.25rem' }}>Glove Haptics</legend>
+
+                <label style={{ ...rowStyle, fontWeight: 600, fontSize: '0.9rem' }}>
+                    Haptic feedback
+                    <input
+                        type="checkbox"
+                        checked={hapticSettings.enabled}
+                        onChange={e => update({ haptics: { enabled: e.target.checked } })}
+                    />
+                </label>
+
+                {HAPTIC_OPTIONS.map(({ key, label, hint }) => (
+                    <label
+                        key={key}
+                        style={{ ...rowStyle, fontSize: '0.85rem', opacity: hapticSettings.enabled ? 1 : 0.5 }}
+                    >
+                        <span>
+                            {label}
+                            <span style={{ display: 'block', fontSize: '0.75rem', color: '#6b7280' }}>{hint}</span>
+                        </span>
+                        <input
+                            type="checkbox"
+                            checked={hapticSettings[key]}
+                            disabled={!hapticSettings.enabled}
+                            onChange={e => update({ haptics: { [key]: e.target.checked } })}
+                        />
+                    </label>
+                ))}
+
+                <button onClick={testHaptics} onMouseEnter={() => hapticNotify('3')} style={{ ...smallBtn('#3b82f6'), marginTop: '0.75rem' }}>
+                    Test answer feedback
+                </button>
+            </fieldset>
+
+            {/* Speech Card */}
+            <fieldset style={cardStyle}>
+                <legend style={{ fontSize: '1rem', fontWeight: 600, padding: '0 0.25rem' }}>Speech</legend>
+
+                <label style={{ display: 'block', fontSize: '0.85rem', fontWeight: 500, marginBottom: '0.75rem' }}>
+                    Voice
+                    <select
+                        value={speech.voiceURI || ''}
+                        onChange={e => update({ speech: { voiceURI: e.target.value || null } })}
+                        style={{
+                            display: 'block', width: '100%', marginTop: '0.25rem', padding: '0.4rem 0.5rem',
+                            borderRadius: 6, border: '1px solid #d1d5db', fontSize: '0.85rem'
+                        }}
+                    >
+                        <option value="">Default voice</option>
+                        {voices.map(voice => (
+                            <option key={voice.voiceURI} value={voice.voiceURI}>{voice.name} ({voice.lang})</option>
+                        ))}
+                    </select>
+                </label>
+
+                {slider('rate', 'Speed', 0.5, 2, 0.05)}
+                {slider('pitch', 'Pitch', 0.5, 2, 0.05)}
+                {slider('volume', 'Volume', 0, 1, 0.05)}
+
+                <div role="radiogroup" aria-label="How much the app says" style={{ marginBottom: '0.75rem' }}>
+                    <span style={{ display: 'block', fontSize: '0.85rem', fontWeight: 500, marginBottom: '0.35rem' }}>
+                        How much the app says
+                    </span>
+                    {VERBOSITY_LEVELS.map(level => (
+                        <label key={level} style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.85rem', padding: '0.2rem 0' }}>
+                            <input
+                                type="radio"
+                                name="verbosity"
+                                value={level}
+                                checked={speech.verbosity === level}
+                                onChange={() => update({ speech: { verbosity: level } })}
+                            />
+                            {VERBOSITY_LABELS[level]}
+                        </label>
+                    ))}
+                </div>
+
+                <button onClick={testSpeech} onMouseEnter={() => hapticNotify('3')} style={smallBtn('#3b82f6')}>
+                    Test speech
+                </button>
+            </fieldset>
+
+            {/* ChatBot Input Card */}
+            <fieldset style={cardStyle}>
+                <legend style={{ fontSize: '1rem', fontWeight: 600, padding: '0 0.25rem' }}>ChatBot Input</legend>
+                <div role="radiogroup" aria-label="How you talk to the ChatBot">
+                    {INPUT_MODES.map(mode => (
+                        <label key={mode} style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.85rem', padding: '0.2rem 0' }}>
+                            <input
+                                type="radio"
+                                name="inputMode"
+                                value={mode}
+                                checked={settings.chat.inputMode === mode}
+                                onChange={() => update({ chat: { inputMode: mode } })}
+                            />
+                            {INPUT_MODE_LABELS[mode]}
+                        </label>
+                    ))}
+                </div>
+            </fieldset>
+
+            {/* Voice Commands Card */}
+            <fieldset style={cardStyle}>
+                <legend style={{ fontSize: '1rem', fontWeight: 600, padding: '0 0.25rem' }}>Voice Commands</legend>
+                <p style={{ fontSize: '0.8rem', color: '#6b7280', marginTop: 0 }}>
+                    Say a command on its own or at the end of a sentence. Separate phrases with commas.
+                </p>
+
+                {grammar.list().map(command => (
+                    <CommandRow
+                        key={command.id}
+                        command={command}
+                        grammar={grammar}
+                        onSave={(id, phrases) => update({ commands: { [id]: phrases } })}
+                    />
+                ))}
+            </fieldset>
+
+            <button onClick={reset} onMouseEnter={() => hapticNotify('3')} style={smallBtn('#6b7280')}>
+                Reset to defaults
+            </button>
+        </div>
+    )
+}
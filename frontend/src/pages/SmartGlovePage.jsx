@@ -1,43 +1,58 @@
-﻿import { useState, useEffect } from 'react'
-import { hapticNotify } from '../utils/hapticNotify'
+﻿import { useState, useEffect, useRef } from 'react'
+import { hapticNotify, haptics } from '../utils/hapticNotify'
+import { useGloveStatus } from '../context/GloveStatusContext'
+import { learnerSettings } from '@voice-activities/settings/learner-settings.js'
+import HapticVocabularyPanel from '../components/HapticVocabularyPanel'
 
-const API_BASE = 'http://localhost:5001/api/smart-glove'
+const API_BASE = haptics.baseUrl
+
+const CHANGE_MESSAGES = {
+    'connected': 'Smart glove connected.',
+    'disconnected': 'Smart glove disconnected.',
+    'link-lost': 'Smart glove connection lost. Check that the glove is switched on and nearby.'
+}
+
+function speakStatus(text) {
+    if (!('speechSynthesis' in window)) return
+    window.speechSynthesis.cancel()
+    window.speechSynthesis.speak(learnerSettings.applySpeech(new SpeechSynthesisUtterance(text)))
+}
 
 export default function SmartGlovePage() {
-    const [isConnected, setIsConnected] = useState(false)
+    const glove = useGloveStatus()
+    const isConnected = glove.connected
+    const deviceInfo = isConnected ? {
+        name: glove.deviceName,
+        address: glove.deviceAddress,
+        serviceUuid: glove.serviceUuid,
+        charUuid: glove.charUuid
+    } : null
     const [isConnecting, setIsConnecting] = useState(false)
-    const [deviceInfo, setDeviceInfo] = useState(null)
     const [connectionError, setConnectionError] = useState(null)
     const [motorActive, setMotorActive] = useState(null)
     const [toast, setToast] = useState(null)
+    const lastChangeRef = useRef(glove.lastChange)
 
     useEffect(() => {
-        fetchStatus()
+        glove.refresh()
     }, [])
 
+    // Speak connection changes pushed by the glove backend
+    useEffect(() => {
+        const change = glove.lastChange
+        if (!change || change === lastChangeRef.current) return
+        lastChangeRef.current = change
+
+        const message = CHANGE_MESSAGES[change.reason] || CHANGE_MESSAGES[change.connected ? 'connected' : 'disconnected']
+        speakStatus(message)
+        showToast(message, change.connected ? 'success' : change.reason === 'link-lost' ? 'error' : 'info')
+    }, [glove.lastChange])
+
     const showToast = (msg, type = 'info') => {
         setToast({ msg, type })
         setTimeout(() => setToast(null), 3000)
     }
 
-    const fetchStatus = async () => {
-        try {
-            const res = await fetch(`${API_BASE}/status`)
-            const data = await res.json()
-            setIsConnected(data.connected)
-            if (data.connected) {
-                setDeviceInfo({
-                    name: data.device_name,
-                    address: data.device_address,
-                    serviceUuid: data.service_uuid,
-                    charUuid: data.characteristic_uuid
-                })
-            }
-        } catch {
-            /* backend not running */
-        }
-    }
-
     const handleConnect = async () => {
         setIsConnecting(true)
         setConnectionError(null)
@@ -49,14 +64,8 @@ export default function SmartGlovePage() {
             })
             const data = await res.json()
             if (data.success) {
-                setIsConnected(true)
-                setDeviceInfo({
-                    name: data.device_name,
-                    address: data.device_address,
-                    serviceUuid: data.service_uuid,
-                    charUuid: data.characteristic_uuid
-                })
-                showToast('Connected to SmartHapticGlove!', 'success')
+                // The event stream announces the change; refresh covers a missed event
+                glove.refresh()
             } else {
                 setConnectionError(data.message)
                 showToast(data.message, 'error')
@@ -73,11 +82,7 @@ export default function SmartGlovePage() {
         try {
             const res = await fetch(`${API_BASE}/disconnect`, { method: 'POST' })
             const data = await res.json()
-            if (data.success) {
-                setIsConnected(false)
-                setDeviceInfo(null)
-                showToast('Disconnected', 'info')
-            }
+            if (data.success) glove.refresh()
         } catch {
             showToast('Failed to disconnect', 'error')
         }
@@ -149,6 +154,16 @@ export default function SmartGlovePage() {
                             <h3 style={{ fontSize: '1rem', fontWeight: 600, margin: 0 }}>
                                 {isConnecting ? 'Scanning...' : isConnected ? 'Connected' : 'Disconnected'}
                             </h3>
+                            {isConnected && glove.battery !== null && (
+                                <p style={{ fontSize: '0.78rem', color: glove.battery <= 20 ? '#ef4444' : '#6b7280', margin: '0.15rem 0 0' }}>
+                                    Battery {glove.battery}%
+                                </p>
+                            )}
+                            {!glove.live && (
+                                <p style={{ fontSize: '0.78rem', color: '#9ca3af', margin: '0.15rem 0 0' }}>
+                                    Live updates unavailable, retrying...
+                                </p>
+                            )}
                             {isConnecting && (
                                 <p style={{ fontSize: '0.78rem', color: '#9ca3af', margin: '0.15rem 0 0' }}>
                                     Searching for SmartHapticGlove...
@@ -187,7 +202,8 @@ export default function SmartGlovePage() {
                                 <tr><td style={{ color: '#6b7280', paddingRight: 12, paddingBottom: 4 }}>Name</td><td style={{ fontWeight: 600 }}>{deviceInfo.name}</td></tr>
                                 <tr><td style={{ color: '#6b7280', paddingRight: 12, paddingBottom: 4 }}>Address</td><td style={{ fontWeight: 600 }}>{deviceInfo.address}</td></tr>
                                 <tr><td style={{ color: '#6b7280', paddingRight: 12, paddingBottom: 4 }}>Service UUID</td><td>{deviceInfo.serviceUuid}</td></tr>
-                                <tr><td style={{ color: '#6b7280', paddingRight: 12 }}>Char UUID</td><td>{deviceInfo.charUuid}</td></tr>
+                                <tr><td style={{ color: '#6b7280', paddingRight: 12, paddingBottom: 4 }}>Char UUID</td><td>{deviceInfo.charUuid}</td></tr>
+                                <tr><td style={{ color: '#6b7280', paddingRight: 12 }}>Battery</td><td>{glove.battery !== null ? `${glove.battery}%` : 'n/a'}</td></tr>
                             </tbody>
                         </table>
                     </div>
@@ -239,8 +255,24 @@ export default function SmartGlovePage() {
                 >
                      Test Haptic Feedback (Both Motors)
                 </button>
+
+                {/* Motor acknowledgements pushed by the glove backend */}
+                {glove.acks.length > 0 && (
+                    <div style={{ marginTop: '0.75rem' }}>
+                        <h4 style={{ fontSize: '0.85rem', fontWeight: 600, marginBottom: '0.35rem' }}>Recent acknowledgements</h4>
+                        <ul style={{ listStyle: 'none', padding: 0, margin: 0, fontSize: '0.75rem', fontFamily: 'monospace' }}>
+                            {glove.acks.slice(0, 5).map(ack => (
+                                <li key={ack.id} style={{ color: ack.success ? '#16a34a' : '#ef4444' }}>
+                                    {new Date(ack.timestamp).toLocaleTimeString()} · motor "{ack.command}" · {ack.message}
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
             </div>
 
+            <HapticVocabularyPanel isConnected={isConnected} showToast={showToast} />
+
             {/* ESP32 Commands Card */}
             <div style={{
                 background: '#fff', borderRadius: 12, padding: '1.25rem',
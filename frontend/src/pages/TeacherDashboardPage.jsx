@@ -0,0 +1,264 @@
+import { useState, useEffect, useMemo } from 'react'
+import { skillLevelOf } from '@voice-activities/adaptive-engine/irt.js'
+import { profiles } from '@voice-activities/profiles/profile-store.js'
+import { hapticNotify } from '../utils/hapticNotify'
+
+const API_BASE = '/api/db'
+
+// Thresholds for the "needs help" flag
+const STRUGGLING_ACCURACY = 50
+const MIN_RESPONSES = 5
+
+const TREND_LABELS = {
+    improving: { text: 'Improving', color: '#16a34a' },
+    steady: { text: 'Steady', color: '#6b7280' },
+    declining: { text: 'Declining', color: '#ef4444' },
+    unknown: { text: 'No data', color: '#9ca3af' }
+}
+
+const cardStyle = {
+    background: '#fff', borderRadius: 12, padding: '1.25rem',
+    boxShadow: '0 1px 3px rgba(0,0,0,0.1)', border: '1px solid #e5e7eb', marginBottom: '1rem'
+}
+const thStyle = { textAlign: 'left', padding: '0.5rem 0.4rem', color: '#6b7280', fontWeight: 500, whiteSpace: 'nowrap' }
+const tdStyle = { padding: '0.5rem 0.4rem', borderTop: '1px solid #f3f4f6' }
+const smallBtn = (color) => ({
+    padding: '0.35rem 0.75rem', borderRadius: 8, border: '2px solid ' + color,
+    background: '#fff', color, fontWeight: 600, fontSize: '0.8rem', cursor: 'pointer'
+})
+
+function displayName(student) {
+    return profiles.get(student.student_id)?.name || student.name || student.student_id
+}
+
+function skillLevel(ability) {
+    return ability === null || ability === undefined ? '—' : skillLevelOf(ability)
+}
+
+function needsHelp(student) {
+    const lowAccuracy = student.total_responses >= MIN_RESPONSES && student.accuracy < STRUGGLING_ACCURACY
+    return lowAccuracy || student.emotion?.trend === 'declining'
+}
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value)
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+function downloadCsv(filename, rows) {
+    const csv = rows.map(row => row.map(csvCell).join(',')).join('\n')
+    const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }))
+    const link = document.createElement('a')
+    link.href = url
+    link.download = filename
+    link.click()
+    URL.revokeObjectURL(url)
+}
+
+/**
+ * Class progress for teachers: accuracy, XP, skill level and emotional trend
+ * per student, with a per-activity drill-down and CSV export.
+ */
+export default function TeacherDashboardPage() {
+    const [students, setStudents] = useState([])
+    const [loading, setLoading] = useState(true)
+    const [error, setError] = useState(null)
+    const [selected, setSelected] = useState(null)
+    const [detail, setDetail] = useState(null)
+
+    const loadStudents = async () => {
+        setLoading(true)
+        setError(null)
+        try {
+            const res = await fetch(`${API_BASE}/students`)
+            if (!res.ok) throw new Error(`HTTP ${res.status}`)
+            const data = await res.json()
+            setStudents(data.students || [])
+        } catch {
+            setError('Could not load class progress. Is the Flask server running?')
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    useEffect(() => {
+        loadStudents()
+    }, [])
+
+    useEffect(() => {
+        setDetail(null)
+        if (!selected) return
+        let cancelled = false
+
+        Promise.all([
+            fetch(`${API_BASE}/students/${encodeURIComponent(selected)}/activities`).then(r => r.json()),
+            fetch(`${API_BASE}/badges/${encodeURIComponent(selected)}`).then(r => r.json())
+        ])
+            .then(([activities, badges]) => {
+                if (!cancelled) setDetail({ activities: activities.activities || [], badges: badges.badges || [] })
+            })
+            .catch(() => {
+                if (!cancelled) setDetail({ error: 'Could not load activity details.' })
+            })
+
+        return () => { cancelled = true }
+    }, [selected])
+
+    // Students who need help first, then by accuracy
+    const rows = useMemo(() => [...students].sort((a, b) =>
+        (needsHelp(b) - needsHelp(a)) || (a.accuracy - b.accuracy)
+    ), [students])
+
+    const selectedStudent = students.find(s => s.student_id === selected)
+
+    const exportClass = () => {
+        downloadCsv(`class-progress-${new Date().toISOString().slice(0, 10)}.csv`, [
+            ['student_id', 'name', 'accuracy_percent', 'responses', 'sessions', 'xp', 'ability', 'skill_level', 'emotion', 'emotion_trend', 'needs_help', 'last_active'],
+            ...rows.map(s => [
+                s.student_id, displayName(s), s.accuracy, s.total_responses, s.total_sessions, s.total_xp,
+                s.ability, skillLevel(s.ability), s.emotion?.dominant, s.emotion?.trend, needsHelp(s) ? 'yes' : 'no', s.last_active
+            ])
+        ])
+    }
+
+    const exportStudent = () => {
+        if (!detail?.activities) return
+        downloadCsv(`${selected}-activities.csv`, [
+            ['activity_id', 'sessions', 'responses', 'accuracy_percent', 'ability', 'skill_level', 'level', 'xp', 'last_active'],
+            ...detail.activities.map(a => [
+                a.activity_id, a.sessions, a.responses, a.accuracy, a.ability, skillLevel(a.ability), a.level, a.xp_earned, a.last_active
+            ])
+        ])
+    }
+
+    return (
+        <div style={{ maxWidth: 960, margin: '0 auto', padding: '1.5rem 1rem' }}>
+            <div style={{ textAlign: 'center', marginBottom: '2rem' }}>
+                <h1 style={{ fontSize: '1.75rem', fontWeight: 700 }}>Teacher Dashboard</h1>
+                <p style={{ color: '#6b7280', fontSize: '0.9rem' }}>Class progress from the voice learning activities</p>
+            </div>
+
+            {/* Class Overview Card */}
+            <div style={cardStyle}>
+                <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '0.5rem', flexWrap: 'wrap', marginBottom: '0.75rem' }}>
+                    <h3 style={{ fontSize: '1rem', fontWeight: 600, margin: 0, color: '#111827' }}>Students</h3>
+                    <div style={{ display: 'flex', gap: '0.5rem' }}>
+                        <button onClick={loadStudents} onMouseEnter={() => hapticNotify('3')} style={smallBtn('#6b7280')}>Refresh</button>
+                        <button onClick={exportClass} onMouseEnter={() => hapticNotify('3')} disabled={!rows.length} style={smallBtn('#22c55e')}>Export CSV</button>
+                    </div>
+                </div>
+
+                {loading && <p style={{ fontSize: '0.85rem', color: '#6b7280' }}>Loading...</p>}
+                {error && <p role="alert" style={{ fontSize: '0.85rem', color: '#ef4444' }}>{error}</p>}
+                {!loading && !error && rows.length === 0 && (
+                    <p style={{ fontSize: '0.85rem', color: '#6b7280' }}>No student activity recorded yet.</p>
+                )}
+
+                {rows.length > 0 && (
+                    <div style={{ overflowX: 'auto' }}>
+                        <table style={{ width: '100%', fontSize: '0.85rem', borderCollapse: 'collapse', color: '#111827' }}>
+                            <thead>
+                                <tr>
+                                    <th style={thStyle}>Student</th>
+                                    <th style={thStyle}>Accuracy</th>
+                                    <th style={thStyle}>XP</th>
+                                    <th style={thStyle}>Skill level</th>
+                                    <th style={thStyle}>Emotional trend</th>
+                                    <th style={thStyle}>Last active</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {rows.map(s => {
+                                    const trend = TREND_LABELS[s.emotion?.trend] || TREND_LABELS.unknown
+                                    const isSelected = s.student_id === selected
+                                    return (
+                                        <tr key={s.student_id} style={{ background: isSelected ? '#eef2ff' : 'transparent' }}>
+                                            <td style={tdStyle}>
+                                                <button
+                                                    onClick={() => setSelected(isSelected ? null : s.student_id)}
+                                                    aria-expanded={isSelected}
+                                                    style={{ background: 'none', border: 'none', padding: 0, color: '#4f46e5', fontWeight: 600, cursor: 'pointer', textAlign: 'left' }}
+                                                >
+                                                    {displayName(s)}
+                                                </button>
+                                                {needsHelp(s) && (
+                                                    <span style={{ marginLeft: 6, fontSize: '0.7rem', fontWeight: 600, color: '#b91c1c', background: '#fee2e2', padding: '1px 6px', borderRadius: 999 }}>
+                                                        Needs help
+                                                    </span>
+                                                )}
+                                            </td>
+                                            <td style={tdStyle}>{s.total_responses ? `${s.accuracy}%` : '—'} <span style={{ color: '#9ca3af' }}>({s.total_responses})</span></td>
+                                            <td style={tdStyle}>{s.total_xp}</td>
+                                            <td style={tdStyle}>{skillLevel(s.ability)}</td>
+                                            <td style={{ ...tdStyle, color: trend.color }}>
+                                                {trend.text}{s.emotion?.dominant ? ` · mostly ${s.emotion.dominant}` : ''}
+                                            </td>
+                                            <td style={{ ...tdStyle, color: '#6b7280' }}>{s.last_active || '—'}</td>
+                                        </tr>
+                                    )
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+
+            {/* Drill-down Card */}
+            {selectedStudent && (
+                <div style={cardStyle} aria-live="polite">
+                    <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '0.5rem', flexWrap: 'wrap', marginBottom: '0.75rem' }}>
+                        <h3 style={{ fontSize: '1rem', fontWeight: 600, margin: 0, color: '#111827' }}>{displayName(selectedStudent)} by activity</h3>
+                        <div style={{ display: 'flex', gap: '0.5rem' }}>
+                            <button onClick={exportStudent} disabled={!detail?.activities} style={smallBtn('#22c55e')}>Export CSV</button>
+                            <a
+                                href={`${API_BASE}/students/${encodeURIComponent(selected)}/export`}
+                                download={`${selected}.json`}
+                                style={{ ...smallBtn('#6b7280'), textDecoration: 'none' }}
+                            >
+                                Full data (JSON)
+                            </a>
+                        </div>
+                    </div>
+
+                    {!detail && <p style={{ fontSize: '0.85rem', color: '#6b7280' }}>Loading...</p>}
+                    {detail?.error && <p role="alert" style={{ fontSize: '0.85rem', color: '#ef4444' }}>{detail.error}</p>}
+
+                    {detail?.activities && (
+                        <table style={{ width: '100%', fontSize: '0.85rem', borderCollapse: 'collapse', color: '#111827' }}>
+                            <thead>
+                                <tr>
+                                    <th style={thStyle}>Activity</th>
+                                    <th style={thStyle}>Sessions</th>
+                                    <th style={thStyle}>Accuracy</th>
+                                    <th style={thStyle}>Skill level</th>
+                                    <th style={thStyle}>Level</th>
+                                    <th style={thStyle}>XP</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {detail.activities.map(a => (
+                                    <tr key={a.activity_id}>
+                                        <td style={tdStyle}>{a.activity_id}</td>
+                                        <td style={tdStyle}>{a.sessions}</td>
+                                        <td style={{ ...tdStyle, color: a.responses >= MIN_RESPONSES && a.accuracy < STRUGGLING_ACCURACY ? '#ef4444' : undefined }}>
+                                            {a.responses ? `${a.accuracy}%` : '—'} <span style={{ color: '#9ca3af' }}>({a.responses})</span>
+                                        </td>
+                                        <td style={tdStyle}>{skillLevel(a.ability)}</td>
+                                        <td style={tdStyle}>{a.level ?? '—'}</td>
+                                        <td style={tdStyle}>{a.xp_earned ?? 0}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+
+                    {detail?.badges?.length > 0 && (
+                        <p style={{ fontSize: '0.8rem', color: '#6b7280', marginTop: '0.75rem' }}>
+                            Badges: {detail.badges.map(b => b.badge_name).join(', ')}
+                        </p>
+                    )}
+                </div>
+            )}
+        </div>
+    )
+}
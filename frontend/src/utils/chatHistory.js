@@ -0,0 +1,228 @@
+/**
+ * ChatBot conversation threads, persisted per student in IndexedDB.
+ * A thread is stored whole: { id, studentId, title, autoTitle, createdAt, updatedAt, messages }
+ */
+
+const DB_NAME = 'scibot_chat'
+const DB_VERSION = 1
+const STORE = 'threads'
+
+// Chat history kept in localStorage before threads existed
+const LEGACY_KEY = 'scibot_chat_v1'
+
+const TITLE_LENGTH = 48
+
+let dbPromise = null
+
+function openDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION)
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE, { keyPath: 'id' })
+                store.createIndex('studentId', 'studentId')
+            }
+            request.onsuccess = () => resolve(request.result)
+            request.onerror = () => {
+                dbPromise = null
+                reject(request.error)
+            }
+        })
+    }
+    return dbPromise
+}
+
+async function run(mode, operation) {
+    const db = await openDb()
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE, mode)
+        const request = operation(tx.objectStore(STORE))
+        tx.oncomplete = () => resolve(request?.result)
+        tx.onerror = () => reject(tx.error)
+    })
+}
+
+function defaultTitle(date = new Date()) {
+    return `Conversation ${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+}
+
+// Messages keep Date timestamps in memory; IndexedDB stores them as-is
+function revive(thread) {
+    return thread && {
+        ...thread,
+        messages: (thread.messages || []).map(m => ({ ...m, timestamp: new Date(m.timestamp) }))
+    }
+}
+
+/**
+ * Threads of a student, most recently updated first
+ */
+export async function listThreads(studentId) {
+    const threads = await run('readonly', store => store.index('studentId').getAll(studentId))
+    return (threads || []).map(revive).sort((a, b) => b.updatedAt - a.updatedAt)
+}
+
+export async function getThread(id) {
+    return revive(await run('readonly', store => store.get(id)))
+}
+
+export async function createThread(studentId, { title, messages = [] } = {}) {
+    const now = Date.now()
+    const thread = {
+        id: `thread-${now}-${Math.random().toString(36).slice(2, 6)}`,
+        studentId,
+        title: title || defaultTitle(),
+        autoTitle: !title,
+        createdAt: now,
+        updatedAt: now,
+        messages
+    }
+    await run('readwrite', store => store.put(thread))
+    return thread
+}
+
+/**
+ * Store a thread's messages; the first question becomes the title
+ * until the student renames the thread
+ */
+export async function saveMessages(id, messages) {
+    const thread = await getThread(id)
+    if (!thread) return null
+
+    const firstQuestion = messages.find(m => m.sender === 'user')?.text
+    const updated = {
+        ...thread,
+        messages,
+        updatedAt: Date.now(),
+        title: thread.autoTitle && firstQuestion ? firstQuestion.slice(0, TITLE_LENGTH) : thread.title
+    }
+    await run('readwrite', store => store.put(updated))
+    return updated
+}
+
+export async function renameThread(id, title) {
+    const thread = await getThread(id)
+    const clean = String(title || '').trim()
+    if (!thread || !clean) return null
+
+    const updated = { ...thread, title: clean, autoTitle: false }
+    await run('readwrite', store => store.put(updated))
+    return updated
+}
+
+export async function deleteThread(id) {
+    await run('readwrite', store => store.delete(id))
+}
+
+/**
+ * Messages of a student's threads that contain the query
+ * @returns {Promise<{threadId: string, title: string, message: object}[]>}
+ */
+export async function searchThreads(studentId, query) {
+    const needle = String(query || '').toLowerCase().trim()
+    if (!needle) return []
+
+    const threads = await listThreads(studentId)
+    return threads.flatMap(thread => thread.messages
+        .filter(m => m.id !== 'welcome' && String(m.text).toLowerCase().includes(needle))
+        .map(message => ({ threadId: thread.id, title: thread.title, message })))
+}
+
+/**
+ * Move history saved by older builds (one conversation in localStorage) into a thread
+ */
+export async function migrateLegacyHistory(studentId) {
+    const key = `${LEGACY_KEY}:${studentId}`
+    let saved = null
+    try {
+        saved = JSON.parse(localStorage.getItem(key))
+    } catch { /* unreadable, drop it */ }
+    localStorage.removeItem(key)
+
+    if (!Array.isArray(saved) || !saved.some(m => m.sender === 'user')) return null
+    const thread = await createThread(studentId, { messages: saved })
+    return saveMessages(thread.id, saved)
+}
+
+/* ---------------------------- export ---------------------------- */
+
+const speaker = message => (message.sender === 'user' ? 'You' : 'ChatBot')
+
+function formatTime(date) {
+    return new Date(date).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })
+}
+
+/**
+ * Plain text transcript
+ */
+export function threadToText(thread) {
+    const lines = thread.messages.map(m => `${speaker(m)} (${formatTime(m.timestamp)}):\n${m.text}\n`)
+    return `${thread.title}\n${formatTime(thread.createdAt)}\n\n${lines.join('\n')}`
+}
+
+const escapeHtml = text => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+
+/**
+ * Standalone HTML transcript for screen readers and read-aloud tools:
+ * one heading per turn, large high-contrast text, no images
+ */
+export function threadToHtml(thread) {
+    const turns = thread.messages.map(m => `
+    <section>
+        <h2>${m.sender === 'user' ? 'You asked' : 'ChatBot answered'} <small>${escapeHtml(formatTime(m.timestamp))}</small></h2>
+        <p>${escapeHtml(m.text)}</p>
+    </section>`).join('')
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(thread.title)}</title>
+<style>
+    body { font-family: Verdana, Arial, sans-serif; font-size: 1.35rem; line-height: 1.7; max-width: 42rem; margin: 2rem auto; padding: 0 1rem; background: #fff; color: #000; }
+    h1 { font-size: 1.8rem; }
+    h2 { font-size: 1.3rem; margin-top: 2rem; }
+    small { font-weight: normal; color: #333; }
+    button { font-size: 1.2rem; padding: 0.5rem 1rem; }
+</style>
+</head>
+<body>
+<main>
+    <h1>${escapeHtml(thread.title)}</h1>
+    <p>Saved ${escapeHtml(formatTime(thread.createdAt))}. ${thread.messages.length} messages.</p>
+    <button type="button" onclick="speechSynthesis.cancel(); speechSynthesis.speak(new SpeechSynthesisUtterance(document.querySelector('main').innerText))">Read aloud</button>
+    ${turns}
+</main>
+</body>
+</html>
+`
+}
+
+export function downloadThread(thread, format = 'text') {
+    const isHtml = format === 'html'
+    const blob = new Blob([isHtml ? threadToHtml(thread) : threadToText(thread)], {
+        type: isHtml ? 'text/html' : 'text/plain'
+    })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `${thread.title.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '') || 'conversation'}.${isHtml ? 'html' : 'txt'}`
+    link.click()
+    URL.revokeObjectURL(url)
+}
+
+/**
+ * Spoken summary of a thread for the "read me my last conversation" command
+ */
+export function threadToSpeech(thread) {
+    const turns = thread.messages
+        .filter(m => m.id !== 'welcome')
+        .map(m => `${m.sender === 'user' ? 'You asked' : 'ChatBot answered'}: ${m.text}`)
+    return turns.length
+        ? `Your conversation ${thread.title}. ${turns.join('. ')}`
+        : 'That conversation is empty.'
+}
@@ -1,34 +1,45 @@
-const GLOVE_API = 'http://localhost:5001/api/smart-glove'
+import { haptics, configureHaptics, HAPTIC_PRIORITY } from '@voice-activities/haptics/haptic-client.js'
 
-const THROTTLE_MS = 400
-let lastFired = 0
+configureHaptics({
+    baseUrl: import.meta.env.VITE_GLOVE_API || 'http://localhost:5001/api/smart-glove'
+})
 
 /**
  * Send a single motor pulse to the Smart Glove as a haptic notification.
- * Fires and forgets — never blocks the caller or shows errors to the user.
- * Throttled so rapid successive calls (e.g. repeated hovers) are ignored.
+ * Never blocks the caller or shows errors to the user; the returned promise
+ * resolves with the delivery result for callers that care.
+ * Pulses go through the shared sequencer: hover pulses (the default) are
+ * coalesced and yield to answer feedback instead of colliding with it.
  * @param {'1'|'2'|'3'} [command='3'] Motor command: 1=left, 2=right, 3=both
+ * @param {number} [priority=HAPTIC_PRIORITY.HOVER]
  */
-export function hapticNotify(command = '3') {
-    const now = Date.now()
-    if (now - lastFired < THROTTLE_MS) return
-    lastFired = now
+export function hapticNotify(command = '3', priority = HAPTIC_PRIORITY.HOVER) {
+    if (priority === HAPTIC_PRIORITY.HOVER) return haptics.hover(command)
 
-    fetch(`${GLOVE_API}/motor`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ command })
-    }).catch(() => {})
+    return haptics.playSteps([{ motor: String(command) }], { priority })
 }
 
 /**
- * Send a long haptic vibration pattern to the Smart Glove.
- * Fires and forgets — never blocks the caller or shows errors to the user.
+ * Send the exit/disconnect vibration (a long pulse unless the teacher
+ * mapped another pattern to it).
  */
 export function hapticLong() {
-    fetch(`${GLOVE_API}/haptic-pattern`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ pattern: 'long' })
-    }).catch(() => {})
+    return haptics.trigger('exit')
 }
+
+/**
+ * Play the pattern the haptic vocabulary maps to an app event
+ * ('answer-correct', 'chat-reply', 'shape-detected', ...).
+ */
+export function hapticEvent(event) {
+    return haptics.trigger(event)
+}
+
+/**
+ * Play a named semantic pattern ('correct', 'wrong', 'error', ...).
+ */
+export function hapticPattern(name) {
+    return haptics.play(name)
+}
+
+export { haptics, HAPTIC_PRIORITY }
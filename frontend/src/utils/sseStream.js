@@ -0,0 +1,47 @@
+/**
+ * Read server-sent events from a fetch() response body.
+ * EventSource only supports GET, so streaming POST endpoints
+ * (e.g. /api/scibot/ask/stream) are consumed through this instead.
+ * @param {Response} response
+ * @returns {AsyncGenerator<{event: string, data: any}>}
+ */
+export async function* readEvents(response) {
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader()
+    let buffer = ''
+
+    try {
+        while (true) {
+            const { value, done } = await reader.read()
+            if (done) break
+            buffer += value.replace(/\r\n/g, '\n')
+
+            let end
+            while ((end = buffer.indexOf('\n\n')) !== -1) {
+                const frame = buffer.slice(0, end)
+                buffer = buffer.slice(end + 2)
+                const parsed = parseFrame(frame)
+                if (parsed) yield parsed
+            }
+        }
+    } finally {
+        reader.releaseLock()
+    }
+}
+
+function parseFrame(frame) {
+    let event = 'message'
+    const data = []
+    for (const line of frame.split('\n')) {
+        if (line.startsWith(':')) continue // comment / heartbeat
+        if (line.startsWith('event:')) event = line.slice(6).trim()
+        else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''))
+    }
+    if (!data.length) return null
+
+    const text = data.join('\n')
+    try {
+        return { event, data: JSON.parse(text) }
+    } catch {
+        return { event, data: text }
+    }
+}
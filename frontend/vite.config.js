@@ -1,10 +1,22 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { fileURLToPath, URL } from 'node:url'
+
+// Modules shared with the voice activities (haptic client, ...) live there
+const voiceActivitiesSrc = fileURLToPath(new URL('../backend/voice_activities/src', import.meta.url))
 
 export default defineConfig({
     plugins: [react()],
+    resolve: {
+        alias: {
+            '@voice-activities': voiceActivitiesSrc,
+        }
+    },
     server: {
         port: 5173,
+        fs: {
+            allow: ['.', voiceActivitiesSrc],
+        },
         proxy: {
             '/api': {
                 target: 'http://localhost:5001',